@@ -1,13 +1,59 @@
-import { createAdvancedBodyCompositionClaudeHandler } from "./AdvancedBodyCompositionClaudeController.js";
-import { createAdvancedBodyCompositionOpenAIHandler } from "./AdvancedBodyCompositionOpenAIController.js";
+import crypto from "node:crypto";
+
+import { BODY_COMPOSITION_SCHEMA_HINT } from "../AiPrompts/bodyCompositionPrompts.js";
+import { readPdfText } from "../utils/pdfOcr.js";
 
 export function createAdvancedBodyCompositionHandler(getContext) {
-  const openaiHandler = createAdvancedBodyCompositionOpenAIHandler(getContext);
-  const claudeHandler = createAdvancedBodyCompositionClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        generateValidatedAiText,
+        getPrompt,
+        isPdfMime,
+        safeParseJsonObjectLoose,
+        stripBrandingFromAdvancedBodyCompositionPayload
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const file = req.file;
+      if (!file || !isPdfMime(file.mimetype)) {
+        return res.status(400).json({ error: "Upload a single PDF as field name 'file'." });
+      }
+
+      const parsed = await readPdfText(file);
+      const extractedText = typeof parsed?.text === "string" ? parsed.text.trim() : "";
+      const requestId = typeof crypto.randomUUID === "function" ? crypto.randomUUID() : String(Date.now());
+
+      const schemaHint = BODY_COMPOSITION_SCHEMA_HINT;
+
+      // Scanned PDFs are OCR'd locally; only when that yields no text is the file itself sent.
+      const { text: content } = await generateValidatedAiText({
+        provider,
+        task: "advancedBodyComposition",
+        schema: "advancedBodyComposition",
+        systemPrompt: getPrompt("BODY_COMPOSITION_SYSTEM_PROMPT"),
+        userPrompt: extractedText
+          ? `${schemaHint}\n\n[REQUEST_ID]\n${requestId}\n\n[PDF_TEXT]\n${extractedText}`
+          : `${schemaHint}\n\n[REQUEST_ID]\n${requestId}`,
+        pdfs: extractedText ? [] : [file],
+        temperature: 0,
+        maxTokens: 4096
+      });
+      const json = stripBrandingFromAdvancedBodyCompositionPayload(safeParseJsonObjectLoose(content));
+
+      res.json({
+        requestId,
+        data: json,
+        raw: json ? null : content
+      });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
@@ -1,14 +1,53 @@
-import { createAllergyPanelsClaudeHandler } from "./AllergyPanelsClaudeController.js";
-import { createAllergyPanelsOpenAIHandler } from "./AllergyPanelsOpenAIController.js";
-
 export function createAllergyPanelsHandler(getContext) {
-  const openaiHandler = createAllergyPanelsOpenAIHandler(getContext);
-  const claudeHandler = createAllergyPanelsClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        collectUploadedFiles,
+        isPdfMime,
+        isDocxMime,
+        isImageMime,
+        extractPdfTextForBloodPrompt,
+        extractDocxTextForBloodPrompt,
+        normalizeAllergyPanelsIncoming,
+        generateAllergyPanelsWithAi
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const uploaded = collectUploadedFiles(req);
+      const pdfFiles = uploaded.filter((f) => isPdfMime(f?.mimetype));
+      const docxFiles = uploaded.filter((f) => isDocxMime(f?.mimetype));
+      const imageFiles = uploaded.filter((f) => isImageMime(f?.mimetype));
+      const unsupportedFiles = uploaded.filter(
+        (f) => !isPdfMime(f?.mimetype) && !isDocxMime(f?.mimetype) && !isImageMime(f?.mimetype)
+      );
+      if (unsupportedFiles.length > 0) {
+        return res.status(400).json({ error: "Only PDF, DOCX, and image files are allowed." });
+      }
+
+      const normalized = normalizeAllergyPanelsIncoming(req?.body);
+      const pdfText = await extractPdfTextForBloodPrompt(pdfFiles);
+      const docxText = await extractDocxTextForBloodPrompt(docxFiles);
+      const extractedText = `${pdfText}${docxText}`;
+
+      const debugAi = process.env.AI_DEBUG === "1";
+      const allergyPanels = await generateAllergyPanelsWithAi({
+        provider,
+        patient: normalized.patient,
+        extractedText,
+        imageFiles,
+        debug: debugAi
+      });
+
+      res.json({ patient: normalized.patient, allergyPanels });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
 
@@ -1,13 +1,52 @@
-import { createBoneHealthClaudeHandler } from "./BoneHealthClaudeController.js";
-import { createBoneHealthOpenAIHandler } from "./BoneHealthOpenAIController.js";
-
 export function createBoneHealthHandler(getContext) {
-  const openaiHandler = createBoneHealthOpenAIHandler(getContext);
-  const claudeHandler = createBoneHealthClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        collectUploadedFiles,
+        isPdfMime,
+        isDocxMime,
+        isImageMime,
+        extractPdfTextForBloodPrompt,
+        extractDocxTextForBloodPrompt,
+        normalizeBoneHealthIncoming,
+        generateBoneHealthWithAi
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const uploaded = collectUploadedFiles(req);
+      const pdfFiles = uploaded.filter((f) => isPdfMime(f?.mimetype));
+      const docxFiles = uploaded.filter((f) => isDocxMime(f?.mimetype));
+      const imageFiles = uploaded.filter((f) => isImageMime(f?.mimetype));
+      const unsupportedFiles = uploaded.filter(
+        (f) => !isPdfMime(f?.mimetype) && !isDocxMime(f?.mimetype) && !isImageMime(f?.mimetype)
+      );
+      if (unsupportedFiles.length > 0) {
+        return res.status(400).json({ error: "Only PDF, DOCX, and image files are allowed." });
+      }
+
+      const normalized = normalizeBoneHealthIncoming(req?.body);
+      const pdfText = await extractPdfTextForBloodPrompt(pdfFiles);
+      const docxText = await extractDocxTextForBloodPrompt(docxFiles);
+      const extractedText = `${pdfText}${docxText}`;
+
+      const debugAi = process.env.AI_DEBUG === "1";
+      const boneHealth = await generateBoneHealthWithAi({
+        provider,
+        patient: normalized.patient,
+        extractedText,
+        imageFiles,
+        debug: debugAi
+      });
+
+      res.json({ patient: normalized.patient, boneHealth });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
@@ -2,27 +2,20 @@ export function createBoneHealthFindingsHandler(getContext) {
   return async (req, res) => {
     try {
       const {
-        getOpenAIClient,
         getAiProviderFromReq,
-        hasGeminiKey,
+        getAiProviderConfigError,
         normalizeBoneHealthFindingsIncoming,
         generateBoneHealthFindingsWithAi
       } = getContext();
 
       const provider = getAiProviderFromReq(req);
-      const openai = provider === "openai" ? getOpenAIClient() : null;
-      if (provider === "openai" && !openai) {
-        return res.status(500).json({ error: "OPENAI_API_KEY is not set" });
-      }
-      if (provider === "gemini" && !hasGeminiKey()) {
-        return res.status(500).json({ error: "Gemini_api_key is not set" });
-      }
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
 
       const normalized = normalizeBoneHealthFindingsIncoming(req.body);
       const debugAi = process.env.AI_DEBUG === "1";
 
       const findings = await generateBoneHealthFindingsWithAi({
-        openai,
         provider,
         patient: normalized.patient,
         assessment: normalized.assessment,
@@ -1,14 +1,45 @@
-import { createDietAssessmentClaudeHandler } from "./DietAssessmentClaudeController.js";
-import { createDietAssessmentOpenAIHandler } from "./DietAssessmentOpenAIController.js";
-
 export function createDietAssessmentHandler(getContext) {
-  const openaiHandler = createDietAssessmentOpenAIHandler(getContext);
-  const claudeHandler = createDietAssessmentClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        normalizeDietAssessmentIncoming,
+        computeDietAssessment,
+        generateDietAssessmentSummaryWithAi
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const debugAi = process.env.AI_DEBUG === "1";
+      const normalized = normalizeDietAssessmentIncoming(req?.body);
+      const computed = computeDietAssessment(normalized);
+
+      const ai = await generateDietAssessmentSummaryWithAi({
+        provider,
+        patient: normalized.patient,
+        assessment: normalized.assessment,
+        computed,
+        debug: debugAi
+      });
+
+      const payload = {
+        patient: normalized.patient,
+        assessment: normalized.assessment,
+        computed,
+        summary: typeof ai?.summary === "string" ? ai.summary : "",
+        counselling: typeof ai?.counselling === "string" ? ai.counselling : "",
+        keyIssues: Array.isArray(ai?.keyIssues) ? ai.keyIssues : [],
+        suggestedActions: Array.isArray(ai?.suggestedActions) ? ai.suggestedActions : []
+      };
+      if (debugAi && typeof ai?.raw === "string") payload.raw = ai.raw;
+      res.json(payload);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
 
@@ -2,9 +2,8 @@ export function createElderHealthHandler(getContext) {
   return async (req, res) => {
     try {
       const {
-        getOpenAIClient,
         getAiProviderFromReq,
-        hasGeminiKey,
+        getAiProviderConfigError,
         collectUploadedFiles,
         isPdfMime,
         isDocxMime,
@@ -16,13 +15,8 @@ export function createElderHealthHandler(getContext) {
       } = getContext();
 
       const provider = getAiProviderFromReq(req);
-      const openai = provider === "openai" ? getOpenAIClient() : null;
-      if (provider === "openai" && !openai) {
-        return res.status(500).json({ error: "OPENAI_API_KEY is not set" });
-      }
-      if (provider === "gemini" && !hasGeminiKey()) {
-        return res.status(500).json({ error: "Gemini_api_key is not set" });
-      }
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
 
       const uploaded = collectUploadedFiles(req);
       if (uploaded.length === 0) {
@@ -45,7 +39,6 @@ export function createElderHealthHandler(getContext) {
       const extractedText = `${pdfText}${docxText}`;
 
       const result = await generateElderHealthWithAi({
-        openai,
         provider,
         patient: normalized.patient,
         extractedText,
@@ -1,14 +1,48 @@
-import { createExerciseAssessmentClaudeHandler } from "./ExerciseAssessmentClaudeController.js";
-import { createExerciseAssessmentOpenAIHandler } from "./ExerciseAssessmentOpenAIController.js";
-
 export function createExerciseAssessmentHandler(getContext) {
-  const openaiHandler = createExerciseAssessmentOpenAIHandler(getContext);
-  const claudeHandler = createExerciseAssessmentClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        normalizeExerciseAssessmentIncoming,
+        computeExerciseAssessment,
+        generateExerciseAssessmentSummaryWithAi
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const debugAi = process.env.AI_DEBUG === "1";
+      const normalized = normalizeExerciseAssessmentIncoming(req?.body);
+      const computed = computeExerciseAssessment(normalized);
+
+      const ai = await generateExerciseAssessmentSummaryWithAi({
+        provider,
+        patient: normalized.patient,
+        assessment: normalized.assessment,
+        computed,
+        debug: debugAi
+      });
+
+      const mergedFlags = [
+        ...new Set([
+          ...(Array.isArray(computed?.safetyFlags) ? computed.safetyFlags : []),
+          ...(Array.isArray(ai?.safetyFlags) ? ai.safetyFlags : [])
+        ])
+      ];
+
+      const payload = {
+        patient: normalized.patient,
+        assessment: normalized.assessment,
+        computed: { ...computed, safetyFlags: mergedFlags },
+        summary: typeof ai?.summary === "string" ? ai.summary : ""
+      };
+      if (debugAi && typeof ai?.raw === "string") payload.raw = ai.raw;
+      res.json(payload);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
-
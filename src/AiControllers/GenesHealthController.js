@@ -1,14 +1,67 @@
-import { createGenesHealthClaudeHandler } from "./GenesHealthClaudeController.js";
-import { createGenesHealthOpenAIHandler } from "./GenesHealthOpenAIController.js";
-
 export function createGenesHealthHandler(getContext) {
-  const openaiHandler = createGenesHealthOpenAIHandler(getContext);
-  const claudeHandler = createGenesHealthClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        collectUploadedFiles,
+        isPdfMime,
+        isDocxMime,
+        isImageMime,
+        isGenotypeFile,
+        parseGenotypeFile,
+        formatGenotypeForPrompt,
+        extractPdfTextForBloodPrompt,
+        extractDocxTextForBloodPrompt,
+        normalizeGenesHealthIncoming,
+        generateGenesHealthWithAi
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const uploaded = collectUploadedFiles(req);
+      const pdfFiles = uploaded.filter((f) => isPdfMime(f?.mimetype));
+      const docxFiles = uploaded.filter((f) => isDocxMime(f?.mimetype));
+      const imageFiles = uploaded.filter((f) => isImageMime(f?.mimetype));
+      const isReportFile = (f) => isPdfMime(f?.mimetype) || isDocxMime(f?.mimetype) || isImageMime(f?.mimetype);
+      const genotypeFiles = uploaded.filter((f) => !isReportFile(f) && isGenotypeFile(f));
+      const unsupportedFiles = uploaded.filter((f) => !isReportFile(f) && !isGenotypeFile(f));
+      if (unsupportedFiles.length > 0) {
+        return res.status(400).json({ error: "Only PDF, DOCX, image, and raw genotype (23andMe/AncestryDNA TXT, VCF) files are allowed." });
+      }
+
+      // Raw genotype downloads are read locally against the curated SNP panel;
+      // the AI only sees the resulting calls.
+      let genotypes = [];
+      try {
+        genotypes = genotypeFiles.map((f) => parseGenotypeFile(f));
+      } catch (err) {
+        const status = Number.isInteger(err?.statusCode) ? err.statusCode : 500;
+        return res.status(status).json({ error: err instanceof Error ? err.message : "Could not read genotype file" });
+      }
+
+      const normalized = normalizeGenesHealthIncoming(req?.body);
+      const pdfText = await extractPdfTextForBloodPrompt(pdfFiles);
+      const docxText = await extractDocxTextForBloodPrompt(docxFiles);
+      const extractedText = `${pdfText}${docxText}${formatGenotypeForPrompt(genotypes)}`;
+
+      const debugAi = process.env.AI_DEBUG === "1";
+      const genesHealth = await generateGenesHealthWithAi({
+        provider,
+        patient: normalized.patient,
+        extractedText,
+        imageFiles,
+        genotypes,
+        debug: debugAi
+      });
+
+      res.json({ patient: normalized.patient, genesHealth });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
 
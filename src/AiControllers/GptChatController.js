@@ -1,13 +1,132 @@
-import { createGptChatClaudeHandler } from "./GptChatClaudeController.js";
-import { createGptChatOpenAIHandler } from "./GptChatOpenAIController.js";
+import mammoth from "mammoth";
+
+import { GPT_CHAT_DEFAULT_ATTACHMENTS_PROMPT } from "../AiPrompts/gptChatPrompts.js";
+import { readPdfText } from "../utils/pdfOcr.js";
 
 export function createGptChatHandler(getContext) {
-  const openaiHandler = createGptChatOpenAIHandler(getContext);
-  const claudeHandler = createGptChatClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        parseMaybeJson,
+        requireString,
+        getTextFromMessageContent,
+        parseMaybeNumber,
+        isImageMime,
+        isPdfMime,
+        isDocxMime,
+        generateAiText
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const { prompt, model, temperature } = req.body ?? {};
+      const bodyMessages =
+        Array.isArray(req.body?.messages) ? req.body.messages : parseMaybeJson(req.body?.messages);
+      const messages = bodyMessages;
+
+      const normalizedMessages = Array.isArray(messages)
+        ? messages
+        : requireString(prompt)
+          ? [{ role: "user", content: prompt }]
+          : null;
+
+      if (!normalizedMessages) {
+        return res.status(400).json({
+          error: "Provide either { prompt: string } or { messages: [{role, content}] }"
+        });
+      }
+
+      const files = Array.isArray(req.files) ? req.files : [];
+      const imageFiles = files.filter((f) => isImageMime(f.mimetype));
+      const pdfFiles = files.filter((f) => isPdfMime(f.mimetype));
+      const docxFiles = files.filter((f) => isDocxMime(f.mimetype));
+      const unsupportedFiles = files.filter(
+        (f) => !isImageMime(f.mimetype) && !isPdfMime(f.mimetype) && !isDocxMime(f.mimetype)
+      );
+
+      if (unsupportedFiles.length > 0) {
+        return res.status(400).json({
+          error: `Unsupported file types: ${unsupportedFiles
+            .map((f) => f.mimetype || "unknown")
+            .join(", ")}`
+        });
+      }
+
+      const lastIndex = normalizedMessages.length - 1;
+      const lastMessage = normalizedMessages[lastIndex];
+
+      const existingUserText =
+        lastMessage?.role === "user" ? getTextFromMessageContent(lastMessage.content) : "";
+
+      const baseText =
+        lastMessage?.role === "user"
+          ? requireString(existingUserText)
+            ? existingUserText
+            : requireString(prompt)
+              ? prompt
+              : GPT_CHAT_DEFAULT_ATTACHMENTS_PROMPT
+          : requireString(prompt)
+            ? prompt
+            : GPT_CHAT_DEFAULT_ATTACHMENTS_PROMPT;
+
+      let pdfText = "";
+      for (const f of pdfFiles) {
+        const data = await readPdfText(f);
+        const extracted = typeof data.text === "string" ? data.text : "";
+        const trimmed = extracted.trim();
+        if (trimmed.length === 0) continue;
+        const capped = trimmed.length > 20000 ? trimmed.slice(0, 20000) : trimmed;
+        pdfText += `\n\n[PDF: ${f.originalname}]\n${capped}`;
+      }
+
+      let docxText = "";
+      for (const f of docxFiles) {
+        const result = await mammoth.extractRawText({ buffer: f.buffer });
+        const extracted = typeof result?.value === "string" ? result.value : "";
+        const trimmed = extracted.trim();
+        if (trimmed.length === 0) continue;
+        const capped = trimmed.length > 20000 ? trimmed.slice(0, 20000) : trimmed;
+        docxText += `\n\n[DOCX: ${f.originalname}]\n${capped}`;
+      }
+
+      // Earlier turns go through as plain-text history; system turns become the system prompt.
+      const earlierMessages = lastMessage?.role === "user" ? normalizedMessages.slice(0, lastIndex) : normalizedMessages;
+      const systemPrompt = earlierMessages
+        .filter((m) => m?.role === "system")
+        .map((m) => getTextFromMessageContent(m.content))
+        .filter((t) => requireString(t))
+        .join("\n\n");
+      const history = earlierMessages
+        .filter((m) => m?.role === "user" || m?.role === "assistant")
+        .map((m) => ({ role: m.role, content: getTextFromMessageContent(m.content) }))
+        .filter((m) => requireString(m.content));
+
+      const result = await generateAiText({
+        provider,
+        task: "gptChat",
+        systemPrompt,
+        userPrompt: `${baseText}${pdfText}${docxText}`,
+        history,
+        images: imageFiles,
+        temperature: parseMaybeNumber(temperature) ?? 0.2,
+        maxTokens: 4096,
+        json: false,
+        model: requireString(model) ? model : undefined
+      });
+
+      res.json({
+        id: null,
+        model: result.model,
+        content: result.text,
+        usage: result.usage
+      });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
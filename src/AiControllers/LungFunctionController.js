@@ -1,14 +1,70 @@
-import { createLungFunctionClaudeHandler } from "./LungFunctionClaudeController.js";
-import { createLungFunctionOpenAIHandler } from "./LungFunctionOpenAIController.js";
-
 export function createLungFunctionHandler(getContext) {
-  const openaiHandler = createLungFunctionOpenAIHandler(getContext);
-  const claudeHandler = createLungFunctionClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        collectUploadedFiles,
+        isPdfMime,
+        isDocxMime,
+        isImageMime,
+        isSpirometryExport,
+        parseSpirometryExport,
+        extractPdfTextForBloodPrompt,
+        extractDocxTextForBloodPrompt,
+        normalizeLungFunctionIncoming,
+        generateLungFunctionWithAi
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const uploaded = collectUploadedFiles(req);
+      const pdfFiles = uploaded.filter((f) => isPdfMime(f?.mimetype));
+      const docxFiles = uploaded.filter((f) => isDocxMime(f?.mimetype));
+      const imageFiles = uploaded.filter((f) => isImageMime(f?.mimetype));
+      const spirometryFiles = uploaded.filter((f) => isSpirometryExport(f));
+      const unsupportedFiles = uploaded.filter(
+        (f) => !isPdfMime(f?.mimetype) && !isDocxMime(f?.mimetype) && !isImageMime(f?.mimetype) && !isSpirometryExport(f)
+      );
+      if (unsupportedFiles.length > 0) {
+        return res.status(400).json({ error: "Only PDF, DOCX, image, and spirometer CSV/XML files are allowed." });
+      }
+
+      // The first spirometer export is the measured session; its values are
+      // used over what the AI reads from PDFs and images.
+      let deviceSpirometry = null;
+      if (spirometryFiles.length > 0) {
+        try {
+          deviceSpirometry = parseSpirometryExport(spirometryFiles[0]);
+        } catch (err) {
+          const status = Number.isInteger(err?.statusCode) ? err.statusCode : 500;
+          return res.status(status).json({ error: err instanceof Error ? err.message : "Could not read spirometry export" });
+        }
+      }
+
+      const normalized = normalizeLungFunctionIncoming(req?.body);
+
+      const pdfText = await extractPdfTextForBloodPrompt(pdfFiles);
+      const docxText = await extractDocxTextForBloodPrompt(docxFiles);
+      const extractedText = `${pdfText}${docxText}`;
+
+      const debugAi = process.env.AI_DEBUG === "1";
+      const lungFunction = await generateLungFunctionWithAi({
+        provider,
+        patient: normalized.patient,
+        extractedText,
+        imageFiles,
+        deviceSpirometry,
+        debug: debugAi
+      });
+
+      res.json({ patient: normalized.patient, lungFunction });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
 
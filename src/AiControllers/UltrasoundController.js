@@ -1,13 +1,96 @@
-import { createUltrasoundAnalysisClaudeHandler } from "./UltrasoundClaudeController.js";
-import { createUltrasoundAnalysisOpenAIHandler } from "./UltrasoundOpenAIController.js";
-
 export function createUltrasoundAnalysisHandler(getContext) {
-  const openaiHandler = createUltrasoundAnalysisOpenAIHandler(getContext);
-  const claudeHandler = createUltrasoundAnalysisClaudeHandler(getContext);
   return async (req, res) => {
-    const { getAiProviderFromReq } = getContext();
-    const provider = getAiProviderFromReq(req);
-    if (provider === "claude") return claudeHandler(req, res);
-    return openaiHandler(req, res);
+    try {
+      const {
+        getAiProviderFromReq,
+        getAiProviderConfigError,
+        collectUploadedFiles,
+        isPdfMime,
+        isDocxMime,
+        isImageMime,
+        extractPdfTextForPrompt,
+        extractDocxTextForPrompt,
+        extractUltrasoundFindingsFromPdfs,
+        verifyUltrasoundDicomMetadata,
+        isDicomFile,
+        parseDicomFile,
+        formatDicomForPrompt
+      } = getContext();
+
+      const provider = getAiProviderFromReq(req);
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
+
+      const uploaded = collectUploadedFiles(req);
+      // DICOM is checked first: machines and browsers label it image/dicom or
+      // application/octet-stream.
+      const dicomFiles = uploaded.filter((f) => isDicomFile(f));
+      const otherFiles = uploaded.filter((f) => !isDicomFile(f));
+      const pdfFiles = otherFiles.filter((f) => isPdfMime(f?.mimetype));
+      const docxFiles = otherFiles.filter((f) => isDocxMime(f?.mimetype));
+      const imageFiles = otherFiles.filter((f) => isImageMime(f?.mimetype));
+      const unsupportedFiles = otherFiles.filter(
+        (f) => !isPdfMime(f?.mimetype) && !isDocxMime(f?.mimetype) && !isImageMime(f?.mimetype)
+      );
+      if (unsupportedFiles.length > 0) {
+        return res.status(400).json({
+          error: "Only PDF, DOCX, image, and DICOM files are allowed."
+        });
+      }
+      if (pdfFiles.length + docxFiles.length + imageFiles.length + dicomFiles.length === 0) {
+        return res.status(400).json({ error: "Upload file(s) as field name 'files'." });
+      }
+
+      // DICOM frames and encapsulated PDFs join the regular inputs; SR content
+      // and study metadata are added to the extracted text.
+      const dicomStudies = [];
+      for (const file of dicomFiles) {
+        try {
+          dicomStudies.push(await parseDicomFile(file));
+        } catch (err) {
+          const status = Number.isInteger(err?.statusCode) ? err.statusCode : 500;
+          return res.status(status).json({ error: err instanceof Error ? err.message : "Could not read DICOM file" });
+        }
+      }
+      const dicomPdfFiles = dicomStudies.flatMap((study) => study.pdfs);
+      const dicomImageFiles = dicomStudies.flatMap((study) => study.images);
+
+      const pdfText = await extractPdfTextForPrompt([...pdfFiles, ...dicomPdfFiles]);
+      const docxText = await extractDocxTextForPrompt(docxFiles);
+      const reportText = `${pdfText}${docxText}`;
+      const dicomText = formatDicomForPrompt(dicomStudies);
+      const extractedText = dicomText ? `${reportText}\n\n${dicomText}` : reportText;
+
+      const dicomSex = dicomStudies.map((study) => study.metadata.patientSex).find((sex) => sex === "M" || sex === "F");
+      const patientSexHint = req?.body?.patientSex ?? req?.body?.sex ?? dicomSex ?? "";
+      const findings = await extractUltrasoundFindingsFromPdfs({
+        pdfFiles: [...pdfFiles, ...dicomPdfFiles],
+        imageFiles: [...imageFiles, ...dicomImageFiles],
+        extractedText,
+        provider,
+        patientSexHint
+      });
+
+      const f = findings && typeof findings === "object" ? findings : {};
+      const hasAny =
+        Object.entries(f).some(([k, v]) => {
+          if (k === "otherFindings") return false;
+          if (k === "patientSex" || k === "reportDate") return false;
+          if (k === "postVoidResidualUrineVolumeMl") {
+            const obj = v && typeof v === "object" && !Array.isArray(v) ? v : null;
+            const d = typeof obj?.details === "string" ? obj.details.trim() : "";
+            const ml = typeof obj?.valueMl === "string" ? obj.valueMl.trim() : "";
+            return Boolean(d || ml);
+          }
+          return typeof v === "string" && v.trim().length > 0;
+        }) || (Array.isArray(f.otherFindings) && f.otherFindings.length > 0);
+
+      const dicom = dicomStudies.length > 0 ? verifyUltrasoundDicomMetadata({ findings: f, studies: dicomStudies, reportText }) : null;
+
+      res.json({ ultrasound: { data: hasAny, findings: f, ...(dicom ? { dicom } : {}) } });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : "Unknown error";
+      res.status(500).json({ error: message });
+    }
   };
 }
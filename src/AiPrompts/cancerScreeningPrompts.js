@@ -24,6 +24,19 @@ export const CANCER_SCREENING_SCHEMA_HINT = `{
   }
 }`;
 
+export const CANCER_SCREENING_SUMMARY_SCHEMA_HINT = `{
+  "overallSummary": "",
+  "psaTotalSummary": "",
+  "psaFreeSummary": "",
+  "afpSummary": "",
+  "ca125Summary": "",
+  "ceaSummary": "",
+  "bloodCancerPanelSummary": "",
+  "stoolOccultBloodTestSummary": "",
+  "hrctSummary": "",
+  "ultraPremiumSummary": ""
+}`;
+
 export function buildCancerScreeningUserPrompt({ patient, extractedText }) {
   const p = patient && typeof patient === "object" ? patient : {};
   const name = typeof p.name === "string" ? p.name.trim() : "";
@@ -10,7 +10,7 @@ export const ELDER_HEALTH_SYSTEM_PROMPT = [
   "For fallRiskCategory use one of: 'Low', 'Moderate', 'High'."
 ].join("\n");
 
-const ELDER_HEALTH_SCHEMA = `{
+export const ELDER_HEALTH_SCHEMA = `{
   "dexa": {
     "femoralNeckBmdGcm2": null,
     "femoralNeckTScore": null,
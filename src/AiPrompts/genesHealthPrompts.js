@@ -46,6 +46,7 @@ export function buildGenesHealthUserPrompt({ patient, extractedText }) {
     "- Only include a key if the report clearly indicates it is selected/checked/included/ordered.",
     "- notes can include any short plain-text lines that clarify selections.",
     allowed.join(", "),
+    "- A \"Curated SNP panel\" block below was read locally from raw genotype data. Do not re-interpret its calls; variants marked not tested, no call or unsupported have no result.",
     "",
     "Patient context (may help disambiguation; do not hallucinate values):",
     `name: ${name || "unknown"}`,
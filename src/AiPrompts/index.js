@@ -0,0 +1,73 @@
+// Prompt texts that admins may override through the prompt registry. Schema
+// hints and prompt builders stay in code because the parsers depend on them.
+import * as adultVaccinationPrompts from "./adultVaccinationPrompts.js";
+import * as allergyPanelsPrompts from "./allergyPanelsPrompts.js";
+import * as ansAssessmentPrompts from "./ansAssessmentPrompts.js";
+import * as arterialHealthPrompts from "./arterialHealthPrompts.js";
+import * as bloodPrompts from "./bloodPrompts.js";
+import * as bodyCompositionPrompts from "./bodyCompositionPrompts.js";
+import * as boneHealthPrompts from "./boneHealthPrompts.js";
+import * as brainHealthAssessmentPrompts from "./brainHealthAssessmentPrompts.js";
+import * as cancerScreeningPrompts from "./cancerScreeningPrompts.js";
+import * as cardiacInvestigationsPrompts from "./cardiacInvestigationsPrompts.js";
+import * as diabetesRiskPrompts from "./diabetesRiskPrompts.js";
+import * as dietAssessmentPrompts from "./dietAssessmentPrompts.js";
+import * as docsTestsCleanPrompts from "./docsTestsCleanPrompts.js";
+import * as docsTestsPrompts from "./docsTestsPrompts.js";
+import * as elderHealthPrompts from "./elderHealthPrompts.js";
+import * as exerciseAssessmentPrompts from "./exerciseAssessmentPrompts.js";
+import * as eyeHealthPrompts from "./eyeHealthPrompts.js";
+import * as genesHealthPrompts from "./genesHealthPrompts.js";
+import * as heartPrompts from "./heartPrompts.js";
+import * as holisticPlanPrompts from "./holisticPlanPrompts.js";
+import * as kidneyHealthPrompts from "./kidneyHealthPrompts.js";
+import * as liverHealthPrompts from "./liverHealthPrompts.js";
+import * as lungFunctionPrompts from "./lungFunctionPrompts.js";
+import * as medicalReportExtractionPrompts from "./medicalReportExtractionPrompts.js";
+import * as pnsAssessmentPrompts from "./pnsAssessmentPrompts.js";
+import * as testsFromPdfsPrompts from "./testsFromPdfsPrompts.js";
+import * as ultrasoundPrompts from "./ultrasoundPrompts.js";
+import * as urinePrompts from "./urinePrompts.js";
+import * as womenHealthPrompts from "./womenHealthPrompts.js";
+
+const PROMPT_MODULES = [
+  adultVaccinationPrompts,
+  allergyPanelsPrompts,
+  ansAssessmentPrompts,
+  arterialHealthPrompts,
+  bloodPrompts,
+  bodyCompositionPrompts,
+  boneHealthPrompts,
+  brainHealthAssessmentPrompts,
+  cancerScreeningPrompts,
+  cardiacInvestigationsPrompts,
+  diabetesRiskPrompts,
+  dietAssessmentPrompts,
+  docsTestsCleanPrompts,
+  docsTestsPrompts,
+  elderHealthPrompts,
+  exerciseAssessmentPrompts,
+  eyeHealthPrompts,
+  genesHealthPrompts,
+  heartPrompts,
+  holisticPlanPrompts,
+  kidneyHealthPrompts,
+  liverHealthPrompts,
+  lungFunctionPrompts,
+  medicalReportExtractionPrompts,
+  pnsAssessmentPrompts,
+  testsFromPdfsPrompts,
+  ultrasoundPrompts,
+  urinePrompts,
+  womenHealthPrompts
+];
+
+const OVERRIDABLE_PROMPT_NAME = /_(SYSTEM|USER)_PROMPT$/;
+
+export const BUILTIN_PROMPTS = Object.freeze(
+  Object.fromEntries(
+    PROMPT_MODULES.flatMap((mod) =>
+      Object.entries(mod).filter(([name, value]) => OVERRIDABLE_PROMPT_NAME.test(name) && typeof value === "string")
+    )
+  )
+);
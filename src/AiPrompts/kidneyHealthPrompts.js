@@ -11,7 +11,8 @@ export const KIDNEY_HEALTH_SCHEMA_HINT = `{
     "labs": {
       "egfrMlMin1_73m2": null,
       "uacrMg_g": null,
-      "serumCreatinineMg_dL": null
+      "serumCreatinineMg_dL": null,
+      "cystatinCMg_L": null
     },
     "otherFindings": "",
     "notes": []
@@ -25,7 +26,7 @@ export function buildKidneyHealthUserPrompt({ patient, extractedText }) {
   const age = Number.isFinite(p.age) ? p.age : null;
 
   return [
-    "Extract kidney health labs (eGFR, UACR, serum creatinine) from the attached report(s)/image(s).",
+    "Extract kidney health labs (eGFR, UACR, serum creatinine, cystatin C) from the attached report(s)/image(s).",
     "Return JSON matching this schema:",
     KIDNEY_HEALTH_SCHEMA_HINT,
     "",
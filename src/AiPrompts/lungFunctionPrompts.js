@@ -51,9 +51,17 @@ export const LUNG_FUNCTION_SCHEMA_HINT = `{
   }
 }`;
 
-export function buildLungFunctionUserPrompt({ patient, extractedText }) {
+export function buildLungFunctionUserPrompt({ patient, extractedText, deviceSpirometry = null, pattern = null }) {
   const p = patient && typeof patient === "object" ? patient : {};
   const t = typeof extractedText === "string" ? extractedText : "";
+  const device = deviceSpirometry
+    ? `
+
+Spirometer export (measured values; FEV1/FVC is a ratio, volumes in L), with reference values and the calculated pattern:
+${JSON.stringify({ ...deviceSpirometry, pattern })}
+- Use these values for keyValues and the table instead of re-reading them from the documents.
+- The spirometry pattern and severity above are already calculated. Write the interpretation consistent with them; do not reclassify.`
+    : "";
 
   return `Extract lung function test results from the uploaded report(s), including spirometry values (without bronchodilatation) and bronchodilator spirometry (if present).
 
@@ -73,7 +81,7 @@ Patient context (for lung age calculation; may be incomplete):
 ${JSON.stringify(p)}
 
 Report text (may be partial):
-${t}
+${t}${device}
 
 Return JSON in this exact shape:
 ${LUNG_FUNCTION_SCHEMA_HINT}`;
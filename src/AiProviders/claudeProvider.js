@@ -0,0 +1,102 @@
+function requireString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+function getFetch() {
+  if (typeof fetch === "function") return fetch;
+  throw new Error("Global fetch is not available. Use Node.js v18+.");
+}
+
+export function hasAnthropicKey() {
+  return requireString(process.env.ANTHROPIC_API_KEY);
+}
+
+function getAnthropicModel() {
+  return process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022";
+}
+
+export function getTextFromAnthropicMessageResponse(response) {
+  const content = response?.content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((p) => p && p.type === "text" && typeof p.text === "string")
+    .map((p) => p.text)
+    .join("\n");
+}
+
+export async function anthropicCreateJsonMessage({ system, messages, model, temperature, maxTokens }) {
+  if (!hasAnthropicKey()) {
+    throw new Error("ANTHROPIC_API_KEY is not set");
+  }
+
+  const finalModel = requireString(model) ? model : getAnthropicModel();
+
+  const res = await getFetch()("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-api-key": process.env.ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify({
+      model: finalModel,
+      max_tokens: Number.isFinite(maxTokens) ? Math.max(256, Math.trunc(maxTokens)) : 4096,
+      temperature: Number.isFinite(temperature) ? temperature : 0,
+      system: requireString(system) ? system : undefined,
+      messages: Array.isArray(messages) ? messages : []
+    })
+  });
+
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const msg =
+      (typeof data?.error?.message === "string" && data.error.message.trim()) ||
+      (typeof data?.message === "string" && data.message.trim()) ||
+      `Anthropic request failed (${res.status})`;
+    throw new Error(msg);
+  }
+
+  return data;
+}
+
+async function generate({ systemPrompt, userPrompt, history = [], images = [], pdfs = [], temperature = 0, maxTokens = 8192, json = true, model }) {
+  const finalModel = requireString(model) ? model : getAnthropicModel();
+  const content = [
+    ...pdfs.map((f) => ({
+      type: "document",
+      source: { type: "base64", media_type: "application/pdf", data: f.buffer.toString("base64") }
+    })),
+    ...images.map((f) => ({
+      type: "image",
+      source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
+    })),
+    { type: "text", text: userPrompt }
+  ];
+  // Claude has no JSON response mode, so the instruction rides on the system prompt.
+  const system = json
+    ? `${systemPrompt || ""}\n\nIMPORTANT: Return ONLY the raw JSON object. Do NOT wrap it in markdown code fences. Do NOT add any text before or after the JSON.`.trim()
+    : systemPrompt;
+
+  const response = await anthropicCreateJsonMessage({
+    system,
+    messages: [...history, { role: "user", content }],
+    model: finalModel,
+    temperature,
+    maxTokens
+  });
+  return {
+    text: getTextFromAnthropicMessageResponse(response),
+    model: response?.model || finalModel,
+    usage: response?.usage ?? null
+  };
+}
+
+export const claudeProvider = {
+  name: "claude",
+  label: "Claude",
+  aliases: ["claude", "anthropic"],
+  missingConfigMessage: "ANTHROPIC_API_KEY is not set",
+  isConfigured: hasAnthropicKey,
+  getModel: getAnthropicModel,
+  generate
+};
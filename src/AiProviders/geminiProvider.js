@@ -0,0 +1,112 @@
+function requireString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+export function getFetch() {
+  if (typeof fetch === "function") return fetch;
+  throw new Error("Global fetch is not available. Use Node.js v18+.");
+}
+
+export function hasGeminiKey() {
+  return requireString(process.env.Gemini_api_key);
+}
+
+export function getGeminiModel() {
+  const m = typeof process.env.Gemini_model === "string" ? process.env.Gemini_model.trim() : "";
+  return m || "gemini-2.5-flash";
+}
+
+export function getTextFromGeminiGenerateContentResponse(response) {
+  const candidates = Array.isArray(response?.candidates) ? response.candidates : [];
+  const parts = Array.isArray(candidates?.[0]?.content?.parts) ? candidates[0].content.parts : [];
+  return parts
+    .map((p) => (p && typeof p.text === "string" ? p.text : ""))
+    .filter((t) => t)
+    .join("\n");
+}
+
+export async function geminiGenerateContent({ parts, history = [], systemInstruction, model, temperature, maxOutputTokens, responseMimeType }) {
+  if (!hasGeminiKey()) {
+    throw new Error("Gemini_api_key is not set");
+  }
+
+  const finalModel = requireString(model) ? model : getGeminiModel();
+  const finalParts = Array.isArray(parts) && parts.length > 0 ? parts : [{ text: "" }];
+
+  const res = await getFetch()(
+    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(finalModel)}:generateContent`,
+    {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-goog-api-key": process.env.Gemini_api_key
+      },
+      body: JSON.stringify({
+        ...(requireString(systemInstruction) ? { systemInstruction: { parts: [{ text: systemInstruction }] } } : {}),
+        contents: [
+          ...history.map((m) => ({ role: m.role === "assistant" ? "model" : "user", parts: [{ text: m.content }] })),
+          { role: "user", parts: finalParts }
+        ],
+        generationConfig: {
+          temperature: Number.isFinite(temperature) ? temperature : 0,
+          maxOutputTokens: Number.isFinite(maxOutputTokens) ? Math.max(256, Math.trunc(maxOutputTokens)) : 4096,
+          ...(requireString(responseMimeType) ? { responseMimeType } : {})
+        }
+      })
+    }
+  );
+
+  const json = await res.json().catch(() => null);
+  if (!res.ok) {
+    const message =
+      typeof json?.error?.message === "string" && json.error.message.trim()
+        ? json.error.message
+        : `Gemini request failed (${res.status})`;
+    throw new Error(message);
+  }
+  return json;
+}
+
+async function generate({ systemPrompt, userPrompt, history = [], images = [], pdfs = [], temperature = 0, maxTokens = 8192, json = true, model }) {
+  const finalModel = requireString(model) ? model : getGeminiModel();
+  const parts = [
+    { text: userPrompt },
+    ...[...pdfs, ...images].map((f) => ({
+      inlineData: { mimeType: f.mimetype || "application/pdf", data: f.buffer.toString("base64") }
+    }))
+  ];
+
+  const response = await geminiGenerateContent({
+    parts,
+    history,
+    systemInstruction: systemPrompt,
+    model: finalModel,
+    temperature,
+    maxOutputTokens: maxTokens,
+    responseMimeType: json ? "application/json" : ""
+  });
+  const text = getTextFromGeminiGenerateContentResponse(response);
+  const blockReason = response?.promptFeedback?.blockReason || response?.candidates?.[0]?.finishReason;
+  if (!text && requireString(blockReason) && blockReason !== "STOP") {
+    // The blocked call was still billed; the usage lets the caller meter it.
+    throw Object.assign(new Error(`Gemini returned no content (${blockReason})`), {
+      model: response?.modelVersion || finalModel,
+      usage: response?.usageMetadata ?? null
+    });
+  }
+  return {
+    text,
+    model: response?.modelVersion || finalModel,
+    usage: response?.usageMetadata ?? null
+  };
+}
+
+export const geminiProvider = {
+  name: "gemini",
+  label: "Gemini",
+  aliases: ["gemini", "google"],
+  missingConfigMessage: "Gemini_api_key is not set",
+  isConfigured: hasGeminiKey,
+  getModel: getGeminiModel,
+  generate
+};
@@ -0,0 +1,243 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+import { claudeProvider } from "./claudeProvider.js";
+import { geminiProvider } from "./geminiProvider.js";
+import { mockProvider } from "./mockProvider.js";
+import { openaiProvider } from "./openaiProvider.js";
+
+export { anthropicCreateJsonMessage, getTextFromAnthropicMessageResponse, hasAnthropicKey } from "./claudeProvider.js";
+export {
+  geminiGenerateContent,
+  getFetch,
+  getGeminiModel,
+  getTextFromGeminiGenerateContentResponse,
+  hasGeminiKey
+} from "./geminiProvider.js";
+export {
+  buildOpenAiChatParams,
+  getOpenAIClient,
+  getTextFromResponsesOutput,
+  isOpenAiReasoningModel
+} from "./openaiProvider.js";
+
+const providers = new Map();
+const aiCallLog = new AsyncLocalStorage();
+const aiCallListeners = new Set();
+
+/**
+ * An adapter is { name, label, aliases, missingConfigMessage, isConfigured(),
+ * getModel(), generate(options) }. generate receives
+ * { task, systemPrompt, userPrompt, history, images, pdfs, temperature, maxTokens, json, model, schema }
+ * (images/pdfs are multer files, history is earlier { role, content } chat turns,
+ * schema names the AI_OUTPUT_SCHEMAS entry the answer is validated against)
+ * and resolves { text, model, usage }.
+ */
+export function registerAiProvider(adapter) {
+  if (!adapter?.name || typeof adapter.generate !== "function") {
+    throw new Error("AI provider adapters need a name and a generate() function");
+  }
+  providers.set(adapter.name, adapter);
+}
+
+registerAiProvider(openaiProvider);
+registerAiProvider(claudeProvider);
+registerAiProvider(geminiProvider);
+registerAiProvider(mockProvider);
+
+export function getAiProvider(name) {
+  return providers.get(name) || null;
+}
+
+export function listAiProviders() {
+  return [...providers.values()].map((p) => ({
+    name: p.name,
+    label: p.label || p.name,
+    configured: Boolean(p.isConfigured?.()),
+    model: p.getModel?.() || ""
+  }));
+}
+
+function matchAiProvider(value) {
+  const v = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (!v) return "";
+  if (providers.has(v)) return v;
+  for (const provider of providers.values()) {
+    if ((provider.aliases || []).some((alias) => v.includes(alias))) return provider.name;
+  }
+  return "";
+}
+
+// AI_PROVIDER_OVERRIDE pins every request to one provider (e.g. "mock" for
+// offline runs); AI_DEFAULT_PROVIDER only applies when a request names none.
+export function normalizeAiProvider(value) {
+  const forced = matchAiProvider(process.env.AI_PROVIDER_OVERRIDE);
+  if (forced) return forced;
+  return matchAiProvider(value) || matchAiProvider(process.env.AI_DEFAULT_PROVIDER) || "openai";
+}
+
+export function getAiProviderConfigError(name) {
+  const provider = providers.get(name);
+  if (!provider) return `Unknown AI provider "${name}"`;
+  if (!provider.isConfigured()) return provider.missingConfigMessage || `${provider.label || name} is not configured`;
+  return null;
+}
+
+export function isAiProviderConfigured(name) {
+  return !getAiProviderConfigError(name);
+}
+
+export function getConfiguredAiModel(name) {
+  return providers.get(normalizeAiProvider(name))?.getModel?.() || "";
+}
+
+// Fallback order comes from AI_FALLBACK_PROVIDERS ("claude,gemini"), otherwise every
+// other configured real provider in registration order. AI_PROVIDER_FALLBACK=0 turns
+// it off, and a pinned AI_PROVIDER_OVERRIDE never falls back.
+export function getAiFallbackProviders(primary) {
+  const flag = String(process.env.AI_PROVIDER_FALLBACK || "").trim().toLowerCase();
+  if (flag === "0" || flag === "false" || matchAiProvider(process.env.AI_PROVIDER_OVERRIDE)) return [];
+
+  const configured = typeof process.env.AI_FALLBACK_PROVIDERS === "string" ? process.env.AI_FALLBACK_PROVIDERS.trim() : "";
+  const names = configured
+    ? configured.split(",").map(matchAiProvider)
+    : [...providers.keys()].filter((name) => name !== "mock");
+  return [...new Set(names)].filter((name) => name && name !== primary && isAiProviderConfigured(name));
+}
+
+function looksLikeJson(text) {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (!trimmed) return false;
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const body = fenced?.[1]?.trim() || trimmed;
+  const start = body.search(/[[{]/);
+  if (start < 0) return false;
+  const end = Math.max(body.lastIndexOf("}"), body.lastIndexOf("]"));
+  try {
+    JSON.parse(body.slice(start, end + 1));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Runs `callback(calls)` with a fresh call log; every generateAiText call made
+ * inside it (including across awaits) appends { task, provider, model, usage,
+ * latencyMs, attempts }, after any `fallbackAttempt` entries it led to. Logs
+ * nest: an enclosing log still sees those calls.
+ */
+export function trackAiCalls(callback) {
+  const calls = [];
+  return aiCallLog.run([...(aiCallLog.getStore() || []), calls], () => callback(calls));
+}
+
+/**
+ * Registers `listener(call)` for every finished generateAiText call, including
+ * ones that failed on every provider (those carry `error`). Returns an
+ * unsubscribe function.
+ */
+export function onAiCall(listener) {
+  aiCallListeners.add(listener);
+  return () => aiCallListeners.delete(listener);
+}
+
+function notifyAiCall(call) {
+  for (const listener of aiCallListeners) {
+    try {
+      listener(call);
+    } catch (err) {
+      console.error("[ai] call listener failed:", err);
+    }
+  }
+}
+
+function logAiCall(task, result) {
+  const { text, ...call } = result;
+  const entry = { task: task || "", ...call };
+  for (const calls of aiCallLog.getStore() || []) calls.push(entry);
+  notifyAiCall(entry);
+  return result;
+}
+
+// A provider answer that was not used still cost tokens, so it is logged as
+// its own call with `fallbackAttempt` set.
+function logFallbackAttempt(task, response, attempts) {
+  logAiCall(task, { ...response, attempts: [...attempts], fallbackAttempt: true, error: attempts[attempts.length - 1].error });
+}
+
+/**
+ * Single entry point for model calls. Resolves { text, provider, model, usage,
+ * latencyMs, attempts }. When the primary provider throws, or returns text that
+ * is not JSON in json mode, the call is retried on the fallback providers;
+ * `attempts` lists every provider tried and why it was skipped. Skipped
+ * attempts that got an answer (or an error carrying `usage`) are logged too.
+ */
+export async function generateAiText({ provider, fallback = true, ...options }) {
+  const name = normalizeAiProvider(provider);
+  const configError = getAiProviderConfigError(name);
+  if (configError) throw new Error(configError);
+
+  const json = options.json !== false;
+  const chain = [name, ...(fallback ? getAiFallbackProviders(name) : [])];
+  const attempts = [];
+  const chainStartedAt = Date.now();
+  let unparsed = null;
+  let firstError = null;
+
+  for (const candidate of chain) {
+    const startedAt = Date.now();
+    try {
+      const result = await providers.get(candidate).generate({
+        history: [],
+        images: [],
+        pdfs: [],
+        temperature: 0,
+        maxTokens: 8192,
+        json: true,
+        ...options,
+        // A caller-picked model only makes sense for the provider it was picked for.
+        model: candidate === name ? options.model : undefined
+      });
+      const response = {
+        text: typeof result?.text === "string" ? result.text : "",
+        provider: candidate,
+        model: result?.model || "",
+        usage: result?.usage ?? null,
+        latencyMs: Date.now() - startedAt
+      };
+      if (!json || looksLikeJson(response.text)) {
+        if (unparsed) logFallbackAttempt(options.task, unparsed.response, unparsed.attempts);
+        attempts.push({ provider: candidate, ok: true });
+        return logAiCall(options.task, { ...response, attempts });
+      }
+      attempts.push({ provider: candidate, ok: false, error: "Response was not valid JSON" });
+      // The first unparsed answer is kept as the last resort; later ones are only metered.
+      if (unparsed) logFallbackAttempt(options.task, response, attempts);
+      else unparsed = { response, attempts: [...attempts] };
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      attempts.push({ provider: candidate, ok: false, error: message });
+      firstError = firstError ?? err;
+      if (err?.usage) {
+        const response = { text: "", provider: candidate, model: err.model || "", usage: err.usage, latencyMs: Date.now() - startedAt };
+        logFallbackAttempt(options.task, response, attempts);
+      }
+    }
+    if (candidate !== chain[chain.length - 1]) {
+      console.warn(`[ai] ${candidate} failed for ${options.task || "request"}, falling back:`, attempts[attempts.length - 1].error);
+    }
+  }
+
+  // Nothing parsed cleanly: hand back the first raw answer so callers can still run their own repair.
+  if (unparsed) return logAiCall(options.task, { ...unparsed.response, attempts });
+  notifyAiCall({
+    task: options.task || "",
+    provider: name,
+    model: options.model || "",
+    usage: null,
+    latencyMs: Date.now() - chainStartedAt,
+    attempts,
+    error: firstError instanceof Error ? firstError.message : String(firstError)
+  });
+  throw firstError;
+}
@@ -0,0 +1,87 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { getAiOutputSchema } from "../AiSchemas/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+function getFixturesDir() {
+  const dir = typeof process.env.AI_MOCK_FIXTURES_DIR === "string" ? process.env.AI_MOCK_FIXTURES_DIR.trim() : "";
+  return dir ? path.resolve(dir) : DEFAULT_FIXTURES_DIR;
+}
+
+function isMockEnabled() {
+  const flag = String(process.env.AI_MOCK_PROVIDER || "").trim().toLowerCase();
+  const override = String(process.env.AI_PROVIDER_OVERRIDE || "").trim().toLowerCase();
+  return flag === "1" || flag === "true" || override === "mock";
+}
+
+function sanitizeTask(task) {
+  const value = typeof task === "string" ? task.trim() : "";
+  return value.replace(/[^a-zA-Z0-9_-]+/g, "");
+}
+
+function readFixture(name) {
+  const filePath = path.join(getFixturesDir(), `${name}.json`);
+  if (!fs.existsSync(filePath)) return null;
+  return fs.readFileSync(filePath, "utf8");
+}
+
+// Smallest value a JSON Schema accepts: null where it is allowed, required
+// keys (or the first minProperties keys), empty arrays and the first enum value.
+function minimalAnswer(schema) {
+  if (!schema || typeof schema !== "object") return null;
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes("null")) return null;
+  if (types.includes("object")) {
+    const keys = [...(schema.required || [])];
+    for (const key of Object.keys(schema.properties || {})) {
+      if (keys.length >= (schema.minProperties || 0)) break;
+      if (!keys.includes(key)) keys.push(key);
+    }
+    return Object.fromEntries(keys.map((key) => [key, minimalAnswer(schema.properties?.[key])]));
+  }
+  if (types.includes("array")) return [];
+  if (types.includes("string")) return "-".repeat(schema.minLength || 0);
+  if (types.includes("number") || types.includes("integer")) return 0;
+  if (types.includes("boolean")) return false;
+  return null;
+}
+
+/**
+ * Offline provider: answers every call with the canned JSON in
+ * `fixtures/<task>.json`, so the report workflow can run with no network and
+ * no keys. A task without a fixture gets the minimal answer for the output
+ * `schema` it is validated against, otherwise `fixtures/default.json`. Files
+ * are read on each call, which lets tests swap fixtures without restarting.
+ */
+async function generate({ task, schema, systemPrompt = "", userPrompt = "" }) {
+  const name = sanitizeTask(task);
+  const outputSchema = schema ? getAiOutputSchema(schema) : null;
+  const text =
+    (name && readFixture(name)) ??
+    (outputSchema ? JSON.stringify(minimalAnswer(outputSchema)) : null) ??
+    readFixture("default") ??
+    "{}";
+  const promptHash = crypto.createHash("sha256").update(`${systemPrompt}\n\n${userPrompt}`).digest("hex").slice(0, 12);
+  return {
+    text,
+    model: `mock:${name || "default"}`,
+    usage: { inputChars: systemPrompt.length + userPrompt.length, outputChars: text.length, promptHash }
+  };
+}
+
+export const mockProvider = {
+  name: "mock",
+  label: "Mock (fixtures)",
+  aliases: ["mock", "fixture"],
+  missingConfigMessage: "Mock AI provider is disabled (set AI_MOCK_PROVIDER=1)",
+  isConfigured: isMockEnabled,
+  getModel: () => "mock",
+  generate
+};
@@ -0,0 +1,139 @@
+import OpenAI from "openai";
+
+function requireString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Returns true for OpenAI models that use max_completion_tokens instead of
+ * max_tokens, and do not support temperature or response_format.
+ * Covers: o1, o1-mini, o1-preview, o3, o3-mini, o4, o4-mini, gpt-5* series.
+ */
+export function isOpenAiReasoningModel(model) {
+  const m = typeof model === "string" ? model.trim().toLowerCase() : "";
+  return (
+    /^o\d/.test(m) ||          // o1, o3, o4, o1-mini, o4-mini …
+    m.startsWith("gpt-5")      // gpt-5, gpt-5.2, gpt-5-turbo …
+  );
+}
+
+/**
+ * Builds the params object for openai.chat.completions.create() in a way that
+ * works for both legacy GPT-4 models and new reasoning / GPT-5 models.
+ */
+export function buildOpenAiChatParams({ model, systemPrompt, userPrompt, history = [], maxTokens = 4096, temperature = 0.3, jsonMode = false }) {
+  const resolvedModel = requireString(model) ? model : (process.env.OPENAI_MODEL || "gpt-4o");
+  const isReasoning = isOpenAiReasoningModel(resolvedModel);
+
+  const params = {
+    model: resolvedModel,
+    messages: [
+      ...(requireString(systemPrompt) ? [{ role: "system", content: systemPrompt }] : []),
+      ...history,
+      { role: "user", content: userPrompt }
+    ]
+  };
+
+  if (isReasoning) {
+    // Reasoning models: use max_completion_tokens; skip temperature & response_format
+    params.max_completion_tokens = Math.max(256, Math.trunc(maxTokens));
+  } else {
+    params.temperature = Number.isFinite(temperature) ? temperature : 0.3;
+    params.max_tokens = Math.max(256, Math.trunc(maxTokens));
+    if (jsonMode) params.response_format = { type: "json_object" };
+  }
+
+  return params;
+}
+
+export function getOpenAIClient() {
+  if (!requireString(process.env.OPENAI_API_KEY)) {
+    return null;
+  }
+  return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+}
+
+export function getTextFromResponsesOutput(response) {
+  if (requireString(response?.output_text)) return response.output_text;
+  const output = response?.output;
+  if (!Array.isArray(output)) return "";
+
+  const texts = [];
+  for (const item of output) {
+    const content = item?.content;
+    if (!Array.isArray(content)) continue;
+    for (const part of content) {
+      if (part?.type === "output_text" && typeof part.text === "string") texts.push(part.text);
+      else if (part?.type === "text" && typeof part.text === "string") texts.push(part.text);
+    }
+  }
+
+  return texts.join("\n");
+}
+
+function toDataUrl(file, fallbackMime) {
+  return `data:${file.mimetype || fallbackMime};base64,${file.buffer.toString("base64")}`;
+}
+
+function getOpenAiModel() {
+  return process.env.OPENAI_MODEL || "gpt-4o-mini";
+}
+
+// PDFs can only be attached through the Responses API; everything else goes
+// through chat completions so reasoning-model params keep working.
+async function generate({ systemPrompt, userPrompt, history = [], images = [], pdfs = [], temperature = 0, maxTokens = 8192, json = true, model }) {
+  const client = getOpenAIClient();
+  if (!client) throw new Error("OPENAI_API_KEY is not set");
+  const finalModel = requireString(model) ? model : getOpenAiModel();
+
+  if (pdfs.length > 0) {
+    const response = await client.responses.create({
+      model: finalModel,
+      temperature,
+      ...(json ? { text: { format: { type: "json_object" } } } : {}),
+      input: [
+        ...(requireString(systemPrompt) ? [{ role: "system", content: systemPrompt }] : []),
+        ...history,
+        {
+          role: "user",
+          content: [
+            ...pdfs.map((f) => ({
+              type: "input_file",
+              filename: f.originalname || "report.pdf",
+              file_data: toDataUrl(f, "application/pdf")
+            })),
+            ...images.map((f) => ({ type: "input_image", image_url: toDataUrl(f, "image/png") })),
+            { type: "input_text", text: userPrompt }
+          ]
+        }
+      ]
+    });
+    return { text: getTextFromResponsesOutput(response), model: response?.model || finalModel, usage: response?.usage ?? null };
+  }
+
+  const content =
+    images.length > 0
+      ? [
+          { type: "text", text: userPrompt },
+          ...images.map((f) => ({ type: "image_url", image_url: { url: toDataUrl(f, "image/png") } }))
+        ]
+      : userPrompt;
+  const completion = await client.chat.completions.create(
+    buildOpenAiChatParams({ model: finalModel, systemPrompt, userPrompt: content, history, maxTokens, temperature, jsonMode: json })
+  );
+  return {
+    text: completion.choices?.[0]?.message?.content ?? "",
+    model: completion?.model || finalModel,
+    usage: completion?.usage ?? null
+  };
+}
+
+export const openaiProvider = {
+  name: "openai",
+  label: "OpenAI",
+  aliases: ["openai", "gpt"],
+  missingConfigMessage: "OPENAI_API_KEY is not set",
+  isConfigured: () => requireString(process.env.OPENAI_API_KEY),
+  getModel: getOpenAiModel,
+  generate
+};
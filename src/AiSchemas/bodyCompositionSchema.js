@@ -0,0 +1,43 @@
+import { number, object, text } from "./shared.js";
+
+// Mirrors BODY_COMPOSITION_SCHEMA_HINT. Every field is nullable because
+// analysers print different subsets of the report.
+
+const measure = object({ value: number, unit: text, rangeText: text });
+const segmentKgPct = object({ kg: number, pct: number });
+const segments = ["rightArm", "leftArm", "trunk", "rightLeg", "leftLeg"];
+const segmentFlat = object(Object.fromEntries(segments.flatMap((s) => [[`${s}Kg`, number], [`${s}Pct`, number]])));
+const impedanceFrequency = object(Object.fromEntries(segments.map((s) => [s, number])));
+
+export const BODY_COMPOSITION_OUTPUT_SCHEMA = object({
+  requestId: text,
+  report: object({
+    title: text,
+    deviceCode: text,
+    brand: text,
+    person: object({ id: text, heightCm: number, age: number, gender: text, testDateTime: text }),
+    score: number,
+    bodyComposition: object({
+      totalBodyWater: measure,
+      protein: measure,
+      mineral: measure,
+      bodyFatMass: measure,
+      summary: object({ totalBodyWater: measure, softLeanMass: measure, fatFreeMass: measure, weight: measure })
+    }),
+    muscleFatAnalysis: object({ weightKg: number, skeletalMuscleMassKg: number, bodyFatMassKg: number }),
+    obesityAnalysis: object({
+      bmi: number,
+      percentBodyFat: number,
+      waistHipRatio: number,
+      obesityRate: number,
+      bmiClass: text,
+      pbfClass: text
+    }),
+    weightControl: object({ targetWeightKg: number, weightControlKg: number, fatControlKg: number, muscleControlKg: number }),
+    segmentalLean: object(Object.fromEntries(segments.map((s) => [s, segmentKgPct]))),
+    segmentalMuscle: segmentFlat,
+    segmentalFat: segmentFlat,
+    research: object({ basalMetabolicRateKcal: number, visceralFatArea: number }),
+    impedance: object({ freq50kHz: impedanceFrequency, freq250kHz: impedanceFrequency })
+  })
+});
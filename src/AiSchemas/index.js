@@ -0,0 +1,96 @@
+import { ADULT_VACCINATION_SCHEMA_HINT } from "../AiPrompts/adultVaccinationPrompts.js";
+import { ALLERGY_PANELS_SCHEMA_HINT } from "../AiPrompts/allergyPanelsPrompts.js";
+import { ANS_ASSESSMENT_SCHEMA_HINT } from "../AiPrompts/ansAssessmentPrompts.js";
+import { ARTERIAL_HEALTH_SCHEMA_HINT } from "../AiPrompts/arterialHealthPrompts.js";
+import { BONE_HEALTH_FINDINGS_SCHEMA, BONE_HEALTH_SCHEMA_HINT } from "../AiPrompts/boneHealthPrompts.js";
+import {
+  BRAIN_HEALTH_ASSESSMENT_SCHEMA_HINT,
+  BRAIN_HEALTH_PART2_EXTRACT_SCHEMA_HINT
+} from "../AiPrompts/brainHealthAssessmentPrompts.js";
+import { CANCER_SCREENING_SCHEMA_HINT, CANCER_SCREENING_SUMMARY_SCHEMA_HINT } from "../AiPrompts/cancerScreeningPrompts.js";
+import { CARDIAC_INVESTIGATIONS_SCHEMA_HINT } from "../AiPrompts/cardiacInvestigationsPrompts.js";
+import { DIABETES_RISK_SCHEMA_HINT } from "../AiPrompts/diabetesRiskPrompts.js";
+import { DIET_ASSESSMENT_SCHEMA_HINT } from "../AiPrompts/dietAssessmentPrompts.js";
+import { DOCS_TESTS_CLEAN_SCHEMA_HINT } from "../AiPrompts/docsTestsCleanPrompts.js";
+import { ELDER_HEALTH_SCHEMA } from "../AiPrompts/elderHealthPrompts.js";
+import { EXERCISE_ASSESSMENT_SCHEMA_HINT } from "../AiPrompts/exerciseAssessmentPrompts.js";
+import { EYE_HEALTH_SCHEMA_HINT } from "../AiPrompts/eyeHealthPrompts.js";
+import { GENES_HEALTH_SCHEMA_HINT } from "../AiPrompts/genesHealthPrompts.js";
+import { STEP1_SCHEMA, STEP2_SCHEMA, STEP3_SCHEMA, STEP4_SCHEMA, STEP5_SCHEMA } from "../AiPrompts/holisticPlanPrompts.js";
+import { KIDNEY_HEALTH_SCHEMA_HINT } from "../AiPrompts/kidneyHealthPrompts.js";
+import { LIVER_HEALTH_SCHEMA_HINT } from "../AiPrompts/liverHealthPrompts.js";
+import { LUNG_FUNCTION_SCHEMA_HINT } from "../AiPrompts/lungFunctionPrompts.js";
+import { PNS_ASSESSMENT_SCHEMA_HINT } from "../AiPrompts/pnsAssessmentPrompts.js";
+import { WOMEN_HEALTH_SCHEMA_HINT } from "../AiPrompts/womenHealthPrompts.js";
+import { BODY_COMPOSITION_OUTPUT_SCHEMA } from "./bodyCompositionSchema.js";
+import {
+  BLOOD_PARAMETERS_OUTPUT_SCHEMA,
+  DOCS_TESTS_OUTPUT_SCHEMA,
+  HEART_RELATED_TESTS_OUTPUT_SCHEMA,
+  TESTS_FROM_DOCUMENTS_OUTPUT_SCHEMA,
+  ULTRASOUND_FINDINGS_OUTPUT_SCHEMA,
+  URINOGRAM_TESTS_OUTPUT_SCHEMA
+} from "./labSchemas.js";
+import { schemaFromExample, schemaFromTemplate } from "./templateSchema.js";
+
+const HOLISTIC_PLAN_STEP_SCHEMAS = [STEP1_SCHEMA, STEP2_SCHEMA, STEP3_SCHEMA, STEP4_SCHEMA, STEP5_SCHEMA].map(schemaFromTemplate);
+
+// A regenerated plan keeps the structure of the plan it was given: the saved
+// step1-step5 objects, or their sections merged into one object. Sections
+// that are present must match their step's schema; none is required, since
+// the existing plan may not have every step yet.
+function regeneratedHolisticPlanSchema() {
+  const steps = Object.fromEntries(HOLISTIC_PLAN_STEP_SCHEMAS.map((schema, i) => [`step${i + 1}`, schema]));
+  const sections = Object.assign({}, ...HOLISTIC_PLAN_STEP_SCHEMAS.map((schema) => schema.properties));
+  return { type: "object", properties: { ...steps, ...sections }, minProperties: 1 };
+}
+
+/**
+ * JSON Schemas for every structured AI output, keyed by the name callers pass
+ * as `schema` to generateValidatedAiText. Sections whose prompt shows the
+ * model an example JSON derive the schema from that example; the rest are
+ * written out in labSchemas.js and bodyCompositionSchema.js.
+ */
+export const AI_OUTPUT_SCHEMAS = {
+  exerciseAssessment: schemaFromTemplate(EXERCISE_ASSESSMENT_SCHEMA_HINT),
+  dietAssessment: schemaFromTemplate(DIET_ASSESSMENT_SCHEMA_HINT),
+  brainHealthPart2: schemaFromTemplate(BRAIN_HEALTH_PART2_EXTRACT_SCHEMA_HINT),
+  brainHealthAssessment: schemaFromTemplate(BRAIN_HEALTH_ASSESSMENT_SCHEMA_HINT),
+  ansAssessment: schemaFromTemplate(ANS_ASSESSMENT_SCHEMA_HINT),
+  pnsAssessment: schemaFromTemplate(PNS_ASSESSMENT_SCHEMA_HINT),
+  arterialHealth: schemaFromTemplate(ARTERIAL_HEALTH_SCHEMA_HINT),
+  lungFunction: schemaFromTemplate(LUNG_FUNCTION_SCHEMA_HINT),
+  liverHealth: schemaFromTemplate(LIVER_HEALTH_SCHEMA_HINT),
+  eyeHealth: schemaFromTemplate(EYE_HEALTH_SCHEMA_HINT),
+  kidneyHealth: schemaFromTemplate(KIDNEY_HEALTH_SCHEMA_HINT),
+  diabetesRisk: schemaFromTemplate(DIABETES_RISK_SCHEMA_HINT),
+  diabetesAnnualRisk: schemaFromExample({ annualRisk: "", clinicalMeaning: "" }),
+  womenHealth: schemaFromTemplate(WOMEN_HEALTH_SCHEMA_HINT),
+  boneHealth: schemaFromTemplate(BONE_HEALTH_SCHEMA_HINT),
+  boneHealthFindings: schemaFromTemplate(BONE_HEALTH_FINDINGS_SCHEMA),
+  elderHealth: schemaFromTemplate(ELDER_HEALTH_SCHEMA),
+  adultVaccination: schemaFromTemplate(ADULT_VACCINATION_SCHEMA_HINT),
+  cancerScreening: schemaFromTemplate(CANCER_SCREENING_SCHEMA_HINT),
+  cancerScreeningSummary: schemaFromTemplate(CANCER_SCREENING_SUMMARY_SCHEMA_HINT),
+  genesHealth: schemaFromTemplate(GENES_HEALTH_SCHEMA_HINT),
+  allergyPanels: schemaFromTemplate(ALLERGY_PANELS_SCHEMA_HINT),
+  cardiacInvestigations: schemaFromTemplate(CARDIAC_INVESTIGATIONS_SCHEMA_HINT),
+  holisticPlanStep1: HOLISTIC_PLAN_STEP_SCHEMAS[0],
+  holisticPlanStep2: HOLISTIC_PLAN_STEP_SCHEMAS[1],
+  holisticPlanStep3: HOLISTIC_PLAN_STEP_SCHEMAS[2],
+  holisticPlanStep4: HOLISTIC_PLAN_STEP_SCHEMAS[3],
+  holisticPlanStep5: HOLISTIC_PLAN_STEP_SCHEMAS[4],
+  holisticPlanRegenerate: regeneratedHolisticPlanSchema(),
+  docsTestsClean: schemaFromTemplate(DOCS_TESTS_CLEAN_SCHEMA_HINT),
+  docsTests: DOCS_TESTS_OUTPUT_SCHEMA,
+  bloodParameters: BLOOD_PARAMETERS_OUTPUT_SCHEMA,
+  testsFromDocuments: TESTS_FROM_DOCUMENTS_OUTPUT_SCHEMA,
+  heartRelatedTests: HEART_RELATED_TESTS_OUTPUT_SCHEMA,
+  urinogramTests: URINOGRAM_TESTS_OUTPUT_SCHEMA,
+  ultrasoundFindings: ULTRASOUND_FINDINGS_OUTPUT_SCHEMA,
+  advancedBodyComposition: BODY_COMPOSITION_OUTPUT_SCHEMA
+};
+
+export function getAiOutputSchema(name) {
+  return Object.prototype.hasOwnProperty.call(AI_OUTPUT_SCHEMAS, name) ? AI_OUTPUT_SCHEMAS[name] : null;
+}
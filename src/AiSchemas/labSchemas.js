@@ -0,0 +1,93 @@
+import { list, object, text, value } from "./shared.js";
+
+// Lab extractions list only the tests that were found, so an item needs its
+// name and value; the other columns are often missing from the report.
+
+const testName = { type: "string", minLength: 1 };
+const page = { type: ["number", "string", "null"] };
+
+const labTest = object(
+  { testName, value, unit: text, referenceRange: text, status: text, section: text, page, remarks: text },
+  ["testName", "value"]
+);
+
+export const BLOOD_PARAMETERS_OUTPUT_SCHEMA = object({ tests: list(labTest) });
+
+export const TESTS_FROM_DOCUMENTS_OUTPUT_SCHEMA = object({
+  tests: list(object({ testName, value, unit: text, referenceRange: text, status: text }, ["testName", "value"]))
+});
+
+export const DOCS_TESTS_OUTPUT_SCHEMA = object({
+  tests: list(
+    object(
+      {
+        testName,
+        results: list(object({ value, dateAndTime: text, status: text }, ["value"])),
+        unit: text,
+        referenceRange: text,
+        section: text,
+        page,
+        remarks: text
+      },
+      ["testName", "results"]
+    )
+  )
+});
+
+export const HEART_RELATED_TESTS_OUTPUT_SCHEMA = object({
+  heart_related_tests: list(
+    object({ test_name: testName, observed_value: value, units: text, reference_range: text, status: text }, [
+      "test_name",
+      "observed_value"
+    ])
+  )
+});
+
+// Every listed urine parameter is returned, with "Not included in the PDF"
+// for the ones the report lacks.
+export const URINOGRAM_TESTS_OUTPUT_SCHEMA = object({
+  urine_tests: list(
+    object({
+      test_name: testName,
+      methodology: text,
+      observed_value: value,
+      units: text,
+      reference_range: text,
+      status: text
+    })
+  )
+});
+
+export const ULTRASOUND_FINDINGS_OUTPUT_SCHEMA = object({
+  ultrasound: object(
+    {
+      patientSex: { enum: ["Male", "Female", "Unknown"] },
+      reportDate: text,
+      reportDetails: text,
+      liver: text,
+      spleen: text,
+      rightKidney: text,
+      leftKidney: text,
+      gallBladder: text,
+      urinaryBladder: text,
+      postVoidResidualUrineVolumeMl: object({ valueMl: value, details: text }),
+      otherFindings: list(text),
+      prostate: text,
+      uterus: text,
+      ovaries: text
+    },
+    [
+      "patientSex",
+      "reportDate",
+      "reportDetails",
+      "liver",
+      "spleen",
+      "rightKidney",
+      "leftKidney",
+      "gallBladder",
+      "urinaryBladder",
+      "postVoidResidualUrineVolumeMl",
+      "otherFindings"
+    ]
+  )
+});
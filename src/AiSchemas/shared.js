@@ -0,0 +1,15 @@
+// Building blocks for the hand-written schemas. Values the model reads off a
+// document may come back as a number or as the printed text, so `value`
+// accepts both.
+
+export const text = { type: ["string", "null"] };
+export const number = { type: ["number", "null"] };
+export const value = { type: ["string", "number", "null"] };
+
+export function object(properties, required = Object.keys(properties)) {
+  return { type: "object", properties, required };
+}
+
+export function list(items) {
+  return { type: "array", items };
+}
@@ -0,0 +1,36 @@
+/**
+ * Builds a JSON Schema from the example JSON a prompt shows the model, so the
+ * schema cannot drift from what the model was asked for:
+ *
+ *   {}        object that requires every listed key (extra keys are allowed)
+ *   [x]       array whose items match x; [] is an array of anything
+ *   ""        text, or null when the document does not have it
+ *   null      any scalar
+ *   0 / true  number / boolean, or null
+ *
+ * Enum-like examples ("low|moderate|high") stay plain text.
+ */
+export function schemaFromExample(example) {
+  if (Array.isArray(example)) {
+    return example.length > 0 ? { type: "array", items: schemaFromExample(example[0]) } : { type: "array" };
+  }
+  if (example && typeof example === "object") {
+    const keys = Object.keys(example);
+    return {
+      type: "object",
+      properties: Object.fromEntries(keys.map((key) => [key, schemaFromExample(example[key])])),
+      required: keys
+    };
+  }
+  if (typeof example === "string") return { type: ["string", "null"] };
+  if (typeof example === "number") return { type: ["number", "null"] };
+  if (typeof example === "boolean") return { type: ["boolean", "null"] };
+  return { type: ["string", "number", "boolean", "null"] };
+}
+
+// Accepts the schema-hint strings as they appear in the prompts, including a
+// leading "Schema:" label.
+export function schemaFromTemplate(template) {
+  const text = String(template).replace(/^\s*Schema:\s*/i, "");
+  return schemaFromExample(JSON.parse(text));
+}
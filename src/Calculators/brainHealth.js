@@ -0,0 +1,192 @@
+// Framingham stroke risk profile points (D'Agostino et al., Stroke 1994).
+export function computeFsrs({ sex, age, sbp, treated, diabetes, smoker, priorCvd, afib, lvh }) {
+  const s = typeof sex === "string" ? sex.trim().toLowerCase() : "";
+  if (s !== "male" && s !== "female") return { points: null, risk10y: "" };
+  if (!Number.isFinite(age)) return { points: null, risk10y: "" };
+  if (!Number.isFinite(sbp)) return { points: null, risk10y: "" };
+
+  const agePoints = (() => {
+    if (age < 54) return null;
+    if (age <= 56) return 0;
+    if (age <= 59) return 1;
+    if (age <= 62) return 2;
+    if (age <= 65) return 3;
+    if (age <= 68) return 4;
+    if (age <= 71) return 5;
+    if (age <= 74) return 6;
+    if (age <= 77) return 7;
+    if (age <= 80) return 8;
+    if (age <= 83) return 9;
+    if (age <= 86) return 10;
+    return null;
+  })();
+  if (agePoints == null) return { points: null, risk10y: "" };
+
+  const sbpBinsMen = [
+    { min: 95, max: 105, untreated: 0, treated: 2 },
+    { min: 106, max: 115, untreated: 1, treated: 3 },
+    { min: 116, max: 125, untreated: 1, treated: 4 },
+    { min: 126, max: 135, untreated: 2, treated: 5 },
+    { min: 136, max: 145, untreated: 3, treated: 6 },
+    { min: 146, max: 155, untreated: 4, treated: 7 },
+    { min: 156, max: 165, untreated: 5, treated: 8 },
+    { min: 166, max: 175, untreated: 6, treated: 9 },
+    { min: 176, max: 185, untreated: 7, treated: 10 },
+    { min: 186, max: 195, untreated: 8, treated: 11 },
+    { min: 196, max: 205, untreated: 9, treated: 12 }
+  ];
+  const sbpBinsWomen = [
+    { min: 95, max: 105, untreated: 0, treated: 3 },
+    { min: 106, max: 115, untreated: 1, treated: 4 },
+    { min: 116, max: 125, untreated: 2, treated: 5 },
+    { min: 126, max: 135, untreated: 3, treated: 6 },
+    { min: 136, max: 145, untreated: 4, treated: 7 },
+    { min: 146, max: 155, untreated: 5, treated: 8 },
+    { min: 156, max: 165, untreated: 6, treated: 9 },
+    { min: 166, max: 175, untreated: 7, treated: 10 },
+    { min: 176, max: 185, untreated: 8, treated: 11 },
+    { min: 186, max: 195, untreated: 9, treated: 12 },
+    { min: 196, max: 205, untreated: 10, treated: 13 }
+  ];
+
+  const binList = s === "male" ? sbpBinsMen : sbpBinsWomen;
+  const bin = binList.find((b) => sbp >= b.min && sbp <= b.max) ?? (sbp < binList[0].min ? binList[0] : binList[binList.length - 1]);
+  const sbpPoints = treated ? bin.treated : bin.untreated;
+
+  const otherPoints =
+    (diabetes ? (s === "male" ? 2 : 3) : 0) +
+    (smoker ? 3 : 0) +
+    (priorCvd ? (s === "male" ? 3 : 2) : 0) +
+    (afib ? (s === "male" ? 4 : 6) : 0) +
+    (lvh ? (s === "male" ? 3 : 4) : 0);
+
+  const total = agePoints + sbpPoints + otherPoints;
+
+  const riskTableMen = new Map([
+    [1, "3%"],
+    [2, "3%"],
+    [3, "4%"],
+    [4, "4%"],
+    [5, "5%"],
+    [6, "5%"],
+    [7, "6%"],
+    [8, "7%"],
+    [9, "8%"],
+    [10, "10%"],
+    [11, "11%"],
+    [12, "13%"],
+    [13, "15%"],
+    [14, "17%"],
+    [15, "20%"],
+    [16, "22%"],
+    [17, "26%"],
+    [18, "29%"],
+    [19, "33%"],
+    [20, "37%"],
+    [21, "42%"],
+    [22, "47%"],
+    [23, "52%"],
+    [24, "57%"],
+    [25, "63%"]
+  ]);
+  const riskTableWomen = new Map([
+    [1, "1%"],
+    [2, "1%"],
+    [3, "2%"],
+    [4, "2%"],
+    [5, "2%"],
+    [6, "3%"],
+    [7, "4%"],
+    [8, "4%"],
+    [9, "5%"],
+    [10, "6%"],
+    [11, "8%"],
+    [12, "9%"],
+    [13, "11%"],
+    [14, "13%"],
+    [15, "16%"],
+    [16, "19%"],
+    [17, "23%"],
+    [18, "27%"],
+    [19, "32%"],
+    [20, "37%"],
+    [21, "43%"],
+    [22, "50%"],
+    [23, "57%"]
+  ]);
+
+  const table = s === "male" ? riskTableMen : riskTableWomen;
+  const risk = table.get(total) ?? (s === "male" ? (total >= 26 ? ">63%" : "") : total >= 24 ? ">57%" : "");
+
+  return { points: total, risk10y: risk };
+}
+
+// CAIDE dementia risk score (Kivipelto et al., Lancet Neurol 2006); the APOE
+// table is used when the carrier status is known.
+export function computeCaide({ age, sex, educationYears, sbp, bmi, cholMgDl, cholMmolL, physicallyActive, apoeCarrier }) {
+  if (!Number.isFinite(age)) return { score: null, risk20y: "", table: "" };
+  const s = typeof sex === "string" ? sex.trim().toLowerCase() : "";
+  if (s !== "male" && s !== "female") return { score: null, risk20y: "", table: "" };
+
+  const agePts = age < 47 ? 0 : age <= 53 ? 3 : 4;
+  const eduPts = Number.isFinite(educationYears) ? (educationYears > 10 ? 0 : educationYears >= 7 ? 2 : 3) : null;
+  if (eduPts == null) return { score: null, risk20y: "", table: "" };
+
+  const sbpPts = Number.isFinite(sbp) ? (sbp > 140 ? 2 : 0) : null;
+  const bmiPts = Number.isFinite(bmi) ? (bmi > 30 ? 2 : 0) : null;
+  if (sbpPts == null || bmiPts == null) return { score: null, risk20y: "", table: "" };
+
+  const cholFromMg = Number.isFinite(cholMgDl) ? cholMgDl : null;
+  const cholFromMmol = Number.isFinite(cholMmolL) ? cholMmolL * 38.67 : null;
+  const chol = cholFromMg ?? cholFromMmol;
+  const cholPts = Number.isFinite(chol) ? (chol > 251 ? 2 : 0) : null;
+  if (cholPts == null) return { score: null, risk20y: "", table: "" };
+
+  const activity = physicallyActive === "yes" ? 0 : physicallyActive === "no" ? 1 : null;
+  if (activity == null) return { score: null, risk20y: "", table: "" };
+
+  const sexPts = s === "male" ? 1 : 0;
+  const apoePts = apoeCarrier === "yes" ? 2 : apoeCarrier === "no" ? 0 : null;
+
+  const base = agePts + eduPts + sexPts + sbpPts + bmiPts + cholPts + activity;
+  const useApoeTable = apoePts != null;
+  const total = useApoeTable ? base + apoePts : base;
+
+  const riskWithout = (score) => {
+    if (score <= 5) return "1% (Low)";
+    if (score <= 7) return "3% (Moderate)";
+    if (score <= 9) return "4% (Moderate)";
+    if (score <= 11) return "7% (High)";
+    return "16% (Very High)";
+  };
+  const riskWith = (score) => {
+    if (score <= 5) return "1% (Low)";
+    if (score <= 7) return "2% (Low-Moderate)";
+    if (score <= 9) return "4% (Moderate)";
+    if (score <= 11) return "6% (Moderate-High)";
+    if (score <= 13) return "10% (High)";
+    return "18% (Very High)";
+  };
+
+  return { score: total, risk20y: useApoeTable ? riskWith(total) : riskWithout(total), table: useApoeTable ? "with_apoe" : "without_apoe" };
+}
+
+// LIBRA lifestyle-for-brain-health index (Schiepers et al., Int J Geriatr Psychiatry 2018).
+export function computeLibra(state) {
+  const yes = (v) => v === "yes";
+  const highPhysical = yes(state?.highPhysicalActivity);
+  const score =
+    (yes(state?.depression) ? 2.1 : 0) +
+    (yes(state?.diabetes) ? 1.3 : 0) +
+    (yes(state?.hypertensionMidlife) ? 1.6 : 0) +
+    (yes(state?.obesityBmiGt30) ? 1.6 : 0) +
+    (yes(state?.hypercholesterolemia) ? 1.4 : 0) +
+    (yes(state?.currentSmoking) ? 1.5 : 0) +
+    (yes(state?.lowSocialActivity) ? 1.0 : 0) +
+    (yes(state?.chdCvd) ? 1.0 : 0) +
+    (highPhysical ? -1.1 : 1.1) +
+    (yes(state?.moderateAlcoholUse) ? -0.9 : 0) +
+    (yes(state?.highCognitiveActivity) ? -1.0 : 0) +
+    (yes(state?.healthyDiet) ? -1.2 : 0);
+  return { score: Number.isFinite(score) ? score.toFixed(1) : "" };
+}
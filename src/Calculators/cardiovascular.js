@@ -0,0 +1,357 @@
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const requireModule = createRequire(import.meta.url);
+
+const WHO_ISH_CHARTS_PATH = (() => {
+  const raw = process.env.WHO_ISH_CHARTS_PATH;
+  if (typeof raw === "string" && raw.trim()) return path.resolve(raw.trim());
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  return path.resolve(here, "../data/whoIshRiskCharts.json");
+})();
+
+// ACC/AHA Pooled Cohort Equations (Goff et al., Circulation 2014), one set of
+// coefficients per sex and race. Other races use the white equations.
+const PCE_COEFFICIENTS = {
+  female: {
+    white: {
+      lnAge: -29.799,
+      lnAgeSq: 4.884,
+      lnTc: 13.54,
+      lnAgeLnTc: -3.114,
+      lnHdl: -13.578,
+      lnAgeLnHdl: 3.149,
+      lnTreatedSbp: 2.019,
+      lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.957,
+      lnAgeLnUntreatedSbp: 0,
+      smoker: 7.574,
+      lnAgeSmoker: -1.665,
+      diabetes: 0.661,
+      baselineSurvival: 0.9665,
+      meanSum: -29.18
+    },
+    african_american: {
+      lnAge: 17.114,
+      lnAgeSq: 0,
+      lnTc: 0.94,
+      lnAgeLnTc: 0,
+      lnHdl: -18.92,
+      lnAgeLnHdl: 4.475,
+      lnTreatedSbp: 29.291,
+      lnAgeLnTreatedSbp: -6.432,
+      lnUntreatedSbp: 27.82,
+      lnAgeLnUntreatedSbp: -6.087,
+      smoker: 0.691,
+      lnAgeSmoker: 0,
+      diabetes: 0.874,
+      baselineSurvival: 0.9533,
+      meanSum: 86.61
+    }
+  },
+  male: {
+    white: {
+      lnAge: 12.344,
+      lnAgeSq: 0,
+      lnTc: 11.853,
+      lnAgeLnTc: -2.664,
+      lnHdl: -7.99,
+      lnAgeLnHdl: 1.769,
+      lnTreatedSbp: 1.797,
+      lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.764,
+      lnAgeLnUntreatedSbp: 0,
+      smoker: 7.837,
+      lnAgeSmoker: -1.795,
+      diabetes: 0.658,
+      baselineSurvival: 0.9144,
+      meanSum: 61.18
+    },
+    african_american: {
+      lnAge: 2.469,
+      lnAgeSq: 0,
+      lnTc: 0.302,
+      lnAgeLnTc: 0,
+      lnHdl: -0.307,
+      lnAgeLnHdl: 0,
+      lnTreatedSbp: 1.916,
+      lnAgeLnTreatedSbp: 0,
+      lnUntreatedSbp: 1.809,
+      lnAgeLnUntreatedSbp: 0,
+      smoker: 0.549,
+      lnAgeSmoker: 0,
+      diabetes: 0.645,
+      baselineSurvival: 0.8954,
+      meanSum: 19.54
+    }
+  }
+};
+
+/**
+ * 10-year risk of a first hard ASCVD event from the Pooled Cohort Equations.
+ * Resolves { risk10yPct, equation } or null when an input is missing.
+ */
+export function computePooledCohortRisk({ ageYears, sex, race, totalCholesterolMg_dL, hdlMg_dL, sbp, bpTreated, smoker, diabetes }) {
+  const bySex = PCE_COEFFICIENTS[sex];
+  if (!bySex) return null;
+  if (![ageYears, totalCholesterolMg_dL, hdlMg_dL, sbp].every((v) => Number.isFinite(v) && v > 0)) return null;
+
+  const equation = race === "african_american" ? "african_american" : "white";
+  const c = bySex[equation];
+  const lnAge = Math.log(ageYears);
+  const lnTc = Math.log(totalCholesterolMg_dL);
+  const lnHdl = Math.log(hdlMg_dL);
+  const lnSbp = Math.log(sbp);
+  const sum =
+    c.lnAge * lnAge +
+    c.lnAgeSq * lnAge * lnAge +
+    c.lnTc * lnTc +
+    c.lnAgeLnTc * lnAge * lnTc +
+    c.lnHdl * lnHdl +
+    c.lnAgeLnHdl * lnAge * lnHdl +
+    (bpTreated ? c.lnTreatedSbp * lnSbp + c.lnAgeLnTreatedSbp * lnAge * lnSbp : c.lnUntreatedSbp * lnSbp + c.lnAgeLnUntreatedSbp * lnAge * lnSbp) +
+    (smoker ? c.smoker + c.lnAgeSmoker * lnAge : 0) +
+    (diabetes ? c.diabetes : 0);
+  const risk = 1 - Math.pow(c.baselineSurvival, Math.exp(sum - c.meanSum));
+  return Number.isFinite(risk) ? { risk10yPct: Math.max(0, Math.min(100, risk * 100)), equation: `${sex}_${equation}` } : null;
+}
+
+export const QRISK3_ETHNICITIES = [
+  "white_or_not_stated",
+  "indian",
+  "pakistani",
+  "bangladeshi",
+  "other_asian",
+  "black_caribbean",
+  "black_african",
+  "chinese",
+  "other"
+];
+
+export const QRISK3_SMOKING_CATEGORIES = ["non_smoker", "ex_smoker", "light", "moderate", "heavy"];
+
+// QRISK3-2017 (Hippisley-Cox et al., BMJ 2017;357:j2099), transcribed from
+// the published open-source implementation. Continuous terms are centred;
+// `interactions` multiply the two fractional-polynomial age terms.
+const QRISK3_COEFFICIENTS = {
+  female: {
+    survivor10y: 0.988876402378082,
+    ethnicity: [0, 0.2804031433299542, 0.5629899414207539, 0.2959000085111651, 0.0727853798779825, -0.1707213550672752, -0.3937104331487497, -0.3263249528353027, -0.1712705688324178],
+    smoking: [0, 0.1338683378654626, 0.5620085801243853, 0.6674959337750254, 0.8494817764483084],
+    agePowers: [-2, 1],
+    means: { age1: 0.053274843841791, age2: 4.332503318786621, bmi1: 0.154946178197861, bmi2: 0.144462317228317, ratio: 3.47632646560669, sbp: 123.13001251220703, sbpSd: 9.002537727355957, townsend: 0.392308831214905 },
+    continuous: { age1: -8.138810924772619, age2: 0.797333766896991, bmi1: 0.2923609227546005, bmi2: -4.151330021383767, ratio: 0.1533803582080255, sbp: 0.0131314884071034, sbpSd: 0.0078894541014586, townsend: 0.0772237905885901 },
+    flags: {
+      atrialFibrillation: 1.592335496926966,
+      atypicalAntipsychotics: 0.2523764207011556,
+      corticosteroids: 0.5952072530460185,
+      erectileDysfunction: 0,
+      migraine: 0.301267260870345,
+      rheumatoidArthritis: 0.2136480343518194,
+      ckd345: 0.6519456949384583,
+      severeMentalIllness: 0.1255530805882018,
+      sle: 0.758809386542677,
+      bpTreated: 0.50931593683423,
+      type1Diabetes: 1.726797751053735,
+      type2Diabetes: 1.068877324461547,
+      familyHistoryChd: 0.4544531902089621
+    },
+    interactions: {
+      age1: {
+        smoking: [0, -4.705716178585189, -2.743038340357334, -0.8660808882939218, 0.9024156236971065],
+        atrialFibrillation: 19.93803488954656,
+        corticosteroids: -0.9840804523593628,
+        migraine: 1.7634979587873,
+        ckd345: -3.587404773169411,
+        sle: 19.69030373863829,
+        bpTreated: 11.87280973392181,
+        type1Diabetes: -1.244433271432075,
+        type2Diabetes: 6.86523420000096,
+        bmi1: 23.80262341214174,
+        bmi2: -71.18494769208701,
+        familyHistoryChd: 0.9946780794043513,
+        sbp: 0.0341318423386155,
+        townsend: -1.030118080203564
+      },
+      age2: {
+        smoking: [0, -0.075589244643193, -0.1195119287486707, -0.1036630639757192, -0.1399185359171839],
+        atrialFibrillation: -0.0761826510111625,
+        corticosteroids: -0.1200536494674247,
+        migraine: -0.0655869178986999,
+        ckd345: -0.2268887308644251,
+        sle: 0.0773479496790163,
+        bpTreated: 0.0009685782358817,
+        type1Diabetes: -0.2872406462448895,
+        type2Diabetes: -0.0971122525906955,
+        bmi1: 0.5236995893366443,
+        bmi2: 0.045744190122323,
+        familyHistoryChd: -0.076885051698423,
+        sbp: -0.0015082501423272,
+        townsend: -0.0315934146749623
+      }
+    }
+  },
+  male: {
+    survivor10y: 0.977268040180206,
+    ethnicity: [0, 0.2771924876030828, 0.4744636071493127, 0.5296172991968937, 0.035100159186299, -0.3580789966932792, -0.4005648523216514, -0.4152279288983017, -0.2632134813474997],
+    smoking: [0, 0.1912822286338898, 0.5524158819264555, 0.6383505302750607, 0.7898381988185802],
+    agePowers: [-1, 3],
+    means: { age1: 0.234766781330109, age2: 77.28408050537109, bmi1: 0.149176135659218, bmi2: 0.141913309693336, ratio: 4.300998687744141, sbp: 128.5715789794922, sbpSd: 8.756621360778809, townsend: 0.52630490064621 },
+    continuous: { age1: -17.839781666005575, age2: 0.0022964880605765, bmi1: 2.456277666053636, bmi2: -8.301112231471135, ratio: 0.1734019685632711, sbp: 0.0129101265425533, sbpSd: 0.0102519142912905, townsend: 0.0332682012772873 },
+    flags: {
+      atrialFibrillation: 0.8820923692805466,
+      atypicalAntipsychotics: 0.1304687985517351,
+      corticosteroids: 0.4548539975044554,
+      erectileDysfunction: 0.2225185908670538,
+      migraine: 0.2558417807415991,
+      rheumatoidArthritis: 0.2097065801395657,
+      ckd345: 0.7185326128827438,
+      severeMentalIllness: 0.1213303988204716,
+      sle: 0.4401572174457522,
+      bpTreated: 0.5165987108269547,
+      type1Diabetes: 1.234342552167518,
+      type2Diabetes: 0.8594207143093222,
+      familyHistoryChd: 0.5405546900939016
+    },
+    interactions: {
+      age1: {
+        smoking: [0, -0.2101113393351635, 0.7526867644750319, 0.9931588755640579, 2.133116341438908],
+        atrialFibrillation: 3.489667553062321,
+        corticosteroids: 1.170813365348911,
+        erectileDysfunction: -1.506400985745431,
+        migraine: 2.349115987140244,
+        ckd345: -0.5065671632722369,
+        bpTreated: 6.511458109853267,
+        type1Diabetes: 5.337986487800653,
+        type2Diabetes: 3.646181740622131,
+        bmi1: 31.00495295603389,
+        bmi2: -111.2915718439164,
+        familyHistoryChd: 2.780862850853189,
+        sbp: 0.0188585244698659,
+        townsend: -0.1007554870063731
+      },
+      age2: {
+        smoking: [0, -0.0004985487027532612, -0.0007987563331738541, -0.000837061842662513, -0.0007840031915563729],
+        atrialFibrillation: -0.0003499560834063605,
+        corticosteroids: -0.0002496045095297166,
+        erectileDysfunction: -0.0011058218441227373,
+        migraine: 0.0001989644604147863,
+        ckd345: -0.0018325930166498813,
+        bpTreated: 0.0006383805310416501,
+        type1Diabetes: 0.0006409780808752897,
+        type2Diabetes: -0.0002469569558886832,
+        bmi1: 0.005038010235632203,
+        bmi2: -0.013074483002524319,
+        familyHistoryChd: -0.0002479180990739604,
+        sbp: -0.0000127187419158846,
+        townsend: -0.0000932996423232729
+      }
+    }
+  }
+};
+
+/**
+ * QRISK3 10-year risk of heart attack or stroke. `sbpSd` (standard deviation
+ * of repeated systolic readings) and `townsend` default to the cohort mean
+ * and 0 when unknown, as in the published calculator. Resolves
+ * { risk10yPct } or null when a required input is missing.
+ */
+export function computeQrisk3(input) {
+  const c = QRISK3_COEFFICIENTS[input?.sex];
+  if (!c) return null;
+  const { ageYears, bmiKg_m2, cholesterolHdlRatio, sbp } = input;
+  if (![ageYears, bmiKg_m2, cholesterolHdlRatio, sbp].every((v) => Number.isFinite(v) && v > 0)) return null;
+  const ethnicity = Math.max(0, QRISK3_ETHNICITIES.indexOf(input.ethnicity));
+  const smoking = Math.max(0, QRISK3_SMOKING_CATEGORIES.indexOf(input.smokingCategory));
+
+  const dage = ageYears / 10;
+  const dbmi = bmiKg_m2 / 10;
+  const terms = {
+    age1: Math.pow(dage, c.agePowers[0]) - c.means.age1,
+    age2: Math.pow(dage, c.agePowers[1]) - c.means.age2,
+    bmi1: Math.pow(dbmi, -2) - c.means.bmi1,
+    bmi2: Math.pow(dbmi, -2) * Math.log(dbmi) - c.means.bmi2,
+    ratio: cholesterolHdlRatio - c.means.ratio,
+    sbp: sbp - c.means.sbp,
+    sbpSd: (Number.isFinite(input.sbpSd) ? input.sbpSd : c.means.sbpSd) - c.means.sbpSd,
+    townsend: (Number.isFinite(input.townsend) ? input.townsend : 0) - c.means.townsend
+  };
+  const flags = {
+    ...Object.fromEntries(Object.keys(c.flags).map((key) => [key, input[key] ? 1 : 0])),
+    erectileDysfunction: input.sex === "male" && input.erectileDysfunction ? 1 : 0,
+    type1Diabetes: input.diabetes === "type1" ? 1 : 0,
+    type2Diabetes: input.diabetes === "type2" ? 1 : 0
+  };
+
+  let a = c.ethnicity[ethnicity] + c.smoking[smoking];
+  for (const [key, coefficient] of Object.entries(c.continuous)) a += terms[key] * coefficient;
+  for (const [key, coefficient] of Object.entries(c.flags)) a += flags[key] * coefficient;
+  for (const ageTerm of ["age1", "age2"]) {
+    for (const [key, coefficient] of Object.entries(c.interactions[ageTerm])) {
+      if (key === "smoking") a += terms[ageTerm] * coefficient[smoking];
+      else a += terms[ageTerm] * coefficient * (key in terms ? terms[key] : flags[key]);
+    }
+  }
+
+  const risk = 100 * (1 - Math.pow(c.survivor10y, Math.exp(a)));
+  return Number.isFinite(risk) ? { risk10yPct: Math.max(0, Math.min(100, risk)) } : null;
+}
+
+export const WHO_ISH_REGION = (process.env.WHO_ISH_REGION || "SEAR-D").trim();
+
+function loadWhoIshCharts() {
+  try {
+    const parsed = requireModule(WHO_ISH_CHARTS_PATH);
+    const charts = parsed?.charts && typeof parsed.charts === "object" ? parsed.charts : {};
+    const loaded = Object.values(charts[WHO_ISH_REGION] ?? {}).some((cells) => Array.isArray(cells) && cells.length > 0);
+    if (!loaded) {
+      console.warn(`[Calculators] ${WHO_ISH_CHARTS_PATH} has no ${WHO_ISH_REGION} chart cells; the WHO/ISH risk is reported as unavailable`);
+    }
+    return charts;
+  } catch (err) {
+    console.error(`[Calculators] Could not load ${WHO_ISH_CHARTS_PATH}:`, err instanceof Error ? err.message : err);
+    return {};
+  }
+}
+
+const whoIshCharts = loadWhoIshCharts();
+
+export const WHO_ISH_CATEGORIES = ["<10%", "10% to <20%", "20% to <30%", "30% to <40%", "≥40%"];
+
+// Chart rows and columns: the value is placed in the band whose label it is
+// nearest to, ties going up: SBP 130-149 reads the 140 row, 4.5-5.4 mmol/L
+// the 5 column.
+const nearest = (value, marks) => marks.reduce((best, m) => (Math.abs(value - m) <= Math.abs(value - best) ? m : best), marks[0]);
+
+/**
+ * Looks a patient up in the WHO/ISH risk prediction chart for a region. Uses
+ * the cholesterol chart when total cholesterol is known and the chart without
+ * it otherwise. Charts live in src/data/whoIshRiskCharts.json as a list of
+ * cells ({ sex, diabetes, smoker, age, sbp, cholesterol?, category 1-5 }).
+ * Resolves { category, risk10y, chart } or null when the chart has no cell.
+ */
+export function lookupWhoIshRisk({ sex, ageYears, sbp, smoker, diabetes, totalCholesterolMmol_L, region = WHO_ISH_REGION }) {
+  if (sex !== "male" && sex !== "female") return null;
+  if (!Number.isFinite(ageYears) || !Number.isFinite(sbp)) return null;
+  const withCholesterol = Number.isFinite(totalCholesterolMmol_L);
+  const chart = withCholesterol ? "with_cholesterol" : "without_cholesterol";
+  const cells = whoIshCharts?.[region]?.[chart];
+  if (!Array.isArray(cells) || cells.length === 0) return null;
+
+  const age = ageYears < 50 ? 40 : ageYears < 60 ? 50 : ageYears < 70 ? 60 : 70;
+  const sbpRow = nearest(sbp, [120, 140, 160, 180]);
+  const cholesterolColumn = withCholesterol ? nearest(totalCholesterolMmol_L, [4, 5, 6, 7, 8]) : null;
+  const cell = cells.find(
+    (c) =>
+      c.sex === sex &&
+      !!c.diabetes === !!diabetes &&
+      !!c.smoker === !!smoker &&
+      c.age === age &&
+      c.sbp === sbpRow &&
+      (!withCholesterol || c.cholesterol === cholesterolColumn)
+  );
+  const category = Number.isInteger(cell?.category) ? cell.category : null;
+  if (!category || category < 1 || category > WHO_ISH_CATEGORIES.length) return null;
+  return { category, risk10y: WHO_ISH_CATEGORIES[category - 1], chart: `${region} ${chart.replace("_", " ")}` };
+}
@@ -0,0 +1,728 @@
+import { computeCaide, computeFsrs, computeLibra } from "./brainHealth.js";
+import {
+  QRISK3_ETHNICITIES,
+  QRISK3_SMOKING_CATEGORIES,
+  WHO_ISH_REGION,
+  computePooledCohortRisk,
+  computeQrisk3,
+  lookupWhoIshRisk
+} from "./cardiovascular.js";
+import {
+  classifyKdigo,
+  computeEgfrCkdEpi2021Creatinine,
+  computeEgfrCkdEpi2021CreatinineCystatin,
+  computeKidneyAge,
+  computeKidneyFailureRisk
+} from "./kidney.js";
+import {
+  computeAstAltRatio,
+  computeBard,
+  computeFib4,
+  computeFli,
+  computeNfs,
+  interpretBard,
+  interpretCap,
+  interpretElastographyKpa,
+  interpretFib4,
+  interpretFli,
+  interpretNfs
+} from "./liver.js";
+import {
+  GLI_2012_ETHNICITIES,
+  classifySpirometryPattern,
+  compareSpirometryToReference,
+  computeLungAgeYears
+} from "./lung.js";
+import { computeBmiKgM2, computeInsulinResistance } from "./metabolic.js";
+
+// Each calculator carries a formula version. Bump it whenever the formula,
+// its coefficients or its interpretation bands change, so stored results can
+// be traced back to the formula that produced them.
+
+function badRequest(message, details) {
+  return Object.assign(new Error(message), { statusCode: 400, ...(details ? { details } : {}) });
+}
+
+const yesNo = (flag) => (flag ? "yes" : "no");
+
+// Bands are checked in order; each ends `below` a value or `atMost` one, and
+// the last is open-ended.
+function band(value, bands) {
+  if (!Number.isFinite(value)) return { band: null, label: "" };
+  const match = bands.find((b) => (b.below !== undefined ? value < b.below : b.atMost !== undefined ? value <= b.atMost : true));
+  return { band: match.band, label: match.label };
+}
+
+function parsePercent(text) {
+  const match = typeof text === "string" ? text.match(/\d+(?:\.\d+)?/) : null;
+  return match ? Number(match[0]) : null;
+}
+
+const sexInput = { name: "sex", type: "enum", values: ["male", "female"], required: true, description: "Sex at birth" };
+const ageInput = (min, max) => ({ name: "ageYears", type: "number", unit: "years", required: true, min, max, description: "Age" });
+const flagInput = (name, description) => ({ name, type: "boolean", default: false, description });
+const astInput = { name: "astIU_L", type: "number", unit: "IU/L", required: true, min: 1, max: 5000, description: "AST" };
+const altInput = { name: "altIU_L", type: "number", unit: "IU/L", required: true, min: 1, max: 5000, description: "ALT" };
+const bmiInput = { name: "bmiKg_m2", type: "number", unit: "kg/m²", required: true, min: 10, max: 80, description: "Body mass index" };
+const ifgInput = { name: "ifgOrDiabetes", type: "boolean", required: true, description: "Impaired fasting glucose or diabetes" };
+const plateletInput = {
+  name: "plateletCount10e9_L",
+  type: "number",
+  unit: "10^9/L",
+  required: true,
+  min: 1,
+  max: 2000,
+  description: "Platelet count"
+};
+const GFR_BANDS = [
+  { below: 15, band: "G5", label: "Kidney failure" },
+  { below: 30, band: "G4", label: "Severely decreased GFR" },
+  { below: 45, band: "G3b", label: "Moderately to severely decreased GFR" },
+  { below: 60, band: "G3a", label: "Mildly to moderately decreased GFR" },
+  { below: 90, band: "G2", label: "Mildly decreased GFR" },
+  { band: "G1", label: "Normal or high GFR" }
+];
+const KDIGO_RISK_LABELS = {
+  low: "low risk",
+  moderate: "moderately increased risk",
+  high: "high risk",
+  very_high: "very high risk"
+};
+const egfrInput = (max) => ({ name: "egfr", type: "number", unit: "mL/min/1.73m²", required: true, min: 1, max, description: "eGFR" });
+
+const calculators = [
+  {
+    id: "fsrs",
+    name: "Framingham stroke risk profile",
+    version: "1.0.0",
+    reference: "D'Agostino RB et al. Stroke 1994;25:40-43",
+    inputs: [
+      sexInput,
+      ageInput(54, 86),
+      { name: "sbp", type: "number", unit: "mmHg", required: true, min: 60, max: 260, description: "Systolic blood pressure" },
+      flagInput("antihypertensiveTreatment", "On antihypertensive treatment"),
+      flagInput("diabetes", "Diabetes"),
+      flagInput("smoker", "Current smoker"),
+      flagInput("priorCvd", "Prior cardiovascular disease"),
+      flagInput("atrialFibrillation", "Atrial fibrillation"),
+      flagInput("lvhOnEcg", "Left ventricular hypertrophy on ECG")
+    ],
+    compute: (v) => {
+      const { points, risk10y } = computeFsrs({
+        sex: v.sex,
+        age: v.ageYears,
+        sbp: v.sbp,
+        treated: v.antihypertensiveTreatment,
+        diabetes: v.diabetes,
+        smoker: v.smoker,
+        priorCvd: v.priorCvd,
+        afib: v.atrialFibrillation,
+        lvh: v.lvhOnEcg
+      });
+      const riskPct = parsePercent(risk10y);
+      return {
+        result: { points, risk10y, risk10yPct: riskPct },
+        interpretation: band(riskPct, [
+          { below: 10, band: "low", label: "Low 10-year stroke risk" },
+          { below: 20, band: "moderate", label: "Moderate 10-year stroke risk" },
+          { band: "high", label: "High 10-year stroke risk" }
+        ])
+      };
+    }
+  },
+  {
+    id: "caide",
+    name: "CAIDE dementia risk score",
+    version: "1.0.0",
+    reference: "Kivipelto M et al. Lancet Neurol 2006;5:735-741",
+    inputs: [
+      sexInput,
+      ageInput(18, 120),
+      { name: "educationYears", type: "number", unit: "years", required: true, min: 0, max: 30, description: "Years of education" },
+      { name: "sbp", type: "number", unit: "mmHg", required: true, min: 60, max: 260, description: "Systolic blood pressure" },
+      bmiInput,
+      {
+        name: "totalCholesterolMg_dL",
+        type: "number",
+        unit: "mg/dL",
+        required: true,
+        min: 50,
+        max: 1000,
+        description: "Total cholesterol"
+      },
+      { name: "physicallyActive", type: "boolean", required: true, description: "Physically active" },
+      { name: "apoeE4Carrier", type: "boolean", description: "APOE ε4 carrier; leave empty when not tested" }
+    ],
+    compute: (v) => {
+      const { score, risk20y, table } = computeCaide({
+        age: v.ageYears,
+        sex: v.sex,
+        educationYears: v.educationYears,
+        sbp: v.sbp,
+        bmi: v.bmiKg_m2,
+        cholMgDl: v.totalCholesterolMg_dL,
+        physicallyActive: yesNo(v.physicallyActive),
+        apoeCarrier: v.apoeE4Carrier === null ? "" : yesNo(v.apoeE4Carrier)
+      });
+      // risk20y reads like "4% (Moderate)"; the band is the bracketed part.
+      const category = typeof risk20y === "string" ? risk20y.match(/\(([^)]+)\)/)?.[1] ?? "" : "";
+      return {
+        result: { score, risk20y, risk20yPct: parsePercent(risk20y), table },
+        interpretation: {
+          band: category ? category.toLowerCase().replace(/[^a-z]+/g, "_") : null,
+          label: category ? `${category} 20-year dementia risk` : ""
+        }
+      };
+    }
+  },
+  {
+    id: "libra",
+    name: "LIBRA lifestyle for brain health index",
+    version: "1.0.0",
+    reference: "Schiepers OJG et al. Int J Geriatr Psychiatry 2018;33:167-175",
+    inputs: [
+      flagInput("depression", "Depression"),
+      flagInput("diabetes", "Diabetes"),
+      flagInput("hypertensionMidlife", "Midlife hypertension"),
+      flagInput("obesityBmiGt30", "Midlife obesity (BMI > 30)"),
+      flagInput("hypercholesterolemia", "Hypercholesterolaemia"),
+      flagInput("currentSmoking", "Current smoking"),
+      flagInput("lowSocialActivity", "Low social activity"),
+      flagInput("chdCvd", "Coronary heart disease"),
+      flagInput("highPhysicalActivity", "High physical activity"),
+      flagInput("moderateAlcoholUse", "Low-to-moderate alcohol use"),
+      flagInput("highCognitiveActivity", "High cognitive activity"),
+      flagInput("healthyDiet", "Healthy (Mediterranean-style) diet")
+    ],
+    compute: (v) => {
+      const state = Object.fromEntries(Object.entries(v).map(([key, flag]) => [key, yesNo(flag)]));
+      const score = Number(computeLibra(state).score);
+      return {
+        result: { score },
+        interpretation: band(score, [
+          { below: 0, band: "low", label: "Protective lifestyle profile" },
+          { below: 3, band: "moderate", label: "Some modifiable dementia risk" },
+          { band: "high", label: "High modifiable dementia risk" }
+        ])
+      };
+    }
+  },
+  {
+    id: "nfs",
+    name: "NAFLD fibrosis score",
+    version: "1.0.1",
+    reference: "Angulo P et al. Hepatology 2007;45:846-854",
+    inputs: [
+      ageInput(18, 120),
+      bmiInput,
+      ifgInput,
+      astInput,
+      altInput,
+      plateletInput,
+      { name: "albuminG_dL", type: "number", unit: "g/dL", required: true, min: 0.5, max: 7, description: "Serum albumin" }
+    ],
+    compute: (v) => {
+      const score = computeNfs(v);
+      return {
+        result: { score, astAltRatio: computeAstAltRatio(v) },
+        interpretation: {
+          ...band(score, [{ below: -1.455, band: "low" }, { atMost: 0.675, band: "indeterminate" }, { band: "high" }]),
+          label: interpretNfs(score)
+        }
+      };
+    }
+  },
+  {
+    id: "fli",
+    name: "Fatty liver index",
+    version: "1.0.0",
+    reference: "Bedogni G et al. BMC Gastroenterol 2006;6:33",
+    inputs: [
+      { name: "triglyceridesMg_dL", type: "number", unit: "mg/dL", required: true, min: 10, max: 5000, description: "Triglycerides" },
+      bmiInput,
+      { name: "ggtIU_L", type: "number", unit: "IU/L", required: true, min: 1, max: 5000, description: "GGT" },
+      { name: "waistCircumferenceCm", type: "number", unit: "cm", required: true, min: 40, max: 250, description: "Waist circumference" }
+    ],
+    compute: (v) => {
+      const score = computeFli(v);
+      return {
+        result: { score },
+        interpretation: {
+          ...band(score, [{ below: 30, band: "low" }, { below: 60, band: "indeterminate" }, { band: "high" }]),
+          label: interpretFli(score)
+        }
+      };
+    }
+  },
+  {
+    id: "fib4",
+    name: "FIB-4 index",
+    version: "1.0.0",
+    reference: "Sterling RK et al. Hepatology 2006;43:1317-1325",
+    inputs: [ageInput(18, 120), astInput, altInput, plateletInput],
+    compute: (v) => {
+      const score = computeFib4(v);
+      return {
+        result: { score },
+        interpretation: {
+          ...band(score, [{ below: 1.45, band: "low" }, { atMost: 3.25, band: "indeterminate" }, { band: "high" }]),
+          label: interpretFib4(score)
+        }
+      };
+    }
+  },
+  {
+    id: "bard",
+    name: "BARD score",
+    version: "1.0.0",
+    reference: "Harrison SA et al. Gut 2008;57:1441-1447",
+    inputs: [bmiInput, ifgInput, astInput, altInput],
+    compute: (v) => {
+      const score = computeBard(v);
+      return {
+        result: { score, astAltRatio: computeAstAltRatio(v) },
+        interpretation: { ...band(score, [{ atMost: 1, band: "low" }, { band: "high" }]), label: interpretBard(score) }
+      };
+    }
+  },
+  {
+    id: "liver-stiffness",
+    name: "Liver stiffness (transient elastography)",
+    version: "1.0.0",
+    reference: "EASL Clinical Practice Guidelines on non-invasive tests, J Hepatol 2021;75:659-689",
+    inputs: [{ name: "kPa", type: "number", unit: "kPa", required: true, min: 1, max: 80, description: "Liver stiffness measurement" }],
+    compute: (v) => ({
+      result: { kPa: v.kPa },
+      interpretation: {
+        ...band(v.kPa, [
+          { below: 5, band: "normal" },
+          { below: 7, band: "mild" },
+          { below: 9, band: "significant" },
+          { below: 12, band: "advanced" },
+          { band: "cirrhosis" }
+        ]),
+        label: interpretElastographyKpa(v.kPa)
+      }
+    })
+  },
+  {
+    id: "cap",
+    name: "Controlled attenuation parameter",
+    version: "1.0.0",
+    reference: "Karlas T et al. J Hepatol 2017;66:1022-1030",
+    inputs: [{ name: "cap", type: "number", unit: "dB/m", required: true, min: 100, max: 400, description: "CAP" }],
+    compute: (v) => ({
+      result: { cap: v.cap },
+      interpretation: {
+        ...band(v.cap, [{ below: 238, band: "normal" }, { below: 260, band: "mild" }, { below: 290, band: "moderate" }, { band: "severe" }]),
+        label: interpretCap(v.cap)
+      }
+    })
+  },
+  {
+    id: "kfre",
+    name: "Kidney failure risk equation (4-variable)",
+    version: "1.0.0",
+    reference: "Tangri N et al. JAMA 2016;315:164-174",
+    inputs: [
+      ageInput(18, 120),
+      sexInput,
+      egfrInput(60),
+      { name: "uacr", type: "number", unit: "mg/g", required: true, min: 0.1, max: 50000, description: "Urine albumin-creatinine ratio" }
+    ],
+    compute: (v) => {
+      const result = computeKidneyFailureRisk({ ageYears: v.ageYears, sex: v.sex, egfr: v.egfr, uacr: v.uacr });
+      const { risk2YearPct, risk5YearPct } = result;
+      // KDIGO thresholds: 5-year risk >= 3% for nephrology referral, 2-year
+      // risk >= 10% for multidisciplinary care, >= 40% for dialysis planning.
+      let interpretation = { band: null, label: "" };
+      if (Number.isFinite(risk2YearPct) && risk2YearPct >= 40) {
+        interpretation = { band: "very_high", label: "Plan for kidney replacement therapy" };
+      } else if (Number.isFinite(risk2YearPct) && risk2YearPct >= 10) {
+        interpretation = { band: "high", label: "Multidisciplinary CKD care" };
+      } else if (Number.isFinite(risk5YearPct)) {
+        interpretation =
+          risk5YearPct >= 3
+            ? { band: "moderate", label: "Nephrology referral" }
+            : { band: "low", label: "Low risk of kidney failure" };
+      }
+      return { result, interpretation };
+    }
+  },
+  {
+    id: "kidney-age",
+    name: "Kidney age",
+    version: "1.0.0",
+    reference: "Expected eGFR of 105 mL/min/1.73m² at 40, declining 0.9 per year",
+    inputs: [ageInput(18, 120), egfrInput(200)],
+    compute: (v) => {
+      const result = computeKidneyAge({ ageYears: v.ageYears, egfr: v.egfr });
+      return {
+        result,
+        interpretation: band(result.ckdScoreYears, [
+          { below: 0.5, band: "expected", label: "Kidney age at or below chronological age" },
+          { below: 20, band: "older", label: "Kidney age above chronological age" },
+          { band: "much_older", label: "Kidney age 20 or more years above chronological age" }
+        ])
+      };
+    }
+  },
+  {
+    id: "ckd-epi-2021",
+    name: "CKD-EPI 2021 eGFR",
+    version: "1.0.0",
+    reference: "Inker LA et al. N Engl J Med 2021;385:1737-1749",
+    inputs: [
+      ageInput(18, 120),
+      sexInput,
+      { name: "creatinineMg_dL", type: "number", unit: "mg/dL", required: true, min: 0.1, max: 25, description: "Serum creatinine" },
+      { name: "cystatinCMg_L", type: "number", unit: "mg/L", min: 0.2, max: 15, description: "Serum cystatin C; uses the creatinine–cystatin C equation" }
+    ],
+    compute: (v) => {
+      const creatinine = computeEgfrCkdEpi2021Creatinine(v);
+      const creatinineCystatin = computeEgfrCkdEpi2021CreatinineCystatin(v);
+      const egfr = creatinineCystatin ?? creatinine;
+      return {
+        result: { egfr, egfrCreatinine: creatinine, egfrCreatinineCystatin: creatinineCystatin },
+        interpretation: band(egfr, GFR_BANDS)
+      };
+    }
+  },
+  {
+    id: "kdigo",
+    name: "KDIGO CKD G/A stage",
+    version: "1.0.0",
+    reference: "KDIGO 2012 Clinical Practice Guideline for the Evaluation and Management of CKD",
+    inputs: [
+      egfrInput(200),
+      { name: "uacrMg_g", type: "number", unit: "mg/g", min: 0, max: 50000, description: "Urine albumin-creatinine ratio; needed for the heat-map risk" }
+    ],
+    compute: (v) => {
+      const result = classifyKdigo({ egfr: v.egfr, uacrMg_g: v.uacrMg_g });
+      const gfrLabel = band(v.egfr, GFR_BANDS).label;
+      return {
+        result,
+        interpretation: result.risk
+          ? { band: result.risk, label: `${result.stage}: ${KDIGO_RISK_LABELS[result.risk]}; ${gfrLabel}` }
+          : { band: null, label: `${result.gStage}: ${gfrLabel}; albuminuria needed for the risk category` }
+      };
+    }
+  },
+  {
+    id: "homa-ir",
+    name: "HOMA-IR and QUICKI",
+    version: "1.0.0",
+    reference: "Matthews DR et al. Diabetologia 1985;28:412-419; Katz A et al. J Clin Endocrinol Metab 2000;85:2402-2410",
+    inputs: [
+      { name: "fastingGlucoseMg_dL", type: "number", unit: "mg/dL", required: true, min: 20, max: 1000, description: "Fasting glucose" },
+      { name: "fastingInsulinUu_mL", type: "number", unit: "µU/mL", required: true, min: 0.1, max: 500, description: "Fasting insulin" }
+    ],
+    compute: (v) => {
+      const result = computeInsulinResistance(v);
+      return {
+        result,
+        interpretation: band(result.homaIr, [
+          { below: 2, band: "normal", label: "Insulin sensitive" },
+          { below: 2.9, band: "early", label: "Early insulin resistance" },
+          { band: "significant", label: "Significant insulin resistance" }
+        ])
+      };
+    }
+  },
+  {
+    id: "bmi",
+    name: "Body mass index",
+    version: "1.0.0",
+    reference: "WHO Technical Report Series 894, 2000",
+    inputs: [
+      { name: "heightCm", type: "number", unit: "cm", required: true, min: 50, max: 250, description: "Height" },
+      { name: "weightKg", type: "number", unit: "kg", required: true, min: 2, max: 400, description: "Weight" }
+    ],
+    compute: (v) => {
+      const bmi = computeBmiKgM2(v);
+      return {
+        result: { bmiKg_m2: bmi },
+        interpretation: band(bmi, [
+          { below: 18.5, band: "underweight", label: "Underweight" },
+          { below: 25, band: "normal", label: "Normal weight" },
+          { below: 30, band: "overweight", label: "Overweight" },
+          { band: "obese", label: "Obese" }
+        ])
+      };
+    }
+  },
+  {
+    id: "lung-age",
+    name: "Lung age",
+    version: "1.0.0",
+    reference: "Morris JF, Temple W. Am Rev Respir Dis 1985;131:A92",
+    inputs: [
+      sexInput,
+      { name: "heightCm", type: "number", unit: "cm", required: true, min: 100, max: 250, description: "Height" },
+      { name: "fev1L", type: "number", unit: "L", required: true, min: 0.1, max: 10, description: "FEV1" },
+      { ...ageInput(18, 120), required: false, description: "Age, to compare lung age against" }
+    ],
+    compute: (v) => {
+      const result = computeLungAgeYears({ sex: v.sex, heightCm: v.heightCm, fev1L: v.fev1L });
+      const gap = Number.isFinite(result.lungAgeYears) && v.ageYears !== null ? result.lungAgeYears - v.ageYears : null;
+      return {
+        result,
+        interpretation: band(gap, [
+          { below: 1, band: "expected", label: "Lung age at or below chronological age" },
+          { band: "older", label: "Lung age above chronological age" }
+        ])
+      };
+    }
+  },
+  {
+    id: "gli-2012-spirometry",
+    name: "GLI-2012 spirometry reference values and pattern",
+    version: "1.0.0",
+    reference: "Quanjer PH et al. Eur Respir J 2012;40:1324-1343; Stanojevic S et al. Eur Respir J 2022;60:2101499",
+    inputs: [
+      ageInput(3, 95),
+      sexInput,
+      { name: "heightCm", type: "number", unit: "cm", required: true, min: 80, max: 250, description: "Height" },
+      {
+        name: "ethnicity",
+        type: "enum",
+        values: GLI_2012_ETHNICITIES,
+        default: "other",
+        impute: "ethnicity not recorded; the GLI-2012 'other' equations are used",
+        description: "GLI-2012 ethnic group"
+      },
+      { name: "fev1L", type: "number", unit: "L", required: true, min: 0.1, max: 10, description: "FEV1" },
+      { name: "fvcL", type: "number", unit: "L", required: true, min: 0.1, max: 12, description: "FVC" }
+    ],
+    compute: (v) => {
+      const reference = compareSpirometryToReference({ ...v, fev1FvcRatio: v.fev1L / v.fvcL });
+      if (reference.fev1fvc.source === null) {
+        return { result: null, interpretation: { band: null, label: "GLI-2012 reference tables are not loaded" } };
+      }
+      const pattern = classifySpirometryPattern(reference);
+      return {
+        result: { reference, pattern },
+        interpretation: { band: pattern.pattern, label: pattern.severity ? `${pattern.label} (${pattern.severity})` : pattern.label }
+      };
+    }
+  },
+  {
+    id: "ascvd-pce",
+    name: "ACC/AHA Pooled Cohort Equations (10-year ASCVD risk)",
+    version: "1.0.0",
+    reference: "Goff DC et al. Circulation 2014;129(suppl 2):S49-S73",
+    inputs: [
+      ageInput(40, 79),
+      sexInput,
+      {
+        name: "race",
+        type: "enum",
+        values: ["white", "african_american", "other"],
+        default: "other",
+        impute: "race not recorded; the white equations are used",
+        description: "Race; other races use the white equations"
+      },
+      { name: "totalCholesterolMg_dL", type: "number", unit: "mg/dL", required: true, min: 130, max: 320, description: "Total cholesterol" },
+      { name: "hdlMg_dL", type: "number", unit: "mg/dL", required: true, min: 20, max: 100, description: "HDL cholesterol" },
+      { name: "sbp", type: "number", unit: "mmHg", required: true, min: 90, max: 200, description: "Systolic blood pressure" },
+      flagInput("bpTreated", "On treatment for high blood pressure"),
+      { name: "smoker", type: "boolean", required: true, description: "Current smoker" },
+      flagInput("diabetes", "Diabetes")
+    ],
+    compute: (v) => {
+      const result = computePooledCohortRisk(v);
+      return {
+        result,
+        interpretation: band(result?.risk10yPct, [
+          { below: 5, band: "low", label: "Low 10-year ASCVD risk" },
+          { below: 7.5, band: "borderline", label: "Borderline 10-year ASCVD risk" },
+          { below: 20, band: "intermediate", label: "Intermediate 10-year ASCVD risk" },
+          { band: "high", label: "High 10-year ASCVD risk" }
+        ])
+      };
+    }
+  },
+  {
+    id: "qrisk3",
+    name: "QRISK3 (10-year risk of heart attack or stroke)",
+    version: "1.0.0",
+    reference: "Hippisley-Cox J et al. BMJ 2017;357:j2099 (QRISK3-2017)",
+    inputs: [
+      sexInput,
+      ageInput(25, 84),
+      {
+        name: "ethnicity",
+        type: "enum",
+        values: QRISK3_ETHNICITIES,
+        default: "white_or_not_stated",
+        impute: "ethnicity not recorded",
+        description: "Ethnic group"
+      },
+      { name: "smokingCategory", type: "enum", values: QRISK3_SMOKING_CATEGORIES, required: true, description: "Light is under 10, moderate 10-19, heavy 20 or more a day" },
+      { name: "diabetes", type: "enum", values: ["none", "type1", "type2"], default: "none", description: "Diabetes" },
+      bmiInput,
+      { name: "cholesterolHdlRatio", type: "number", unit: "ratio", required: true, min: 1, max: 12, description: "Total cholesterol / HDL" },
+      { name: "sbp", type: "number", unit: "mmHg", required: true, min: 70, max: 210, description: "Systolic blood pressure" },
+      {
+        name: "sbpSd",
+        type: "number",
+        unit: "mmHg",
+        min: 0,
+        max: 40,
+        impute: "fewer than two readings; cohort mean used",
+        description: "Standard deviation of at least two recent systolic readings"
+      },
+      { name: "townsend", type: "number", min: -8, max: 12, default: 0, impute: "deprivation score not known", description: "Townsend deprivation score" },
+      flagInput("familyHistoryChd", "Angina or heart attack in a first-degree relative under 60"),
+      flagInput("atrialFibrillation", "Atrial fibrillation"),
+      flagInput("bpTreated", "On blood pressure treatment"),
+      flagInput("ckd345", "Chronic kidney disease stage 3, 4 or 5"),
+      flagInput("rheumatoidArthritis", "Rheumatoid arthritis"),
+      flagInput("sle", "Systemic lupus erythematosus"),
+      flagInput("migraine", "Migraine"),
+      flagInput("severeMentalIllness", "Severe mental illness"),
+      flagInput("atypicalAntipsychotics", "On atypical antipsychotics"),
+      flagInput("corticosteroids", "On regular oral corticosteroids"),
+      flagInput("erectileDysfunction", "Erectile dysfunction or its treatment (men)")
+    ],
+    compute: (v) => {
+      const result = computeQrisk3(v);
+      return {
+        result,
+        interpretation: band(result?.risk10yPct, [
+          { below: 10, band: "low", label: "Low 10-year cardiovascular risk" },
+          { below: 20, band: "moderate", label: "10-year risk of 10% or more; statin therapy recommended" },
+          { band: "high", label: "High 10-year cardiovascular risk" }
+        ])
+      };
+    }
+  },
+  {
+    id: "who-ish",
+    name: "WHO/ISH cardiovascular risk chart",
+    version: "1.0.0",
+    reference: "WHO. Prevention of cardiovascular disease: pocket guidelines with WHO/ISH risk prediction charts, 2007",
+    inputs: [
+      sexInput,
+      ageInput(40, 79),
+      { name: "sbp", type: "number", unit: "mmHg", required: true, min: 70, max: 260, description: "Systolic blood pressure" },
+      { name: "smoker", type: "boolean", required: true, description: "Current smoker, or quit within the last year" },
+      flagInput("diabetes", "Diabetes"),
+      {
+        name: "totalCholesterolMmol_L",
+        type: "number",
+        unit: "mmol/L",
+        min: 2,
+        max: 15,
+        impute: "cholesterol not known; the chart without cholesterol is used",
+        description: "Total cholesterol"
+      }
+    ],
+    compute: (v) => {
+      const result = lookupWhoIshRisk(v);
+      if (!result) return { result: null, interpretation: { band: null, label: `No WHO/ISH chart cell loaded for ${WHO_ISH_REGION}` } };
+      const bands = ["low", "moderate", "high", "very_high", "very_high"];
+      return { result, interpretation: { band: bands[result.category - 1], label: `${result.risk10y} 10-year cardiovascular risk` } };
+    }
+  }
+];
+
+const calculatorsById = new Map(calculators.map((c) => [c.id, c]));
+
+function describe({ id, name, version, reference, inputs }) {
+  return { id, name, version, reference, inputs };
+}
+
+export function listCalculators() {
+  return calculators.map(({ id, name, version, reference }) => ({ id, name, version, reference }));
+}
+
+export function getCalculator(id) {
+  const calculator = calculatorsById.get(id);
+  return calculator ? describe(calculator) : null;
+}
+
+function parseInput(spec, raw) {
+  const missing = raw === undefined || raw === null || (typeof raw === "string" && !raw.trim());
+  if (missing) {
+    if (spec.required) return { error: "is required", missing: true };
+    const value = spec.default ?? null;
+    const imputed = "default" in spec || spec.impute ? spec.impute ?? `assumed ${value}` : null;
+    return { value, imputed };
+  }
+
+  if (spec.type === "number") {
+    const n = typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw.trim()) : NaN;
+    if (!Number.isFinite(n)) return { error: "must be a number" };
+    if ((typeof spec.min === "number" && n < spec.min) || (typeof spec.max === "number" && n > spec.max)) {
+      return { error: `must be between ${spec.min} and ${spec.max}${spec.unit ? ` ${spec.unit}` : ""}` };
+    }
+    return { value: n };
+  }
+
+  if (spec.type === "boolean") {
+    if (typeof raw === "boolean") return { value: raw };
+    const s = String(raw).trim().toLowerCase();
+    if (["true", "yes", "1"].includes(s)) return { value: true };
+    if (["false", "no", "0"].includes(s)) return { value: false };
+    return { error: "must be true or false" };
+  }
+
+  const s = String(raw).trim().toLowerCase();
+  if (!spec.values.includes(s)) return { error: `must be one of ${spec.values.join(", ")}` };
+  return { value: s };
+}
+
+function findCalculator(id) {
+  const calculator = calculatorsById.get(id);
+  if (!calculator) throw Object.assign(new Error(`Unknown calculator "${id}"`), { statusCode: 404 });
+  return calculator;
+}
+
+/**
+ * Checks `input` against a calculator's documented inputs without running
+ * it. Resolves { values, errors: [{ field, error, missing }], imputed:
+ * [{ field, value, reason }] }; optional inputs left empty take their
+ * documented default and are listed in `imputed`.
+ */
+export function validateCalculatorInputs(id, input) {
+  const calculator = findCalculator(id);
+  const source = input && typeof input === "object" ? input : {};
+  const values = {};
+  const errors = [];
+  const imputed = [];
+  for (const spec of calculator.inputs) {
+    const parsed = parseInput(spec, source[spec.name]);
+    if (parsed.error) {
+      errors.push({ field: spec.name, error: `${spec.name} ${parsed.error}`, missing: !!parsed.missing });
+      continue;
+    }
+    values[spec.name] = parsed.value;
+    if (parsed.imputed) imputed.push({ field: spec.name, value: parsed.value, reason: parsed.imputed });
+  }
+  return { values, errors, imputed };
+}
+
+/**
+ * Validates `input` against a calculator's documented inputs and runs it.
+ * Resolves { calculator, name, version, inputs, imputed, result,
+ * interpretation: { band, label } }. Throws a 404 for an unknown calculator
+ * and a 400 with `details` ([{ field, error, missing }]) when inputs are
+ * missing or out of range.
+ */
+export function runCalculator(id, input) {
+  const calculator = findCalculator(id);
+  const { values, errors, imputed } = validateCalculatorInputs(id, input);
+  if (errors.length > 0) throw badRequest(errors.map((e) => e.error).join("; "), errors);
+
+  const { result, interpretation } = calculator.compute(values);
+  return {
+    calculator: calculator.id,
+    name: calculator.name,
+    version: calculator.version,
+    inputs: values,
+    imputed,
+    result,
+    interpretation: { band: interpretation?.band ?? null, label: interpretation?.label ?? "" }
+  };
+}
@@ -0,0 +1,148 @@
+// 4-variable kidney failure risk equation, non-North American calibration (Tangri et al., JAMA 2016).
+export function computeKidneyFailureRisk({ ageYears, sex, egfr, uacr }) {
+  const age = Number.isFinite(ageYears) ? ageYears : null;
+  const male = sex === "male" ? 1 : 0;
+  const e = Number.isFinite(egfr) ? egfr : null;
+  const u = Number.isFinite(uacr) ? uacr : null;
+  if (!Number.isFinite(age) || age <= 0) return { risk2YearPct: null, risk5YearPct: null };
+  if (!Number.isFinite(e) || e <= 0) return { risk2YearPct: null, risk5YearPct: null };
+  if (!Number.isFinite(u) || u <= 0) return { risk2YearPct: null, risk5YearPct: null };
+
+  const lnU = Math.log(u);
+  const lp =
+    -0.2201 * (age / 10 - 7.036) +
+    0.2467 * (male - 0.5642) +
+    -0.5567 * (e / 5 - 7.222) +
+    0.451 * (lnU - 5.137);
+  const expLp = Math.exp(lp);
+  const r2 = 1 - Math.pow(0.9832, expLp);
+  const r5 = 1 - Math.pow(0.9365, expLp);
+
+  const toPct = (x) => {
+    if (!Number.isFinite(x)) return null;
+    const pct = x * 100;
+    if (!Number.isFinite(pct)) return null;
+    return Math.max(0, Math.min(100, pct));
+  };
+
+  return { risk2YearPct: toPct(r2), risk5YearPct: toPct(r5) };
+}
+
+// Kidney age from the expected eGFR decline of 0.9 mL/min/1.73m² per year after 40.
+export function computeKidneyAge({ ageYears, egfr }) {
+  const age = Number.isFinite(ageYears) ? ageYears : null;
+  const e = Number.isFinite(egfr) ? egfr : null;
+  if (!Number.isFinite(age) || age <= 0) return { normalEgfrForAge: null, kidneyAgeYears: null, ckdScoreYears: null, ckd20Plus: null };
+  if (!Number.isFinite(e) || e <= 0) return { normalEgfrForAge: null, kidneyAgeYears: null, ckdScoreYears: null, ckd20Plus: null };
+
+  const normalEgfrForAge = 105 - 0.9 * (age - 40);
+  const kidneyAge = 40 + (105 - e) / 0.9;
+  const ckdScore = kidneyAge - age;
+  const ckd20Plus = Number.isFinite(ckdScore) ? ckdScore >= 20 : null;
+
+  return { normalEgfrForAge, kidneyAgeYears: kidneyAge, ckdScoreYears: ckdScore, ckd20Plus };
+}
+
+// CKD-EPI 2021 race-free creatinine equation (Inker et al., NEJM 2021).
+export function computeEgfrCkdEpi2021Creatinine({ ageYears, sex, creatinineMg_dL }) {
+  if (!Number.isFinite(ageYears) || ageYears < 18) return null;
+  if (sex !== "male" && sex !== "female") return null;
+  if (!Number.isFinite(creatinineMg_dL) || creatinineMg_dL <= 0) return null;
+  const female = sex === "female";
+  const scr = creatinineMg_dL / (female ? 0.7 : 0.9);
+  return (
+    142 *
+    Math.pow(Math.min(scr, 1), female ? -0.241 : -0.302) *
+    Math.pow(Math.max(scr, 1), -1.2) *
+    Math.pow(0.9938, ageYears) *
+    (female ? 1.012 : 1)
+  );
+}
+
+// CKD-EPI 2021 race-free creatinine–cystatin C equation (Inker et al., NEJM 2021).
+export function computeEgfrCkdEpi2021CreatinineCystatin({ ageYears, sex, creatinineMg_dL, cystatinCMg_L }) {
+  if (!Number.isFinite(ageYears) || ageYears < 18) return null;
+  if (sex !== "male" && sex !== "female") return null;
+  if (!Number.isFinite(creatinineMg_dL) || creatinineMg_dL <= 0) return null;
+  if (!Number.isFinite(cystatinCMg_L) || cystatinCMg_L <= 0) return null;
+  const female = sex === "female";
+  const scr = creatinineMg_dL / (female ? 0.7 : 0.9);
+  const scys = cystatinCMg_L / 0.8;
+  return (
+    135 *
+    Math.pow(Math.min(scr, 1), female ? -0.219 : -0.144) *
+    Math.pow(Math.max(scr, 1), -0.544) *
+    Math.pow(Math.min(scys, 1), -0.323) *
+    Math.pow(Math.max(scys, 1), -0.778) *
+    Math.pow(0.9961, ageYears) *
+    (female ? 0.963 : 1)
+  );
+}
+
+// KDIGO 2012 CKD heat map, rows G1..G5 and columns A1..A3.
+const KDIGO_HEAT_MAP = {
+  G1: ["low", "moderate", "high"],
+  G2: ["low", "moderate", "high"],
+  G3a: ["moderate", "high", "very_high"],
+  G3b: ["high", "very_high", "very_high"],
+  G4: ["very_high", "very_high", "very_high"],
+  G5: ["very_high", "very_high", "very_high"]
+};
+
+export function kdigoGfrCategory(egfr) {
+  if (!Number.isFinite(egfr) || egfr <= 0) return null;
+  if (egfr >= 90) return "G1";
+  if (egfr >= 60) return "G2";
+  if (egfr >= 45) return "G3a";
+  if (egfr >= 30) return "G3b";
+  if (egfr >= 15) return "G4";
+  return "G5";
+}
+
+export function kdigoAlbuminuriaCategory(uacrMg_g) {
+  if (!Number.isFinite(uacrMg_g) || uacrMg_g < 0) return null;
+  if (uacrMg_g < 30) return "A1";
+  if (uacrMg_g <= 300) return "A2";
+  return "A3";
+}
+
+// KDIGO 2012 G/A staging. `risk` is the heat-map category (low = green,
+// moderate = yellow, high = orange, very_high = red) and needs both stages.
+export function classifyKdigo({ egfr, uacrMg_g }) {
+  const gStage = kdigoGfrCategory(egfr);
+  const aStage = kdigoAlbuminuriaCategory(uacrMg_g);
+  const risk = gStage && aStage ? KDIGO_HEAT_MAP[gStage][Number(aStage.slice(1)) - 1] : null;
+  return { gStage, aStage, stage: gStage && aStage ? `${gStage}${aStage}` : gStage, risk };
+}
+
+// A reported eGFR (from the lab or the model) is flagged when it is more
+// than 10% away from the calculated one or falls in another G stage.
+export function compareEgfr({ reportedEgfr, calculatedEgfr }) {
+  const reported = Number.isFinite(reportedEgfr) ? reportedEgfr : null;
+  const calculated = Number.isFinite(calculatedEgfr) && calculatedEgfr > 0 ? calculatedEgfr : null;
+  if (reported === null || calculated === null) {
+    return { reportedEgfr: reported, calculatedEgfr: calculated, differencePct: null, discrepancy: null };
+  }
+  const differencePct = ((reported - calculated) / calculated) * 100;
+  const discrepancy = Math.abs(differencePct) > 10 || kdigoGfrCategory(reported) !== kdigoGfrCategory(calculated);
+  return { reportedEgfr: reported, calculatedEgfr: calculated, differencePct, discrepancy };
+}
+
+// The kidney health section's scores. A calculated CKD-EPI 2021 eGFR (with
+// cystatin C when present) is preferred over the reported one.
+export function computeKidneyScores({ ageYears, sex, creatinineMg_dL, cystatinCMg_L, egfr, uacrMg_g }) {
+  const reported = Number.isFinite(egfr) ? egfr : null;
+  const creatinine = computeEgfrCkdEpi2021Creatinine({ ageYears, sex, creatinineMg_dL });
+  const creatinineCystatin = computeEgfrCkdEpi2021CreatinineCystatin({ ageYears, sex, creatinineMg_dL, cystatinCMg_L });
+  const calculated = creatinineCystatin ?? creatinine;
+  const used = calculated ?? reported;
+  const source =
+    creatinineCystatin !== null ? "ckdEpi2021CreatinineCystatin" : creatinine !== null ? "ckdEpi2021Creatinine" : reported !== null ? "reported" : null;
+  return {
+    egfr: { ckdEpi2021Creatinine: creatinine, ckdEpi2021CreatinineCystatin: creatinineCystatin, reported, used, source },
+    egfrCheck: compareEgfr({ reportedEgfr: reported, calculatedEgfr: calculated }),
+    kdigo: classifyKdigo({ egfr: used, uacrMg_g }),
+    kidneyFailureRisk: computeKidneyFailureRisk({ ageYears, sex, egfr: used, uacr: uacrMg_g }),
+    kidneyAge: computeKidneyAge({ ageYears, egfr: used })
+  };
+}
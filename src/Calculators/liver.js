@@ -0,0 +1,184 @@
+import { computeBmiKgM2 } from "./metabolic.js";
+
+export function computeAstAltRatio({ astIU_L, altIU_L }) {
+  return Number.isFinite(astIU_L) && astIU_L > 0 && Number.isFinite(altIU_L) && altIU_L > 0 ? astIU_L / altIU_L : null;
+}
+
+// NAFLD fibrosis score (Angulo et al., Hepatology 2007).
+export function computeNfs({ ageYears, bmiKg_m2, ifgOrDiabetes, astIU_L, altIU_L, plateletCount10e9_L, albuminG_dL }) {
+  const astAltRatio = computeAstAltRatio({ astIU_L, altIU_L });
+  if (
+    !Number.isFinite(ageYears) ||
+    !Number.isFinite(bmiKg_m2) ||
+    typeof ifgOrDiabetes !== "boolean" ||
+    !Number.isFinite(astAltRatio) ||
+    !Number.isFinite(plateletCount10e9_L) ||
+    !Number.isFinite(albuminG_dL)
+  ) {
+    return null;
+  }
+  return (
+    -1.675 +
+    0.037 * ageYears +
+    0.094 * bmiKg_m2 +
+    1.13 * (ifgOrDiabetes ? 1 : 0) +
+    0.99 * astAltRatio -
+    0.013 * plateletCount10e9_L -
+    0.66 * albuminG_dL
+  );
+}
+
+// Fatty liver index (Bedogni et al., BMC Gastroenterology 2006).
+export function computeFli({ triglyceridesMg_dL, bmiKg_m2, ggtIU_L, waistCircumferenceCm }) {
+  if (
+    !Number.isFinite(triglyceridesMg_dL) ||
+    triglyceridesMg_dL <= 0 ||
+    !Number.isFinite(bmiKg_m2) ||
+    !Number.isFinite(ggtIU_L) ||
+    ggtIU_L <= 0 ||
+    !Number.isFinite(waistCircumferenceCm)
+  ) {
+    return null;
+  }
+  const y =
+    0.953 * Math.log(triglyceridesMg_dL) + 0.139 * bmiKg_m2 + 0.718 * Math.log(ggtIU_L) + 0.053 * waistCircumferenceCm - 15.745;
+  return Number.isFinite(y) ? (Math.exp(y) / (1 + Math.exp(y))) * 100 : null;
+}
+
+// FIB-4 (Sterling et al., Hepatology 2006).
+export function computeFib4({ ageYears, astIU_L, altIU_L, plateletCount10e9_L }) {
+  if (
+    !Number.isFinite(ageYears) ||
+    !Number.isFinite(astIU_L) ||
+    astIU_L <= 0 ||
+    !Number.isFinite(altIU_L) ||
+    altIU_L <= 0 ||
+    !Number.isFinite(plateletCount10e9_L) ||
+    plateletCount10e9_L <= 0
+  ) {
+    return null;
+  }
+  return (ageYears * astIU_L) / (plateletCount10e9_L * Math.sqrt(altIU_L));
+}
+
+// BARD score (Harrison et al., Gut 2008).
+export function computeBard({ bmiKg_m2, ifgOrDiabetes, astIU_L, altIU_L }) {
+  const astAltRatio = computeAstAltRatio({ astIU_L, altIU_L });
+  if (!Number.isFinite(astAltRatio) || !Number.isFinite(bmiKg_m2) || typeof ifgOrDiabetes !== "boolean") return null;
+  return (astAltRatio >= 0.8 ? 2 : 0) + (bmiKg_m2 >= 28 ? 1 : 0) + (ifgOrDiabetes ? 1 : 0);
+}
+
+// The liver health section's scores from its age, anthropometry and labs;
+// `bmiKg_m2` is used when height or weight is missing.
+export function computeLiverScoresFromPatient(patient) {
+  const ageCandidate = Number.isFinite(patient?.age) ? patient.age : null;
+  const heightCmCandidate = Number.isFinite(patient?.heightCm) ? patient.heightCm : null;
+  const weightKgCandidate = Number.isFinite(patient?.weightKg) ? patient.weightKg : null;
+  const waistCmCandidate = Number.isFinite(patient?.waistCm) ? patient.waistCm : null;
+  const bmiCandidate =
+    computeBmiKgM2({ heightCm: heightCmCandidate, weightKg: weightKgCandidate }) ??
+    (Number.isFinite(patient?.bmiKg_m2) ? patient.bmiKg_m2 : null);
+  const diabetesCandidate = typeof patient?.diabetesOrIfg === "boolean" ? patient.diabetesOrIfg : null;
+  const astCandidate = Number.isFinite(patient?.astIU_L) ? patient.astIU_L : null;
+  const altCandidate = Number.isFinite(patient?.altIU_L) ? patient.altIU_L : null;
+  const plateletCandidate = Number.isFinite(patient?.plateletCount10e9_L) ? patient.plateletCount10e9_L : null;
+  const albuminCandidate = Number.isFinite(patient?.albuminG_dL) ? patient.albuminG_dL : null;
+  const triglyceridesCandidate = Number.isFinite(patient?.triglyceridesMg_dL) ? patient.triglyceridesMg_dL : null;
+  const ggtCandidate = Number.isFinite(patient?.ggtIU_L) ? patient.ggtIU_L : null;
+
+  const liverScoreInputs = {
+    ageYears: ageCandidate,
+    bmiKg_m2: bmiCandidate,
+    ifgOrDiabetes: diabetesCandidate,
+    astIU_L: astCandidate,
+    altIU_L: altCandidate,
+    plateletCount10e9_L: plateletCandidate,
+    albuminG_dL: albuminCandidate,
+    triglyceridesMg_dL: triglyceridesCandidate,
+    ggtIU_L: ggtCandidate,
+    waistCircumferenceCm: waistCmCandidate
+  };
+  const astAltRatio = computeAstAltRatio(liverScoreInputs);
+  const nfsScore = computeNfs(liverScoreInputs);
+  const fliScore = computeFli(liverScoreInputs);
+  const fib4Score = computeFib4(liverScoreInputs);
+  const bardScore = computeBard(liverScoreInputs);
+
+  return {
+    inputs: {
+      ageYears: ageCandidate,
+      heightCm: Number.isFinite(heightCmCandidate) ? heightCmCandidate : null,
+      weightKg: Number.isFinite(weightKgCandidate) ? weightKgCandidate : null,
+      waistCircumferenceCm: Number.isFinite(waistCmCandidate) ? waistCmCandidate : null,
+      bmiKg_m2: Number.isFinite(bmiCandidate) ? bmiCandidate : null,
+      ifgOrDiabetes: typeof diabetesCandidate === "boolean" ? diabetesCandidate : null,
+      astIU_L: Number.isFinite(astCandidate) ? astCandidate : null,
+      altIU_L: Number.isFinite(altCandidate) ? altCandidate : null,
+      plateletCount10e9_L: Number.isFinite(plateletCandidate) ? plateletCandidate : null,
+      albuminG_dL: Number.isFinite(albuminCandidate) ? albuminCandidate : null,
+      triglyceridesMg_dL: Number.isFinite(triglyceridesCandidate) ? triglyceridesCandidate : null,
+      ggtIU_L: Number.isFinite(ggtCandidate) ? ggtCandidate : null,
+      astAltRatio: Number.isFinite(astAltRatio) ? astAltRatio : null
+    },
+    nfs: {
+      score: Number.isFinite(nfsScore) ? nfsScore : null,
+      interpretation: interpretNfs(nfsScore)
+    },
+    fli: {
+      score: Number.isFinite(fliScore) ? fliScore : null,
+      interpretation: interpretFli(fliScore)
+    },
+    fib4: {
+      score: Number.isFinite(fib4Score) ? fib4Score : null,
+      interpretation: interpretFib4(fib4Score)
+    },
+    bard: {
+      score: Number.isFinite(bardScore) ? bardScore : null,
+      interpretation: interpretBard(bardScore)
+    }
+  };
+}
+
+export function interpretNfs(score) {
+  if (!Number.isFinite(score)) return "";
+  if (score < -1.455) return "Advanced fibrosis absent (F0–F2); NPV 93%";
+  if (score <= 0.675) return "Indeterminate";
+  return "Advanced fibrosis present (F3–F4); PPV 90%";
+}
+
+export function interpretFli(score) {
+  if (!Number.isFinite(score)) return "";
+  if (score < 30) return "Fatty liver ruled out — Sensitivity 87%, LR− 0.2";
+  if (score < 60) return "Indeterminate";
+  return "Fatty liver present — Specificity 86%, LR+ 4.3";
+}
+
+export function interpretFib4(score) {
+  if (!Number.isFinite(score)) return "";
+  if (score < 1.45) return "Advanced fibrosis absent (F0–F2) — NPV 90%";
+  if (score <= 3.25) return "Indeterminate — biopsy may be needed";
+  return "Advanced fibrosis present (F3–F4) — Specificity 97%, PPV 65%";
+}
+
+export function interpretBard(score) {
+  if (!Number.isFinite(score)) return "";
+  if (score <= 1) return "Advanced fibrosis absent — High NPV of 96%";
+  return "Advanced fibrosis present — Further evaluation needed";
+}
+
+export function interpretElastographyKpa(kPa) {
+  if (!Number.isFinite(kPa)) return "";
+  if (kPa < 5) return "Normal";
+  if (kPa < 7) return "Mild fibrosis risk";
+  if (kPa < 9) return "Significant fibrosis possible";
+  if (kPa < 12) return "Advanced fibrosis";
+  return "Cirrhosis likely";
+}
+
+export function interpretCap(cap) {
+  if (!Number.isFinite(cap)) return "";
+  if (cap < 238) return "Normal";
+  if (cap < 260) return "Mild fatty liver";
+  if (cap < 290) return "Moderate fatty liver";
+  return "Severe fatty liver";
+}
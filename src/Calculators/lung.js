@@ -0,0 +1,204 @@
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const requireModule = createRequire(import.meta.url);
+
+const GLI_2012_TABLES_PATH = (() => {
+  const raw = process.env.GLI_2012_TABLES_PATH;
+  if (typeof raw === "string" && raw.trim()) return path.resolve(raw.trim());
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  return path.resolve(here, "../data/gli2012Spirometry.json");
+})();
+
+// Lung age from FEV1 (Morris & Temple, Am Rev Respir Dis 1985).
+export function computeLungAgeYears({ sex, heightCm, fev1L }) {
+  const s = typeof sex === "string" ? sex.trim().toLowerCase() : "";
+  if (s !== "male" && s !== "female") return { lungAgeYears: null, formula: "" };
+  if (!Number.isFinite(heightCm) || heightCm <= 0) return { lungAgeYears: null, formula: "" };
+  if (!Number.isFinite(fev1L) || fev1L <= 0) return { lungAgeYears: null, formula: "" };
+
+  const fev1 = fev1L > 20 ? fev1L / 1000 : fev1L;
+  const formula =
+    s === "male"
+      ? "(0.036 * heightCm - 1.178 - fev1L) / 0.028"
+      : "(0.022 * heightCm - 0.005 - fev1L) / 0.0229";
+  const lungAge =
+    s === "male"
+      ? (0.036 * heightCm - 1.178 - fev1) / 0.028
+      : (0.022 * heightCm - 0.005 - fev1) / 0.0229;
+
+  if (!Number.isFinite(lungAge) || lungAge < 0 || lungAge > 150) return { lungAgeYears: null, formula };
+  return { lungAgeYears: Math.round(lungAge), formula };
+}
+
+export const GLI_2012_ETHNICITIES = ["caucasian", "african_american", "north_east_asian", "south_east_asian", "other"];
+export const GLI_2012_PARAMETERS = ["fev1", "fvc", "fev1fvc"];
+
+// z-score of the 5th centile, the lower limit of normal.
+const LLN_Z = -1.645;
+
+function loadGli2012Tables() {
+  try {
+    const parsed = requireModule(GLI_2012_TABLES_PATH);
+    const equations = parsed?.equations && typeof parsed.equations === "object" ? parsed.equations : {};
+    const loaded = Object.values(equations).some((bySex) => GLI_2012_PARAMETERS.some((parameter) => bySex?.[parameter]?.splines?.length > 0));
+    if (!loaded) {
+      console.warn(
+        `[Calculators] ${GLI_2012_TABLES_PATH} has no GLI-2012 coefficients; spirometry uses the spirometer's predicted values until the published tables are imported with src/SeedFiles/importGli2012Tables.js`
+      );
+    }
+    return equations;
+  } catch (err) {
+    console.error(`[Calculators] Could not load ${GLI_2012_TABLES_PATH}:`, err instanceof Error ? err.message : err);
+    return {};
+  }
+}
+
+const gli2012Tables = loadGli2012Tables();
+
+// The published lookup tables step age by 0.25 years; values in between are
+// interpolated linearly. Resolves [Mspline, Sspline, Lspline] or null outside
+// the table.
+function splinesAt(rows, age) {
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+  for (let i = 0; i < rows.length; i += 1) {
+    const [a0, ...v0] = rows[i];
+    if (age === a0) return v0.map((v) => v ?? 0);
+    const next = rows[i + 1];
+    if (next && age > a0 && age < next[0]) {
+      const t = (age - a0) / (next[0] - a0);
+      return v0.map((v, k) => (v ?? 0) + t * ((next[k + 1] ?? 0) - (v ?? 0)));
+    }
+  }
+  return null;
+}
+
+function linearTerm(coefficients, { lnHeight, lnAge, ethnicity }) {
+  if (!coefficients || typeof coefficients !== "object") return null;
+  return (
+    (coefficients.intercept ?? 0) +
+    (coefficients.lnHeight ?? 0) * lnHeight +
+    (coefficients.lnAge ?? 0) * lnAge +
+    (coefficients.ethnicity?.[ethnicity] ?? 0)
+  );
+}
+
+/**
+ * GLI-2012 reference for one parameter (fev1 and fvc in L, fev1fvc as a
+ * ratio) by the LMS method (Quanjer et al., Eur Respir J 2012). Coefficients
+ * and age splines come from src/data/gli2012Spirometry.json. Resolves
+ * { predicted, lln, uln, l, m, s } or null when the tables are not loaded or
+ * the patient is outside them (age 3-95).
+ */
+export function computeGli2012Reference({ parameter, ageYears, sex, heightCm, ethnicity = "other" }) {
+  const table = gli2012Tables?.[sex]?.[parameter];
+  if (!table || !Number.isFinite(ageYears) || !Number.isFinite(heightCm) || heightCm <= 0) return null;
+  const splines = splinesAt(table.splines, ageYears);
+  if (!splines) return null;
+  const eth = GLI_2012_ETHNICITIES.includes(ethnicity) ? ethnicity : "other";
+  const terms = { lnHeight: Math.log(heightCm), lnAge: Math.log(ageYears), ethnicity: eth };
+  const mTerm = linearTerm(table.M, terms);
+  const sTerm = linearTerm(table.S, terms);
+  const lTerm = linearTerm(table.L, terms);
+  if (mTerm === null || sTerm === null || lTerm === null) return null;
+  const m = Math.exp(mTerm + splines[0]);
+  const s = Math.exp(sTerm + splines[1]);
+  const l = lTerm + (splines[2] ?? 0);
+  const centile = (z) => m * Math.pow(1 + l * s * z, 1 / l);
+  return { predicted: m, lln: centile(LLN_Z), uln: centile(-LLN_Z), l, m, s };
+}
+
+function zScore(reference, measured) {
+  if (!reference || !Number.isFinite(measured) || measured <= 0) return null;
+  const { l, m, s } = reference;
+  return (Math.pow(measured / m, l) - 1) / (l * s);
+}
+
+/**
+ * Measured values against GLI-2012: { fev1, fvc, fev1fvc }, each
+ * { measured, predicted, lln, zScore, percentPredicted, source }, where
+ * `source` is "gli2012" or, when the tables are missing, "device" for the
+ * predicted values the spirometer exported (`devicePredicted`).
+ */
+export function compareSpirometryToReference({ ageYears, sex, heightCm, ethnicity, fev1L, fvcL, fev1FvcRatio, devicePredicted = {} }) {
+  const measured = { fev1: fev1L, fvc: fvcL, fev1fvc: fev1FvcRatio };
+  const out = {};
+  for (const parameter of GLI_2012_PARAMETERS) {
+    const value = Number.isFinite(measured[parameter]) ? measured[parameter] : null;
+    const reference = computeGli2012Reference({ parameter, ageYears, sex, heightCm, ethnicity });
+    if (reference) {
+      out[parameter] = {
+        measured: value,
+        predicted: reference.predicted,
+        lln: reference.lln,
+        zScore: zScore(reference, value),
+        percentPredicted: value !== null ? (value / reference.predicted) * 100 : null,
+        source: "gli2012"
+      };
+      continue;
+    }
+    const device = devicePredicted?.[parameter] ?? {};
+    const predicted = Number.isFinite(device.predicted) ? device.predicted : null;
+    out[parameter] = {
+      measured: value,
+      predicted,
+      lln: Number.isFinite(device.lln) ? device.lln : null,
+      zScore: Number.isFinite(device.zScore) ? device.zScore : null,
+      percentPredicted: Number.isFinite(device.percentPredicted)
+        ? device.percentPredicted
+        : value !== null && predicted ? (value / predicted) * 100 : null,
+      source: predicted !== null || Number.isFinite(device.lln) || Number.isFinite(device.zScore) ? "device" : null
+    };
+  }
+  return out;
+}
+
+function belowLln(result) {
+  if (!result || !Number.isFinite(result.measured)) return null;
+  if (Number.isFinite(result.zScore)) return { low: result.zScore < LLN_Z, method: "z_score" };
+  if (Number.isFinite(result.lln)) return { low: result.measured < result.lln, method: "lln" };
+  return null;
+}
+
+/**
+ * Spirometry pattern by the ATS/ERS 2022 interpretation strategy (Stanojevic
+ * et al., Eur Respir J 2022): FEV1/FVC below the LLN is obstruction, a low
+ * FVC with a preserved ratio suggests restriction (to be confirmed with lung
+ * volumes), and severity is graded on the FEV1 z-score. Without reference
+ * values obstruction falls back to the GOLD fixed ratio (< 0.70) with
+ * severity by FEV1 % predicted, and restriction is not judged.
+ * Takes the output of compareSpirometryToReference.
+ */
+export function classifySpirometryPattern({ fev1, fvc, fev1fvc }) {
+  const ratio = belowLln(fev1fvc) ?? (Number.isFinite(fev1fvc?.measured) ? { low: fev1fvc.measured < 0.7, method: "fixed_ratio" } : null);
+  const volume = belowLln(fvc);
+  if (!ratio) return { pattern: null, label: "FEV1/FVC not available", severity: null, method: null };
+
+  let pattern = "normal";
+  let label = "Normal spirometry";
+  if (ratio.low && volume?.low) {
+    pattern = "mixed";
+    label = "Obstruction with low FVC (possible mixed defect; confirm with lung volumes)";
+  } else if (ratio.low) {
+    pattern = "obstructive";
+    label = "Obstructive pattern";
+  } else if (volume?.low) {
+    pattern = "restrictive";
+    label = "Low FVC with preserved FEV1/FVC (possible restriction; confirm with lung volumes)";
+  } else if (!volume) {
+    pattern = "no_obstruction";
+    label = "No obstruction; restriction not assessed without FVC reference values";
+  }
+
+  let severity = null;
+  if (pattern === "obstructive" || pattern === "mixed" || pattern === "restrictive") {
+    if (Number.isFinite(fev1?.zScore)) {
+      severity = fev1.zScore >= -2.5 ? "mild" : fev1.zScore >= -4 ? "moderate" : "severe";
+    } else if (Number.isFinite(fev1?.percentPredicted)) {
+      const pct = fev1.percentPredicted;
+      severity = pct >= 80 ? "mild" : pct >= 50 ? "moderate" : pct >= 30 ? "severe" : "very_severe";
+    }
+  }
+  return { pattern, label, severity, method: ratio.method };
+}
@@ -0,0 +1,21 @@
+export function computeBmiKgM2({ heightCm, weightKg }) {
+  if (!Number.isFinite(heightCm) || heightCm <= 0) return null;
+  if (!Number.isFinite(weightKg) || weightKg <= 0) return null;
+  const m = heightCm / 100;
+  const bmi = weightKg / (m * m);
+  if (!Number.isFinite(bmi) || bmi <= 0) return null;
+  return bmi;
+}
+
+
+// HOMA-IR (Matthews et al., Diabetologia 1985) and QUICKI (Katz et al., JCEM 2000).
+export function computeInsulinResistance({ fastingGlucoseMg_dL, fastingInsulinUu_mL }) {
+  const g = Number.isFinite(fastingGlucoseMg_dL) ? fastingGlucoseMg_dL : null;
+  const i = Number.isFinite(fastingInsulinUu_mL) ? fastingInsulinUu_mL : null;
+  if (!Number.isFinite(g) || !Number.isFinite(i) || g <= 0 || i <= 0) {
+    return { homaIr: null, quicki: null };
+  }
+  const homaIr = (g * i) / 405;
+  const quicki = 1 / (Math.log10(i) + Math.log10(g));
+  return { homaIr, quicki };
+}
@@ -0,0 +1,47 @@
+import { getAiResultCacheStats, purgeAiResultCache } from "../utils/aiResultCache.js";
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+export async function getAdminAiCacheController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    return res.json(await getAiResultCacheStats());
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to load AI cache stats";
+    return res.status(500).json({ error: message });
+  }
+}
+
+// Filters (query or body): route, provider, model, checksum, olderThan (date).
+// With no filter every cached result is dropped.
+export async function purgeAdminAiCacheController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const source = { ...(req.body && typeof req.body === "object" ? req.body : {}), ...req.query };
+    const olderThanRaw = normalizeString(source.olderThan);
+    const olderThan = olderThanRaw ? new Date(olderThanRaw) : null;
+    if (olderThan && Number.isNaN(olderThan.getTime())) {
+      return res.status(400).json({ error: "olderThan must be a valid date" });
+    }
+
+    const { deletedCount } = await purgeAiResultCache({
+      route: source.route,
+      provider: source.provider,
+      model: source.model,
+      checksum: source.checksum,
+      olderThan
+    });
+    return res.json({ deletedCount });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to purge AI cache";
+    return res.status(500).json({ error: message });
+  }
+}
@@ -0,0 +1,84 @@
+import {
+  createPromptVersion,
+  getPromptDetail,
+  listPrompts,
+  updatePromptRouting
+} from "../utils/promptRegistry.js";
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function sendError(res, err, fallback) {
+  const statusCode = typeof err?.statusCode === "number" ? err.statusCode : 500;
+  const message = err instanceof Error ? err.message : fallback;
+  return res.status(statusCode).json({ error: message });
+}
+
+export async function listAdminPromptsController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    return res.json({ items: await listPrompts() });
+  } catch (err) {
+    return sendError(res, err, "Failed to load prompts");
+  }
+}
+
+export async function getAdminPromptController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const prompt = await getPromptDetail(normalizeString(req.params?.name));
+    if (!prompt) return res.status(404).json({ error: "Prompt not found" });
+    return res.json({ prompt });
+  } catch (err) {
+    return sendError(res, err, "Failed to load prompt");
+  }
+}
+
+export async function createAdminPromptVersionController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const prompt = await createPromptVersion(normalizeString(req.params?.name), {
+      text: body.text,
+      note: body.note,
+      activate: body.activate === true,
+      actor: req.user?._id || null
+    });
+    return res.status(201).json({ prompt });
+  } catch (err) {
+    return sendError(res, err, "Failed to save prompt version");
+  }
+}
+
+// Body: any of activeVersion, pin { route, version }, unpinRoute,
+// candidate { version, percent } | null, plus an optional changelog note.
+export async function updateAdminPromptController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const prompt = await updatePromptRouting(normalizeString(req.params?.name), {
+      activeVersion: body.activeVersion,
+      pin: body.pin,
+      unpinRoute: body.unpinRoute,
+      candidate: body.candidate,
+      note: body.note,
+      actor: req.user?._id || null
+    });
+    return res.json({ prompt });
+  } catch (err) {
+    return sendError(res, err, "Failed to update prompt");
+  }
+}
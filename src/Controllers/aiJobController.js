@@ -0,0 +1,193 @@
+import mongoose from "mongoose";
+import { AI_JOB_STATUSES } from "../Models/AiJob.js";
+import { resolvePatientReportForAiRun } from "./patientReportController.js";
+import {
+  cancelAiJob,
+  enqueueAiJob,
+  getAiJob,
+  getAiJobKind,
+  isAiJobTerminal,
+  listAiJobs,
+  subscribeToAiJob,
+  toAiJobResponse
+} from "../utils/aiJobQueue.js";
+
+const DEFAULT_JOB_LIST_LIMIT = 20;
+const MAX_JOB_LIST_LIMIT = 100;
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function collectFiles(req) {
+  const files = [];
+  if (Array.isArray(req?.files)) files.push(...req.files);
+  else if (req?.files && typeof req.files === "object") {
+    for (const list of Object.values(req.files)) {
+      if (Array.isArray(list)) files.push(...list);
+    }
+  }
+  if (req?.file) files.push(req.file);
+  return files;
+}
+
+async function loadJobForActor(req) {
+  if (!req?.app?.locals?.dbReady) {
+    return { error: { status: 500, body: { error: "Database not configured" } } };
+  }
+
+  const jobId = normalizeString(req.params?.jobId);
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return { error: { status: 400, body: { error: "Invalid jobId" } } };
+  }
+
+  const job = await getAiJob(jobId);
+  if (!job?._id) {
+    return { error: { status: 404, body: { error: "Job not found" } } };
+  }
+
+  const actorId = req.user?._id?.toString?.() || "";
+  if (req.user?.role !== "super_admin" && job.createdBy?.toString?.() !== actorId) {
+    return { error: { status: 403, body: { error: "Forbidden" } } };
+  }
+
+  return { job };
+}
+
+export async function createAiJobController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) return res.status(500).json({ error: "Database not configured" });
+
+    const kind = normalizeString(req.params?.kind);
+    const definition = getAiJobKind(kind);
+    if (!definition) return res.status(404).json({ error: `Unknown job kind "${kind}"` });
+
+    const prepared = await definition.prepare(req);
+    if (prepared?.error) return res.status(400).json({ error: prepared.error });
+
+    let access = null;
+    const reportId = normalizeString(req.body?.reportId ?? req.query?.reportId);
+    if (reportId) {
+      access = await resolvePatientReportForAiRun({ req, reportId });
+      if (access.error) return res.status(access.error.status).json(access.error.body);
+    }
+
+    const job = await enqueueAiJob({
+      kind,
+      input: prepared?.input ?? null,
+      files: collectFiles(req),
+      provider: normalizeString(prepared?.provider),
+      createdBy: req.user._id,
+      createdByRole: normalizeString(req.user?.role),
+      patientId: access?.patientId || null,
+      reportId: access?.reportId || null,
+      requestId: normalizeString(res.getHeader("x-request-id"))
+    });
+
+    res.status(202).json({ job });
+  } catch (err) {
+    res.status(500).json({ error: err instanceof Error ? err.message : "Failed to create job" });
+  }
+}
+
+export async function listAiJobsController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) return res.status(500).json({ error: "Database not configured" });
+
+    const filter = {};
+    if (req.user?.role !== "super_admin") filter.createdBy = req.user._id;
+
+    const status = normalizeString(req.query?.status);
+    if (status) {
+      if (!AI_JOB_STATUSES.includes(status)) return res.status(400).json({ error: "Invalid status" });
+      filter.status = status;
+    }
+    const kind = normalizeString(req.query?.kind);
+    if (kind) filter.kind = kind;
+
+    const limitRaw = Number(req.query?.limit);
+    const limit =
+      Number.isFinite(limitRaw) && limitRaw > 0 ? Math.min(Math.floor(limitRaw), MAX_JOB_LIST_LIMIT) : DEFAULT_JOB_LIST_LIMIT;
+
+    const jobs = await listAiJobs(filter, { limit });
+    res.json({ jobs: jobs.map(toAiJobResponse) });
+  } catch (err) {
+    res.status(500).json({ error: err instanceof Error ? err.message : "Failed to list jobs" });
+  }
+}
+
+export async function getAiJobController(req, res) {
+  try {
+    const { job, error } = await loadJobForActor(req);
+    if (error) return res.status(error.status).json(error.body);
+    res.json({ job: toAiJobResponse(job) });
+  } catch (err) {
+    res.status(500).json({ error: err instanceof Error ? err.message : "Failed to load job" });
+  }
+}
+
+export async function cancelAiJobController(req, res) {
+  try {
+    const { job, error } = await loadJobForActor(req);
+    if (error) return res.status(error.status).json(error.body);
+    if (isAiJobTerminal(job)) {
+      return res.status(409).json({ error: `Job is already ${job.status}`, job: toAiJobResponse(job) });
+    }
+
+    const updated = await cancelAiJob(job._id.toString());
+    res.json({ job: toAiJobResponse(updated) });
+  } catch (err) {
+    res.status(500).json({ error: err instanceof Error ? err.message : "Failed to cancel job" });
+  }
+}
+
+// Server-sent events: one `job` event per state change, closed once the job
+// reaches a terminal status.
+export async function streamAiJobEventsController(req, res) {
+  let job;
+  try {
+    const loaded = await loadJobForActor(req);
+    if (loaded.error) return res.status(loaded.error.status).json(loaded.error.body);
+    job = loaded.job;
+  } catch (err) {
+    return res.status(500).json({ error: err instanceof Error ? err.message : "Failed to load job" });
+  }
+
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers writes unless flushed.
+    res.flush?.();
+  };
+
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+    res.flush?.();
+  }, SSE_HEARTBEAT_MS);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  send("job", toAiJobResponse(job));
+  if (isAiJobTerminal(job)) return close();
+
+  unsubscribe = subscribeToAiJob(job._id.toString(), (snapshot) => {
+    send("job", snapshot);
+    if (isAiJobTerminal(snapshot)) close();
+  });
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
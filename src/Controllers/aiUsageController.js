@@ -0,0 +1,216 @@
+import mongoose from "mongoose";
+import { AiQuota } from "../Models/AiQuota.js";
+import { AiUsage } from "../Models/AiUsage.js";
+import { User } from "../Models/User.js";
+import { getAiQuotaStatus } from "../utils/aiUsage.js";
+
+const QUOTA_ROLES = ["super_admin", "doctor", "nurse", "patient"];
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function parseDate(value) {
+  const text = normalizeString(value);
+  if (!text) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+function roundCost(value) {
+  return Math.round((value || 0) * 10000) / 10000;
+}
+
+const usageTotals = {
+  requests: { $sum: { $cond: ["$fallbackAttempt", 0, 1] } },
+  failed: { $sum: { $cond: [{ $or: ["$ok", "$fallbackAttempt"] }, 0, 1] } },
+  fallbackAttempts: { $sum: { $cond: ["$fallbackAttempt", 1, 0] } },
+  inputTokens: { $sum: "$inputTokens" },
+  outputTokens: { $sum: "$outputTokens" },
+  totalTokens: { $sum: "$totalTokens" },
+  costUsd: { $sum: "$costUsd" },
+  avgLatencyMs: { $avg: "$latencyMs" }
+};
+
+function formatTotals(row) {
+  return {
+    requests: row?.requests || 0,
+    failed: row?.failed || 0,
+    fallbackAttempts: row?.fallbackAttempts || 0,
+    inputTokens: row?.inputTokens || 0,
+    outputTokens: row?.outputTokens || 0,
+    totalTokens: row?.totalTokens || 0,
+    costUsd: roundCost(row?.costUsd),
+    avgLatencyMs: Math.round(row?.avgLatencyMs || 0)
+  };
+}
+
+// Query: from, to (dates; default the last 30 days), route, provider, userId.
+export async function getAdminAiUsageController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const from = parseDate(req.query?.from);
+    const to = parseDate(req.query?.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from/to must be valid dates" });
+    }
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const match = { createdAt: { $gte: start, $lte: end } };
+    if (normalizeString(req.query?.route)) match.route = normalizeString(req.query.route);
+    if (normalizeString(req.query?.provider)) match.provider = normalizeString(req.query.provider);
+    if (normalizeString(req.query?.userId)) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) return res.status(400).json({ error: "Invalid userId" });
+      match.user = new mongoose.Types.ObjectId(req.query.userId);
+    }
+
+    const [totalsRaw, byDayRaw, byRouteRaw, byUserRaw, byModelRaw] = await Promise.all([
+      AiUsage.aggregate([{ $match: match }, { $group: { _id: null, ...usageTotals } }]),
+      AiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } }, ...usageTotals } },
+        { $sort: { _id: 1 } }
+      ]),
+      AiUsage.aggregate([{ $match: match }, { $group: { _id: "$route", ...usageTotals } }, { $sort: { costUsd: -1 } }]),
+      AiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: "$user", role: { $last: "$userRole" }, ...usageTotals } },
+        { $sort: { costUsd: -1 } },
+        { $limit: 100 }
+      ]),
+      AiUsage.aggregate([
+        { $match: match },
+        { $group: { _id: { provider: "$provider", model: "$model" }, ...usageTotals } },
+        { $sort: { costUsd: -1 } }
+      ])
+    ]);
+
+    const userIds = byUserRaw.map((row) => row._id).filter(Boolean);
+    const users = await User.find({ _id: { $in: userIds } }, { name: 1, email: 1, role: 1 }).lean();
+    const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+
+    return res.json({
+      range: { from: start, to: end },
+      totals: formatTotals(totalsRaw[0]),
+      byDay: byDayRaw.map((row) => ({ date: row._id, ...formatTotals(row) })),
+      byRoute: byRouteRaw.map((row) => ({ route: row._id || "", ...formatTotals(row) })),
+      byUser: byUserRaw.map((row) => {
+        const user = row._id ? usersById.get(row._id.toString()) : null;
+        return {
+          userId: row._id ? row._id.toString() : null,
+          name: user?.name || "",
+          email: user?.email || "",
+          role: user?.role || row.role || "",
+          ...formatTotals(row)
+        };
+      }),
+      byModel: byModelRaw.map((row) => ({ provider: row._id?.provider || "", model: row._id?.model || "", ...formatTotals(row) }))
+    });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to load AI usage";
+    return res.status(500).json({ error: message });
+  }
+}
+
+export async function listAdminAiQuotasController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const items = await AiQuota.find({}).populate("user", "name email role").sort({ scope: 1, role: 1, period: 1 }).lean();
+    return res.json({ items });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to load AI quotas";
+    return res.status(500).json({ error: message });
+  }
+}
+
+// Body: scope ("role" | "user"), role or userId, period ("day" | "month"),
+// maxRequests, maxTokens, maxCostUsd (null or empty for no limit).
+export async function upsertAdminAiQuotaController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const scope = normalizeString(body.scope);
+    const period = normalizeString(body.period);
+    if (!["role", "user"].includes(scope)) return res.status(400).json({ error: "scope must be role or user" });
+    if (!["day", "month"].includes(period)) return res.status(400).json({ error: "period must be day or month" });
+
+    const key = { scope, period, role: "", user: null };
+    if (scope === "role") {
+      key.role = normalizeString(body.role);
+      if (!QUOTA_ROLES.includes(key.role)) return res.status(400).json({ error: `role must be one of ${QUOTA_ROLES.join(", ")}` });
+    } else {
+      const userId = normalizeString(body.userId);
+      if (!mongoose.Types.ObjectId.isValid(userId)) return res.status(400).json({ error: "Invalid userId" });
+      if (!(await User.exists({ _id: userId }))) return res.status(404).json({ error: "User not found" });
+      key.user = new mongoose.Types.ObjectId(userId);
+    }
+
+    const limits = {
+      maxRequests: parseLimit(body.maxRequests),
+      maxTokens: parseLimit(body.maxTokens),
+      maxCostUsd: parseLimit(body.maxCostUsd)
+    };
+    if (Object.values(limits).some((v) => v === undefined)) {
+      return res.status(400).json({ error: "Limits must be non-negative numbers or null" });
+    }
+
+    const quota = await AiQuota.findOneAndUpdate(
+      key,
+      { $set: { ...limits, updatedBy: req.user?._id || null } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return res.json({ quota });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to save AI quota";
+    return res.status(500).json({ error: message });
+  }
+}
+
+export async function deleteAdminAiQuotaController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const { quotaId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(quotaId)) return res.status(400).json({ error: "Invalid quotaId" });
+
+    const deleted = await AiQuota.findByIdAndDelete(quotaId).lean();
+    if (!deleted) return res.status(404).json({ error: "Quota not found" });
+    return res.json({ ok: true });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to delete AI quota";
+    return res.status(500).json({ error: message });
+  }
+}
+
+// The caller's own quotas and what is left of them.
+export async function getMyAiQuotaController(req, res) {
+  try {
+    if (!req?.app?.locals?.dbReady) {
+      return res.status(500).json({ error: "Database not configured" });
+    }
+
+    const { quotas, exceeded } = await getAiQuotaStatus(req.user);
+    return res.json({ quotas, exceeded: Boolean(exceeded) });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to load AI quota";
+    return res.status(500).json({ error: message });
+  }
+}
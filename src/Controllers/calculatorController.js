@@ -0,0 +1,25 @@
+import { getCalculator, listCalculators, runCalculator } from "../Calculators/index.js";
+
+function sendError(res, err, fallback) {
+  const statusCode = typeof err?.statusCode === "number" ? err.statusCode : 500;
+  const message = err instanceof Error ? err.message : fallback;
+  return res.status(statusCode).json({ error: message, ...(Array.isArray(err?.details) ? { details: err.details } : {}) });
+}
+
+export function listCalculatorsController(req, res) {
+  return res.json({ items: listCalculators() });
+}
+
+export function getCalculatorController(req, res) {
+  const calculator = getCalculator(req.params.id);
+  if (!calculator) return res.status(404).json({ error: `Unknown calculator "${req.params.id}"` });
+  return res.json(calculator);
+}
+
+export function runCalculatorController(req, res) {
+  try {
+    return res.json(runCalculator(req.params.id, req.body));
+  } catch (err) {
+    return sendError(res, err, "Calculation failed");
+  }
+}
@@ -189,7 +189,7 @@ async function generateAiEmailDraft({ user, prompt, tone, extraInstructions }) {
   const response = await generateGptJson({
     systemPrompt: system,
     userPrompt,
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    task: "emailDraft",
     temperature: 0.6
   });
 
@@ -238,7 +238,7 @@ async function generateAiBroadcastEmailDraft({ sender, recipients, prompt, tone,
   const response = await generateGptJson({
     systemPrompt: system,
     userPrompt,
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    task: "broadcastEmailDraft",
     temperature: 0.6
   });
 
@@ -281,7 +281,7 @@ async function generateAiNurseCrmTaskDraft({
   const response = await generateGptJson({
     systemPrompt,
     userPrompt,
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    task: "nurseCrmTaskDraft",
     temperature: 0.4
   });
 
@@ -497,7 +497,7 @@ async function generateAiAppointmentInstructionDraft({
   const response = await generateGptJson({
     systemPrompt,
     userPrompt,
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    task: "appointmentInstructionDraft",
     temperature: 0.4
   });
   const data = response?.data || {};
@@ -2,6 +2,7 @@ import { PatientProfile } from "../Models/PatientProfile.js";
 import { Appointment } from "../Models/Appointment.js";
 import { PatientReport } from "../Models/PatientReport.js";
 import { Notification } from "../Models/Notification.js";
+import { PATIENT_VISIBLE_REPORT_FILTER } from "../utils/reportLifecycle.js";
 
 function buildDoctorOption(user) {
   if (!user?._id) return null;
@@ -39,7 +40,7 @@ export async function getPatientDashboardController(req, res) {
         .sort({ scheduledAt: 1 })
         .lean(),
 
-      PatientReport.findOne({ patient: patientId })
+      PatientReport.findOne({ patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER })
         .select("reportNumber createdAt assignedDoctor")
         .populate("assignedDoctor", "name")
         .sort({ createdAt: -1 })
@@ -6,6 +6,7 @@ import { PatientDocument, PATIENT_DOCUMENT_CATEGORIES } from "../Models/PatientD
 import { PatientReport } from "../Models/PatientReport.js";
 import { PatientProfile } from "../Models/PatientProfile.js";
 import { Notification } from "../Models/Notification.js";
+import { PATIENT_VISIBLE_REPORT_FILTER, patientVisibleProjection, toPatientVisibleReport } from "../utils/reportLifecycle.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -224,28 +225,29 @@ export async function listDocumentsByReportController(req, res) {
     if (!patientId) return res.status(401).json({ error: "Unauthorized" });
 
     // Get all reports with their uploaded documents
-    const reports = await PatientReport.find(
-      { patient: patientId, "uploadedDocuments.0": { $exists: true } },
-      { reportNumber: 1, createdAt: 1, uploadedDocuments: 1, assignedDoctor: 1 }
-    )
+    const reports = await PatientReport.find({ patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER })
+      .select(patientVisibleProjection(["reportNumber", "createdAt", "uploadedDocuments", "assignedDoctor"]))
       .populate("assignedDoctor", "name")
       .sort({ createdAt: -1 })
       .lean();
 
-    const folders = reports.map((report) => ({
-      reportId: report._id.toString(),
-      reportNumber: report.reportNumber,
-      reportDate: report.createdAt,
-      doctor: report.assignedDoctor ? { id: report.assignedDoctor._id.toString(), name: report.assignedDoctor.name } : null,
-      documents: (report.uploadedDocuments || []).map((doc) => ({
-        id: doc._id.toString(),
-        stepId: doc.stepId,
-        originalName: doc.originalName,
-        mimeType: doc.mimeType,
-        size: doc.size,
-        uploadedAt: doc.uploadedAt,
-      })),
-    }));
+    const folders = reports
+      .map(toPatientVisibleReport)
+      .filter((report) => report?.uploadedDocuments?.length > 0)
+      .map((report) => ({
+        reportId: report._id.toString(),
+        reportNumber: report.reportNumber,
+        reportDate: report.createdAt,
+        doctor: report.assignedDoctor ? { id: report.assignedDoctor._id.toString(), name: report.assignedDoctor.name } : null,
+        documents: (report.uploadedDocuments || []).map((doc) => ({
+          id: doc._id.toString(),
+          stepId: doc.stepId,
+          originalName: doc.originalName,
+          mimeType: doc.mimeType,
+          size: doc.size,
+          uploadedAt: doc.uploadedAt,
+        })),
+      }));
 
     return res.json({ folders });
   } catch (err) {
@@ -1,4 +1,14 @@
 import { PatientReport } from "../Models/PatientReport.js";
+import { PATIENT_VISIBLE_REPORT_FILTER, patientVisibleProjection, toPatientVisibleReport } from "../utils/reportLifecycle.js";
+
+// The patient's latest report whose visible version has a holistic plan.
+async function findLatestPlanReport(patientId) {
+  const reports = await PatientReport.find({ patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER })
+    .select(patientVisibleProjection(["holisticPlan", "reportNumber", "createdAt"]))
+    .sort({ createdAt: -1 })
+    .lean();
+  return reports.map(toPatientVisibleReport).find((report) => report?.holisticPlan) || null;
+}
 
 /**
  * GET /api/patient/lifestyle-plan
@@ -10,14 +20,9 @@ export async function getLifestylePlanController(req, res) {
     const patientId = req?.user?._id?.toString?.() || "";
     if (!patientId) return res.status(401).json({ error: "Unauthorized" });
 
-    const report = await PatientReport.findOne(
-      { patient: patientId, holisticPlan: { $ne: null } },
-      { holisticPlan: 1, reportNumber: 1, createdAt: 1 }
-    )
-      .sort({ createdAt: -1 })
-      .lean();
+    const report = await findLatestPlanReport(patientId);
 
-    if (!report || !report.holisticPlan) {
+    if (!report) {
       return res.json({ plan: null });
     }
 
@@ -56,9 +61,10 @@ export async function updateChecklistController(req, res) {
       return res.status(400).json({ message: "items must be an array" });
     }
 
-    const report = await PatientReport.findOne(
-      { patient: patientId, holisticPlan: { $ne: null } }
-    ).sort({ createdAt: -1 });
+    // Checklist ticks are the patient's own tracking, kept on the report itself
+    // rather than in its signed content.
+    const latest = await findLatestPlanReport(patientId);
+    const report = latest && (await PatientReport.findById(latest._id));
 
     if (!report) return res.status(404).json({ message: "No lifestyle plan found" });
 
@@ -95,12 +101,8 @@ export async function getAdherenceController(req, res) {
     const patientId = req?.user?._id?.toString?.() || "";
     if (!patientId) return res.status(401).json({ error: "Unauthorized" });
 
-    const report = await PatientReport.findOne(
-      { patient: patientId, holisticPlan: { $ne: null } },
-      { holisticPlan: 1 }
-    )
-      .sort({ createdAt: -1 })
-      .lean();
+    const latest = await findLatestPlanReport(patientId);
+    const report = latest && (await PatientReport.findById(latest._id).select("holisticPlan.checklist").lean());
 
     if (!report || !report.holisticPlan?.checklist) {
       return res.json({ adherence: { totalDays: 0, completedItems: 0, totalItems: 0, score: 0 } });
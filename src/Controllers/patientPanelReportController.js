@@ -2,6 +2,13 @@ import path from "node:path";
 import fs from "node:fs";
 import { fileURLToPath } from "node:url";
 import { PatientReport } from "../Models/PatientReport.js";
+import { buildLabTrends, simplifyLabTrends } from "../utils/labTrends.js";
+import {
+  findCurrentSignedVersion,
+  PATIENT_VISIBLE_REPORT_FILTER,
+  patientVisibleProjection,
+  toPatientVisibleReport
+} from "../utils/reportLifecycle.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,7 +27,9 @@ function buildReportListItem(report) {
       ? { id: report.assignedNurse._id.toString(), name: report.assignedNurse.name }
       : null,
     documentsCount: report.uploadedDocuments?.length || 0,
-    lastSavedAt: report.lastSavedAt || null
+    lastSavedAt: report.lastSavedAt || null,
+    version: report.version || 1,
+    releasedAt: report.releasedAt || null
   };
 }
 
@@ -38,26 +47,43 @@ export async function listPatientReportsController(req, res) {
     const limitNum = Math.min(50, Math.max(1, parseInt(limit, 10) || 20));
     const skip = (pageNum - 1) * limitNum;
 
-    const query = { patient: patientId };
+    // Patients only see reports a doctor has signed off and released; while
+    // one is being amended they keep seeing its last released version.
+    const query = { patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER };
 
-    const [reports, total] = await Promise.all([
+    const [reports, total, trendReports] = await Promise.all([
       PatientReport.find(query)
-        .select("reportNumber createdAt updatedAt assignedDoctor assignedNurse uploadedDocuments lastSavedAt")
+        .select(
+          patientVisibleProjection([
+            "reportNumber",
+            "version",
+            "releasedAt",
+            "createdAt",
+            "updatedAt",
+            "assignedDoctor",
+            "assignedNurse",
+            "uploadedDocuments",
+            "lastSavedAt"
+          ])
+        )
         .populate("assignedDoctor", "name")
         .populate("assignedNurse", "name")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum)
         .lean(),
-      PatientReport.countDocuments(query)
+      PatientReport.countDocuments(query),
+      // Trends span every report, not just the current page.
+      PatientReport.find(query).select(patientVisibleProjection(["reportNumber", "createdAt", "docsTestsAnalysis"])).lean()
     ]);
 
     return res.json({
-      reports: reports.map(buildReportListItem).filter(Boolean),
+      reports: reports.map(toPatientVisibleReport).map(buildReportListItem).filter(Boolean),
       total,
       page: pageNum,
       limit: limitNum,
-      totalPages: Math.ceil(total / limitNum)
+      totalPages: Math.ceil(total / limitNum),
+      labTrends: simplifyLabTrends(buildLabTrends(trendReports.map(toPatientVisibleReport).filter(Boolean)))
     });
   } catch (err) {
     console.error("listPatientReportsController error:", err);
@@ -76,19 +102,26 @@ export async function getPatientReportDetailController(req, res) {
 
     const { reportId } = req.params;
 
-    const report = await PatientReport.findOne({ _id: reportId, patient: patientId })
-      .populate("assignedDoctor", "name email phone")
-      .populate("assignedNurse", "name email phone")
-      .lean();
+    const report = toPatientVisibleReport(
+      await PatientReport.findOne({ _id: reportId, patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER })
+        .populate("assignedDoctor", "name email phone")
+        .populate("assignedNurse", "name email phone")
+        .lean()
+    );
 
     if (!report) return res.status(404).json({ error: "Report not found" });
 
+    const signature = findCurrentSignedVersion(report)?.signature;
+
     return res.json({
       id: report._id.toString(),
       reportNumber: report.reportNumber,
       createdAt: report.createdAt,
       updatedAt: report.updatedAt,
       lastSavedAt: report.lastSavedAt || null,
+      version: report.version || 1,
+      releasedAt: report.releasedAt || null,
+      signedBy: signature ? { name: signature.name, signedAt: signature.signedAt } : null,
       doctor: report.assignedDoctor
         ? { id: report.assignedDoctor._id.toString(), name: report.assignedDoctor.name, email: report.assignedDoctor.email }
         : null,
@@ -122,9 +155,11 @@ export async function downloadPatientReportDocController(req, res) {
 
     const { reportId, docId } = req.params;
 
-    const report = await PatientReport.findOne({ _id: reportId, patient: patientId })
-      .select("uploadedDocuments")
-      .lean();
+    const report = toPatientVisibleReport(
+      await PatientReport.findOne({ _id: reportId, patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER })
+        .select(patientVisibleProjection(["uploadedDocuments"]))
+        .lean()
+    );
 
     if (!report) return res.status(404).json({ error: "Report not found" });
 
@@ -1,4 +1,10 @@
 import { PatientReport } from "../Models/PatientReport.js";
+import {
+  getReportStatus,
+  PATIENT_VISIBLE_REPORT_FILTER,
+  patientVisibleProjection,
+  toPatientVisibleReport
+} from "../utils/reportLifecycle.js";
 
 /**
  * GET /api/patient/specialists
@@ -10,15 +16,14 @@ export async function listSpecialistReferralsController(req, res) {
     const patientId = req?.user?._id?.toString?.() || "";
     if (!patientId) return res.status(401).json({ error: "Unauthorized" });
 
-    const reports = await PatientReport.find(
-      { patient: patientId, holisticPlan: { $ne: null } },
-      { holisticPlan: 1, reportNumber: 1, createdAt: 1 }
-    )
+    const reports = await PatientReport.find({ patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER })
+      .select(patientVisibleProjection(["holisticPlan", "reportNumber", "createdAt"]))
       .sort({ createdAt: -1 })
       .lean();
 
     const referrals = [];
-    for (const report of reports) {
+    for (const report of reports.map(toPatientVisibleReport)) {
+      if (!report?.holisticPlan) continue;
       const plan = report.holisticPlan;
       const specialists = plan?.specialistCare || plan?.specialists || plan?.referrals || [];
       if (Array.isArray(specialists)) {
@@ -64,8 +69,12 @@ export async function updateSpecialistStatusController(req, res) {
       return res.status(400).json({ message: "Invalid status. Must be pending, booked, or completed" });
     }
 
-    const report = await PatientReport.findOne({ _id: reportId, patient: patientId });
+    const report = await PatientReport.findOne({ _id: reportId, patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER });
     if (!report) return res.status(404).json({ message: "Report not found" });
+    // The referral indexes the patient sees belong to the released plan, not the draft.
+    if (getReportStatus(report) !== "released") {
+      return res.status(409).json({ message: "This report is being amended; referral updates resume once it is released again" });
+    }
 
     const plan = report.holisticPlan || {};
     const specialists = plan.specialistCare || plan.specialists || plan.referrals || [];
@@ -2,6 +2,7 @@ import { Appointment } from "../Models/Appointment.js";
 import { PatientReport } from "../Models/PatientReport.js";
 import { PatientDocument } from "../Models/PatientDocument.js";
 import { Notification } from "../Models/Notification.js";
+import { PATIENT_VISIBLE_REPORT_FILTER } from "../utils/reportLifecycle.js";
 
 export async function getPatientTimelineController(req, res) {
   try {
@@ -48,7 +49,7 @@ export async function getPatientTimelineController(req, res) {
 
     // Fetch reports
     if (!type || type === "report") {
-      const reportQuery = { patient: patientId };
+      const reportQuery = { patient: patientId, ...PATIENT_VISIBLE_REPORT_FILTER };
       if (dateFilter.$gte || dateFilter.$lte) reportQuery.createdAt = dateFilter;
 
       const reports = await PatientReport.find(reportQuery)
@@ -6,11 +6,66 @@ import mongoose from "mongoose";
 import { NurseProfile } from "../Models/NurseProfile.js";
 import { PatientProfile } from "../Models/PatientProfile.js";
 import { PatientReport } from "../Models/PatientReport.js";
+import { PatientReportRevision } from "../Models/PatientReportRevision.js";
+import { User } from "../Models/User.js";
+import {
+  REPORT_PDF_LAYOUTS,
+  REPORT_PDF_SECTIONS,
+  buildPatientReportPdfFooter,
+  buildPatientReportPdfHtml,
+} from "../PdfTemplates/patientReportPdfTemplate.js";
+import { sendPlainNotificationEmail } from "../utils/emailService.js";
+import { buildLabTrends } from "../utils/labTrends.js";
+import { renderPdfFromHtml } from "../utils/pdfRenderer.js";
+import {
+  MISSING_BASE_EDIT_VERSION_WARNING,
+  acquireReportEditLock,
+  activeEditLocks,
+  bumpEditVersion,
+  findSectionsChangedSince,
+  isBaseEditVersionRequired,
+  isEditVersionConflict,
+  readBaseEditVersion,
+  releaseReportEditLock,
+} from "../utils/reportEditing.js";
+import {
+  captureReportSections,
+  diffReportSections,
+  isTrackedReportSection,
+  readReportSection,
+  recordReportRevisions,
+  writeReportSection,
+} from "../utils/reportRevisions.js";
+import {
+  REPORT_SIGNATURE_STATEMENT,
+  REPORT_TRANSITIONS,
+  buildLegacyReleasedVersion,
+  buildReportContent,
+  findCurrentSignedVersion,
+  getReportStatus,
+  hashReportContent,
+  isReportEditable,
+  reportLockedError,
+} from "../utils/reportLifecycle.js";
+import { createUserNotification } from "./notificationController.js";
+import { refreshSectionLabInputs } from "../utils/sectionLabInputs.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const REPORT_DOCUMENTS_DIR = path.join(__dirname, "..", "..", "uploads", "patient-report-documents");
 
+const AI_RUN_TARGET_FIELDS = new Set([
+  "generatedReport",
+  "advancedBodyComposition",
+  "docsTestsAnalysis",
+  "ultrasoundAnalysis",
+  "holisticPlan",
+  "structuredSections",
+]);
+const MAX_AI_RUNS_PER_REPORT = 500;
+const MAX_AI_SAVE_ATTEMPTS = 3;
+const EDIT_RACE_MESSAGE = "The report was saved by someone else at the same moment; reload it and try again";
+
 let patientReportIndexesEnsured = false;
 let patientReportIndexPromise = null;
 
@@ -26,6 +81,14 @@ function normalizeArray(value) {
   return Array.isArray(value) ? value : [];
 }
 
+// Query list as `?sections=a,b` or repeated `?sections=a&sections=b`.
+function parseQueryList(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => normalizeString(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
 function sanitizeFileNamePart(value, fallback = "file") {
   const raw = normalizeString(value);
   const sanitized = raw.replace(/[^a-zA-Z0-9._-]+/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
@@ -156,6 +219,61 @@ function toDocumentResponse(patientId, reportId, document) {
   };
 }
 
+function toIdString(value) {
+  return value?._id?.toString?.() || value?.toString?.() || "";
+}
+
+function toSignatureResponse(signature) {
+  if (!signature?.signedAt) return null;
+  return {
+    signedById: toIdString(signature.signedBy),
+    name: normalizeString(signature.name),
+    role: normalizeString(signature.role),
+    statement: normalizeString(signature.statement),
+    signedAt: signature.signedAt,
+  };
+}
+
+function toSignedVersionResponse(entry, { includeContent = false } = {}) {
+  if (!entry) return null;
+  return {
+    version: entry.version,
+    contentHash: normalizeString(entry.contentHash),
+    legacy: !!entry.legacy,
+    signature: toSignatureResponse(entry.signature),
+    releasedAt: entry.releasedAt || null,
+    releasedById: toIdString(entry.releasedBy),
+    withdrawnAt: entry.withdrawnAt || null,
+    amendedAt: entry.amendedAt || null,
+    amendedById: toIdString(entry.amendedBy),
+    amendmentReason: normalizeString(entry.amendmentReason),
+    ...(includeContent ? { content: entry.content ?? {} } : {}),
+  };
+}
+
+function toAiRunResponse(run) {
+  if (!run?._id) return null;
+
+  return {
+    id: run._id.toString(),
+    target: normalizeString(run.target),
+    route: normalizeString(run.route),
+    provider: normalizeString(run.provider),
+    model: normalizeString(run.model),
+    promptVersion: normalizeString(run.promptVersion),
+    sourceDocuments: normalizeArray(run.sourceDocuments).map((document) => ({
+      checksum: normalizeString(document?.checksum),
+      originalName: normalizeString(document?.originalName),
+      mimeType: normalizeString(document?.mimeType),
+      documentId: document?.documentId?.toString?.() || "",
+    })),
+    requestId: normalizeString(run.requestId),
+    createdById: run.createdBy?._id?.toString?.() || run.createdBy?.toString?.() || "",
+    createdByRole: normalizeString(run.createdByRole),
+    createdAt: run.createdAt || null,
+  };
+}
+
 async function getManagedDoctorForDoctor(doctorId) {
   const patientProfiles = await PatientProfile.findOne({ assignedDoctors: doctorId }).select("_id").lean();
   return patientProfiles?._id ? { _id: doctorId } : null;
@@ -221,6 +339,17 @@ async function ensureReportDirectory(patientId, reportId) {
   return targetDir;
 }
 
+function toEditLockResponse(lock) {
+  return {
+    section: normalizeString(lock?.section),
+    userId: toIdString(lock?.user),
+    userName: normalizeString(lock?.userName),
+    role: normalizeString(lock?.role),
+    acquiredAt: lock?.acquiredAt || null,
+    expiresAt: lock?.expiresAt || null,
+  };
+}
+
 function buildPatientReportResponse(report) {
   if (!report?._id) return null;
 
@@ -241,6 +370,25 @@ function buildPatientReportResponse(report) {
     reportNumber: typeof report.reportNumber === "number" ? report.reportNumber : null,
     assignedNurseId: report.assignedNurse?._id?.toString?.() || report.assignedNurse?.toString?.() || "",
     assignedDoctorId: report.assignedDoctor?._id?.toString?.() || report.assignedDoctor?.toString?.() || "",
+    status: getReportStatus(report),
+    version: report.version || 1,
+    editable: isReportEditable(report),
+    editVersion: report.editVersion || 0,
+    editLocks: activeEditLocks(report).map((lock) => toEditLockResponse(lock)),
+    signature: toSignatureResponse(findCurrentSignedVersion(report)?.signature),
+    releasedAt: report.releasedAt || null,
+    releasedById: toIdString(report.releasedBy),
+    signedVersions: normalizeArray(report.signedVersions).map((entry) => toSignedVersionResponse(entry)),
+    statusHistory: normalizeArray(report.statusHistory).map((change) => ({
+      action: normalizeString(change?.action),
+      from: normalizeString(change?.from),
+      to: normalizeString(change?.to),
+      version: change?.version || 1,
+      note: normalizeString(change?.note),
+      byId: toIdString(change?.by),
+      byRole: normalizeString(change?.byRole),
+      at: change?.at || null,
+    })),
     reportValues: normalizeObject(report.reportValues, {}),
     generatedReport: report.generatedReport ?? null,
     advancedBodyComposition: report.advancedBodyComposition ?? null,
@@ -250,6 +398,7 @@ function buildPatientReportResponse(report) {
     structuredSections: normalizeStructuredSections(report.structuredSections),
     uploadedDocuments,
     uploadedDocumentCount: uploadedDocuments.length,
+    aiRuns: normalizeArray(report.aiRuns).map((run) => toAiRunResponse(run)).filter(Boolean),
     stepSnapshots: rawSnapshots,
     activeStepId: normalizeString(report.activeStepId),
     lastSavedStepId: normalizeString(report.lastSavedStepId),
@@ -338,6 +487,115 @@ async function ensurePatientReportAccess({ req, allowDoctor = true }) {
   return { actor, actorId, patientId, managedDoctor, patientProfile };
 }
 
+/**
+ * Resolves the report an AI route was asked to save into and checks that the
+ * acting user may write to it. Mirrors ensurePatientReportAccess, but the
+ * patient is taken from the report because AI routes only carry a reportId.
+ * Reports past review are refused unless `requireEditable` is false (routes
+ * that only read the report).
+ */
+export async function resolvePatientReportForAiRun({ req, reportId, requireEditable = true }) {
+  if (!req?.app?.locals?.dbReady) {
+    return { error: { status: 500, body: { error: "Database not configured" } } };
+  }
+
+  const actor = req?.user;
+  const actorId = actor?._id?.toString?.() || "";
+  if (!actorId) {
+    return { error: { status: 401, body: { error: "Unauthorized" } } };
+  }
+
+  if (!isValidReportId(reportId)) {
+    return { error: { status: 400, body: { error: "Invalid reportId" } } };
+  }
+
+  const report = await PatientReport.findById(reportId).select("_id patient status").lean();
+  if (!report?._id) {
+    return { error: { status: 404, body: { error: "Patient report not found" } } };
+  }
+  if (requireEditable && !isReportEditable(report)) {
+    return { error: { status: 409, body: { error: reportLockedError(report).message } } };
+  }
+
+  const patientId = report.patient?.toString?.() || "";
+  const { patientProfile } = await ensurePatientInActorScope({ patientId, actor });
+  if (!patientProfile?._id) {
+    return { error: { status: 403, body: { error: "This patient is outside your assignment scope" } } };
+  }
+
+  return { actor, actorId, patientId, reportId: report._id.toString() };
+}
+
+/**
+ * Writes an AI result into its report section and records the run that
+ * produced it. `apply(previousValue, aiRun)` returns the new section value.
+ */
+export async function saveAiRunToPatientReport({ patientId, reportId, target, apply, run }) {
+  const [field, section] = normalizeString(target).split(".");
+  if (!AI_RUN_TARGET_FIELDS.has(field) || (field === "structuredSections" && !section)) {
+    throw new Error(`Unsupported AI result target: ${target}`);
+  }
+
+  for (let attempt = 0; ; attempt += 1) {
+    const report = await findPatientReport({ patientId, reportId, lean: false });
+    if (!report?._id) throw new Error("Patient report not found");
+    if (!isReportEditable(report)) throw reportLockedError(report);
+
+    const existingDocuments = normalizeArray(report.uploadedDocuments);
+    const sourceDocuments = normalizeArray(run?.sourceDocuments).map((document) => {
+      const match = existingDocuments.find((item) => normalizeString(item?.checksum) === normalizeString(document?.checksum));
+      return { ...document, documentId: match?._id || null };
+    });
+
+    const sectionsBefore = captureReportSections(report);
+    report.aiRuns.push({ ...run, target, sourceDocuments });
+    const aiRun = report.aiRuns[report.aiRuns.length - 1];
+    if (report.aiRuns.length > MAX_AI_RUNS_PER_REPORT) {
+      report.aiRuns.splice(0, report.aiRuns.length - MAX_AI_RUNS_PER_REPORT);
+    }
+
+    if (field === "structuredSections") {
+      const current = report.structuredSections?.[section] ?? null;
+      report.set(`structuredSections.${section}`, apply(current, aiRun));
+      report.markModified(`structuredSections.${section}`);
+    } else {
+      report[field] = apply(report[field] ?? null, aiRun);
+      report.markModified(field);
+    }
+    if (field === "docsTestsAnalysis") await refreshSectionLabInputs(report);
+
+    report.lastSavedAt = new Date();
+    report.updatedBy = run.createdBy;
+    const revisions = diffReportSections(sectionsBefore, captureReportSections(report));
+    if (revisions.length > 0) {
+      bumpEditVersion(report, {
+        sections: revisions.map((revision) => revision.section),
+        actorId: run.createdBy,
+        actorRole: run.createdByRole,
+        source: "ai",
+      });
+    }
+    try {
+      await report.save();
+    } catch (err) {
+      // Another save landed in between: apply the result again on top of it.
+      if (!isEditVersionConflict(err)) throw err;
+      if (attempt + 1 < MAX_AI_SAVE_ATTEMPTS) continue;
+      throw Object.assign(new Error(EDIT_RACE_MESSAGE), { statusCode: 409 });
+    }
+    await recordReportRevisions({
+      report,
+      revisions,
+      actorId: run.createdBy,
+      actorRole: run.createdByRole,
+      source: "ai",
+      aiRunId: aiRun._id,
+    });
+
+    return { aiRun: toAiRunResponse(aiRun), report };
+  }
+}
+
 export async function listPatientReportsController(req, res) {
   try {
     const access = await ensurePatientReportAccess({ req, allowDoctor: true });
@@ -351,6 +609,21 @@ export async function listPatientReportsController(req, res) {
   }
 }
 
+export async function getPatientLabTrendsController(req, res) {
+  try {
+    const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+
+    const reports = await PatientReport.find({ patient: access.patientId })
+      .select("reportNumber createdAt docsTestsAnalysis")
+      .lean();
+    return res.json({ patientId: access.patientId, ...buildLabTrends(reports) });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to build lab trends";
+    return res.status(500).json({ error: message });
+  }
+}
+
 export async function createPatientReportController(req, res) {
   try {
     const access = await ensurePatientReportAccess({ req, allowDoctor: true });
@@ -405,21 +678,36 @@ export async function savePatientReportController(req, res) {
     const stepId = normalizeString(req?.body?.stepId);
     const reportValues = normalizeObject(req?.body?.reportValues, null);
     const structuredSections = normalizeStructuredSections(req?.body?.structuredSections);
+    const baseEditVersion = readBaseEditVersion(req);
 
     if (!reportValues) {
       return res.status(400).json({ error: "reportValues is required" });
     }
+    if (baseEditVersion === null) {
+      if (isBaseEditVersionRequired()) {
+        return res.status(428).json({ error: "baseEditVersion (or an If-Match header) with the report's editVersion is required" });
+      }
+      res.set("Deprecation", "true");
+      res.set("Warning", `299 - "${MISSING_BASE_EDIT_VERSION_WARNING}"`);
+      console.warn(`[Reports] save of report ${reportId} by ${access.actorId} sent no baseEditVersion; saved last-write-wins`);
+    }
+    if (Number.isNaN(baseEditVersion)) {
+      return res.status(400).json({ error: "baseEditVersion must be a whole number" });
+    }
 
     const report = await findPatientReport({ patientId: access.patientId, reportId, lean: false });
     if (!report?._id) {
       return res.status(404).json({ error: "Patient report not found" });
     }
+    if (!isReportEditable(report)) return res.status(409).json({ error: reportLockedError(report).message });
+    const sectionsBefore = captureReportSections(report);
 
     // Only nurses update assignedNurse — doctors editing a report must not overwrite it
     if (access.actor?.role === "nurse") {
       report.assignedNurse = access.actorId;
       report.assignedDoctor = access.managedDoctor?._id || null;
     }
+    const previousDocsTests = JSON.stringify(report.docsTestsAnalysis ?? null);
     report.reportValues = reportValues;
     report.generatedReport = req?.body?.generatedReport ?? report.generatedReport ?? null;
     report.advancedBodyComposition = req?.body?.advancedBodyComposition ?? report.advancedBodyComposition ?? null;
@@ -439,6 +727,11 @@ export async function savePatientReportController(req, res) {
       report.structuredSections = structuredSections;
       report.markModified("structuredSections");
     }
+    // Replacing the sections or the labs may leave the lab-derived section
+    // inputs stale, so they are derived again from the saved docs-tests.
+    if (structuredSections || JSON.stringify(report.docsTestsAnalysis ?? null) !== previousDocsTests) {
+      await refreshSectionLabInputs(report);
+    }
     report.activeStepId = stepId || report.activeStepId || "";
     report.lastSavedStepId = stepId || report.lastSavedStepId || "";
     report.lastSavedAt = new Date();
@@ -450,7 +743,50 @@ export async function savePatientReportController(req, res) {
         savedAt: new Date(),
       });
     }
-    await report.save();
+    const revisions = diffReportSections(sectionsBefore, captureReportSections(report));
+
+    // A save based on an older editVersion goes through unless it would
+    // overwrite sections someone else has changed since.
+    if (baseEditVersion !== null && baseEditVersion < (report.editVersion || 0)) {
+      const touched = new Set(revisions.map((revision) => revision.section));
+      const changes = findSectionsChangedSince(report, baseEditVersion).filter((change) => touched.has(change.section));
+      if (changes.length > 0) {
+        const actors = await User.find({ _id: { $in: changes.map((change) => change.changedBy).filter(Boolean) } })
+          .select("name")
+          .lean();
+        const conflicts = changes.map((change) => ({
+          section: change.section,
+          editVersion: change.editVersion,
+          source: change.source,
+          actorId: toIdString(change.changedBy),
+          actorName: normalizeString(actors.find((actor) => actor._id.equals(change.changedBy))?.name),
+          actorRole: change.changedByRole || "",
+          changedAt: change.changedAt || null,
+          currentValue: sectionsBefore[change.section] ?? null,
+        }));
+        return res.status(409).json({
+          error: "Some sections were changed by someone else after you loaded this report",
+          baseEditVersion,
+          editVersion: report.editVersion || 0,
+          conflicts,
+          editLocks: activeEditLocks(report).map((lock) => toEditLockResponse(lock)),
+        });
+      }
+    }
+    if (revisions.length > 0) {
+      bumpEditVersion(report, {
+        sections: revisions.map((revision) => revision.section),
+        actorId: access.actorId,
+        actorRole: access.actor?.role,
+      });
+    }
+    try {
+      await report.save();
+    } catch (err) {
+      if (isEditVersionConflict(err)) return res.status(409).json({ error: EDIT_RACE_MESSAGE });
+      throw err;
+    }
+    await recordReportRevisions({ report, revisions, actorId: access.actorId, actorRole: access.actor?.role });
     return res.json({
       message: stepId ? `Saved ${stepId} step successfully` : "Report saved successfully",
       report: buildPatientReportResponse(report.toObject()),
@@ -476,6 +812,7 @@ export async function uploadPatientReportDocumentsController(req, res) {
 
     const report = await findPatientReport({ patientId: access.patientId, reportId, lean: false });
     if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+    if (!isReportEditable(report)) return res.status(409).json({ error: reportLockedError(report).message });
 
     const reportDir = await ensureReportDirectory(access.patientId, report._id.toString());
     const createdDocuments = [];
@@ -589,6 +926,7 @@ export async function deletePatientReportDocumentController(req, res) {
 
     const report = await findPatientReport({ patientId: access.patientId, reportId, lean: false });
     if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+    if (!isReportEditable(report)) return res.status(409).json({ error: reportLockedError(report).message });
 
     const document = report.uploadedDocuments.id(documentId);
     if (!document?._id) return res.status(404).json({ error: "Document not found" });
@@ -620,4 +958,426 @@ export async function deletePatientReportDocumentController(req, res) {
     const message = err instanceof Error ? err.message : "Failed to delete patient report document";
     return res.status(500).json({ error: message });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Renders a stored report to PDF. Query options: `layout` ("clinician" or
+ * "patient"), `sections` (comma-separated keys to include, default all) and
+ * `exclude` (keys to leave out).
+ */
+export async function downloadPatientReportPdfController(req, res) {
+  try {
+    const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+
+    const reportId = normalizeString(req?.params?.reportId);
+    if (!reportId) return res.status(400).json({ error: "reportId is required" });
+
+    const layout = normalizeString(req?.query?.layout).toLowerCase() || "clinician";
+    if (!REPORT_PDF_LAYOUTS.includes(layout)) {
+      return res.status(400).json({ error: `layout must be one of: ${REPORT_PDF_LAYOUTS.join(", ")}` });
+    }
+
+    const include = parseQueryList(req?.query?.sections);
+    const exclude = parseQueryList(req?.query?.exclude);
+    const unknown = [...include, ...exclude].filter((key) => !REPORT_PDF_SECTIONS.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown report sections: ${unknown.join(", ")}`, sections: REPORT_PDF_SECTIONS });
+    }
+    const sections = (include.length > 0 ? include : REPORT_PDF_SECTIONS).filter((key) => !exclude.includes(key));
+
+    const report = await findPatientReport({ patientId: access.patientId, reportId, lean: true });
+    if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+
+    const patient = await User.findById(access.patientId).select("name userNumber").lean();
+    const html = buildPatientReportPdfHtml({ report, patient, layout, sections });
+    const pdfBuffer = await renderPdfFromHtml(html, {
+      waitUntil: "load",
+      footerTemplate: buildPatientReportPdfFooter({ report }),
+    });
+
+    const fileName = sanitizeFileNamePart(
+      `report-${patient?.userNumber || access.patientId}-${report.reportNumber || reportId}-${layout}`,
+      "report",
+    );
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${fileName}.pdf"`);
+    res.setHeader("Content-Length", String(pdfBuffer.length));
+    return res.send(pdfBuffer);
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to render patient report PDF";
+    return res.status(err?.statusCode || 500).json({ error: message });
+  }
+}
+
+function normalizeSignatureName(value) {
+  return normalizeString(value).replace(/\s+/g, " ").toLowerCase();
+}
+
+async function notifyPatientOfReportRelease({ report, actorId, signerName }) {
+  const patientId = toIdString(report.patient);
+  const label = report.reportNumber ? `Health Report #${report.reportNumber}` : "Your health report";
+  const amended = (report.version || 1) > 1;
+  const reviewer = signerName ? `Dr. ${signerName}` : "your doctor";
+  const title = amended ? `${label} has been updated` : `${label} is ready`;
+  const message = amended
+    ? `${label} was amended and approved again by ${reviewer}. The updated report is available in your patient panel.`
+    : `${label} has been reviewed and approved by ${reviewer} and is now available in your patient panel.`;
+
+  try {
+    await createUserNotification({
+      userId: patientId,
+      type: "report_released",
+      title,
+      message,
+      metadata: { reportId: report._id.toString(), reportNumber: report.reportNumber ?? null, version: report.version || 1 },
+      createdBy: actorId,
+    });
+  } catch (err) {
+    console.warn("Failed to create report release notification:", err?.message);
+  }
+
+  try {
+    const patient = await User.findById(patientId, "email name").lean();
+    if (patient?.email) {
+      await sendPlainNotificationEmail({
+        toEmail: patient.email,
+        subject: title,
+        body: `Hello ${patient.name || "there"},\n\n${message}\n\nPlease log in to the patient panel to view it.`,
+      });
+    }
+  } catch (emailErr) {
+    console.warn("Failed to send report release email:", emailErr?.message);
+  }
+}
+
+/**
+ * Moves a report through the review workflow (see REPORT_TRANSITIONS).
+ * Body: `note` for the status history; `signatureName` (the doctor's full
+ * name, typed as an e-signature) to approve; `reason` to amend.
+ */
+export function transitionPatientReportController(action) {
+  const transition = REPORT_TRANSITIONS[action];
+  if (!transition) throw new Error(`Unknown report action: ${action}`);
+
+  return async (req, res) => {
+    try {
+      const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+      if (access.error) return res.status(access.error.status).json(access.error.body);
+
+      const reportId = normalizeString(req?.params?.reportId);
+      if (!reportId) return res.status(400).json({ error: "reportId is required" });
+
+      const role = normalizeString(access.actor?.role);
+      if (!transition.roles.includes(role)) {
+        return res.status(403).json({ error: `Only ${transition.roles.join(" or ")} users can ${action} a report` });
+      }
+
+      const report = await findPatientReport({ patientId: access.patientId, reportId, lean: false });
+      if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+
+      const from = getReportStatus(report);
+      if (!transition.from.includes(from)) {
+        return res.status(409).json({ error: `Cannot ${action} a report that is ${from.replace(/_/g, " ")}` });
+      }
+
+      const now = new Date();
+      const note = normalizeString(req?.body?.reason) || normalizeString(req?.body?.note);
+      const current = findCurrentSignedVersion(report);
+
+      if (action === "approve") {
+        const signatureName = normalizeString(req?.body?.signatureName);
+        if (!signatureName || normalizeSignatureName(signatureName) !== normalizeSignatureName(access.actor?.name)) {
+          return res.status(400).json({ error: "Type your full name as it appears on your account to sign the report" });
+        }
+        const content = buildReportContent(report.toObject());
+        report.signedVersions.push({
+          version: report.version || 1,
+          content,
+          contentHash: hashReportContent(content),
+          signature: {
+            signedBy: access.actorId,
+            name: signatureName,
+            role,
+            statement: REPORT_SIGNATURE_STATEMENT,
+            signedAt: now,
+            ip: normalizeString(req?.ip),
+            userAgent: normalizeString(req?.get?.("user-agent")).slice(0, 300),
+          },
+        });
+      }
+
+      if (action === "return" && current) {
+        current.withdrawnAt = now;
+        current.withdrawnBy = access.actorId;
+      }
+
+      if (action === "release") {
+        if (!current || hashReportContent(buildReportContent(report.toObject())) !== current.contentHash) {
+          return res.status(409).json({ error: "The report changed after it was approved; return it for re-approval" });
+        }
+        current.releasedAt = now;
+        current.releasedBy = access.actorId;
+        report.releasedAt = now;
+        report.releasedBy = access.actorId;
+      }
+
+      if (action === "amend") {
+        if (!note) return res.status(400).json({ error: "reason is required to amend a released report" });
+        // The released version stays in signedVersions; editing continues on the next one.
+        let released = current;
+        if (!released && report.signedVersions.length === 0) {
+          report.signedVersions.push(buildLegacyReleasedVersion(report.toObject(), { releasedAt: now }));
+          released = report.signedVersions[report.signedVersions.length - 1];
+        }
+        if (released) {
+          released.amendedAt = now;
+          released.amendedBy = access.actorId;
+          released.amendmentReason = note;
+        }
+        report.version = (report.version || 1) + 1;
+        report.releasedAt = null;
+        report.releasedBy = null;
+      }
+
+      report.status = transition.to;
+      report.statusHistory.push({
+        action,
+        from,
+        to: transition.to,
+        version: report.version || 1,
+        note,
+        by: access.actorId,
+        byRole: role,
+        at: now,
+      });
+      report.updatedBy = access.actorId;
+      await report.save();
+
+      if (action === "release") {
+        await notifyPatientOfReportRelease({ report, actorId: access.actorId, signerName: current?.signature?.name });
+      }
+
+      return res.json({
+        message: `Report is now ${transition.to.replace(/_/g, " ")}`,
+        report: buildPatientReportResponse(report.toObject()),
+      });
+    } catch (err) {
+      const message = err instanceof Error ? err.message : `Failed to ${action} patient report`;
+      return res.status(500).json({ error: message });
+    }
+  };
+}
+
+// A signed version as approved, with its content.
+export async function getPatientReportVersionController(req, res) {
+  try {
+    const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+
+    const reportId = normalizeString(req?.params?.reportId);
+    const version = Number(req?.params?.version);
+    if (!reportId) return res.status(400).json({ error: "reportId is required" });
+    if (!Number.isInteger(version) || version < 1) return res.status(400).json({ error: "version must be a positive integer" });
+
+    const report = await findPatientReport({ patientId: access.patientId, reportId, lean: true });
+    if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+
+    // The latest signature of that version; earlier ones were withdrawn.
+    const entry = normalizeArray(report.signedVersions).filter((item) => item?.version === version).pop();
+    if (!entry) return res.status(404).json({ error: "No signed version with that number" });
+
+    return res.json({ reportId: report._id.toString(), version: toSignedVersionResponse(entry, { includeContent: true }) });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to fetch report version";
+    return res.status(500).json({ error: message });
+  }
+}
+
+function toRevisionResponse(revision) {
+  return {
+    id: revision._id.toString(),
+    section: normalizeString(revision.section),
+    source: normalizeString(revision.source),
+    actorId: toIdString(revision.actor),
+    actorName: normalizeString(revision.actor?.name),
+    actorRole: normalizeString(revision.actorRole),
+    changes: normalizeArray(revision.changes),
+    changesTruncated: Boolean(revision.changesTruncated),
+    aiRunId: toIdString(revision.aiRunId),
+    restoredFromId: toIdString(revision.restoredFrom),
+    createdAt: revision.createdAt || null,
+  };
+}
+
+// Who changed a section and how, newest first. `includeValues=true` adds the
+// full section value before and after each change.
+export async function getPatientReportSectionHistoryController(req, res) {
+  try {
+    const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+
+    const reportId = normalizeString(req?.params?.reportId);
+    const section = normalizeString(req?.params?.section);
+    if (!reportId) return res.status(400).json({ error: "reportId is required" });
+    if (!isTrackedReportSection(section)) return res.status(400).json({ error: `Unknown report section: ${section}` });
+
+    const report = await findPatientReport({ patientId: access.patientId, reportId, lean: true });
+    if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+
+    const pageNum = Math.max(1, parseInt(req?.query?.page, 10) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(req?.query?.limit, 10) || 50));
+    const includeValues = normalizeString(req?.query?.includeValues) === "true";
+    const query = { report: report._id, section };
+
+    const [revisions, total] = await Promise.all([
+      PatientReportRevision.find(query)
+        .select(includeValues ? "" : "-before -after")
+        .populate("actor", "name")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PatientReportRevision.countDocuments(query),
+    ]);
+
+    return res.json({
+      reportId: report._id.toString(),
+      section,
+      current: readReportSection(report, section),
+      revisions: revisions.map((revision) => ({
+        ...toRevisionResponse(revision),
+        ...(includeValues ? { before: revision.before ?? null, after: revision.after ?? null } : {}),
+      })),
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to load section history";
+    return res.status(500).json({ error: message });
+  }
+}
+
+/**
+ * Puts a section back to how it was after revision `revisionId` (or before
+ * it, with `state: "before"`). The restore is itself recorded as a revision.
+ */
+export async function restorePatientReportSectionController(req, res) {
+  try {
+    const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+
+    const reportId = normalizeString(req?.params?.reportId);
+    const section = normalizeString(req?.params?.section);
+    const revisionId = normalizeString(req?.body?.revisionId);
+    const state = normalizeString(req?.body?.state) || "after";
+    if (!reportId) return res.status(400).json({ error: "reportId is required" });
+    if (!isTrackedReportSection(section)) return res.status(400).json({ error: `Unknown report section: ${section}` });
+    if (!mongoose.Types.ObjectId.isValid(revisionId)) return res.status(400).json({ error: "A valid revisionId is required" });
+    if (state !== "after" && state !== "before") return res.status(400).json({ error: 'state must be "after" or "before"' });
+
+    const report = await findPatientReport({ patientId: access.patientId, reportId, lean: false });
+    if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+    if (!isReportEditable(report)) return res.status(409).json({ error: reportLockedError(report).message });
+
+    const revision = await PatientReportRevision.findOne({ _id: revisionId, report: report._id, section }).lean();
+    if (!revision?._id) return res.status(404).json({ error: "Revision not found for this section" });
+
+    const sectionsBefore = captureReportSections(report);
+    writeReportSection(report, section, revision[state] ?? null);
+    if (section === "docsTestsAnalysis" || section.startsWith("structuredSections.")) {
+      await refreshSectionLabInputs(report);
+    }
+    report.lastSavedAt = new Date();
+    report.updatedBy = access.actorId;
+    const revisions = diffReportSections(sectionsBefore, captureReportSections(report));
+    if (revisions.length > 0) {
+      bumpEditVersion(report, {
+        sections: revisions.map((revision) => revision.section),
+        actorId: access.actorId,
+        actorRole: access.actor?.role,
+        source: "restore",
+      });
+    }
+    try {
+      await report.save();
+    } catch (err) {
+      if (isEditVersionConflict(err)) return res.status(409).json({ error: EDIT_RACE_MESSAGE });
+      throw err;
+    }
+    await recordReportRevisions({
+      report,
+      revisions,
+      actorId: access.actorId,
+      actorRole: access.actor?.role,
+      source: "restore",
+      restoredFrom: revision._id,
+    });
+
+    return res.json({
+      message: revisions.length > 0 ? `Restored ${section}` : `${section} already matches that revision`,
+      report: buildPatientReportResponse(report.toObject()),
+    });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to restore report section";
+    return res.status(500).json({ error: message });
+  }
+}
+
+/**
+ * Marks a section as being edited by the caller, or renews their mark. The
+ * lock is advisory: saves are not blocked by it, but editors see who else is
+ * working on a section. It lapses after REPORT_EDIT_LOCK_TTL_MS (default two
+ * minutes) unless renewed.
+ */
+export async function lockPatientReportSectionController(req, res) {
+  try {
+    const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+
+    const reportId = normalizeString(req?.params?.reportId);
+    const section = normalizeString(req?.params?.section);
+    if (!reportId) return res.status(400).json({ error: "reportId is required" });
+    if (!isTrackedReportSection(section)) return res.status(400).json({ error: `Unknown report section: ${section}` });
+
+    const report = await findPatientReport({ patientId: access.patientId, reportId, lean: true });
+    if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+    if (!isReportEditable(report)) return res.status(409).json({ error: reportLockedError(report).message });
+
+    const { lock, heldBy } = await acquireReportEditLock({ reportId: report._id, section, actor: access.actor });
+    if (!lock) {
+      const holder = heldBy ? toEditLockResponse(heldBy) : null;
+      return res.status(409).json({
+        error: holder ? `${holder.userName || "Someone else"} is editing this section` : "This section is being edited by someone else",
+        lock: holder,
+      });
+    }
+    return res.json({ lock: toEditLockResponse(lock) });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to lock report section";
+    return res.status(500).json({ error: message });
+  }
+}
+
+export async function unlockPatientReportSectionController(req, res) {
+  try {
+    const access = await ensurePatientReportAccess({ req, allowDoctor: true });
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+
+    const reportId = normalizeString(req?.params?.reportId);
+    const section = normalizeString(req?.params?.section);
+    if (!reportId) return res.status(400).json({ error: "reportId is required" });
+    if (!isTrackedReportSection(section)) return res.status(400).json({ error: `Unknown report section: ${section}` });
+
+    const report = await findPatientReport({ patientId: access.patientId, reportId, lean: true });
+    if (!report?._id) return res.status(404).json({ error: "Patient report not found" });
+
+    const released = await releaseReportEditLock({ reportId: report._id, section, userId: access.actor._id });
+    return res.json({ released });
+  } catch (err) {
+    const message = err instanceof Error ? err.message : "Failed to unlock report section";
+    return res.status(500).json({ error: message });
+  }
+}
@@ -1,4 +1,4 @@
-import puppeteer from "puppeteer";
+import { getPdfRendererMetrics, renderPdfFromHtml } from "../utils/pdfRenderer.js";
 
 export const generatePdfController = async (req, res) => {
   const { html, fileName } = req.body;
@@ -9,29 +9,9 @@ export const generatePdfController = async (req, res) => {
 
   console.log(`[PDF] Request received, HTML size: ${(html.length / 1024).toFixed(1)}KB`);
 
-  let browser;
   try {
-    browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-gpu",
-      ],
-    });
-
-    const page = await browser.newPage();
-
-    // Allow Puppeteer to load stylesheets from the Vite dev server on localhost
-    await page.setContent(html, { waitUntil: "networkidle2", timeout: 60000 });
-
-    const pdfBuffer = await page.pdf({
-      format: "A4",
-      printBackground: true,
-      margin: { top: "8mm", right: "8mm", bottom: "8mm", left: "8mm" },
-      timeout: 60000,
-    });
+    // Stylesheets from the Vite dev server load only when its origin is in PDF_ALLOWED_ORIGINS
+    const pdfBuffer = await renderPdfFromHtml(html, { waitUntil: "networkidle2" });
 
     console.log(`[PDF] Done, size: ${(pdfBuffer.length / 1024).toFixed(1)}KB`);
 
@@ -46,8 +26,10 @@ export const generatePdfController = async (req, res) => {
     res.send(pdfBuffer);
   } catch (err) {
     console.error("[PDF] Error:", err.message);
-    res.status(500).json({ error: err.message });
-  } finally {
-    if (browser) await browser.close();
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 };
+
+export const getPdfRendererMetricsController = (req, res) => {
+  res.json(getPdfRendererMetrics());
+};
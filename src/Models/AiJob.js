@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+export const AI_JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+export const AI_JOB_CHUNK_STATUSES = ["pending", "running", "completed", "failed", "cancelled"];
+
+const aiJobFileSchema = new mongoose.Schema(
+  {
+    fieldName: { type: String, trim: true, default: "files" },
+    originalName: { type: String, trim: true, default: "" },
+    storedName: { type: String, trim: true, required: true },
+    mimeType: { type: String, trim: true, default: "" },
+    size: { type: Number, default: 0 },
+    checksum: { type: String, trim: true, default: "" }
+  },
+  { _id: false }
+);
+
+const aiJobChunkSchema = new mongoose.Schema(
+  {
+    key: { type: String, trim: true, required: true },
+    params: { type: mongoose.Schema.Types.Mixed, default: null },
+    status: { type: String, enum: AI_JOB_CHUNK_STATUSES, default: "pending" },
+    attempts: { type: Number, default: 0 },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    // Provider and model of the chunk's last AI call; empty for cache hits.
+    provider: { type: String, trim: true, default: "" },
+    model: { type: String, trim: true, default: "" },
+    error: { type: String, trim: true, default: "" },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null }
+  },
+  { _id: false }
+);
+
+const aiJobSchema = new mongoose.Schema(
+  {
+    kind: { type: String, trim: true, required: true, index: true },
+    status: { type: String, enum: AI_JOB_STATUSES, default: "queued", index: true },
+    provider: { type: String, trim: true, default: "" },
+    input: { type: mongoose.Schema.Types.Mixed, default: null },
+    files: { type: [aiJobFileSchema], default: [] },
+    chunks: { type: [aiJobChunkSchema], default: [] },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, trim: true, default: "" },
+    cancelRequested: { type: Boolean, default: false },
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "PatientReport", default: null },
+    aiRunId: { type: String, trim: true, default: "" },
+    reportSaveError: { type: String, trim: true, default: "" },
+    requestId: { type: String, trim: true, default: "" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    createdByRole: { type: String, trim: true, default: "" },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+aiJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+export const AiJob = mongoose.models.AiJob || mongoose.model("AiJob", aiJobSchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// A user quota replaces the role quota for the same period. Empty limits are
+// not enforced.
+const aiQuotaSchema = new mongoose.Schema(
+  {
+    scope: { type: String, enum: ["role", "user"], required: true },
+    role: { type: String, trim: true, default: "" },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    period: { type: String, enum: ["day", "month"], required: true },
+    maxRequests: { type: Number, min: 0, default: null },
+    maxTokens: { type: Number, min: 0, default: null },
+    maxCostUsd: { type: Number, min: 0, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+aiQuotaSchema.index({ scope: 1, role: 1, user: 1, period: 1 }, { unique: true });
+
+export const AiQuota = mongoose.models.AiQuota || mongoose.model("AiQuota", aiQuotaSchema);
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const aiResultCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, trim: true, required: true, unique: true },
+    route: { type: String, trim: true, required: true, index: true },
+    provider: { type: String, trim: true, default: "" },
+    model: { type: String, trim: true, default: "" },
+    promptVersion: { type: String, trim: true, default: "" },
+    documentChecksums: { type: [String], default: [], index: true },
+    paramsHash: { type: String, trim: true, default: "" },
+    result: { type: mongoose.Schema.Types.Mixed, required: true },
+    hits: { type: Number, default: 0 },
+    lastHitAt: { type: Date, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+aiResultCacheSchema.index({ createdAt: -1 });
+
+export const AiResultCache = mongoose.models.AiResultCache || mongoose.model("AiResultCache", aiResultCacheSchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const aiUsageSchema = new mongoose.Schema(
+  {
+    task: { type: String, trim: true, default: "" },
+    route: { type: String, trim: true, default: "", index: true },
+    provider: { type: String, trim: true, default: "" },
+    model: { type: String, trim: true, default: "" },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    userRole: { type: String, trim: true, default: "" },
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "PatientReport", default: null },
+    job: { type: mongoose.Schema.Types.ObjectId, ref: "AiJob", default: null },
+    requestId: { type: String, trim: true, default: "" },
+    inputTokens: { type: Number, min: 0, default: 0 },
+    outputTokens: { type: Number, min: 0, default: 0 },
+    totalTokens: { type: Number, min: 0, default: 0 },
+    // True when the provider did not report tokens and they were estimated.
+    estimated: { type: Boolean, default: false },
+    costUsd: { type: Number, min: 0, default: 0 },
+    latencyMs: { type: Number, min: 0, default: 0 },
+    fallback: { type: Boolean, default: false },
+    // A provider answer that was discarded for a later provider: its tokens
+    // and cost count, but it is not a request of its own.
+    fallbackAttempt: { type: Boolean, default: false },
+    ok: { type: Boolean, default: true },
+    error: { type: String, trim: true, default: "" }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+aiUsageSchema.index({ createdAt: -1 });
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+
+export const AiUsage = mongoose.models.AiUsage || mongoose.model("AiUsage", aiUsageSchema);
@@ -26,12 +26,138 @@ const patientReportUploadedDocumentSchema = new mongoose.Schema(
   { _id: true }
 );
 
+const patientReportAiSourceDocumentSchema = new mongoose.Schema(
+  {
+    checksum: { type: String, trim: true, required: true },
+    originalName: { type: String, trim: true, default: "" },
+    mimeType: { type: String, trim: true, default: "" },
+    documentId: { type: mongoose.Schema.Types.ObjectId, default: null }
+  },
+  { _id: false }
+);
+
+const patientReportAiRunSchema = new mongoose.Schema(
+  {
+    target: { type: String, trim: true, required: true, index: true },
+    route: { type: String, trim: true, required: true },
+    provider: { type: String, trim: true, default: "" },
+    model: { type: String, trim: true, default: "" },
+    promptVersion: { type: String, trim: true, default: "" },
+    promptVersions: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Schema validation of the model output ({ valid, missingFields, outputs }).
+    validation: { type: mongoose.Schema.Types.Mixed, default: null },
+    sourceDocuments: { type: [patientReportAiSourceDocumentSchema], default: [] },
+    requestId: { type: String, trim: true, default: "" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    createdByRole: { type: String, trim: true, default: "" },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: true }
+);
+
+const patientReportSignatureSchema = new mongoose.Schema(
+  {
+    signedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, trim: true, required: true },
+    role: { type: String, trim: true, default: "" },
+    statement: { type: String, trim: true, default: "" },
+    signedAt: { type: Date, required: true },
+    ip: { type: String, trim: true, default: "" },
+    userAgent: { type: String, trim: true, default: "" }
+  },
+  { _id: false }
+);
+
+// A doctor-approved version of the report, with the exact content signed.
+const patientReportSignedVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, min: 1 },
+    content: { type: mongoose.Schema.Types.Mixed, default: {} },
+    contentHash: { type: String, trim: true, required: true },
+    // Content released before the workflow existed, kept when it is amended.
+    legacy: { type: Boolean, default: false },
+    signature: {
+      type: patientReportSignatureSchema,
+      required() {
+        return !this.legacy;
+      }
+    },
+    releasedAt: { type: Date, default: null },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Approval taken back before release.
+    withdrawnAt: { type: Date, default: null },
+    withdrawnBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Released version replaced by an amendment.
+    amendedAt: { type: Date, default: null },
+    amendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    amendmentReason: { type: String, trim: true, default: "" }
+  },
+  { _id: false }
+);
+
+const patientReportStatusChangeSchema = new mongoose.Schema(
+  {
+    action: { type: String, trim: true, required: true },
+    from: { type: String, trim: true, required: true },
+    to: { type: String, trim: true, required: true },
+    version: { type: Number, default: 1 },
+    note: { type: String, trim: true, default: "" },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    byRole: { type: String, trim: true, default: "" },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// Advisory "someone is editing this section" marker; it expires unless renewed.
+const patientReportEditLockSchema = new mongoose.Schema(
+  {
+    section: { type: String, trim: true, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    userName: { type: String, trim: true, default: "" },
+    role: { type: String, trim: true, default: "" },
+    acquiredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+  },
+  { _id: false }
+);
+
+// The save that last changed a tracked section; saves based on an older
+// editVersion conflict with it.
+const patientReportSectionChangeSchema = new mongoose.Schema(
+  {
+    section: { type: String, trim: true, required: true },
+    editVersion: { type: Number, required: true, min: 1 },
+    source: { type: String, trim: true, default: "save" },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    changedByRole: { type: String, trim: true, default: "" },
+    changedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const patientReportSchema = new mongoose.Schema(
   {
     patient: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
     reportNumber: { type: Number, required: true, min: 1 },
     assignedNurse: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
     assignedDoctor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    status: {
+      type: String,
+      enum: ["draft", "ready_for_review", "approved", "released"],
+      default: "draft",
+      index: true
+    },
+    version: { type: Number, default: 1, min: 1 },
+    releasedAt: { type: Date, default: null },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    signedVersions: { type: [patientReportSignedVersionSchema], default: [] },
+    statusHistory: { type: [patientReportStatusChangeSchema], default: [] },
+    // Bumped by every save that changes report content. Editor saves send the
+    // baseEditVersion they started from and are checked against sectionChanges.
+    editVersion: { type: Number, default: 0, min: 0 },
+    sectionChanges: { type: [patientReportSectionChangeSchema], default: [] },
+    editLocks: { type: [patientReportEditLockSchema], default: [] },
     reportValues: { type: mongoose.Schema.Types.Mixed, default: {} },
     generatedReport: { type: mongoose.Schema.Types.Mixed, default: null },
     advancedBodyComposition: { type: mongoose.Schema.Types.Mixed, default: null },
@@ -86,6 +212,10 @@ const patientReportSchema = new mongoose.Schema(
       type: [patientReportUploadedDocumentSchema],
       default: []
     },
+    aiRuns: {
+      type: [patientReportAiRunSchema],
+      default: []
+    },
     activeStepId: { type: String, trim: true, default: "" },
     lastSavedStepId: { type: String, trim: true, default: "" },
     lastSavedAt: { type: Date, default: null },
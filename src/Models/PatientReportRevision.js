@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const patientReportFieldChangeSchema = new mongoose.Schema(
+  {
+    path: { type: String, trim: true, default: "" },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  { _id: false }
+);
+
+// One changed section of one report save: the field-level diff plus the full
+// section value before and after, which is what a restore puts back.
+const patientReportRevisionSchema = new mongoose.Schema(
+  {
+    report: { type: mongoose.Schema.Types.ObjectId, ref: "PatientReport", required: true },
+    patient: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // "structuredSections.<key>", "stepSnapshots.<stepId>" or a top-level field.
+    section: { type: String, trim: true, required: true },
+    source: { type: String, enum: ["save", "ai", "restore"], default: "save" },
+    changes: { type: [patientReportFieldChangeSchema], default: [] },
+    changesTruncated: { type: Boolean, default: false },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actorRole: { type: String, trim: true, default: "" },
+    aiRunId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: "PatientReportRevision", default: null },
+    // The report's editVersion after the save that produced this revision.
+    editVersion: { type: Number, default: null }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+patientReportRevisionSchema.index({ report: 1, section: 1, createdAt: -1 });
+patientReportRevisionSchema.index({ report: 1, editVersion: 1 });
+
+export const PatientReportRevision =
+  mongoose.models.PatientReportRevision || mongoose.model("PatientReportRevision", patientReportRevisionSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const promptVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, min: 1 },
+    text: { type: String, required: true },
+    note: { type: String, trim: true, default: "" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+// Version 0 always means the built-in prompt from src/AiPrompts.
+const promptRoutePinSchema = new mongoose.Schema(
+  {
+    route: { type: String, trim: true, required: true },
+    version: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const promptChangelogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["create_version", "activate", "pin_route", "unpin_route", "set_candidate", "clear_candidate"],
+      required: true
+    },
+    version: { type: Number, default: null },
+    route: { type: String, trim: true, default: "" },
+    percent: { type: Number, default: null },
+    note: { type: String, trim: true, default: "" },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const promptOverrideSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: true, unique: true },
+    versions: { type: [promptVersionSchema], default: [] },
+    activeVersion: { type: Number, min: 0, default: 0 },
+    routePins: { type: [promptRoutePinSchema], default: [] },
+    candidateVersion: { type: Number, min: 0, default: null },
+    candidatePercent: { type: Number, min: 0, max: 100, default: 0 },
+    changelog: { type: [promptChangelogSchema], default: [] },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+export const PromptOverride = mongoose.models.PromptOverride || mongoose.model("PromptOverride", promptOverrideSchema);
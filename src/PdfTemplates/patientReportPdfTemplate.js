@@ -0,0 +1,352 @@
+import { findCurrentSignedVersion, getReportStatus } from "../utils/reportLifecycle.js";
+
+const FONT = "'Poppins','Segoe UI',Roboto,Helvetica,Arial,sans-serif";
+
+const SECTION_TITLES = {
+  patient: "Patient Details",
+  pastMedicalHistory: "Past Medical History",
+  surgicalHistory: "Surgical History",
+  familyHistory: "Family History",
+  sleepCycle: "Sleep Cycle",
+  stressAssessment: "Stress Assessment",
+  pss10: "Perceived Stress Scale (PSS-10)",
+  socialFitness: "Social Fitness",
+  personalHistory: "Personal History",
+  womenSpecificHistory: "Women-Specific History",
+  maleSpecificHistory: "Male-Specific History",
+  maleQol: "Male Quality of Life",
+  generalPhysicalExamination: "General Physical Examination",
+  bodyCompositionAnalysis: "Body Composition Analysis",
+  advancedBodyComposition: "Advanced Body Composition",
+  boneHealth: "Bone Health",
+  adultVaccination: "Adult Vaccination",
+  cancerScreening: "Cancer Screening",
+  genesHealth: "Genes Health",
+  allergyPanels: "Allergy Panels",
+  docsTests: "Documents & Tests",
+  arterialHealth: "Arterial Health",
+  heartHealthScore: "Heart Health Score",
+  brainHealthAssessment: "Brain Health Assessment",
+  brainHealthPart1: "Brain Health (Part 1)",
+  brainHealthPart2: "Brain Health (Part 2)",
+  lungFunction: "Lung Function",
+  liverHealth: "Liver Health",
+  eyeHealth: "Eye Health",
+  kidneyHealth: "Kidney Health",
+  ultrasound: "Ultrasound",
+  exerciseAssessment: "Exercise Assessment",
+  dietAssessment: "Diet Assessment",
+  ansAssessment: "Autonomic Nervous System Assessment",
+  diabetesRisk: "Diabetes Risk",
+  womenHealth: "Women's Health",
+  summary: "Summary",
+  docsTestsAnalysis: "Laboratory Results",
+  holisticPlan: "Holistic Health Plan"
+};
+
+const HOLISTIC_PLAN_STEP_TITLES = {
+  step1: "Foundation Assessment",
+  step2: "Short-Term Action Plan (0-3 months)",
+  step3: "Medium- and Long-Term Plan",
+  step4: "Treatment Advice and Next Review",
+  step5: "Lifestyle Advice, Referrals and Action Table"
+};
+
+const STRUCTURED_SECTION_KEYS = Object.keys(SECTION_TITLES).filter((key) => key !== "docsTestsAnalysis" && key !== "holisticPlan");
+
+// Clinicians read the record in capture order; patients get the summary and
+// their plan first.
+const SECTION_ORDER = {
+  clinician: [...STRUCTURED_SECTION_KEYS.filter((key) => key !== "summary"), "docsTestsAnalysis", "summary", "holisticPlan"],
+  patient: [
+    "summary",
+    "holisticPlan",
+    "docsTestsAnalysis",
+    ...STRUCTURED_SECTION_KEYS.filter((key) => key !== "summary")
+  ]
+};
+
+export const REPORT_PDF_LAYOUTS = Object.keys(SECTION_ORDER);
+export const REPORT_PDF_SECTIONS = Object.keys(SECTION_TITLES);
+
+// Bookkeeping stored next to AI results; never printed.
+const INTERNAL_KEYS = /^(_id|__v|id|aiRunIds?|raw|debug|validation|cached|chunkIndex|chunkSize|ocr|imagePreprocessing|promptVersions?|labInputs)$/;
+// Working detail a clinician wants but a patient handout leaves out.
+const CLINICAL_DETAIL_KEYS = /^(loinc|canonical\w*|rangeConflict|referenceRangeSource|engineReferenceRange|confidence|provider|model|sourceDocuments|device|checks|dicom|metadata)$/i;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function humanizeKey(key) {
+  const words = String(key)
+    .replace(/_/g, " ")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Fixed UTC formatting so the same record always prints the same text.
+function formatDate(value) {
+  const date = value instanceof Date ? value : value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return "";
+  return `${date.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === "string") return value.trim() === "";
+  if (Array.isArray(value)) return value.every(isEmptyValue);
+  if (isPlainObject(value)) return Object.values(value).every(isEmptyValue);
+  return false;
+}
+
+function formatScalar(value) {
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (value instanceof Date) return formatDate(value);
+  return String(value);
+}
+
+function visibleEntries(value, layout) {
+  return Object.entries(value).filter(
+    ([key, item]) => !INTERNAL_KEYS.test(key) && !(layout === "patient" && CLINICAL_DETAIL_KEYS.test(key)) && !isEmptyValue(item)
+  );
+}
+
+function isScalar(value) {
+  return !isPlainObject(value) && !Array.isArray(value);
+}
+
+// Generic rendering of a stored section: scalars as text, lists of scalars
+// as bullets, lists of flat records as tables, objects as labelled rows with
+// nested objects under sub-headings.
+function renderValue(value, layout, depth = 0) {
+  if (isScalar(value)) return `<p>${escapeHtml(formatScalar(value))}</p>`;
+
+  if (Array.isArray(value)) {
+    const items = value.filter((item) => !isEmptyValue(item));
+    if (items.every(isScalar)) {
+      return `<ul>${items.map((item) => `<li>${escapeHtml(formatScalar(item))}</li>`).join("")}</ul>`;
+    }
+    const rows = items.filter(isPlainObject).map((item) => Object.fromEntries(visibleEntries(item, layout)));
+    if (rows.length === items.length && rows.every((row) => Object.values(row).every(isScalar))) {
+      const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+      const head = columns.map((column) => `<th>${escapeHtml(humanizeKey(column))}</th>`).join("");
+      const body = rows
+        .map((row) => `<tr>${columns.map((column) => `<td>${row[column] === undefined ? "" : escapeHtml(formatScalar(row[column]))}</td>`).join("")}</tr>`)
+        .join("");
+      return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+    return items
+      .map((item) => renderValue(item, layout, depth + 1))
+      .filter(Boolean)
+      .map((html) => `<div class="item">${html}</div>`)
+      .join("");
+  }
+
+  const entries = visibleEntries(value, layout);
+  const scalars = entries.filter(([, item]) => isScalar(item));
+  const nested = entries.filter(([, item]) => !isScalar(item));
+  const rows = scalars.length
+    ? `<table class="fields"><tbody>${scalars
+        .map(([key, item]) => `<tr><th>${escapeHtml(humanizeKey(key))}</th><td>${escapeHtml(formatScalar(item))}</td></tr>`)
+        .join("")}</tbody></table>`
+    : "";
+  const heading = depth < 2 ? "h3" : "h4";
+  const blocks = nested
+    .map(([key, item]) => [key, renderValue(item, layout, depth + 1)])
+    .filter(([, html]) => html)
+    .map(([key, html]) => `<${heading}>${escapeHtml(humanizeKey(key))}</${heading}>${html}`)
+    .join("");
+  return rows + blocks;
+}
+
+const PATIENT_STATUS_TEXT = {
+  HIGH: "Above the normal range",
+  LOW: "Below the normal range",
+  NORMAL: "Within the normal range",
+  ABSENT: "Not detected",
+  PRESENT: "Detected"
+};
+
+function labTestsOf(analysis) {
+  if (!isPlainObject(analysis)) return [];
+  const tests = Array.isArray(analysis.docs?.tests) ? analysis.docs.tests : Array.isArray(analysis.tests) ? analysis.tests : [];
+  return tests.filter((test) => isPlainObject(test) && typeof test.testName === "string" && test.testName.trim());
+}
+
+function labResultText(test, layout) {
+  const results = Array.isArray(test.results) ? test.results.filter((r) => r && !isEmptyValue(r.value)) : [];
+  if (results.length === 0) return test.value === null || test.value === undefined ? "" : String(test.value);
+  if (layout === "patient") return String(results[results.length - 1].value);
+  return results.map((r) => (r.dateAndTime ? `${r.value} (${r.dateAndTime})` : String(r.value))).join("; ");
+}
+
+function labStatus(test) {
+  return typeof test.status === "string" ? test.status.trim().toUpperCase() : "";
+}
+
+function renderLabResults(analysis, layout) {
+  const tests = labTestsOf(analysis);
+  if (tests.length === 0) return "";
+
+  if (layout === "patient") {
+    // Results that need attention are listed first.
+    const flagged = tests.filter((test) => ["HIGH", "LOW", "PRESENT"].includes(labStatus(test)) || test.critical);
+    const ordered = [...flagged, ...tests.filter((test) => !flagged.includes(test))];
+    const rows = ordered
+      .map((test) => {
+        const status = labStatus(test);
+        const range = test.referenceRange || test.engineReferenceRange?.text || "";
+        const meaning = test.critical ? "Well outside the normal range - please discuss with your doctor" : PATIENT_STATUS_TEXT[status] || "";
+        return `<tr class="${flagged.includes(test) ? "flag" : ""}"><td>${escapeHtml(test.testName)}</td><td>${escapeHtml(
+          [labResultText(test, layout), test.unit].filter(Boolean).join(" ")
+        )}</td><td>${escapeHtml(range)}</td><td>${escapeHtml(meaning)}</td></tr>`;
+      })
+      .join("");
+    return `<table><thead><tr><th>Test</th><th>Your result</th><th>Normal range</th><th>What it means</th></tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  const rows = tests
+    .map((test) => {
+      const status = labStatus(test);
+      const notes = [
+        test.critical ? `Critical ${String(test.critical).toLowerCase()}` : "",
+        test.rangeConflict ? `Printed range ${test.rangeConflict.printed} disagrees with ${test.rangeConflict.engine}` : "",
+        test.engineReferenceRange?.basis ? `Range basis: ${test.engineReferenceRange.basis}` : ""
+      ].filter(Boolean);
+      return `<tr class="${["HIGH", "LOW"].includes(status) || test.critical ? "flag" : ""}"><td>${escapeHtml(test.testName)}</td><td>${escapeHtml(
+        labResultText(test, layout)
+      )}</td><td>${escapeHtml(test.unit || "")}</td><td>${escapeHtml(test.referenceRange || "")}</td><td>${escapeHtml(
+        test.engineReferenceRange?.text || ""
+      )}</td><td>${escapeHtml(status)}</td><td>${escapeHtml(notes.join("; "))}</td></tr>`;
+    })
+    .join("");
+  return `<table><thead><tr><th>Test</th><th>Result</th><th>Unit</th><th>Printed range</th><th>Reference range</th><th>Status</th><th>Notes</th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderHolisticPlan(plan, layout) {
+  if (!isPlainObject(plan)) return "";
+  return visibleEntries(plan, layout)
+    .map(([key, step]) => `<h3>${escapeHtml(HOLISTIC_PLAN_STEP_TITLES[key] || humanizeKey(key))}</h3>${renderValue(step, layout, 1)}`)
+    .join("");
+}
+
+function renderSection(key, report, layout) {
+  if (key === "docsTestsAnalysis") return renderLabResults(report.docsTestsAnalysis, layout);
+  if (key === "holisticPlan") return renderHolisticPlan(report.holisticPlan, layout);
+  const value = report.structuredSections?.[key];
+  return isEmptyValue(value) ? "" : renderValue(value, layout);
+}
+
+// AI runs behind each printed section, newest first, for the clinician copy.
+function renderProvenance(report, sectionKeys) {
+  const runs = (Array.isArray(report.aiRuns) ? report.aiRuns : [])
+    .filter((run) => {
+      const [field, section] = String(run?.target || "").split(".");
+      return sectionKeys.includes(field === "structuredSections" ? section : field);
+    })
+    .slice()
+    .reverse();
+  if (runs.length === 0) return "";
+  const rows = runs
+    .map((run) => {
+      const [field, section] = String(run.target).split(".");
+      return `<tr><td>${escapeHtml(SECTION_TITLES[section || field] || run.target)}</td><td>${escapeHtml(
+        [run.provider, run.model].filter(Boolean).join(" / ")
+      )}</td><td>${escapeHtml(run.promptVersion || "")}</td><td>${escapeHtml(formatDate(run.createdAt))}</td></tr>`;
+    })
+    .join("");
+  return `<section><h2>AI Provenance</h2><table><thead><tr><th>Section</th><th>Provider / model</th><th>Prompt version</th><th>Run at</th></tr></thead><tbody>${rows}</tbody></table></section>`;
+}
+
+function buildStyles(layout) {
+  const base = layout === "patient" ? 12.5 : 10.5;
+  return `
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: ${FONT}; font-size: ${base}px; line-height: 1.5; color: #1E293B; }
+    header { border-bottom: 3px solid #0F766E; padding-bottom: 10px; margin-bottom: 16px; }
+    header h1 { margin: 0 0 4px; font-size: ${base + 9}px; color: #0F766E; }
+    header .meta { color: #475569; }
+    header .meta span { margin-right: 16px; }
+    header .signoff { margin-top: 4px; font-weight: 600; color: #0F766E; }
+    header .signoff.unsigned { color: #B45309; }
+    section { margin-bottom: 18px; }
+    h2 { font-size: ${base + 5}px; color: #0F766E; border-bottom: 1px solid #CBD5E1; padding-bottom: 4px; margin: 0 0 8px; break-after: avoid; }
+    h3 { font-size: ${base + 2}px; margin: 12px 0 6px; color: #334155; break-after: avoid; }
+    h4 { font-size: ${base}px; margin: 10px 0 4px; color: #475569; break-after: avoid; }
+    p { margin: 0 0 6px; white-space: pre-wrap; }
+    ul { margin: 0 0 8px; padding-left: 18px; }
+    table { width: 100%; border-collapse: collapse; margin: 0 0 8px; }
+    th, td { border: 1px solid #E2E8F0; padding: 4px 6px; text-align: left; vertical-align: top; }
+    thead th { background: #F1F5F9; }
+    tr { break-inside: avoid; }
+    table.fields th { width: 32%; background: #F8FAFC; font-weight: 600; }
+    tr.flag td { background: #FEF2F2; }
+    .item { border-left: 2px solid #E2E8F0; padding-left: 8px; margin-bottom: 8px; }
+    .empty { color: #64748B; font-style: italic; }
+  `;
+}
+
+/**
+ * HTML for the server-rendered report PDF. Everything printed comes from the
+ * stored record (`report` is a lean PatientReport, `patient` the patient's
+ * user), so the same record always renders the same document. `layout` is
+ * "clinician" (capture order, full lab detail and AI provenance) or
+ * "patient" (summary and plan first, plain-language lab results);
+ * `sections` lists the keys of REPORT_PDF_SECTIONS to print.
+ */
+export function buildPatientReportPdfHtml({ report, patient, layout = "clinician", sections = REPORT_PDF_SECTIONS }) {
+  const selected = SECTION_ORDER[layout].filter((key) => sections.includes(key));
+  const rendered = selected
+    .map((key) => ({ key, html: renderSection(key, report, layout) }))
+    .filter((section) => section.html);
+
+  const body = rendered.length
+    ? rendered.map(({ key, html }) => `<section><h2>${escapeHtml(SECTION_TITLES[key])}</h2>${html}</section>`).join("")
+    : `<p class="empty">No data has been recorded for the selected sections.</p>`;
+  const provenance = layout === "clinician" ? renderProvenance(report, rendered.map((section) => section.key)) : "";
+
+  const title = layout === "patient" ? "Your Health Report" : "Clinical Health Report";
+  const meta = [
+    patient?.name ? `Patient: ${patient.name}` : "",
+    patient?.userNumber ? `Patient ID: ${patient.userNumber}` : "",
+    report.reportNumber ? `Report #${report.reportNumber}` : "",
+    report.version > 1 ? `Version ${report.version}` : "",
+    report.lastSavedAt || report.updatedAt ? `Last saved: ${formatDate(report.lastSavedAt || report.updatedAt)}` : ""
+  ].filter(Boolean);
+  const signature = findCurrentSignedVersion(report)?.signature;
+  const status = getReportStatus(report);
+  const signOff = signature
+    ? `Approved by ${signature.name} on ${formatDate(signature.signedAt)}`
+    : `${status.replace(/_/g, " ").replace(/^./, (c) => c.toUpperCase())} - not yet approved by a doctor`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>${buildStyles(layout)}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(title)}</h1><div class="meta">${meta.map((item) => `<span>${escapeHtml(item)}</span>`).join("")}</div><div class="${signature ? "signoff" : "signoff unsigned"}">${escapeHtml(signOff)}</div></header>
+${body}
+${provenance}
+</body>
+</html>`;
+}
+
+// Chrome footer band: report number and page count on every page.
+export function buildPatientReportPdfFooter({ report }) {
+  const label = report.reportNumber ? `Report #${report.reportNumber} &middot; ` : "";
+  return `<div style="width:100%;font-family:${FONT};font-size:8px;color:#64748B;text-align:center;">${label}Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>`;
+}
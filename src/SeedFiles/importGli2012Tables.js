@@ -0,0 +1,32 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { buildGli2012Equations } from "../utils/gli2012Tables.js";
+
+// Usage: node src/SeedFiles/importGli2012Tables.js <coefficients.csv> <lookup.csv> [output.json]
+// Writes the GLI-2012 reference equations that src/Calculators/lung.js reads.
+const here = path.dirname(fileURLToPath(import.meta.url));
+const [coefficientsPath, lookupPath, outputPath = path.resolve(here, "../data/gli2012Spirometry.json")] = process.argv.slice(2);
+
+function importGli2012Tables() {
+  if (!coefficientsPath || !lookupPath) {
+    throw new Error("Usage: node src/SeedFiles/importGli2012Tables.js <coefficients.csv> <lookup.csv> [output.json]");
+  }
+  const equations = buildGli2012Equations({
+    coefficients: fs.readFileSync(coefficientsPath, "utf8"),
+    lookup: fs.readFileSync(lookupPath, "utf8")
+  });
+  const existing = fs.existsSync(outputPath) ? JSON.parse(fs.readFileSync(outputPath, "utf8")) : {};
+  fs.writeFileSync(outputPath, `${JSON.stringify({ _comment: existing._comment, equations }, null, 2)}\n`);
+
+  const loaded = Object.entries(equations).flatMap(([sex, parameters]) => Object.keys(parameters).map((p) => `${sex} ${p}`));
+  console.log(`GLI-2012 tables written to ${outputPath}: ${loaded.join(", ")}`);
+}
+
+try {
+  importGli2012Tables();
+} catch (error) {
+  console.error(error instanceof Error ? error.message : "Failed to import the GLI-2012 tables");
+  process.exit(1);
+}
@@ -10,8 +10,12 @@ import { authRouter } from "./routes/authRoutes.js";
 import { userRouter } from "./routes/userRoutes.js";
 import { patientRouter } from "./routes/patientRoutes.js";
 import { nurseRouter } from "./routes/nurseRoutes.js";
+import { calculatorRouter } from "./routes/calculatorRoutes.js";
 import { connectDb } from "./utils/connectDb.js";
+import { resumeAiJobs } from "./utils/aiJobQueue.js";
+import { releaseLegacyReports } from "./utils/reportLifecycle.js";
 import { authMiddleware } from "./middlewares/authMiddleware.js";
+import { trackAiUsage } from "./middlewares/aiUsageMiddleware.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -56,7 +60,7 @@ app.use((req, res, next) => {
   res.setHeader("Vary", "Origin");
   res.setHeader("Access-Control-Allow-Credentials", "true");
   res.setHeader("Access-Control-Allow-Methods", corsMethods);
-  res.setHeader("Access-Control-Expose-Headers", "x-request-id");
+  res.setHeader("Access-Control-Expose-Headers", "x-request-id, x-ai-cache");
   res.setHeader("Access-Control-Allow-Headers", req.headers["access-control-request-headers"] || corsHeaders);
 
   if (req.method === "OPTIONS") {
@@ -117,6 +121,8 @@ app.use((req, res, next) => {
   next();
 });
 
+app.use(trackAiUsage);
+
 app.get("/health", (req, res) => {
   res.json({ ok: true });
 });
@@ -128,6 +134,7 @@ app.use("/api/auth", authRouter);
 app.use("/api/users", userRouter);
 app.use("/api/patient", patientRouter);
 app.use("/api/nurse", nurseRouter);
+app.use("/api/calculators", calculatorRouter);
 app.use("/api", authMiddleware, gptRouter);
 
 app.use((err, req, res, next) => {
@@ -170,6 +177,11 @@ async function start() {
       console.warn(`[Startup] MongoDB: NOT CONNECTED — ${dbResult.reason || "unknown reason"}. Set MONGODB_URI or MONGO_URI to enable auth APIs.`);
     }
 
+    if (dbResult.connected) {
+      await releaseLegacyReports().catch((err) => console.error("[Startup] Failed to release legacy reports:", err));
+      resumeAiJobs().catch((err) => console.error("[Startup] Failed to resume AI jobs:", err));
+    }
+
     const server = app.listen(port, "0.0.0.0", () => {
       console.log(`API listening on http://localhost:${port}`);
     });
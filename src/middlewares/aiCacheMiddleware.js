@@ -0,0 +1,70 @@
+import { isAiCacheBypassed, withAiResultCache } from "../utils/aiResultCache.js";
+import { buildPromptVersion, collectSourceDocuments } from "./aiReportMiddleware.js";
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Answers an AI route from the result cache when the same documents were
+ * already analysed with the same route, provider, model, prompt version and
+ * parameters. `noCache=1` (body or query) forces a fresh call. The outcome is
+ * reported in the `x-ai-cache` header (hit, miss or bypass).
+ *
+ * Mount it after the report middleware so a cached answer is still saved to
+ * the report and only the bare model result is stored.
+ */
+export function cacheAiResult({ prompts = [], describe }) {
+  return (req, res, next) => {
+    const route = normalizeString(req?.route?.path) || normalizeString(req?.path);
+    const described = typeof describe === "function" ? describe(req) : {};
+    const documentChecksums = collectSourceDocuments(req).map((doc) => doc.checksum);
+    const originalJson = res.json.bind(res);
+
+    const produce = (outcome) =>
+      new Promise((resolve) => {
+        // Handlers that end with next(err), res.send or res.end never reach
+        // res.json; nothing is cached for them.
+        res.once("finish", () => resolve(null));
+        res.once("close", () => resolve(null));
+        res.json = (body) => {
+          res.json = originalJson;
+          const cacheable = res.statusCode === 200 && isPlainObject(body) && !body.error;
+          if (cacheable) {
+            const { debug, raw, ...result } = body;
+            resolve(result);
+          } else resolve(null);
+          if (!res.headersSent) res.setHeader("x-ai-cache", cacheable ? outcome : "bypass");
+          return originalJson(body);
+        };
+        next();
+      });
+
+    withAiResultCache(
+      {
+        route,
+        provider: described.provider,
+        model: described.model,
+        promptVersion: buildPromptVersion(prompts, req.aiPromptVersions),
+        documentChecksums,
+        params: isPlainObject(req.body) ? req.body : {},
+        bypass: isAiCacheBypassed(req.body?.noCache ?? req.query?.noCache),
+        createdBy: req.user?._id || null
+      },
+      produce
+    )
+      .then(({ result, cache }) => {
+        if (cache !== "hit") return;
+        res.setHeader("x-ai-cache", "hit");
+        res.json(result);
+      })
+      .catch((err) => {
+        console.error(`[AiCache] ${route} failed:`, err);
+        if (!res.headersSent) res.status(500).json({ error: err instanceof Error ? err.message : "AI cache failed" });
+      });
+  };
+}
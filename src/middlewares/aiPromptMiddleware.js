@@ -0,0 +1,52 @@
+import {
+  getPromptNames,
+  getUsedPromptVersions,
+  loadPromptOverrides,
+  resolvePromptVersions,
+  runWithPromptContext
+} from "../utils/promptRegistry.js";
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Prompt versions of the current request: the route's declared prompts plus
+ * every prompt the handler actually resolved.
+ */
+export function getRequestPromptVersions(req) {
+  return { ...(req?.aiPromptVersions || {}), ...getUsedPromptVersions() };
+}
+
+/**
+ * Runs the rest of the chain in a prompt registry context, so route pins and
+ * A/B splits apply to the prompts the handler reads, and adds the versions
+ * used as `promptVersions` to JSON responses. Mount it first among the AI
+ * middlewares. The A/B bucket follows the reportId, else the user.
+ */
+export function usePromptRegistry({ prompts = [] }) {
+  const declared = getPromptNames(prompts);
+
+  return async (req, res, next) => {
+    await loadPromptOverrides();
+
+    const route = normalizeString(req?.route?.path) || normalizeString(req?.path);
+    const bucketKey = normalizeString(req?.body?.reportId ?? req?.query?.reportId) || req?.user?._id?.toString?.() || "";
+
+    runWithPromptContext({ route, bucketKey }, (context) => {
+      req.aiPromptVersions = resolvePromptVersions(declared, context);
+
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        res.json = originalJson;
+        if (res.statusCode >= 400 || !isPlainObject(body)) return originalJson(body);
+        return originalJson({ ...body, promptVersions: { ...req.aiPromptVersions, ...getUsedPromptVersions(context) } });
+      };
+      next();
+    });
+  };
+}
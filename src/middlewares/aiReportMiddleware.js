@@ -0,0 +1,162 @@
+import crypto from "node:crypto";
+import { trackAiCalls } from "../AiProviders/index.js";
+import { setAiUsagePatient } from "../utils/aiUsage.js";
+import { getRequestPromptVersions } from "./aiPromptMiddleware.js";
+import {
+  resolvePatientReportForAiRun,
+  saveAiRunToPatientReport
+} from "../Controllers/patientReportController.js";
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Prompt builders are hashed by their source, so editing a template changes
+// the version just like editing a constant prompt does. Registry overrides
+// (any version that is not built-in) are folded into the hash as well.
+export function buildPromptVersion(prompts = [], promptVersions = {}) {
+  const text = (Array.isArray(prompts) ? prompts : [prompts])
+    .map((p) => (typeof p === "function" ? p.toString() : p))
+    .filter((p) => typeof p === "string")
+    .join("\n\n");
+  const overridden = Object.entries(promptVersions || {})
+    .filter(([, version]) => !String(version).startsWith("builtin-"))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const source = overridden.length > 0 ? `${text}\n\n${JSON.stringify(overridden)}` : text;
+  if (!source) return "";
+  return crypto.createHash("sha256").update(source).digest("hex").slice(0, 12);
+}
+
+export function collectSourceDocuments(req) {
+  const files = [];
+  if (Array.isArray(req?.files)) files.push(...req.files);
+  else if (req?.files && typeof req.files === "object") {
+    for (const list of Object.values(req.files)) {
+      if (Array.isArray(list)) files.push(...list);
+    }
+  }
+  if (req?.file) files.push(req.file);
+
+  return files
+    .filter((file) => Buffer.isBuffer(file?.buffer))
+    .map((file) => ({
+      checksum: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+      originalName: normalizeString(file.originalname),
+      mimeType: normalizeString(file.mimetype)
+    }));
+}
+
+function stripTransientFields(body) {
+  const { debug, raw, validation, ...rest } = body;
+  return rest;
+}
+
+// Default placement for section routes: each route keeps its own slot under
+// `aiAnalyses`, so two routes feeding one section never overwrite each other
+// and the nurse-entered fields of the section are left untouched.
+function applyToSectionSlot(slot) {
+  return (existing, result, aiRun) => {
+    const current = isPlainObject(existing) ? existing : {};
+    const analyses = isPlainObject(current.aiAnalyses) ? current.aiAnalyses : {};
+    return {
+      ...current,
+      aiAnalyses: { ...analyses, [slot]: { ...result, aiRunId: aiRun._id.toString() } }
+    };
+  };
+}
+
+// `access` is what resolvePatientReportForAiRun returned for the caller; the
+// async job queue keeps it on the job and saves once the job finishes.
+export async function saveAiResultForAccess({ access, target, result, apply, run }) {
+  const applyResult = typeof apply === "function" ? apply : applyToSectionSlot(normalizeString(run?.route).replace(/^\/+/, "") || "default");
+  return saveAiRunToPatientReport({
+    patientId: access.patientId,
+    reportId: access.reportId,
+    target,
+    apply: (existing, aiRun) => applyResult(existing, result, aiRun),
+    run: {
+      ...run,
+      createdBy: access.actorId,
+      createdByRole: normalizeString(access.actor?.role),
+      createdAt: new Date()
+    }
+  });
+}
+
+/**
+ * Saves the JSON result of an AI route into a PatientReport when the request
+ * carries a `reportId`, together with the provenance of the run.
+ *
+ * target   "structuredSections.<section>" or a top-level analysis field
+ * prompts  prompt texts the route sends; hashed into the prompt version
+ * describe (req) => ({ provider, model }) for the run
+ * apply    optional (existing, result, aiRun, req) => next section value
+ */
+export function persistAiResultToReport({ target, prompts = [], describe, apply }) {
+  return async (req, res, next) => {
+    const reportId = normalizeString(req?.body?.reportId ?? req?.query?.reportId);
+    if (!reportId) return next();
+
+    const route = normalizeString(req?.route?.path) || normalizeString(req?.path);
+    const applyResult = typeof apply === "function" ? apply : applyToSectionSlot(route.replace(/^\/+/, "") || "default");
+
+    let access;
+    try {
+      access = await resolvePatientReportForAiRun({ req, reportId });
+    } catch (err) {
+      return res.status(500).json({ error: err instanceof Error ? err.message : "Failed to resolve patient report" });
+    }
+    if (access.error) return res.status(access.error.status).json(access.error.body);
+    setAiUsagePatient(access.patientId);
+
+    const sourceDocuments = collectSourceDocuments(req);
+    const originalJson = res.json.bind(res);
+    let aiCalls = [];
+
+    res.json = (body) => {
+      res.json = originalJson;
+      if (res.statusCode >= 400 || !isPlainObject(body)) return originalJson(body);
+
+      // Prefer the provider that actually answered, which differs from the
+      // requested one when the call fell back.
+      const described = typeof describe === "function" ? describe(req) : {};
+      const lastCall = aiCalls[aiCalls.length - 1];
+      const provider = lastCall?.provider || described.provider || "";
+      const model = lastCall?.model || described.model || "";
+      const promptVersions = getRequestPromptVersions(req);
+
+      saveAiResultForAccess({
+        access,
+        target,
+        result: stripTransientFields(body),
+        apply: (existing, result, aiRun) => applyResult(existing, result, aiRun, req),
+        run: {
+          route,
+          provider,
+          model,
+          promptVersion: buildPromptVersion(prompts, promptVersions),
+          promptVersions,
+          validation: isPlainObject(body.validation) ? body.validation : null,
+          sourceDocuments,
+          requestId: normalizeString(res.getHeader("x-request-id"))
+        }
+      })
+        .then(({ aiRun }) => originalJson({ ...body, reportId: access.reportId, aiRun }))
+        .catch((err) => {
+          const message = err instanceof Error ? err.message : "Failed to save AI result to report";
+          console.error(`[AiReport] save failed for ${route} report=${access.reportId}:`, err);
+          originalJson({ ...body, reportId: access.reportId, reportSaveError: message });
+        });
+      return res;
+    };
+
+    trackAiCalls((calls) => {
+      aiCalls = calls;
+      next();
+    });
+  };
+}
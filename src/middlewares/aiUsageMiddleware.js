@@ -0,0 +1,32 @@
+import { getAiQuotaStatus, runWithAiUsageContext } from "../utils/aiUsage.js";
+
+// App-level: every AI call made while handling the request is metered under
+// its route, user and patient.
+export function trackAiUsage(req, res, next) {
+  runWithAiUsageContext({ req }, next);
+}
+
+/**
+ * Rejects the request with 429 once the caller has used up a day or month
+ * quota (requests, tokens or cost). Mount it on AI routes after auth. Quota
+ * lookups that fail let the request through.
+ */
+export async function enforceAiQuota(req, res, next) {
+  if (!req?.app?.locals?.dbReady || !req.user?._id) return next();
+
+  let status;
+  try {
+    status = await getAiQuotaStatus(req.user);
+  } catch (err) {
+    console.error("[AiUsage] quota check failed:", err);
+    return next();
+  }
+  if (!status.exceeded) return next();
+
+  const { period, metric, limits, used, resetsAt } = status.exceeded;
+  res.setHeader("Retry-After", String(Math.max(1, Math.ceil((resetsAt.getTime() - Date.now()) / 1000))));
+  return res.status(429).json({
+    error: `AI usage quota exceeded (${metric} per ${period})`,
+    quota: { period, metric, limit: limits[metric], used: used[metric], resetsAt }
+  });
+}
@@ -0,0 +1,18 @@
+import { attachAiValidation, collectAiValidations } from "../utils/aiOutputValidation.js";
+
+/**
+ * Adds a `validation` block ({ valid, missingFields, outputs }) to the JSON
+ * response of an AI route whose model output was schema-validated, so the UI
+ * can flag the fields the model failed to produce. Mount it after multer and
+ * inside cacheAiResult, so cached results replay their validation.
+ */
+export function reportAiValidation(req, res, next) {
+  collectAiValidations((outputs) => {
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = originalJson;
+      return originalJson(res.statusCode >= 400 ? body : attachAiValidation(body, outputs));
+    };
+    next();
+  });
+}
@@ -0,0 +1,18 @@
+import { attachImagePreprocessing, collectImagePreprocessing } from "../utils/imagePreprocessing.js";
+
+/**
+ * Adds an `imagePreprocessing` block ({ images, estimatedTokens }) to the JSON
+ * response when uploaded photos were rotated, cropped, deskewed or downscaled
+ * before a vision call, with the estimated image tokens before and after.
+ * Mount it after multer.
+ */
+export function reportImagePreprocessing(req, res, next) {
+  collectImagePreprocessing((images) => {
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = originalJson;
+      return originalJson(res.statusCode >= 400 ? body : attachImagePreprocessing(body, images));
+    };
+    next();
+  });
+}
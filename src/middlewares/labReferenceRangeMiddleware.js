@@ -0,0 +1,27 @@
+import { attachLabReferenceRanges, resolveLabPatient } from "../utils/labReferenceRanges.js";
+
+/**
+ * Checks docs-tests results against the age/sex/pregnancy reference-range
+ * engine before they are returned or saved. The patient comes from the
+ * request (patientAge, patientSex, pregnant) or from the `reportId`'s
+ * patient. Mount it outside cacheAiResult: the cached result stays
+ * patient-independent.
+ */
+export function applyLabReferenceRanges(req, res, next) {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = originalJson;
+    if (res.statusCode >= 400) return originalJson(body);
+    const input = { ...(req.query || {}), ...(req.body && typeof req.body === "object" ? req.body : {}) };
+    const reportId = typeof input.reportId === "string" ? input.reportId.trim() : "";
+    const dbReady = !!req.app?.locals?.dbReady;
+    resolveLabPatient({ reportId: dbReady && /^[a-f0-9]{24}$/i.test(reportId) ? reportId : "", input })
+      .then((patient) => originalJson(attachLabReferenceRanges(body, patient)))
+      .catch((err) => {
+        console.error("[LabRanges] reference range check failed:", err);
+        originalJson(body);
+      });
+    return res;
+  };
+  next();
+}
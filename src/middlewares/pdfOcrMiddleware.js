@@ -0,0 +1,17 @@
+import { attachPdfOcrReports, collectPdfOcrReports } from "../utils/pdfOcr.js";
+
+/**
+ * Adds an `ocr` block ({ documents: [{ name, numpages, pages }] }) to the JSON
+ * response when an uploaded PDF had no usable text layer and was read with
+ * OCR, so the UI can show the per-page confidence. Mount it after multer.
+ */
+export function reportPdfOcr(req, res, next) {
+  collectPdfOcrReports((documents) => {
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = originalJson;
+      return originalJson(res.statusCode >= 400 ? body : attachPdfOcrReports(body, documents));
+    };
+    next();
+  });
+}
@@ -0,0 +1,68 @@
+import { resolvePatientReportForAiRun } from "../Controllers/patientReportController.js";
+import {
+  fillAnalysisLabInputs,
+  loadSectionLabReport,
+  prefillSectionLabInputs
+} from "../utils/sectionLabInputs.js";
+
+function readReportId(req) {
+  const raw = req?.body?.reportId ?? req?.query?.reportId;
+  return typeof raw === "string" ? raw.trim() : "";
+}
+
+/**
+ * Pre-fills the lab fields of a score form that the request left empty from
+ * the `reportId`'s extracted docs-tests, before the route reads its body.
+ * The per-field sources are left on `res.locals.labInputSources`. Requests
+ * without a reportId pass through untouched.
+ */
+export function prefillSectionLabRequest(section) {
+  return async (req, res, next) => {
+    const reportId = readReportId(req);
+    if (!reportId) return next();
+    try {
+      const access = await resolvePatientReportForAiRun({ req, reportId });
+      if (access.error) return res.status(access.error.status).json(access.error.body);
+      const report = await loadSectionLabReport(access.reportId);
+      const body = req.body && typeof req.body === "object" ? req.body : {};
+      const { values, sources } = prefillSectionLabInputs(section, report, body);
+      const filled = Object.keys(sources).filter((field) => sources[field].source === "docsTests");
+      req.body = { ...body, ...Object.fromEntries(filled.map((field) => [field, values[field]])) };
+      res.locals.labInputSources = sources;
+    } catch (err) {
+      return res.status(500).json({ error: err instanceof Error ? err.message : "Failed to read report labs" });
+    }
+    next();
+  };
+}
+
+/**
+ * Completes an AI section result (`body[section][section]`) with the labs
+ * its uploads did not contain, taken from the `reportId`'s docs-tests, and
+ * recomputes the section scores. Mount it after persistAiResultToReport so
+ * the completed result is the one saved, and outside cacheAiResult so the
+ * cached result stays report-independent.
+ */
+export function applySectionLabInputs(section) {
+  return (req, res, next) => {
+    const reportId = readReportId(req);
+    if (!req.app?.locals?.dbReady || !/^[a-f0-9]{24}$/i.test(reportId)) return next();
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = originalJson;
+      const analysis = body?.[section]?.[section];
+      if (res.statusCode >= 400 || !analysis || typeof analysis !== "object") return originalJson(body);
+      loadSectionLabReport(reportId)
+        .then((report) => {
+          const completed = fillAnalysisLabInputs(section, analysis, report, body.patient);
+          originalJson({ ...body, [section]: { ...body[section], [section]: completed } });
+        })
+        .catch((err) => {
+          console.error(`[SectionLabs] ${section} lab pre-fill failed:`, err);
+          originalJson(body);
+        });
+      return res;
+    };
+    next();
+  };
+}
@@ -0,0 +1,13 @@
+import express from "express";
+import { authMiddleware } from "../middlewares/authMiddleware.js";
+import {
+  getCalculatorController,
+  listCalculatorsController,
+  runCalculatorController
+} from "../Controllers/calculatorController.js";
+
+export const calculatorRouter = express.Router();
+
+calculatorRouter.get("/", authMiddleware, listCalculatorsController);
+calculatorRouter.get("/:id", authMiddleware, getCalculatorController);
+calculatorRouter.post("/:id", authMiddleware, runCalculatorController);
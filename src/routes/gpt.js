@@ -1,9 +1,9 @@
 import express from "express";
 import multer from "multer";
-import OpenAI from "openai";
-import pdfParse from "pdf-parse";
 import mammoth from "mammoth";
 import ExcelJS from "exceljs";
+import mongoose from "mongoose";
+import { AsyncResource } from "node:async_hooks";
 import crypto from "node:crypto";
 import fs from "node:fs";
 import { createRequire } from "node:module";
@@ -43,8 +43,73 @@ import { createGenesHealthHandler } from "../AiControllers/GenesHealthController
 import { createAllergyPanelsHandler } from "../AiControllers/AllergyPanelsController.js";
 import { createBrainHealthAssessmentHandler } from "../AiControllers/BrainHealthAssessmentController.js";
 import { createElderHealthHandler } from "../AiControllers/ElderHealthController.js";
+import {
+  generateAiText,
+  getAiProviderConfigError,
+  getConfiguredAiModel,
+  isAiProviderConfigured,
+  listAiProviders,
+  normalizeAiProvider
+} from "../AiProviders/index.js";
+import { computeCaide, computeFsrs, computeLibra } from "../Calculators/brainHealth.js";
+import { computeKidneyScores } from "../Calculators/kidney.js";
+import {
+  computeAstAltRatio,
+  computeBard,
+  computeFib4,
+  computeFli,
+  computeLiverScoresFromPatient,
+  computeNfs,
+  interpretBard,
+  interpretCap,
+  interpretElastographyKpa,
+  interpretFib4,
+  interpretFli,
+  interpretNfs
+} from "../Calculators/liver.js";
+import { classifySpirometryPattern, compareSpirometryToReference, computeLungAgeYears } from "../Calculators/lung.js";
+import { computeBmiKgM2, computeInsulinResistance } from "../Calculators/metabolic.js";
+
+import { cacheAiResult } from "../middlewares/aiCacheMiddleware.js";
+import { usePromptRegistry } from "../middlewares/aiPromptMiddleware.js";
+import { enforceAiQuota } from "../middlewares/aiUsageMiddleware.js";
+import { reportAiValidation } from "../middlewares/aiValidationMiddleware.js";
+import { applyLabReferenceRanges } from "../middlewares/labReferenceRangeMiddleware.js";
+import { applySectionLabInputs, prefillSectionLabRequest } from "../middlewares/sectionLabInputsMiddleware.js";
+import { reportPdfOcr } from "../middlewares/pdfOcrMiddleware.js";
+import { reportImagePreprocessing } from "../middlewares/imagePreprocessingMiddleware.js";
+import { buildPromptVersion, persistAiResultToReport, saveAiResultForAccess } from "../middlewares/aiReportMiddleware.js";
+import { getAiJobAnsweringModel, registerAiJobKind, runJsonHandler } from "../utils/aiJobQueue.js";
+import { generateValidatedAiText } from "../utils/aiOutputValidation.js";
+import { runWithAiUsageContext } from "../utils/aiUsage.js";
+import { computeCardiovascularRisk, loadCardiovascularRiskReport } from "../utils/cardiovascularRisk.js";
+import { annotateLabTest, labTestMergeKey, normalizeLabUnit } from "../utils/labCatalog.js";
+import { parseRangeBounds } from "../utils/labReferenceRanges.js";
+import { formatDicomForPrompt, isDicomFile, parseDicomFile } from "../utils/dicomImport.js";
+import { formatGenotypeForPrompt, isGenotypeFile, parseGenotypeFile } from "../utils/genotypeImport.js";
+import { readPdfText } from "../utils/pdfOcr.js";
+import { preprocessImagesForVision } from "../utils/imagePreprocessing.js";
+import {
+  getPrompt,
+  getPromptNames,
+  loadPromptOverrides,
+  registerBuiltinPrompt,
+  resolvePromptVersions,
+  runWithPromptContext
+} from "../utils/promptRegistry.js";
+import { isSpirometryExport, parseSpirometryExport, toGliEthnicity } from "../utils/spirometryImport.js";
+import {
+  cancelAiJobController,
+  createAiJobController,
+  getAiJobController,
+  listAiJobsController,
+  streamAiJobEventsController
+} from "../Controllers/aiJobController.js";
+import { getMyAiQuotaController } from "../Controllers/aiUsageController.js";
+import { resolvePatientReportForAiRun } from "../Controllers/patientReportController.js";
 
 import { AI_OUTPUT_JSON_SUFFIX } from "../AiPrompts/shared.js";
+import { BODY_COMPOSITION_SCHEMA_HINT, BODY_COMPOSITION_SYSTEM_PROMPT } from "../AiPrompts/bodyCompositionPrompts.js";
 import {
   JSON_REPAIR_SYSTEM_PROMPT,
   buildJsonRepairArrayUserPrompt,
@@ -100,6 +165,7 @@ import {
   buildAdultVaccinationUserPrompt
 } from "../AiPrompts/adultVaccinationPrompts.js";
 import {
+  CANCER_SCREENING_SUMMARY_SCHEMA_HINT,
   CANCER_SCREENING_SYSTEM_PROMPT,
   buildCancerScreeningUserPrompt
 } from "../AiPrompts/cancerScreeningPrompts.js";
@@ -132,177 +198,10 @@ function requireString(value) {
   return typeof value === "string" && value.trim().length > 0;
 }
 
-/**
- * Returns true for OpenAI models that use max_completion_tokens instead of
- * max_tokens, and do not support temperature or response_format.
- * Covers: o1, o1-mini, o1-preview, o3, o3-mini, o4, o4-mini, gpt-5* series.
- */
-function isOpenAiReasoningModel(model) {
-  const m = typeof model === "string" ? model.trim().toLowerCase() : "";
-  return (
-    /^o\d/.test(m) ||          // o1, o3, o4, o1-mini, o4-mini …
-    m.startsWith("gpt-5")      // gpt-5, gpt-5.2, gpt-5-turbo …
-  );
-}
-
-/**
- * Builds the params object for openai.chat.completions.create() in a way that
- * works for both legacy GPT-4 models and new reasoning / GPT-5 models.
- */
-function buildOpenAiChatParams({ model, systemPrompt, userPrompt, maxTokens = 4096, temperature = 0.3, jsonMode = false }) {
-  const resolvedModel = requireString(model) ? model : (process.env.OPENAI_MODEL || "gpt-4o");
-  const isReasoning = isOpenAiReasoningModel(resolvedModel);
-
-  const params = {
-    model: resolvedModel,
-    messages: [
-      ...(requireString(systemPrompt) ? [{ role: "system", content: systemPrompt }] : []),
-      { role: "user", content: userPrompt }
-    ]
-  };
-
-  if (isReasoning) {
-    // Reasoning models: use max_completion_tokens; skip temperature & response_format
-    params.max_completion_tokens = Math.max(256, Math.trunc(maxTokens));
-  } else {
-    params.temperature = Number.isFinite(temperature) ? temperature : 0.3;
-    params.max_tokens = Math.max(256, Math.trunc(maxTokens));
-    if (jsonMode) params.response_format = { type: "json_object" };
-  }
-
-  return params;
-}
-
-function getOpenAIClient() {
-  if (!requireString(process.env.OPENAI_API_KEY)) {
-    return null;
-  }
-  return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-}
-
-function normalizeAiProvider(value) {
-  const v = typeof value === "string" ? value.trim().toLowerCase() : "";
-  if (!v) return "openai";
-  if (v.includes("claude") || v.includes("anthropic")) return "claude";
-  if (v.includes("gemini") || v.includes("google")) return "gemini";
-  if (v.includes("openai") || v.includes("gpt")) return "openai";
-  return "openai";
-}
-
 function getAiProviderFromReq(req) {
   return normalizeAiProvider(req?.body?.provider ?? req?.query?.provider);
 }
 
-function hasAnthropicKey() {
-  return requireString(process.env.ANTHROPIC_API_KEY);
-}
-
-function hasGeminiKey() {
-  return requireString(process.env.Gemini_api_key);
-}
-
-function getGeminiModel() {
-  const m = typeof process.env.Gemini_model === "string" ? process.env.Gemini_model.trim() : "";
-  return m || "gemini-2.5-flash";
-}
-
-function getTextFromAnthropicMessageResponse(response) {
-  const content = response?.content;
-  if (!Array.isArray(content)) return "";
-  return content
-    .filter((p) => p && p.type === "text" && typeof p.text === "string")
-    .map((p) => p.text)
-    .join("\n");
-}
-
-function getFetch() {
-  if (typeof fetch === "function") return fetch;
-  throw new Error("Global fetch is not available. Use Node.js v18+.");
-}
-
-function getTextFromGeminiGenerateContentResponse(response) {
-  const candidates = Array.isArray(response?.candidates) ? response.candidates : [];
-  const parts = Array.isArray(candidates?.[0]?.content?.parts) ? candidates[0].content.parts : [];
-  return parts
-    .map((p) => (p && typeof p.text === "string" ? p.text : ""))
-    .filter((t) => t)
-    .join("\n");
-}
-
-async function geminiGenerateContent({ parts, model, temperature, maxOutputTokens }) {
-  if (!hasGeminiKey()) {
-    throw new Error("Gemini_api_key is not set");
-  }
-
-  const finalModel = requireString(model) ? model : getGeminiModel();
-  const finalParts = Array.isArray(parts) && parts.length > 0 ? parts : [{ text: "" }];
-
-  const res = await getFetch()(
-    `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(finalModel)}:generateContent`,
-    {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        "x-goog-api-key": process.env.Gemini_api_key
-      },
-      body: JSON.stringify({
-        contents: [{ parts: finalParts }],
-        generationConfig: {
-          temperature: Number.isFinite(temperature) ? temperature : 0,
-          maxOutputTokens: Number.isFinite(maxOutputTokens) ? Math.max(256, Math.trunc(maxOutputTokens)) : 4096
-        }
-      })
-    }
-  );
-
-  const json = await res.json().catch(() => null);
-  if (!res.ok) {
-    const message =
-      typeof json?.error?.message === "string" && json.error.message.trim()
-        ? json.error.message
-        : `Gemini request failed (${res.status})`;
-    throw new Error(message);
-  }
-  return json;
-}
-
-async function anthropicCreateJsonMessage({ system, messages, model, temperature, maxTokens }) {
-  if (!hasAnthropicKey()) {
-    throw new Error("ANTHROPIC_API_KEY is not set");
-  }
-
-  const finalModel = requireString(model)
-    ? model
-    : process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022";
-
-  const res = await getFetch()("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "content-type": "application/json",
-      "x-api-key": process.env.ANTHROPIC_API_KEY,
-      "anthropic-version": "2023-06-01"
-    },
-    body: JSON.stringify({
-      model: finalModel,
-      max_tokens: Number.isFinite(maxTokens) ? Math.max(256, Math.trunc(maxTokens)) : 4096,
-      temperature: Number.isFinite(temperature) ? temperature : 0,
-      system: requireString(system) ? system : undefined,
-      messages: Array.isArray(messages) ? messages : []
-    })
-  });
-
-  const data = await res.json().catch(() => null);
-  if (!res.ok) {
-    const msg =
-      (typeof data?.error?.message === "string" && data.error.message.trim()) ||
-      (typeof data?.message === "string" && data.message.trim()) ||
-      `Anthropic request failed (${res.status})`;
-    throw new Error(msg);
-  }
-
-  return data;
-}
-
 function parseMaybeJson(value) {
   if (!requireString(value)) return null;
   try {
@@ -582,38 +481,18 @@ function computeExerciseAssessment({ patient, assessment }) {
   };
 }
 
-async function generateExerciseAssessmentSummaryWithAi({ openai, provider, patient, assessment, computed, debug }) {
+async function generateExerciseAssessmentSummaryWithAi({ provider, patient, assessment, computed, debug }) {
   const userPrompt = buildExerciseAssessmentUserPrompt({ patient, assessment, computed });
-  const systemPrompt = EXERCISE_ASSESSMENT_SYSTEM_PROMPT;
-
-  let raw = "";
-  if (provider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: systemPrompt,
-      messages: [{ role: "user", content: userPrompt }],
-      temperature: 0
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else if (provider === "gemini") {
-    const response = await geminiGenerateContent({
-      model: getGeminiModel(),
-      temperature: 0,
-      parts: [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }]
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const response = await openai.responses.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      text: { format: { type: "json_object" } },
-      input: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: [{ type: "input_text", text: userPrompt }] }
-      ]
-    });
-    raw = getTextFromResponsesOutput(response);
-  }
+  const systemPrompt = getPrompt("EXERCISE_ASSESSMENT_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "exerciseAssessmentSummary",
+    schema: "exerciseAssessment",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    temperature: 0
+  });
 
   const parsed =
     safeParseJsonObject(raw) ??
@@ -881,6 +760,8 @@ function normalizeHeartHealthScoreIncoming(body) {
       socialHealthSeverity: severity(lifestyle.socialHealthSeverity, ["good", "mild", "moderate", "severe"])
     },
     biomarkers: {
+      totalCholesterol: n(biomarkers.totalCholesterol),
+      hdl: n(biomarkers.hdl),
       ldl: n(biomarkers.ldl),
       nonHdl: n(biomarkers.nonHdl),
       apoB: n(biomarkers.apoB),
@@ -1203,195 +1084,6 @@ function computeBrainHealthScoreMeaning(score) {
   return "Very high risk";
 }
 
-function computeFsrs({ sex, age, sbp, treated, diabetes, smoker, priorCvd, afib, lvh }) {
-  const s = typeof sex === "string" ? sex.trim().toLowerCase() : "";
-  if (s !== "male" && s !== "female") return { points: null, risk10y: "" };
-  if (!Number.isFinite(age)) return { points: null, risk10y: "" };
-  if (!Number.isFinite(sbp)) return { points: null, risk10y: "" };
-
-  const agePoints = (() => {
-    if (age < 54) return null;
-    if (age <= 56) return 0;
-    if (age <= 59) return 1;
-    if (age <= 62) return 2;
-    if (age <= 65) return 3;
-    if (age <= 68) return 4;
-    if (age <= 71) return 5;
-    if (age <= 74) return 6;
-    if (age <= 77) return 7;
-    if (age <= 80) return 8;
-    if (age <= 83) return 9;
-    if (age <= 86) return 10;
-    return null;
-  })();
-  if (agePoints == null) return { points: null, risk10y: "" };
-
-  const sbpBinsMen = [
-    { min: 95, max: 105, untreated: 0, treated: 2 },
-    { min: 106, max: 115, untreated: 1, treated: 3 },
-    { min: 116, max: 125, untreated: 1, treated: 4 },
-    { min: 126, max: 135, untreated: 2, treated: 5 },
-    { min: 136, max: 145, untreated: 3, treated: 6 },
-    { min: 146, max: 155, untreated: 4, treated: 7 },
-    { min: 156, max: 165, untreated: 5, treated: 8 },
-    { min: 166, max: 175, untreated: 6, treated: 9 },
-    { min: 176, max: 185, untreated: 7, treated: 10 },
-    { min: 186, max: 195, untreated: 8, treated: 11 },
-    { min: 196, max: 205, untreated: 9, treated: 12 }
-  ];
-  const sbpBinsWomen = [
-    { min: 95, max: 105, untreated: 0, treated: 3 },
-    { min: 106, max: 115, untreated: 1, treated: 4 },
-    { min: 116, max: 125, untreated: 2, treated: 5 },
-    { min: 126, max: 135, untreated: 3, treated: 6 },
-    { min: 136, max: 145, untreated: 4, treated: 7 },
-    { min: 146, max: 155, untreated: 5, treated: 8 },
-    { min: 156, max: 165, untreated: 6, treated: 9 },
-    { min: 166, max: 175, untreated: 7, treated: 10 },
-    { min: 176, max: 185, untreated: 8, treated: 11 },
-    { min: 186, max: 195, untreated: 9, treated: 12 },
-    { min: 196, max: 205, untreated: 10, treated: 13 }
-  ];
-
-  const binList = s === "male" ? sbpBinsMen : sbpBinsWomen;
-  const bin = binList.find((b) => sbp >= b.min && sbp <= b.max) ?? (sbp < binList[0].min ? binList[0] : binList[binList.length - 1]);
-  const sbpPoints = treated ? bin.treated : bin.untreated;
-
-  const otherPoints =
-    (diabetes ? (s === "male" ? 2 : 3) : 0) +
-    (smoker ? 3 : 0) +
-    (priorCvd ? (s === "male" ? 3 : 2) : 0) +
-    (afib ? (s === "male" ? 4 : 6) : 0) +
-    (lvh ? (s === "male" ? 3 : 4) : 0);
-
-  const total = agePoints + sbpPoints + otherPoints;
-
-  const riskTableMen = new Map([
-    [1, "3%"],
-    [2, "3%"],
-    [3, "4%"],
-    [4, "4%"],
-    [5, "5%"],
-    [6, "5%"],
-    [7, "6%"],
-    [8, "7%"],
-    [9, "8%"],
-    [10, "10%"],
-    [11, "11%"],
-    [12, "13%"],
-    [13, "15%"],
-    [14, "17%"],
-    [15, "20%"],
-    [16, "22%"],
-    [17, "26%"],
-    [18, "29%"],
-    [19, "33%"],
-    [20, "37%"],
-    [21, "42%"],
-    [22, "47%"],
-    [23, "52%"],
-    [24, "57%"],
-    [25, "63%"]
-  ]);
-  const riskTableWomen = new Map([
-    [1, "1%"],
-    [2, "1%"],
-    [3, "2%"],
-    [4, "2%"],
-    [5, "2%"],
-    [6, "3%"],
-    [7, "4%"],
-    [8, "4%"],
-    [9, "5%"],
-    [10, "6%"],
-    [11, "8%"],
-    [12, "9%"],
-    [13, "11%"],
-    [14, "13%"],
-    [15, "16%"],
-    [16, "19%"],
-    [17, "23%"],
-    [18, "27%"],
-    [19, "32%"],
-    [20, "37%"],
-    [21, "43%"],
-    [22, "50%"],
-    [23, "57%"]
-  ]);
-
-  const table = s === "male" ? riskTableMen : riskTableWomen;
-  const risk = table.get(total) ?? (s === "male" ? (total >= 26 ? ">63%" : "") : total >= 24 ? ">57%" : "");
-
-  return { points: total, risk10y: risk };
-}
-
-function computeCaide({ age, sex, educationYears, sbp, bmi, cholMgDl, cholMmolL, physicallyActive, apoeCarrier }) {
-  if (!Number.isFinite(age)) return { score: null, risk20y: "", table: "" };
-  const s = typeof sex === "string" ? sex.trim().toLowerCase() : "";
-  if (s !== "male" && s !== "female") return { score: null, risk20y: "", table: "" };
-
-  const agePts = age < 47 ? 0 : age <= 53 ? 3 : 4;
-  const eduPts = Number.isFinite(educationYears) ? (educationYears > 10 ? 0 : educationYears >= 7 ? 2 : 3) : null;
-  if (eduPts == null) return { score: null, risk20y: "", table: "" };
-
-  const sbpPts = Number.isFinite(sbp) ? (sbp > 140 ? 2 : 0) : null;
-  const bmiPts = Number.isFinite(bmi) ? (bmi > 30 ? 2 : 0) : null;
-  if (sbpPts == null || bmiPts == null) return { score: null, risk20y: "", table: "" };
-
-  const cholFromMg = Number.isFinite(cholMgDl) ? cholMgDl : null;
-  const cholFromMmol = Number.isFinite(cholMmolL) ? cholMmolL * 38.67 : null;
-  const chol = cholFromMg ?? cholFromMmol;
-  const cholPts = Number.isFinite(chol) ? (chol > 251 ? 2 : 0) : null;
-  if (cholPts == null) return { score: null, risk20y: "", table: "" };
-
-  const activity = physicallyActive === "yes" ? 0 : physicallyActive === "no" ? 1 : null;
-  if (activity == null) return { score: null, risk20y: "", table: "" };
-
-  const sexPts = s === "male" ? 1 : 0;
-  const apoePts = apoeCarrier === "yes" ? 2 : apoeCarrier === "no" ? 0 : null;
-
-  const base = agePts + eduPts + sexPts + sbpPts + bmiPts + cholPts + activity;
-  const useApoeTable = apoePts != null;
-  const total = useApoeTable ? base + apoePts : base;
-
-  const riskWithout = (score) => {
-    if (score <= 5) return "1% (Low)";
-    if (score <= 7) return "3% (Moderate)";
-    if (score <= 9) return "4% (Moderate)";
-    if (score <= 11) return "7% (High)";
-    return "16% (Very High)";
-  };
-  const riskWith = (score) => {
-    if (score <= 5) return "1% (Low)";
-    if (score <= 7) return "2% (Low-Moderate)";
-    if (score <= 9) return "4% (Moderate)";
-    if (score <= 11) return "6% (Moderate-High)";
-    if (score <= 13) return "10% (High)";
-    return "18% (Very High)";
-  };
-
-  return { score: total, risk20y: useApoeTable ? riskWith(total) : riskWithout(total), table: useApoeTable ? "with_apoe" : "without_apoe" };
-}
-
-function computeLibra(state) {
-  const yes = (v) => v === "yes";
-  const highPhysical = yes(state?.highPhysicalActivity);
-  const score =
-    (yes(state?.depression) ? 2.1 : 0) +
-    (yes(state?.diabetes) ? 1.3 : 0) +
-    (yes(state?.hypertensionMidlife) ? 1.6 : 0) +
-    (yes(state?.obesityBmiGt30) ? 1.6 : 0) +
-    (yes(state?.hypercholesterolemia) ? 1.4 : 0) +
-    (yes(state?.currentSmoking) ? 1.5 : 0) +
-    (yes(state?.lowSocialActivity) ? 1.0 : 0) +
-    (yes(state?.chdCvd) ? 1.0 : 0) +
-    (highPhysical ? -1.1 : 1.1) +
-    (yes(state?.moderateAlcoholUse) ? -0.9 : 0) +
-    (yes(state?.highCognitiveActivity) ? -1.0 : 0) +
-    (yes(state?.healthyDiet) ? -1.2 : 0);
-  return { score: Number.isFinite(score) ? score.toFixed(1) : "" };
-}
-
 function computeStructuralDamage(structuralDamage) {
   const sd = structuralDamage && typeof structuralDamage === "object" ? structuralDamage : {};
   const values = [
@@ -1880,45 +1572,20 @@ function computeBrainHealthPart2({ patient, assessment }) {
   };
 }
 
-async function generateBrainHealthPart2ExtractWithAi({ openai, provider, patient, extractedText, debug }) {
+async function generateBrainHealthPart2ExtractWithAi({ provider, patient, extractedText, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 30000) : "";
   const userPrompt = buildBrainHealthPart2ExtractUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = BRAIN_HEALTH_PART2_EXTRACT_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: [{ type: "text", text: userPrompt }] }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: [{ type: "text", text: userPrompt }] }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("BRAIN_HEALTH_PART2_EXTRACT_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "brainHealthPart2Extract",
+    schema: "brainHealthPart2",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed =
     safeParseJsonObject(raw) ??
@@ -2091,38 +1758,18 @@ function computeDietAssessment({ assessment }) {
   };
 }
 
-async function generateDietAssessmentSummaryWithAi({ openai, provider, patient, assessment, computed, debug }) {
+async function generateDietAssessmentSummaryWithAi({ provider, patient, assessment, computed, debug }) {
   const userPrompt = buildDietAssessmentUserPrompt({ patient, assessment, computed });
-  const systemPrompt = DIET_ASSESSMENT_SYSTEM_PROMPT;
-
-  let raw = "";
-  if (provider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: systemPrompt,
-      messages: [{ role: "user", content: userPrompt }],
-      temperature: 0
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else if (provider === "gemini") {
-    const response = await geminiGenerateContent({
-      model: getGeminiModel(),
-      temperature: 0,
-      parts: [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }]
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const response = await openai.responses.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      text: { format: { type: "json_object" } },
-      input: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: [{ type: "input_text", text: userPrompt }] }
-      ]
-    });
-    raw = getTextFromResponsesOutput(response);
-  }
+  const systemPrompt = getPrompt("DIET_ASSESSMENT_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "dietAssessmentSummary",
+    schema: "dietAssessment",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    temperature: 0
+  });
 
   const parsed =
     safeParseJsonObject(raw) ??
@@ -2183,7 +1830,8 @@ function normalizeLungFunctionIncoming(body) {
     name: typeof b.name === "string" ? b.name.trim() : "",
     sex: sexRaw === "male" || sexRaw === "female" ? sexRaw : "",
     age: Number.isFinite(age) && age > 0 ? age : null,
-    heightCm: Number.isFinite(heightCm) && heightCm > 0 ? heightCm : null
+    heightCm: Number.isFinite(heightCm) && heightCm > 0 ? heightCm : null,
+    ethnicity: toGliEthnicity(b.ethnicity)
   };
   return { patient };
 }
@@ -2227,109 +1875,6 @@ function normalizeLiverHealthIncoming(body) {
   return { patient };
 }
 
-function computeLiverScoresFromPatient(patient) {
-  const ageCandidate = Number.isFinite(patient?.age) ? patient.age : null;
-  const heightCmCandidate = Number.isFinite(patient?.heightCm) ? patient.heightCm : null;
-  const weightKgCandidate = Number.isFinite(patient?.weightKg) ? patient.weightKg : null;
-  const waistCmCandidate = Number.isFinite(patient?.waistCm) ? patient.waistCm : null;
-  const bmiCandidate =
-    computeBmiKgM2({ heightCm: heightCmCandidate, weightKg: weightKgCandidate });
-  const diabetesCandidate = typeof patient?.diabetesOrIfg === "boolean" ? patient.diabetesOrIfg : null;
-  const astCandidate = Number.isFinite(patient?.astIU_L) ? patient.astIU_L : null;
-  const altCandidate = Number.isFinite(patient?.altIU_L) ? patient.altIU_L : null;
-  const plateletCandidate = Number.isFinite(patient?.plateletCount10e9_L) ? patient.plateletCount10e9_L : null;
-  const albuminCandidate = Number.isFinite(patient?.albuminG_dL) ? patient.albuminG_dL : null;
-  const triglyceridesCandidate = Number.isFinite(patient?.triglyceridesMg_dL) ? patient.triglyceridesMg_dL : null;
-  const ggtCandidate = Number.isFinite(patient?.ggtIU_L) ? patient.ggtIU_L : null;
-
-  const astAltRatio =
-    Number.isFinite(astCandidate) && astCandidate > 0 && Number.isFinite(altCandidate) && altCandidate > 0
-      ? astCandidate / altCandidate
-      : null;
-
-  const nfsScore =
-    Number.isFinite(ageCandidate) &&
-    Number.isFinite(bmiCandidate) &&
-    typeof diabetesCandidate === "boolean" &&
-    Number.isFinite(astAltRatio) &&
-    Number.isFinite(plateletCandidate) &&
-    Number.isFinite(albuminCandidate)
-      ? -1.675 +
-        0.037 * ageCandidate +
-        0.094 * bmiCandidate +
-        1.13 * (diabetesCandidate ? 1 : 0) -
-        0.99 * astAltRatio -
-        0.013 * plateletCandidate -
-        0.66 * albuminCandidate
-      : null;
-
-  const yForFli =
-    Number.isFinite(triglyceridesCandidate) &&
-    triglyceridesCandidate > 0 &&
-    Number.isFinite(bmiCandidate) &&
-    Number.isFinite(ggtCandidate) &&
-    ggtCandidate > 0 &&
-    Number.isFinite(waistCmCandidate)
-      ? 0.953 * Math.log(triglyceridesCandidate) +
-        0.139 * bmiCandidate +
-        0.718 * Math.log(ggtCandidate) +
-        0.053 * waistCmCandidate -
-        15.745
-      : null;
-  const fliScore =
-    Number.isFinite(yForFli) ? (Math.exp(yForFli) / (1 + Math.exp(yForFli))) * 100 : null;
-
-  const fib4Score =
-    Number.isFinite(ageCandidate) &&
-    Number.isFinite(astCandidate) &&
-    astCandidate > 0 &&
-    Number.isFinite(altCandidate) &&
-    altCandidate > 0 &&
-    Number.isFinite(plateletCandidate) &&
-    plateletCandidate > 0
-      ? (ageCandidate * astCandidate) / (plateletCandidate * Math.sqrt(altCandidate))
-      : null;
-
-  const bardScore =
-    Number.isFinite(astAltRatio) && Number.isFinite(bmiCandidate) && typeof diabetesCandidate === "boolean"
-      ? (astAltRatio >= 0.8 ? 2 : 0) + (bmiCandidate >= 28 ? 1 : 0) + (diabetesCandidate ? 1 : 0)
-      : null;
-
-  return {
-    inputs: {
-      ageYears: ageCandidate,
-      heightCm: Number.isFinite(heightCmCandidate) ? heightCmCandidate : null,
-      weightKg: Number.isFinite(weightKgCandidate) ? weightKgCandidate : null,
-      waistCircumferenceCm: Number.isFinite(waistCmCandidate) ? waistCmCandidate : null,
-      bmiKg_m2: Number.isFinite(bmiCandidate) ? bmiCandidate : null,
-      ifgOrDiabetes: typeof diabetesCandidate === "boolean" ? diabetesCandidate : null,
-      astIU_L: Number.isFinite(astCandidate) ? astCandidate : null,
-      altIU_L: Number.isFinite(altCandidate) ? altCandidate : null,
-      plateletCount10e9_L: Number.isFinite(plateletCandidate) ? plateletCandidate : null,
-      albuminG_dL: Number.isFinite(albuminCandidate) ? albuminCandidate : null,
-      triglyceridesMg_dL: Number.isFinite(triglyceridesCandidate) ? triglyceridesCandidate : null,
-      ggtIU_L: Number.isFinite(ggtCandidate) ? ggtCandidate : null,
-      astAltRatio: Number.isFinite(astAltRatio) ? astAltRatio : null
-    },
-    nfs: {
-      score: Number.isFinite(nfsScore) ? nfsScore : null,
-      interpretation: interpretNfs(nfsScore)
-    },
-    fli: {
-      score: Number.isFinite(fliScore) ? fliScore : null,
-      interpretation: interpretFli(fliScore)
-    },
-    fib4: {
-      score: Number.isFinite(fib4Score) ? fib4Score : null,
-      interpretation: interpretFib4(fib4Score)
-    },
-    bard: {
-      score: Number.isFinite(bardScore) ? bardScore : null,
-      interpretation: interpretBard(bardScore)
-    }
-  };
-}
-
 function normalizeEyeHealthIncoming(body) {
   const b = body && typeof body === "object" ? body : {};
   const sexRaw = typeof b.sex === "string" ? b.sex.trim().toLowerCase() : "";
@@ -2499,26 +2044,6 @@ function normalizeBrainHealthAssessmentIncoming(body) {
   return { patient };
 }
 
-function computeLungAgeYears({ sex, heightCm, fev1L }) {
-  const s = typeof sex === "string" ? sex.trim().toLowerCase() : "";
-  if (s !== "male" && s !== "female") return { lungAgeYears: null, formula: "" };
-  if (!Number.isFinite(heightCm) || heightCm <= 0) return { lungAgeYears: null, formula: "" };
-  if (!Number.isFinite(fev1L) || fev1L <= 0) return { lungAgeYears: null, formula: "" };
-
-  const fev1 = fev1L > 20 ? fev1L / 1000 : fev1L;
-  const formula =
-    s === "male"
-      ? "(0.036 * heightCm - 1.178 - fev1L) / 0.028"
-      : "(0.022 * heightCm - 0.005 - fev1L) / 0.0229";
-  const lungAge =
-    s === "male"
-      ? (0.036 * heightCm - 1.178 - fev1) / 0.028
-      : (0.022 * heightCm - 0.005 - fev1) / 0.0229;
-
-  if (!Number.isFinite(lungAge) || lungAge < 0 || lungAge > 150) return { lungAgeYears: null, formula };
-  return { lungAgeYears: Math.round(lungAge), formula };
-}
-
 function computeOrthostaticVitals(orthostatic) {
   const o = orthostatic && typeof orthostatic === "object" ? orthostatic : {};
   const lying = o.lying && typeof o.lying === "object" ? o.lying : {};
@@ -2559,7 +2084,6 @@ function computeOrthostaticVitals(orthostatic) {
 }
 
 async function generateAnsAssessmentWithAi({
-  openai,
   provider,
   patient,
   orthostatic,
@@ -2575,58 +2099,18 @@ async function generateAnsAssessmentWithAi({
     computed,
     extractedText: textForPrompt
   });
-  const systemPrompt = ANS_ASSESSMENT_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("ANS_ASSESSMENT_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "ansAssessment",
+    schema: "ansAssessment",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 8192
+  });
 
   const parsed =
     safeParseJsonObject(raw) ??
@@ -2638,61 +2122,21 @@ async function generateAnsAssessmentWithAi({
   return payload;
 }
 
-async function generatePnsAssessmentWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generatePnsAssessmentWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildPnsAssessmentUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = PNS_ASSESSMENT_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("PNS_ASSESSMENT_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "pnsAssessment",
+    schema: "pnsAssessment",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed =
     safeParseJsonObject(raw) ??
@@ -2704,61 +2148,21 @@ async function generatePnsAssessmentWithAi({ openai, provider, patient, extracte
   return payload;
 }
 
-async function generateArterialHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateArterialHealthWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 30000) : "";
   const userPrompt = buildArterialHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = ARTERIAL_HEALTH_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("ARTERIAL_HEALTH_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "arterialHealth",
+    schema: "arterialHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 8192
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -2766,61 +2170,42 @@ async function generateArterialHealthWithAi({ openai, provider, patient, extract
   return payload;
 }
 
-async function generateLungFunctionWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
-  const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 30000) : "";
-  const userPrompt = buildLungFunctionUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = LUNG_FUNCTION_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
+// Demographics from the request, completed with those in the spirometer export.
+function resolveSpirometryPatient(patient, deviceSpirometry) {
+  const device = deviceSpirometry?.patient ?? {};
+  return {
+    ageYears: Number.isFinite(patient?.age) ? patient.age : Number.isFinite(device.ageYears) ? device.ageYears : null,
+    sex: patient?.sex || device.sex || "",
+    heightCm: Number.isFinite(patient?.heightCm) ? patient.heightCm : Number.isFinite(device.heightCm) ? device.heightCm : null,
+    ethnicity: patient?.ethnicity || device.ethnicity || "other"
+  };
+}
 
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+async function generateLungFunctionWithAi({ provider, patient, extractedText, imageFiles, deviceSpirometry = null, debug }) {
+  const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 30000) : "";
+  const demographics = resolveSpirometryPatient(patient, deviceSpirometry);
+  const deviceReference = deviceSpirometry
+    ? compareSpirometryToReference({ ...demographics, ...deviceSpirometry.pre, devicePredicted: deviceSpirometry.devicePredicted })
+    : null;
+  const devicePattern = deviceReference ? classifySpirometryPattern(deviceReference) : null;
+  const userPrompt = buildLungFunctionUserPrompt({
+    patient,
+    extractedText: textForPrompt,
+    deviceSpirometry: deviceSpirometry ? { pre: deviceSpirometry.pre, post: deviceSpirometry.post, reference: deviceReference } : null,
+    pattern: devicePattern
+  });
+  const systemPrompt = getPrompt("LUNG_FUNCTION_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "lungFunction",
+    schema: "lungFunction",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 8192
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -2871,19 +2256,41 @@ async function generateLungFunctionWithAi({ openai, provider, patient, extracted
   const pefCandidate = pickNum(keyValues?.pef) ?? pickNum(pre?.pef) ?? pefFromTable;
   const fefCandidate = pickNum(keyValues?.fef25_75) ?? pickNum(pre?.fef25_75) ?? fef2575FromTable;
 
-  const fev1L = Number.isFinite(fev1Candidate) ? (fev1Candidate > 20 ? fev1Candidate / 1000 : fev1Candidate) : null;
-  const fvcL = Number.isFinite(fvcCandidate) ? (fvcCandidate > 20 ? fvcCandidate / 1000 : fvcCandidate) : null;
+  const devicePre = deviceSpirometry?.pre ?? {};
+  const fromDevice = (v) => (Number.isFinite(v) ? v : null);
+  const fev1L =
+    fromDevice(devicePre.fev1L) ??
+    (Number.isFinite(fev1Candidate) ? (fev1Candidate > 20 ? fev1Candidate / 1000 : fev1Candidate) : null);
+  const fvcL =
+    fromDevice(devicePre.fvcL) ??
+    (Number.isFinite(fvcCandidate) ? (fvcCandidate > 20 ? fvcCandidate / 1000 : fvcCandidate) : null);
+  const deviceRatioPercent = Number.isFinite(devicePre.fev1FvcRatio) ? devicePre.fev1FvcRatio * 100 : null;
 
   payload.spirometry = payload.spirometry && typeof payload.spirometry === "object" ? payload.spirometry : {};
   payload.spirometry.keyValues = {
     ...keyValues,
-    fev1L: keyValues?.fev1L ?? (Number.isFinite(fev1L) ? fev1L : null),
-    fvcL: keyValues?.fvcL ?? (Number.isFinite(fvcL) ? fvcL : null),
-    fev1FvcPercent: keyValues?.fev1FvcPercent ?? (Number.isFinite(ratioCandidate) ? ratioCandidate : null),
-    pef: keyValues?.pef ?? (Number.isFinite(pefCandidate) ? pefCandidate : null),
-    fef25_75: keyValues?.fef25_75 ?? (Number.isFinite(fefCandidate) ? fefCandidate : null),
-    units: keyValues?.units && typeof keyValues.units === "object" ? keyValues.units : { pef: "", fef25_75: "" }
-  };
+    fev1L: fromDevice(devicePre.fev1L) ?? keyValues?.fev1L ?? (Number.isFinite(fev1L) ? fev1L : null),
+    fvcL: fromDevice(devicePre.fvcL) ?? keyValues?.fvcL ?? (Number.isFinite(fvcL) ? fvcL : null),
+    fev1FvcPercent: deviceRatioPercent ?? keyValues?.fev1FvcPercent ?? (Number.isFinite(ratioCandidate) ? ratioCandidate : null),
+    pef: fromDevice(devicePre.pef) ?? keyValues?.pef ?? (Number.isFinite(pefCandidate) ? pefCandidate : null),
+    fef25_75: fromDevice(devicePre.fef25_75) ?? keyValues?.fef25_75 ?? (Number.isFinite(fefCandidate) ? fefCandidate : null),
+    units: deviceSpirometry
+      ? devicePre.units
+      : (keyValues?.units && typeof keyValues.units === "object" ? keyValues.units : { pef: "", fef25_75: "" })
+  };
+
+  // Without an export the reference values are computed from what the AI
+  // extracted; the pattern is never taken from the AI.
+  const ratioPercent = pickNum(payload.spirometry.keyValues.fev1FvcPercent);
+  const fev1FvcRatio = Number.isFinite(ratioPercent)
+    ? (ratioPercent > 1.5 ? ratioPercent / 100 : ratioPercent)
+    : (Number.isFinite(fev1L) && Number.isFinite(fvcL) && fvcL > 0 ? fev1L / fvcL : null);
+  const reference = deviceReference ?? compareSpirometryToReference({ ...demographics, fev1L, fvcL, fev1FvcRatio });
+  payload.spirometry.reference = reference;
+  payload.spirometry.pattern = devicePattern ?? classifySpirometryPattern(reference);
+  payload.spirometry.device = deviceSpirometry
+    ? { fileName: deviceSpirometry.fileName, format: deviceSpirometry.format, patient: deviceSpirometry.patient, post: deviceSpirometry.post }
+    : null;
   payload.spirometry.interpretation =
     typeof spirometry?.interpretation === "string"
       ? spirometry.interpretation
@@ -2928,8 +2335,8 @@ async function generateLungFunctionWithAi({ openai, provider, patient, extracted
 
   payload.spirometry.table = normalizedTable;
 
-  const sexUsed = typeof patient?.sex === "string" ? patient.sex : "";
-  const heightCmUsed = Number.isFinite(patient?.heightCm) ? patient.heightCm : null;
+  const sexUsed = demographics.sex;
+  const heightCmUsed = demographics.heightCm;
   const { lungAgeYears, formula } = computeLungAgeYears({ sex: sexUsed, heightCm: heightCmUsed, fev1L });
 
   payload.lungAge = {
@@ -2956,114 +2363,22 @@ async function generateLungFunctionWithAi({ openai, provider, patient, extracted
   return payload;
 }
 
-function computeBmiKgM2({ heightCm, weightKg }) {
-  if (!Number.isFinite(heightCm) || heightCm <= 0) return null;
-  if (!Number.isFinite(weightKg) || weightKg <= 0) return null;
-  const m = heightCm / 100;
-  const bmi = weightKg / (m * m);
-  if (!Number.isFinite(bmi) || bmi <= 0) return null;
-  return bmi;
-}
 
-function interpretNfs(score) {
-  if (!Number.isFinite(score)) return "";
-  if (score < -1.455) return "Advanced fibrosis absent (F0–F2); NPV 93%";
-  if (score <= 0.675) return "Indeterminate";
-  return "Advanced fibrosis present (F3–F4); PPV 90%";
-}
-
-function interpretFli(score) {
-  if (!Number.isFinite(score)) return "";
-  if (score < 30) return "Fatty liver ruled out — Sensitivity 87%, LR− 0.2";
-  if (score < 60) return "Indeterminate";
-  return "Fatty liver present — Specificity 86%, LR+ 4.3";
-}
-
-function interpretFib4(score) {
-  if (!Number.isFinite(score)) return "";
-  if (score < 1.45) return "Advanced fibrosis absent (F0–F2) — NPV 90%";
-  if (score <= 3.25) return "Indeterminate — biopsy may be needed";
-  return "Advanced fibrosis present (F3–F4) — Specificity 97%, PPV 65%";
-}
-
-function interpretBard(score) {
-  if (!Number.isFinite(score)) return "";
-  if (score <= 1) return "Advanced fibrosis absent — High NPV of 96%";
-  return "Advanced fibrosis present — Further evaluation needed";
-}
-
-function interpretElastographyKpa(kPa) {
-  if (!Number.isFinite(kPa)) return "";
-  if (kPa < 5) return "Normal";
-  if (kPa < 7) return "Mild fibrosis risk";
-  if (kPa < 9) return "Significant fibrosis possible";
-  if (kPa < 12) return "Advanced fibrosis";
-  return "Cirrhosis likely";
-}
-
-function interpretCap(cap) {
-  if (!Number.isFinite(cap)) return "";
-  if (cap < 238) return "Normal";
-  if (cap < 260) return "Mild fatty liver";
-  if (cap < 290) return "Moderate fatty liver";
-  return "Severe fatty liver";
-}
-
-async function generateLiverHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
-  const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 30000) : "";
-  const userPrompt = buildLiverHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = LIVER_HEALTH_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+async function generateLiverHealthWithAi({ provider, patient, extractedText, imageFiles, debug }) {
+  const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 30000) : "";
+  const userPrompt = buildLiverHealthUserPrompt({ patient, extractedText: textForPrompt });
+  const systemPrompt = getPrompt("LIVER_HEALTH_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "liverHealth",
+    schema: "liverHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 8192
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -3159,58 +2474,23 @@ async function generateLiverHealthWithAi({ openai, provider, patient, extractedT
   const triglyceridesCandidate = pickNum(labs?.triglyceridesMg_dL) ?? tgFromTable;
   const ggtCandidate = pickNum(labs?.ggtIU_L) ?? ggtFromTable;
 
-  const astAltRatio =
-    Number.isFinite(astCandidate) && astCandidate > 0 && Number.isFinite(altCandidate) && altCandidate > 0
-      ? astCandidate / altCandidate
-      : null;
-
-  const nfsScore =
-    Number.isFinite(ageCandidate) &&
-    Number.isFinite(bmiCandidate) &&
-    typeof diabetesCandidate === "boolean" &&
-    Number.isFinite(astAltRatio) &&
-    Number.isFinite(plateletCandidate) &&
-    Number.isFinite(albuminCandidate)
-      ? -1.675 +
-        0.037 * ageCandidate +
-        0.094 * bmiCandidate +
-        1.13 * (diabetesCandidate ? 1 : 0) -
-        0.99 * astAltRatio -
-        0.013 * plateletCandidate -
-        0.66 * albuminCandidate
-      : null;
-
-  const yForFli =
-    Number.isFinite(triglyceridesCandidate) &&
-    triglyceridesCandidate > 0 &&
-    Number.isFinite(bmiCandidate) &&
-    Number.isFinite(ggtCandidate) &&
-    ggtCandidate > 0 &&
-    Number.isFinite(waistCmCandidate)
-      ? 0.953 * Math.log(triglyceridesCandidate) +
-        0.139 * bmiCandidate +
-        0.718 * Math.log(ggtCandidate) +
-        0.053 * waistCmCandidate -
-        15.745
-      : null;
-  const fliScore =
-    Number.isFinite(yForFli) ? (Math.exp(yForFli) / (1 + Math.exp(yForFli))) * 100 : null;
-
-  const fib4Score =
-    Number.isFinite(ageCandidate) &&
-    Number.isFinite(astCandidate) &&
-    astCandidate > 0 &&
-    Number.isFinite(altCandidate) &&
-    altCandidate > 0 &&
-    Number.isFinite(plateletCandidate) &&
-    plateletCandidate > 0
-      ? (ageCandidate * astCandidate) / (plateletCandidate * Math.sqrt(altCandidate))
-      : null;
-
-  const bardScore =
-    Number.isFinite(astAltRatio) && Number.isFinite(bmiCandidate) && typeof diabetesCandidate === "boolean"
-      ? (astAltRatio >= 0.8 ? 2 : 0) + (bmiCandidate >= 28 ? 1 : 0) + (diabetesCandidate ? 1 : 0)
-      : null;
+  const liverScoreInputs = {
+    ageYears: ageCandidate,
+    bmiKg_m2: bmiCandidate,
+    ifgOrDiabetes: diabetesCandidate,
+    astIU_L: astCandidate,
+    altIU_L: altCandidate,
+    plateletCount10e9_L: plateletCandidate,
+    albuminG_dL: albuminCandidate,
+    triglyceridesMg_dL: triglyceridesCandidate,
+    ggtIU_L: ggtCandidate,
+    waistCircumferenceCm: waistCmCandidate
+  };
+  const astAltRatio = computeAstAltRatio(liverScoreInputs);
+  const nfsScore = computeNfs(liverScoreInputs);
+  const fliScore = computeFli(liverScoreInputs);
+  const fib4Score = computeFib4(liverScoreInputs);
+  const bardScore = computeBard(liverScoreInputs);
 
   const kPaCandidate = pickNum(elastography?.kPa);
   const capCandidate = pickNum(elastography?.cap);
@@ -3298,61 +2578,21 @@ async function generateLiverHealthWithAi({ openai, provider, patient, extractedT
   return payload;
 }
 
-async function generateEyeHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateEyeHealthWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildEyeHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = EYE_HEALTH_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("EYE_HEALTH_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "eyeHealth",
+    schema: "eyeHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -3385,115 +2625,21 @@ async function generateEyeHealthWithAi({ openai, provider, patient, extractedTex
   return payload;
 }
 
-function computeKidneyFailureRisk({ ageYears, sex, egfr, uacr }) {
-  const age = Number.isFinite(ageYears) ? ageYears : null;
-  const male = sex === "male" ? 1 : 0;
-  const e = Number.isFinite(egfr) ? egfr : null;
-  const u = Number.isFinite(uacr) ? uacr : null;
-  if (!Number.isFinite(age) || age <= 0) return { risk2YearPct: null, risk5YearPct: null };
-  if (!Number.isFinite(e) || e <= 0) return { risk2YearPct: null, risk5YearPct: null };
-  if (!Number.isFinite(u) || u <= 0) return { risk2YearPct: null, risk5YearPct: null };
-
-  const lnU = Math.log(u);
-  const lp =
-    -0.2201 * (age / 10 - 7.036) +
-    0.2467 * (male - 0.5642) +
-    -0.5567 * (e / 5 - 7.222) +
-    0.451 * (lnU - 5.137);
-  const expLp = Math.exp(lp);
-  const r2 = 1 - Math.pow(0.9832, expLp);
-  const r5 = 1 - Math.pow(0.9365, expLp);
-
-  const toPct = (x) => {
-    if (!Number.isFinite(x)) return null;
-    const pct = x * 100;
-    if (!Number.isFinite(pct)) return null;
-    return Math.max(0, Math.min(100, pct));
-  };
-
-  return { risk2YearPct: toPct(r2), risk5YearPct: toPct(r5) };
-}
-
-function computeKidneyAge({ ageYears, egfr }) {
-  const age = Number.isFinite(ageYears) ? ageYears : null;
-  const e = Number.isFinite(egfr) ? egfr : null;
-  if (!Number.isFinite(age) || age <= 0) return { normalEgfrForAge: null, kidneyAgeYears: null, ckdScoreYears: null, ckd20Plus: null };
-  if (!Number.isFinite(e) || e <= 0) return { normalEgfrForAge: null, kidneyAgeYears: null, ckdScoreYears: null, ckd20Plus: null };
-
-  const normalEgfrForAge = 105 - 0.9 * (age - 40);
-  const kidneyAge = 40 + (105 - e) / 0.9;
-  const ckdScore = kidneyAge - age;
-  const ckd20Plus = Number.isFinite(ckdScore) ? ckdScore >= 20 : null;
-
-  return { normalEgfrForAge, kidneyAgeYears: kidneyAge, ckdScoreYears: ckdScore, ckd20Plus };
-}
-
-function computeInsulinResistance({ fastingGlucoseMg_dL, fastingInsulinUu_mL }) {
-  const g = Number.isFinite(fastingGlucoseMg_dL) ? fastingGlucoseMg_dL : null;
-  const i = Number.isFinite(fastingInsulinUu_mL) ? fastingInsulinUu_mL : null;
-  if (!Number.isFinite(g) || !Number.isFinite(i) || g <= 0 || i <= 0) {
-    return { homaIr: null, quicki: null };
-  }
-  const homaIr = (g * i) / 405;
-  const quicki = 1 / (Math.log10(i) + Math.log10(g));
-  return { homaIr, quicki };
-}
-
-async function generateKidneyHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateKidneyHealthWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildKidneyHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = KIDNEY_HEALTH_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("KIDNEY_HEALTH_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "kidneyHealth",
+    schema: "kidneyHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -3509,19 +2655,27 @@ async function generateKidneyHealthWithAi({ openai, provider, patient, extracted
   const egfr = parseOptionalNumberLoose(labs?.egfrMlMin1_73m2 ?? labs?.egfr ?? root?.egfr);
   const uacr = parseOptionalNumberLoose(labs?.uacrMg_g ?? labs?.uacr ?? labs?.acr ?? root?.uacr);
   const serumCreatinine = parseOptionalNumberLoose(labs?.serumCreatinineMg_dL ?? labs?.creatinine ?? root?.serumCreatinine);
+  const cystatinC = parseOptionalNumberLoose(labs?.cystatinCMg_L ?? labs?.cystatinC ?? root?.cystatinC);
 
+  // eGFR is recalculated with CKD-EPI 2021 whenever creatinine, age and sex
+  // are known; `egfrCheck.discrepancy` flags a model eGFR that disagrees.
   const ageYears = Number.isFinite(patient?.age) ? patient.age : null;
   const sex = typeof patient?.sex === "string" ? patient.sex : "";
-  const computed = {
-    kidneyFailureRisk: computeKidneyFailureRisk({ ageYears, sex, egfr, uacr }),
-    kidneyAge: computeKidneyAge({ ageYears, egfr })
-  };
+  const computed = computeKidneyScores({
+    ageYears,
+    sex,
+    creatinineMg_dL: serumCreatinine,
+    cystatinCMg_L: cystatinC,
+    egfr,
+    uacrMg_g: uacr
+  });
 
   const normalized = {
     labs: {
       egfrMlMin1_73m2: Number.isFinite(egfr) ? egfr : null,
       uacrMg_g: Number.isFinite(uacr) ? uacr : null,
-      serumCreatinineMg_dL: Number.isFinite(serumCreatinine) ? serumCreatinine : null
+      serumCreatinineMg_dL: Number.isFinite(serumCreatinine) ? serumCreatinine : null,
+      cystatinCMg_L: Number.isFinite(cystatinC) ? cystatinC : null
     },
     otherFindings: typeof root?.otherFindings === "string" ? root.otherFindings : "",
     notes: Array.isArray(root?.notes) ? root.notes : [],
@@ -3533,61 +2687,21 @@ async function generateKidneyHealthWithAi({ openai, provider, patient, extracted
   return payload;
 }
 
-async function generateDiabetesRiskWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateDiabetesRiskWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildDiabetesRiskUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = DIABETES_RISK_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("DIABETES_RISK_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "diabetesRisk",
+    schema: "diabetesRisk",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -3628,61 +2742,21 @@ async function generateDiabetesRiskWithAi({ openai, provider, patient, extracted
   return payload;
 }
 
-async function generateWomenHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateWomenHealthWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildWomenHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = WOMEN_HEALTH_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("WOMEN_HEALTH_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "womenHealth",
+    schema: "womenHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -3759,61 +2833,21 @@ async function generateWomenHealthWithAi({ openai, provider, patient, extractedT
   return payload;
 }
 
-async function generateBoneHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateBoneHealthWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildBoneHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = BONE_HEALTH_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("BONE_HEALTH_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "boneHealth",
+    schema: "boneHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -3892,42 +2926,18 @@ async function generateBoneHealthWithAi({ openai, provider, patient, extractedTe
   return payload;
 }
 
-async function generateBoneHealthFindingsWithAi({ openai, provider, patient, assessment, debug }) {
+async function generateBoneHealthFindingsWithAi({ provider, patient, assessment, debug }) {
   const userPrompt = buildBoneHealthFindingsUserPrompt({ patient, assessment });
-  const systemPrompt = BONE_HEALTH_FINDINGS_SYSTEM_PROMPT;
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const response = await geminiGenerateContent({
-      parts: [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }],
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0.2,
-      maxOutputTokens: 2048
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: userPrompt }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0.2,
-      maxTokens: 2048
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0.2,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: userPrompt }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("BONE_HEALTH_FINDINGS_SYSTEM_PROMPT");
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "boneHealthFindings",
+    schema: "boneHealthFindings",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    temperature: 0.2,
+    maxTokens: 2048
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? {};
   const root = parsed && typeof parsed === "object" ? parsed : {};
@@ -3948,59 +2958,20 @@ async function generateBoneHealthFindingsWithAi({ openai, provider, patient, ass
   return payload;
 }
 
-async function generateElderHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateElderHealthWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildElderHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = ELDER_HEALTH_SYSTEM_PROMPT;
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096,
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") },
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096,
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      contentParts.push({ type: "image_url", image_url: { url: `data:${f.mimetype};base64,${b64}` } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts },
-      ],
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("ELDER_HEALTH_SYSTEM_PROMPT");
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "elderHealth",
+    schema: "elderHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const root = parsed && typeof parsed === "object" ? parsed : {};
@@ -4112,61 +3083,21 @@ async function generateElderHealthWithAi({ openai, provider, patient, extractedT
   return payload;
 }
 
-async function generateAdultVaccinationWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateAdultVaccinationWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildAdultVaccinationUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = ADULT_VACCINATION_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("ADULT_VACCINATION_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "adultVaccination",
+    schema: "adultVaccination",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -4267,61 +3198,21 @@ async function generateAdultVaccinationWithAi({ openai, provider, patient, extra
   return payload;
 }
 
-async function generateCancerScreeningWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateCancerScreeningWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildCancerScreeningUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = CANCER_SCREENING_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("CANCER_SCREENING_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "cancerScreening",
+    schema: "cancerScreening",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -4418,7 +3309,7 @@ async function generateCancerScreeningWithAi({ openai, provider, patient, extrac
   return payload;
 }
 
-async function generateCancerScreeningSummarizeWithAi({ openai, provider, patient, assessment, debug }) {
+async function generateCancerScreeningSummarizeWithAi({ provider, patient, assessment, debug }) {
   const p = patient && typeof patient === "object" ? patient : {};
   const a = assessment && typeof assessment === "object" ? assessment : {};
 
@@ -4445,54 +3336,17 @@ async function generateCancerScreeningSummarizeWithAi({ openai, provider, patien
 
   const systemPrompt = "You are a medical report writer. Write concise, professional, plain-text clinical summaries for each of the cancer screening tests listed. No markdown. No bullet points. Sentences only. Return JSON only.";
 
-  const schema = `{
-  "overallSummary": "",
-  "psaTotalSummary": "",
-  "psaFreeSummary": "",
-  "afpSummary": "",
-  "ca125Summary": "",
-  "ceaSummary": "",
-  "bloodCancerPanelSummary": "",
-  "stoolOccultBloodTestSummary": "",
-  "hrctSummary": "",
-  "ultraPremiumSummary": ""
-}`;
-
-  const userPrompt = `Based on the cancer screening results below, write a clinical summary for each test that was done. Only write summaries for tests that have been done (not empty/missing). Return JSON matching this schema:\n${schema}\n\n${lines}`;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const response = await geminiGenerateContent({
-      parts: [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }],
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0.3,
-      maxOutputTokens: 2048
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: userPrompt }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0.3,
-      maxTokens: 2048
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0.3,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: userPrompt }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const userPrompt = `Based on the cancer screening results below, write a clinical summary for each test that was done. Only write summaries for tests that have been done (not empty/missing). Return JSON matching this schema:\n${CANCER_SCREENING_SUMMARY_SCHEMA_HINT}\n\n${lines}`;
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "cancerScreeningSummarize",
+    schema: "cancerScreeningSummary",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    temperature: 0.3,
+    maxTokens: 2048
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? {};
   const r = parsed && typeof parsed === "object" ? parsed : {};
@@ -4514,61 +3368,21 @@ async function generateCancerScreeningSummarizeWithAi({ openai, provider, patien
   return payload;
 }
 
-async function generateGenesHealthWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateGenesHealthWithAi({ provider, patient, extractedText, imageFiles, genotypes = [], debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildGenesHealthUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = GENES_HEALTH_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("GENES_HEALTH_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "genesHealth",
+    schema: "genesHealth",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -4637,9 +3451,15 @@ async function generateGenesHealthWithAi({ openai, provider, patient, extractedT
     )
   );
 
+  // Panels covered by called variants of a raw genotype file are selected
+  // whatever the model returned.
+  const genotypeList = Array.isArray(genotypes) ? genotypes : [];
+  const genotypeCategories = genotypeList.flatMap((g) => g.variants.filter((v) => v.status === "called").map((v) => v.category));
+
   const normalized = {
-    selected,
-    notes: Array.isArray(root?.notes) ? root.notes : []
+    selected: Array.from(new Set([...selected, ...genotypeCategories.filter((x) => allowed.has(x))])),
+    notes: Array.isArray(root?.notes) ? root.notes : [],
+    ...(genotypeList.length > 0 ? { genotype: genotypeList } : {})
   };
 
   payload.genesHealth = normalized;
@@ -4647,61 +3467,21 @@ async function generateGenesHealthWithAi({ openai, provider, patient, extractedT
   return payload;
 }
 
-async function generateBrainHealthAssessmentWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateBrainHealthAssessmentWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildBrainHealthAssessmentUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = BRAIN_HEALTH_ASSESSMENT_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("BRAIN_HEALTH_ASSESSMENT_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "brainHealthAssessment",
+    schema: "brainHealthAssessment",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -4765,61 +3545,21 @@ async function generateBrainHealthAssessmentWithAi({ openai, provider, patient,
   return payload;
 }
 
-async function generateAllergyPanelsWithAi({ openai, provider, patient, extractedText, imageFiles, debug }) {
+async function generateAllergyPanelsWithAi({ provider, patient, extractedText, imageFiles, debug }) {
   const textForPrompt = requireString(extractedText) ? capTextForPrompt(extractedText, 20000) : "";
   const userPrompt = buildAllergyPanelsUserPrompt({ patient, extractedText: textForPrompt });
-  const systemPrompt = ALLERGY_PANELS_SYSTEM_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    raw = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const contentParts = [{ type: "text", text: userPrompt }];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const systemPrompt = getPrompt("ALLERGY_PANELS_SYSTEM_PROMPT");
+
+  const { text: raw } = await generateValidatedAiText({
+    provider,
+    task: "allergyPanels",
+    schema: "allergyPanels",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
   const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? null;
   const payload = parsed && typeof parsed === "object" ? parsed : {};
@@ -4891,24 +3631,6 @@ function getTextFromMessageContent(content) {
     .join("\n");
 }
 
-function getTextFromResponsesOutput(response) {
-  if (requireString(response?.output_text)) return response.output_text;
-  const output = response?.output;
-  if (!Array.isArray(output)) return "";
-
-  const texts = [];
-  for (const item of output) {
-    const content = item?.content;
-    if (!Array.isArray(content)) continue;
-    for (const part of content) {
-      if (part?.type === "output_text" && typeof part.text === "string") texts.push(part.text);
-      else if (part?.type === "text" && typeof part.text === "string") texts.push(part.text);
-    }
-  }
-
-  return texts.join("\n");
-}
-
 function extractFirstJsonObjectText(text) {
   if (!requireString(text)) return null;
   const s = String(text);
@@ -4984,7 +3706,7 @@ async function extractPdfTextRawForPrompt(pdfFiles) {
   let extractedText = "";
   for (const f of Array.isArray(pdfFiles) ? pdfFiles : []) {
     if (extractedText.length >= maxPdfTextChars) break;
-    const parsed = await pdfParse(f.buffer);
+    const parsed = await readPdfText(f);
     const extracted = typeof parsed?.text === "string" ? parsed.text : "";
     const trimmed = extracted.trim();
     if (!trimmed) continue;
@@ -5000,7 +3722,7 @@ async function extractPdfTextForPrompt(pdfFiles) {
   let extractedText = "";
   for (const f of pdfFiles) {
     if (extractedText.length >= maxPdfTextChars) break;
-    const parsed = await pdfParse(f.buffer);
+    const parsed = await readPdfText(f);
     const extracted = typeof parsed?.text === "string" ? parsed.text : "";
     const capped = capTextForPromptWithAnchors(extracted, 12000, [
       "Complete Urinogram",
@@ -5022,7 +3744,7 @@ async function extractPdfTextForBloodPrompt(pdfFiles) {
   let extractedText = "";
   for (const f of pdfFiles) {
     if (extractedText.length >= maxPdfTextChars) break;
-    const parsed = await pdfParse(f.buffer);
+    const parsed = await readPdfText(f);
     const extracted = typeof parsed?.text === "string" ? parsed.text : "";
     const trimmed = extracted.trim();
     if (!trimmed) continue;
@@ -5362,21 +4084,125 @@ const MAX_UPLOAD_MB = (() => {
 
 const MAX_ANALYSIS_FILES = 15;
 
-const upload = multer({
+// multer hands control back from busboy's stream events, which drops the
+// request's AsyncLocalStorage context (usage metering, prompt registry).
+// Rebinding `next` to the calling context keeps it.
+function keepAsyncContext(instance) {
+  const bind = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+  return {
+    single: (...args) => bind(instance.single(...args)),
+    array: (...args) => bind(instance.array(...args)),
+    fields: (...args) => bind(instance.fields(...args)),
+    none: () => bind(instance.none()),
+    any: () => bind(instance.any())
+  };
+}
+
+const upload = keepAsyncContext(multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: MAX_UPLOAD_MB * 1024 * 1024,
     files: MAX_ANALYSIS_FILES
   }
-});
+}));
 
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 
 export const gptRouter = express.Router();
 
+function describeAiRun(req) {
+  const provider = getAiProviderFromReq(req);
+  return { provider, model: getConfiguredAiModel(provider) };
+}
+
+/**
+ * The middleware chain of an AI route:
+ *   - checks the caller's AI quota
+ *   - with a `reportId`, saves the result into `target` on that PatientReport with the run's provenance
+ *   - runs `perRequest` middlewares, which adjust the result for the patient outside the cache
+ *   - then the shared composeAiMiddleware chain; `noCache=1` skips its result cache
+ */
+function aiRouteMiddleware(target, prompts, apply, { perRequest = [] } = {}) {
+  return [
+    enforceAiQuota,
+    ...composeAiMiddleware({
+      prompts,
+      report: [persistAiResultToReport({ target, prompts, describe: describeAiRun, apply })],
+      perRequest
+    })
+  ];
+}
+
+/**
+ * The middlewares an AI handler runs behind, both on its route and in
+ * background job chunks:
+ *   - prompt registry context; `promptVersions` on the response
+ *   - `report`, then `perRequest` middlewares (outside the cache)
+ *   - the result cache
+ *   - `validation`, `ocr` and `imagePreprocessing` reports on the response
+ */
+function composeAiMiddleware({ prompts, report = [], perRequest = [] }) {
+  return [
+    usePromptRegistry({ prompts }),
+    ...report,
+    ...perRequest,
+    cacheAiResult({ prompts, describe: describeAiRun }),
+    reportAiValidation,
+    reportPdfOcr,
+    reportImagePreprocessing
+  ];
+}
+
+function replaceWithAiResult(existing, result, aiRun) {
+  return { ...result, aiRunId: aiRun._id.toString() };
+}
+
+// Docs-tests arrives one chunk per request; chunk 0 starts a fresh analysis
+// and later chunks are merged into the tests already saved on the report.
+function applyDocsTestsChunkToReport(existing, result, aiRun) {
+  const previous = existing && typeof existing === "object" && !Array.isArray(existing) ? existing : {};
+  const chunkIndex = Number.isFinite(result?.chunkIndex) ? result.chunkIndex : 0;
+  const incoming = Array.isArray(result?.docs?.tests) ? result.docs.tests : [];
+  const carried = chunkIndex > 0 && Array.isArray(previous?.docs?.tests) ? previous.docs.tests : [];
+  const tests = carried.length > 0 ? mergeTestEntries(carried, incoming) : incoming;
+  const aiRunIds = chunkIndex > 0 && Array.isArray(previous.aiRunIds) ? previous.aiRunIds : [];
+
+  return {
+    ...result,
+    docs: { data: tests.length > 0, tests },
+    aiRunId: aiRun._id.toString(),
+    aiRunIds: [...aiRunIds, aiRun._id.toString()]
+  };
+}
+
+function applyCleanedDocsTestsToReport(existing, result, aiRun) {
+  const previous = existing && typeof existing === "object" && !Array.isArray(existing) ? existing : {};
+  const tests = Array.isArray(result?.tests) ? result.tests : [];
+  return {
+    ...previous,
+    docs: { data: tests.length > 0, tests },
+    cleaned: true,
+    aiRunId: aiRun._id.toString()
+  };
+}
+
+function applyHolisticPlanStepToReport(stepKey) {
+  return (existing, result, aiRun) => {
+    const previous = existing && typeof existing === "object" && !Array.isArray(existing) ? existing : {};
+    const aiRunIds = previous.aiRunIds && typeof previous.aiRunIds === "object" ? previous.aiRunIds : {};
+    return {
+      ...previous,
+      [stepKey]: result,
+      aiRunIds: { ...aiRunIds, [stepKey]: aiRun._id.toString() }
+    };
+  };
+}
+
 gptRouter.post(
   "/gpt",
   upload.array("files", MAX_ANALYSIS_FILES),
+  enforceAiQuota,
+  reportPdfOcr,
   createGptChatHandler(getGptControllerContext)
 );
 
@@ -5449,38 +4275,31 @@ function safeParseJsonArrayLoose(text) {
   return safeParseJsonArray(extracted);
 }
 
-async function repairJsonObjectWithClaude({ rawText, schemaHint, model }) {
+async function repairJsonObjectWithAi({ provider, rawText, schemaHint }) {
   const cleaned = requireString(rawText) ? rawText : "";
-  const system = JSON_REPAIR_SYSTEM_PROMPT;
-  const user = buildJsonRepairObjectUserPrompt({ schemaHint, rawText: cleaned });
-
-  const response = await anthropicCreateJsonMessage({
-    system,
-    messages: [{ role: "user", content: [{ type: "text", text: user }] }],
-    model: requireString(model) ? model : process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
+  const { text } = await generateAiText({
+    provider,
+    task: "jsonRepairObject",
+    systemPrompt: JSON_REPAIR_SYSTEM_PROMPT,
+    userPrompt: buildJsonRepairObjectUserPrompt({ schemaHint, rawText: cleaned }),
     temperature: 0,
     maxTokens: 2048
   });
-
-  const content = getTextFromAnthropicMessageResponse(response);
-  return safeParseJsonObjectLoose(content);
+  return safeParseJsonObjectLoose(text);
 }
 
-async function repairJsonArrayWithClaude({ rawText, schemaHint, model }) {
+async function repairJsonArrayWithAi({ provider, rawText, schemaHint }) {
   const cleaned = requireString(rawText) ? rawText : "";
-  const system = JSON_REPAIR_SYSTEM_PROMPT;
-  const user = buildJsonRepairArrayUserPrompt({ schemaHint, rawText: cleaned });
-
-  const response = await anthropicCreateJsonMessage({
-    system,
-    messages: [{ role: "user", content: [{ type: "text", text: user }] }],
-    model: requireString(model) ? model : process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
+  const { text } = await generateAiText({
+    provider,
+    task: "jsonRepairArray",
+    systemPrompt: JSON_REPAIR_SYSTEM_PROMPT,
+    userPrompt: buildJsonRepairArrayUserPrompt({ schemaHint, rawText: cleaned }),
     temperature: 0,
-    maxTokens: 2048
+    maxTokens: 2048,
+    json: false
   });
-
-  const content = getTextFromAnthropicMessageResponse(response);
-  return safeParseJsonArrayLoose(content);
+  return safeParseJsonArrayLoose(text);
 }
 
 function stripBrandingFromAdvancedBodyCompositionPayload(payload) {
@@ -5953,35 +4772,6 @@ function pickFirstNumber(text) {
   return Number.isFinite(n) ? n : null;
 }
 
-function parseRangeBounds(referenceRange) {
-  if (!requireString(referenceRange)) return null;
-  const range = String(referenceRange).trim();
-  const nums = range.match(/-?\d+(?:\.\d+)?/g) ?? [];
-  const numbers = nums.map((n) => Number(n)).filter((n) => Number.isFinite(n));
-  if (numbers.length === 0) return null;
-
-  if (numbers.length >= 2 && (range.includes("-") || range.toLowerCase().includes("to"))) {
-    const min = numbers[0];
-    const max = numbers[1];
-    if (Number.isFinite(min) && Number.isFinite(max)) return { min, max, kind: "between" };
-  }
-
-  if (range.includes("<")) {
-    return { max: numbers[0], kind: "lt" };
-  }
-  if (range.includes(">")) {
-    return { min: numbers[0], kind: "gt" };
-  }
-
-  if (numbers.length >= 2) {
-    const min = numbers[0];
-    const max = numbers[1];
-    if (Number.isFinite(min) && Number.isFinite(max)) return { min, max, kind: "between" };
-  }
-
-  return null;
-}
-
 function computeStatus({ value, referenceRange, fallbackStatus }) {
   const vText = toNullOrString(value);
   if (vText == null) {
@@ -6483,6 +5273,9 @@ function normalizeCategorizedDocsTestsIncoming(incoming) {
   }));
 }
 
+// Tests are keyed by LOINC when the lab catalogue knows the name, so aliases
+// reported in different units share a row; each result keeps the unit it was
+// reported in and the merged tests carry loinc/canonicalValue/canonicalUnit.
 function mergeTestEntries(existing, incoming) {
   const normalizeDateKey = (v) => {
     const s = typeof v === "string" ? v.trim() : v == null ? "" : String(v).trim();
@@ -6496,11 +5289,13 @@ function mergeTestEntries(existing, incoming) {
       const value = toNullOrString(r?.value);
       if (!value) return;
       const dateAndTime = toNullOrString(r?.dateAndTime);
-      const key = `${normalizeDateKey(dateAndTime)}|${String(value).trim().toLowerCase()}`;
+      const canonical = typeof r?.canonicalValue === "number" ? `=${r.canonicalValue}` : String(value).trim().toLowerCase();
+      const key = `${normalizeDateKey(dateAndTime)}|${canonical}`;
       if (seen.has(key)) return;
       seen.add(key);
       out.push({
         value,
+        unit: toNullOrString(r?.unit),
         dateAndTime: dateAndTime ? String(dateAndTime).trim() : null,
         status: toNullOrString(r?.status)
       });
@@ -6510,15 +5305,27 @@ function mergeTestEntries(existing, incoming) {
     return out;
   };
 
+  const mergeKey = (name) => labTestMergeKey(name) ?? canonicalizeDocsTestsMergeKey(name);
+  // Results inherit the unit of the test they were reported under before
+  // tests in different units are merged into one row.
+  const withResultUnits = (t) => {
+    if (!Array.isArray(t?.results)) return t;
+    const unit = toNullOrString(t?.unit);
+    const results = t.results.map((r) => (r && typeof r === "object" ? { ...r, unit: toNullOrString(r?.unit) ?? unit } : r));
+    return annotateLabTest({ ...t, results });
+  };
+
   const map = new Map();
-  for (const t of existing) {
-    const key = canonicalizeDocsTestsMergeKey(t?.testName);
+  for (const raw of existing) {
+    const t = withResultUnits(raw);
+    const key = mergeKey(t?.testName);
     if (!key) continue;
     map.set(key, t);
   }
 
-  for (const t of incoming) {
-    const key = canonicalizeDocsTestsMergeKey(t?.testName);
+  for (const raw of incoming) {
+    const t = withResultUnits(raw);
+    const key = mergeKey(t?.testName);
     if (!key) continue;
     const prev = map.get(key);
     if (!prev) {
@@ -6526,6 +5333,7 @@ function mergeTestEntries(existing, incoming) {
       const baseResults = Array.isArray(t?.results) ? t.results : [];
       const computedResults = baseResults.map((r) => ({
         value: toNullOrString(r?.value),
+        unit: toNullOrString(r?.unit),
         dateAndTime: toNullOrString(r?.dateAndTime),
         status: computeStatus({ value: toNullOrString(r?.value), referenceRange: rr, fallbackStatus: toNullOrString(r?.status) ?? toNullOrString(t?.status) })
       }));
@@ -6556,15 +5364,20 @@ function mergeTestEntries(existing, incoming) {
     };
 
     const rr = toNullOrString(merged?.referenceRange);
-    const computedResults = (Array.isArray(merged?.results) ? merged.results : []).map((r) => ({
-      value: toNullOrString(r?.value),
-      dateAndTime: toNullOrString(r?.dateAndTime),
-      status: computeStatus({
+    const rrUnit = normalizeLabUnit(merged?.unit);
+    const computedResults = (Array.isArray(merged?.results) ? merged.results : []).map((r) => {
+      const fallbackStatus = toNullOrString(r?.status) ?? toNullOrString(t?.status) ?? toNullOrString(prev?.status);
+      const unit = toNullOrString(r?.unit);
+      // The reference range is in the latest report's unit; results reported
+      // in another unit keep the status they came with.
+      const comparable = !unit || !rrUnit || normalizeLabUnit(unit) === rrUnit;
+      return {
         value: toNullOrString(r?.value),
-        referenceRange: rr,
-        fallbackStatus: toNullOrString(r?.status) ?? toNullOrString(t?.status) ?? toNullOrString(prev?.status)
-      })
-    }));
+        unit,
+        dateAndTime: toNullOrString(r?.dateAndTime),
+        status: comparable ? computeStatus({ value: toNullOrString(r?.value), referenceRange: rr, fallbackStatus }) : fallbackStatus
+      };
+    });
     merged.results = computedResults;
     merged.status =
       computedResults.length > 0
@@ -6574,7 +5387,7 @@ function mergeTestEntries(existing, incoming) {
     map.set(key, merged);
   }
 
-  return Array.from(map.values());
+  return Array.from(map.values()).map(annotateLabTest);
 }
 
 function filterDocsTestsToMedicalOnly(tests) {
@@ -6889,7 +5702,7 @@ function mergeAndDedupeCleanedTestsByName(tests) {
   });
 }
 
-async function cleanDocsTestsWithAi({ openai, provider, tests, debug }) {
+async function cleanDocsTestsWithAi({ provider, tests, debug }) {
   const list = Array.isArray(tests) ? tests : [];
   if (list.length === 0) return { tests: [] };
 
@@ -6956,59 +5769,23 @@ async function cleanDocsTestsWithAi({ openai, provider, tests, debug }) {
   );
   const rowsForPrompt = capTextForPrompt(rowsJson, 20000);
 
-  const systemPrompt = DOCS_TESTS_CLEAN_SYSTEM_PROMPT;
+  const systemPrompt = getPrompt("DOCS_TESTS_CLEAN_SYSTEM_PROMPT");
   const userPrompt = buildDocsTestsCleanUserPrompt({ dictionaryPrompt, rowsForPrompt });
 
-  const resolvedProvider = normalizeAiProvider(provider);
-  let content = "";
-  if (resolvedProvider === "gemini") {
-    const response = await geminiGenerateContent({
-      parts: [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }],
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    content = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [
-        {
-          role: "user",
-          content: [{ type: "text", text: userPrompt }]
-        }
-      ],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-  } else {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: userPrompt }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "docsTestsClean",
+    schema: "docsTestsClean",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt,
+    temperature: 0,
+    maxTokens: 8192
+  });
 
-  let parsed =
-    (resolvedProvider === "claude" || resolvedProvider === "gemini"
-      ? safeParseJsonObjectLoose(content)
-      : safeParseJsonObject(content)) ??
-    safeParseJsonArrayLoose(content) ??
-    null;
+  let parsed = safeParseJsonObjectLoose(content) ?? safeParseJsonArrayLoose(content) ?? null;
 
-  if (!parsed && resolvedProvider === "claude") {
-    parsed = await repairJsonObjectWithClaude({
-      rawText: content,
-      schemaHint: DOCS_TESTS_CLEAN_SCHEMA_HINT,
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022"
-    });
+  if (!parsed) {
+    parsed = await repairJsonObjectWithAi({ provider, rawText: content, schemaHint: DOCS_TESTS_CLEAN_SCHEMA_HINT });
   }
 
   const categories = normalizeCategorizedDocsTestsIncoming(parsed ?? {});
@@ -7117,179 +5894,65 @@ async function cleanDocsTestsWithAi({ openai, provider, tests, debug }) {
   return { tests: normalizedCategories };
 }
 
-async function extractTestsFromPdfs({ openai, pdfFiles, extractedText, testNames, provider }) {
-  const systemPrompt = TESTS_FROM_PDFS_SYSTEM_PROMPT;
+async function extractTestsFromPdfs({ pdfFiles, extractedText, testNames, provider }) {
+  const systemPrompt = getPrompt("TESTS_FROM_PDFS_SYSTEM_PROMPT");
   const userPrompt = buildTestsFromPdfsUserPrompt({ testList: bulletList(testNames) });
 
-  let content = "";
-  const resolvedProvider = normalizeAiProvider(provider);
-  const textForPrompt = requireString(extractedText)
-    ? extractedText
-    : resolvedProvider === "claude" || resolvedProvider === "gemini"
-      ? await extractPdfTextRawForPrompt(pdfFiles)
-      : "";
-
-  if (resolvedProvider === "gemini") {
-    const response = await geminiGenerateContent({
-      parts: [
-        {
-          text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}\n\n[PDF_TEXT]\n${capTextForPrompt(
-            textForPrompt,
-            12000
-          )}`
-        }
-      ],
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    content = getTextFromGeminiGenerateContentResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? safeParseJsonObject(content) ?? {};
-    return normalizeIncomingTests(parsedJson);
-  }
-
-  if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [
-        {
-          role: "user",
-          content: [{ type: "text", text: `${userPrompt}\n\n[PDF_TEXT]\n${textForPrompt}` }]
-        }
-      ],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? {};
-    return normalizeIncomingTests(parsedJson);
-  }
-
-  if (requireString(textForPrompt)) {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: `${userPrompt}\n\n[PDF_TEXT]\n${textForPrompt}` }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-  } else {
-    const fileParts = pdfFiles.map((f) => {
-      const base64 = f.buffer.toString("base64");
-      const fileDataUrl = `data:application/pdf;base64,${base64}`;
-      return { type: "input_file", filename: f.originalname || "report.pdf", file_data: fileDataUrl };
-    });
-    const response = await openai.responses.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      text: { format: { type: "json_object" } },
-      input: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        {
-          role: "user",
-          content: [...fileParts, { type: "input_text", text: userPrompt }]
-        }
-      ]
-    });
-    content = getTextFromResponsesOutput(response);
-  }
+  // With extracted text the PDFs are not re-sent; otherwise every provider reads the files directly.
+  const hasText = requireString(extractedText);
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "testsFromPdfs",
+    schema: "testsFromDocuments",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: hasText ? `${userPrompt}\n\n[PDF_TEXT]\n${capTextForPrompt(extractedText, 20000)}` : userPrompt,
+    pdfs: hasText ? [] : Array.isArray(pdfFiles) ? pdfFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
-  const parsedJson = safeParseJsonObject(content) ?? {};
+  const parsedJson = safeParseJsonObjectLoose(content) ?? {};
   return normalizeIncomingTests(parsedJson);
 }
 
-async function extractAllBloodParametersFromText({ openai, extractedText, provider, debug }) {
-  const systemPrompt = MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT;
-  const userPrompt = BLOOD_TEXT_USER_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
+async function extractAllBloodParametersFromText({ extractedText, provider, debug }) {
+  const systemPrompt = getPrompt("MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT");
+  const userPrompt = getPrompt("BLOOD_TEXT_USER_PROMPT");
   const schemaHint = BLOOD_SCHEMA_HINT;
 
-  let content = "";
-  if (resolvedProvider === "gemini") {
-    const response = await geminiGenerateContent({
-      parts: [
-        {
-          text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(
-            extractedText,
-            20000
-          )}`
-        }
-      ],
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    content = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [
-        {
-          role: "user",
-          content: [{ type: "text", text: `${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 12000)}` }]
-        }
-      ],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-  } else {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: `${userPrompt}\n\n[REPORT_TEXT]\n${extractedText}` }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
+  let { text: content } = await generateValidatedAiText({
+    provider,
+    task: "bloodParametersFromText",
+    schema: "bloodParameters",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: `${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 20000)}`,
+    temperature: 0,
+    maxTokens: 8192
+  });
+
+  let parsedJson = safeParseJsonObjectLoose(content) ?? null;
+  if (!parsedJson) {
+    parsedJson = await repairJsonObjectWithAi({ provider, rawText: content, schemaHint });
   }
 
-  let parsedJson =
-    (resolvedProvider === "claude" ? safeParseJsonObjectLoose(content) : safeParseJsonObject(content)) ?? null;
-  if (!parsedJson && resolvedProvider === "claude") {
-    parsedJson = await repairJsonObjectWithClaude({
-      rawText: content,
-      schemaHint,
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022"
+  // A second, narrower pass for when the full prompt comes back empty on long reports.
+  const maybeTests = normalizeLooseIncomingTests(parsedJson ?? {});
+  if (maybeTests.length === 0) {
+    const { text: content2 } = await generateValidatedAiText({
+      provider,
+      task: "bloodParametersFromTextFallback",
+      schema: "bloodParameters",
+      systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+      userPrompt: `${getPrompt("BLOOD_TEXT_FALLBACK_CLAUDE_USER_PROMPT")}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 9000)}`,
+      temperature: 0,
+      maxTokens: 4096
     });
-  }
-  if (resolvedProvider === "claude") {
-    const maybeTests = normalizeLooseIncomingTests(parsedJson ?? {});
-    if (maybeTests.length === 0) {
-      const fallbackUserPrompt = BLOOD_TEXT_FALLBACK_CLAUDE_USER_PROMPT;
-
-      const response2 = await anthropicCreateJsonMessage({
-        system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-        messages: [
-          {
-            role: "user",
-            content: [{ type: "text", text: `${fallbackUserPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 9000)}` }]
-          }
-        ],
-        model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-        temperature: 0,
-        maxTokens: 4096
-      });
-      const content2 = getTextFromAnthropicMessageResponse(response2);
-      let parsed2 = safeParseJsonObjectLoose(content2);
-      if (!parsed2) {
-        parsed2 = await repairJsonObjectWithClaude({
-          rawText: content2,
-          schemaHint,
-          model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022"
-        });
-      }
-      parsedJson = parsed2 ?? parsedJson;
-      content = maybeTests.length > 0 ? content : content2;
+    let parsed2 = safeParseJsonObjectLoose(content2);
+    if (!parsed2) {
+      parsed2 = await repairJsonObjectWithAi({ provider, rawText: content2, schemaHint });
     }
+    parsedJson = parsed2 ?? parsedJson;
+    content = content2;
   }
 
   const tests = normalizeLooseIncomingTests(parsedJson ?? {});
@@ -7297,70 +5960,25 @@ async function extractAllBloodParametersFromText({ openai, extractedText, provid
   return { tests };
 }
 
-async function extractDocsTestsFromText({ openai, extractedText, provider, debug }) {
-  const systemPrompt = MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT;
-  const userPrompt = DOCS_TESTS_TEXT_USER_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
+async function extractDocsTestsFromText({ extractedText, provider, debug }) {
+  const systemPrompt = getPrompt("MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT");
+  const userPrompt = getPrompt("DOCS_TESTS_TEXT_USER_PROMPT");
   const schemaHint = DOCS_TESTS_SCHEMA_HINT;
 
-  let content = "";
-  if (resolvedProvider === "gemini") {
-    const response = await geminiGenerateContent({
-      parts: [
-        {
-          text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(
-            extractedText,
-            20000
-          )}`
-        }
-      ],
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    content = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [
-        {
-          role: "user",
-          content: [{ type: "text", text: `${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 20000)}` }]
-        }
-      ],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-  } else {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: `${userPrompt}\n\n[REPORT_TEXT]\n${extractedText}` }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-  }
-
-  let parsedJson =
-    (resolvedProvider === "claude" || resolvedProvider === "gemini"
-      ? safeParseJsonObjectLoose(content)
-      : safeParseJsonObject(content)) ??
-    safeParseJsonArrayLoose(content) ??
-    null;
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "docsTestsFromText",
+    schema: "docsTests",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: `${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 20000)}`,
+    temperature: 0,
+    maxTokens: 8192
+  });
 
-  if (!parsedJson && resolvedProvider === "claude") {
-    const repairedObject = await repairJsonObjectWithClaude({
-      rawText: content,
-      schemaHint,
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022"
-    });
-    parsedJson = repairedObject ?? (await repairJsonArrayWithClaude({ rawText: content, schemaHint, model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022" }));
+  let parsedJson = safeParseJsonObjectLoose(content) ?? safeParseJsonArrayLoose(content) ?? null;
+  if (!parsedJson) {
+    const repairedObject = await repairJsonObjectWithAi({ provider, rawText: content, schemaHint });
+    parsedJson = repairedObject ?? (await repairJsonArrayWithAi({ provider, rawText: content, schemaHint }));
   }
 
   const tests = normalizeLooseIncomingTests(parsedJson ?? {});
@@ -7368,89 +5986,26 @@ async function extractDocsTestsFromText({ openai, extractedText, provider, debug
   return { tests };
 }
 
-async function extractDocsTestsFromImagesAndText({ openai, imageFiles, extractedText, provider, debug }) {
-  const systemPrompt = MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT;
-  const userPrompt = DOCS_TESTS_IMAGES_USER_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
+async function extractDocsTestsFromImagesAndText({ imageFiles, extractedText, provider, debug }) {
+  const systemPrompt = getPrompt("MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT");
+  const userPrompt = getPrompt("DOCS_TESTS_IMAGES_USER_PROMPT");
   const schemaHint = DOCS_TESTS_SCHEMA_HINT;
 
-  let content = "";
-
-  if (resolvedProvider === "gemini") {
-    const parts = [
-      {
-        text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(
-          extractedText,
-          14000
-        )}`
-      }
-    ];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 8192
-    });
-    content = getTextFromGeminiGenerateContentResponse(response);
-  } else if (resolvedProvider === "claude") {
-    const parts = [{ type: "text", text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(extractedText, 14000)}` }];
-    for (const f of imageFiles) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-  } else {
-    const contentParts = [
-      { type: "text", text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(extractedText, 14000)}` }
-    ];
-    for (const f of imageFiles) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-
-    content = completion.choices?.[0]?.message?.content ?? "";
-  }
-
-  let parsedJson =
-    (resolvedProvider === "claude" || resolvedProvider === "gemini"
-      ? safeParseJsonObjectLoose(content)
-      : safeParseJsonObject(content)) ??
-    safeParseJsonArrayLoose(content) ??
-    null;
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "docsTestsFromImages",
+    schema: "docsTests",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(extractedText, 14000)}`,
+    images: await preprocessImagesForVision(imageFiles, { provider }),
+    temperature: 0,
+    maxTokens: 8192
+  });
 
-  if (!parsedJson && resolvedProvider === "claude") {
-    const repairedObject = await repairJsonObjectWithClaude({
-      rawText: content,
-      schemaHint,
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022"
-    });
-    parsedJson = repairedObject ?? (await repairJsonArrayWithClaude({ rawText: content, schemaHint, model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022" }));
+  let parsedJson = safeParseJsonObjectLoose(content) ?? safeParseJsonArrayLoose(content) ?? null;
+  if (!parsedJson) {
+    const repairedObject = await repairJsonObjectWithAi({ provider, rawText: content, schemaHint });
+    parsedJson = repairedObject ?? (await repairJsonArrayWithAi({ provider, rawText: content, schemaHint }));
   }
 
   const tests = normalizeLooseIncomingTests(parsedJson ?? {});
@@ -7458,70 +6013,25 @@ async function extractDocsTestsFromImagesAndText({ openai, imageFiles, extracted
   return { tests };
 }
 
-async function extractAllBloodParametersFromImagesAndText({ openai, imageFiles, extractedText, provider, debug }) {
-  const systemPrompt = MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT;
-  const userPrompt = BLOOD_IMAGES_USER_PROMPT;
-
-  const resolvedProvider = normalizeAiProvider(provider);
+async function extractAllBloodParametersFromImagesAndText({ imageFiles, extractedText, provider, debug }) {
+  const systemPrompt = getPrompt("MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT");
+  const userPrompt = getPrompt("BLOOD_IMAGES_USER_PROMPT");
   const schemaHint = BLOOD_SCHEMA_HINT;
 
-  let content = "";
-  if (resolvedProvider === "claude") {
-    const parts = [
-      { type: "text", text: `${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 12000)}` }
-    ];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 8192
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-  } else {
-    const contentParts = [
-      {
-        type: "text",
-        text: `${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 12000)}`
-      }
-    ];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-
-    content = completion.choices?.[0]?.message?.content ?? "";
-  }
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "bloodParametersFromImages",
+    schema: "bloodParameters",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: `${userPrompt}\n\n[REPORT_TEXT]\n${capTextForPrompt(extractedText, 12000)}`,
+    images: Array.isArray(imageFiles) ? imageFiles : [],
+    temperature: 0,
+    maxTokens: 8192
+  });
 
-  const parsedJson =
-    (resolvedProvider === "claude"
-      ? safeParseJsonObjectLoose(content)
-      : safeParseJsonObject(content)) ?? null;
-
-  let finalJson = parsedJson;
-  if (!finalJson && resolvedProvider === "claude") {
-    finalJson = await repairJsonObjectWithClaude({
-      rawText: content,
-      schemaHint,
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022"
-    });
+  let finalJson = safeParseJsonObjectLoose(content) ?? null;
+  if (!finalJson) {
+    finalJson = await repairJsonObjectWithAi({ provider, rawText: content, schemaHint });
   }
 
   const tests = normalizeLooseIncomingTests(finalJson ?? {});
@@ -7529,60 +6039,22 @@ async function extractAllBloodParametersFromImagesAndText({ openai, imageFiles,
   return { tests };
 }
 
-async function extractTestsFromImagesAndText({ openai, imageFiles, extractedText, testNames, provider }) {
-  const systemPrompt = MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT;
+async function extractTestsFromImagesAndText({ imageFiles, extractedText, testNames, provider }) {
+  const systemPrompt = getPrompt("MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT");
   const userPrompt = buildTestsFromImagesUserPrompt({ testList: bulletList(testNames) });
 
-  const resolvedProvider = normalizeAiProvider(provider);
-  let content = "";
-
-  if (resolvedProvider === "claude") {
-    const parts = [
-      {
-        type: "text",
-        text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(extractedText, 10000)}`
-      }
-    ];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? {};
-    return normalizeIncomingTests(parsedJson);
-  }
-
-  const contentParts = [
-    { type: "text", text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(extractedText, 10000)}` }
-  ];
-  const images = Array.isArray(imageFiles) ? imageFiles : [];
-  for (const f of images) {
-    const b64 = f.buffer.toString("base64");
-    const dataUrl = `data:${f.mimetype};base64,${b64}`;
-    contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-  }
-
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "testsFromImages",
+    schema: "testsFromDocuments",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(extractedText, 10000)}`,
+    images: await preprocessImagesForVision(imageFiles, { provider }),
     temperature: 0,
-    response_format: { type: "json_object" },
-    messages: [
-      { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-      { role: "user", content: contentParts }
-    ]
+    maxTokens: 4096
   });
 
-  content = completion.choices?.[0]?.message?.content ?? "";
-  const parsedJson = safeParseJsonObject(content) ?? {};
+  const parsedJson = safeParseJsonObjectLoose(content) ?? {};
   return normalizeIncomingTests(parsedJson);
 }
 
@@ -7603,71 +6075,25 @@ function normalizeHeartRelatedIncomingTests(parsedJson) {
     .filter(Boolean);
 }
 
-async function extractHeartRelatedTestsFromPdfs({ openai, pdfFiles, extractedText, provider }) {
-  const systemPrompt = HEART_RELATED_TESTS_SYSTEM_PROMPT;
+async function extractHeartRelatedTestsFromPdfs({ pdfFiles, extractedText, provider }) {
+  const systemPrompt = getPrompt("HEART_RELATED_TESTS_SYSTEM_PROMPT");
   const userPrompt = buildHeartRelatedTestsUserPrompt({
     heartTestsList: bulletList(HEART_RELATED_EXTRACT_TESTS)
   });
 
-  let content = "";
-  const resolvedProvider = normalizeAiProvider(provider);
-  const textForPrompt = requireString(extractedText)
-    ? extractedText
-    : resolvedProvider === "claude"
-      ? await extractPdfTextRawForPrompt(pdfFiles)
-      : "";
-
-  if (resolvedProvider === "claude") {
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [
-        {
-          role: "user",
-          content: [{ type: "text", text: `${userPrompt}\n\n[PDF_TEXT]\n${textForPrompt}` }]
-        }
-      ],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    content = getTextFromAnthropicMessageResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? {};
-    return normalizeHeartRelatedIncomingTests(parsedJson);
-  }
-
-  if (requireString(textForPrompt)) {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: `${userPrompt}\n\n[PDF_TEXT]\n${textForPrompt}` }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-  } else {
-    const fileParts = pdfFiles.map((f) => {
-      const base64 = f.buffer.toString("base64");
-      const fileDataUrl = `data:application/pdf;base64,${base64}`;
-      return { type: "input_file", filename: f.originalname || "report.pdf", file_data: fileDataUrl };
-    });
-    const response = await openai.responses.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      text: { format: { type: "json_object" } },
-      input: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        {
-          role: "user",
-          content: [...fileParts, { type: "input_text", text: userPrompt }]
-        }
-      ]
-    });
-    content = getTextFromResponsesOutput(response);
-  }
+  const hasText = requireString(extractedText);
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "heartRelatedTests",
+    schema: "heartRelatedTests",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: hasText ? `${userPrompt}\n\n[PDF_TEXT]\n${capTextForPrompt(extractedText, 20000)}` : userPrompt,
+    pdfs: hasText ? [] : Array.isArray(pdfFiles) ? pdfFiles : [],
+    temperature: 0,
+    maxTokens: 4096
+  });
 
-  const parsedJson = safeParseJsonObject(content) ?? {};
+  const parsedJson = safeParseJsonObjectLoose(content) ?? {};
   return normalizeHeartRelatedIncomingTests(parsedJson);
 }
 
@@ -7732,149 +6158,42 @@ function hasUrinogramMarkers(text) {
   return false;
 }
 
-async function extractUrinogramTestsFromPdfs({ openai, pdfFiles, imageFiles, extractedText, provider }) {
-  const systemPrompt = MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT;
+async function extractUrinogramTestsFromPdfs({ pdfFiles, imageFiles, extractedText, provider }) {
+  const systemPrompt = getPrompt("MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT");
   const userPrompt = buildUrinogramUserPrompt({ bulletList });
 
-  const resolvedProvider = normalizeAiProvider(provider);
-  if (resolvedProvider === "gemini") {
-    const pdfList = Array.isArray(pdfFiles) ? pdfFiles : [];
-    const imageList = Array.isArray(imageFiles) ? imageFiles : [];
-    const textForPrompt = requireString(extractedText) ? extractedText : await extractPdfTextRawForPrompt(pdfList);
-    const parts = [
-      {
-        text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(
-          textForPrompt,
-          8000,
-          URINOGRAM_ANCHOR_TERMS
-        )}`
-      }
-    ];
-    for (const f of imageList) {
-      parts.push({
-        inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    const content = getTextFromGeminiGenerateContentResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? safeParseJsonObject(content) ?? {};
-    return normalizeUrinogramIncomingTests(parsedJson);
-  }
-
-  if (resolvedProvider === "claude") {
-    const parts = [
-      {
-        type: "text",
-        text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 8000, URINOGRAM_ANCHOR_TERMS)}`
-      }
-    ];
-    for (const f of Array.isArray(imageFiles) ? imageFiles : []) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-
-    const content = getTextFromAnthropicMessageResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? {};
-    return normalizeUrinogramIncomingTests(parsedJson);
-  }
-
-  let content = "";
   const pdfList = Array.isArray(pdfFiles) ? pdfFiles : [];
   const imageList = Array.isArray(imageFiles) ? imageFiles : [];
-  const extractedHasMarkers = hasUrinogramMarkers(extractedText);
-
-  if (requireString(extractedText) && extractedHasMarkers && imageList.length === 0) {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+  const hasText = requireString(extractedText);
+  const run = async ({ text, pdfs = [], images = [] }) => {
+    const { text: content } = await generateValidatedAiText({
+      provider,
+      task: "urinogramTests",
+      schema: "urinogramTests",
+      systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+      userPrompt: text,
+      pdfs,
+      images,
       temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${extractedText}` }
-      ]
+      maxTokens: 4096
     });
-    content = completion.choices?.[0]?.message?.content ?? "";
-    const parsedJson = safeParseJsonObject(content) ?? {};
-    const normalized = normalizeUrinogramIncomingTests(parsedJson);
-    if (normalized.length >= Math.min(URINOGRAM_EXTRACT_TESTS.length, 10)) return normalized;
-  }
+    return normalizeUrinogramIncomingTests(safeParseJsonObjectLoose(content) ?? {});
+  };
 
-  const shouldUseTextOnly = requireString(extractedText) && pdfList.length === 0 && imageList.length === 0;
+  // Clean text with urinogram markers is usually enough; fall back to the files when it misses rows.
+  if (hasText && hasUrinogramMarkers(extractedText) && imageList.length === 0) {
+    const normalized = await run({ text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPrompt(extractedText, 20000)}` });
+    if (normalized.length >= Math.min(URINOGRAM_EXTRACT_TESTS.length, 10) || pdfList.length === 0) return normalized;
+  }
 
-  if (shouldUseTextOnly) {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: `${userPrompt}\n\n[PDF_TEXT]\n${extractedText}` }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-  } else if (imageList.length > 0 && pdfList.length === 0) {
-    const contentParts = [
-      {
-        type: "text",
-        text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 6000, URINOGRAM_ANCHOR_TERMS)}`
-      }
-    ];
-    for (const f of imageList) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-    }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-  } else {
-    const fileParts = pdfList.map((f) => {
-      const base64 = f.buffer.toString("base64");
-      const fileDataUrl = `data:application/pdf;base64,${base64}`;
-      return { type: "input_file", filename: f.originalname || "report.pdf", file_data: fileDataUrl };
-    });
-    const extraText = requireString(extractedText)
-      ? `\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 6000, URINOGRAM_ANCHOR_TERMS)}`
-      : "";
-    const response = await openai.responses.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      text: { format: { type: "json_object" } },
-      input: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        {
-          role: "user",
-          content: [...fileParts, { type: "input_text", text: `${userPrompt}${extraText}` }]
-        }
-      ]
-    });
-    content = getTextFromResponsesOutput(response);
+  if (hasText && pdfList.length === 0 && imageList.length === 0) {
+    return run({ text: `${userPrompt}\n\n[PDF_TEXT]\n${capTextForPrompt(extractedText, 20000)}` });
   }
 
-  const parsedJson = safeParseJsonObject(content) ?? {};
-  return normalizeUrinogramIncomingTests(parsedJson);
+  const extraText = hasText
+    ? `\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 6000, URINOGRAM_ANCHOR_TERMS)}`
+    : "";
+  return run({ text: `${userPrompt}${extraText}`, pdfs: pdfList, images: imageList });
 }
 
 function normalizeUltrasoundPatientSex(value) {
@@ -8062,146 +6381,83 @@ function normalizeUltrasoundFindings(parsedJson, { fallbackText, patientSexHint
 }
 
 async function extractUltrasoundFindingsFromPdfs({
-  openai,
   pdfFiles,
   imageFiles,
   extractedText,
   provider,
   patientSexHint
 }) {
-  const systemPrompt = MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT;
+  const systemPrompt = getPrompt("MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT");
   const userPrompt = buildUltrasoundUserPrompt({ patientSexHint });
 
-  const resolvedProvider = normalizeAiProvider(provider);
   const pdfList = Array.isArray(pdfFiles) ? pdfFiles : [];
   const imageList = Array.isArray(imageFiles) ? imageFiles : [];
+  const hasText = requireString(extractedText);
+  const extraText = hasText
+    ? `\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 9000, ULTRASOUND_ANCHOR_TERMS)}`
+    : "";
 
-  if (resolvedProvider === "gemini") {
-    const textForPrompt = requireString(extractedText) ? extractedText : await extractPdfTextRawForPrompt(pdfList);
-    const parts = [
-      {
-        text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(
-          textForPrompt,
-          9000,
-          ULTRASOUND_ANCHOR_TERMS
-        )}`
-      }
-    ];
-    for (const f of imageList) {
-      parts.push({
-        inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await geminiGenerateContent({
-      parts,
-      model: process.env.Gemini_model || getGeminiModel(),
-      temperature: 0,
-      maxOutputTokens: 4096
-    });
-    const content = getTextFromGeminiGenerateContentResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? safeParseJsonObject(content) ?? {};
-    return normalizeUltrasoundFindings(parsedJson, { fallbackText: textForPrompt, patientSexHint });
-  }
-
-  if (resolvedProvider === "claude") {
-    const textForPrompt = requireString(extractedText) ? extractedText : await extractPdfTextRawForPrompt(pdfList);
-    const parts = [
-      {
-        type: "text",
-        text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(textForPrompt, 9000, ULTRASOUND_ANCHOR_TERMS)}`
-      }
-    ];
-    for (const f of imageList) {
-      parts.push({
-        type: "image",
-        source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-      });
-    }
-    const response = await anthropicCreateJsonMessage({
-      system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-      messages: [{ role: "user", content: parts }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0,
-      maxTokens: 4096
-    });
-    const content = getTextFromAnthropicMessageResponse(response);
-    const parsedJson = safeParseJsonObjectLoose(content) ?? {};
-    return normalizeUltrasoundFindings(parsedJson, { fallbackText: textForPrompt, patientSexHint });
-  }
+  const { text: content } = await generateValidatedAiText({
+    provider,
+    task: "ultrasoundFindings",
+    schema: "ultrasoundFindings",
+    systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+    userPrompt: `${userPrompt}${extraText}`,
+    pdfs: hasText ? [] : pdfList,
+    images: imageList,
+    temperature: 0,
+    maxTokens: 4096
+  });
+  const parsedJson = safeParseJsonObjectLoose(content) ?? {};
+  return normalizeUltrasoundFindings(parsedJson, { fallbackText: extractedText, patientSexHint });
+}
 
-  let content = "";
-  if (requireString(extractedText) && imageList.length === 0) {
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        {
-          role: "user",
-          content: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 9000, ULTRASOUND_ANCHOR_TERMS)}`
-        }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-    const parsedJson = safeParseJsonObject(content) ?? {};
-    return normalizeUltrasoundFindings(parsedJson, { fallbackText: extractedText, patientSexHint });
-  }
+// Checks the sex and study date recorded in DICOM studies against the
+// ultrasound report: sex against the report text, date against the
+// extracted report date, which the DICOM study date fills when missing.
+// `match` is null when either side is unknown.
+function verifyUltrasoundDicomMetadata({ findings, studies, reportText }) {
+  const list = Array.isArray(studies) ? studies : [];
+  const dicomSexes = Array.from(
+    new Set(list.map((s) => normalizeUltrasoundPatientSex(s.metadata?.patientSex)).filter((x) => x !== "Unknown"))
+  );
+  const dicomDates = Array.from(
+    new Set(list.map((s) => normalizeUltrasoundReportDateString(s.metadata?.studyDate)).filter(Boolean))
+  );
+  const dicomSex = dicomSexes.length === 1 ? dicomSexes[0] : dicomSexes.length > 1 ? "Conflicting" : "Unknown";
+  const reportSex = extractUltrasoundPatientSexFromText(reportText);
+  const reportDate = normalizeUltrasoundReportDateString(findings?.reportDate);
+  const dicomDate = dicomDates.length === 1 ? dicomDates[0] : "";
+  if (!reportDate && dicomDate && findings) findings.reportDate = dicomDate;
 
-  if (imageList.length > 0 && pdfList.length === 0) {
-    const contentParts = [
-      {
-        type: "text",
-        text: `${userPrompt}\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 7000, ULTRASOUND_ANCHOR_TERMS)}`
+  return {
+    studies: list.map((s) => ({
+      fileName: s.fileName,
+      metadata: s.metadata,
+      frames: s.images.length,
+      hasStructuredReport: Boolean(s.srText),
+      hasEncapsulatedPdf: s.pdfs.length > 0,
+      notes: s.notes
+    })),
+    checks: {
+      sex: {
+        dicom: dicomSex,
+        report: reportSex,
+        match: dicomSex === "Conflicting" ? false : dicomSex !== "Unknown" && reportSex !== "Unknown" ? dicomSex === reportSex : null
+      },
+      date: {
+        dicom: dicomDates.length > 1 ? dicomDates : dicomDate,
+        report: reportDate,
+        match: dicomDates.length > 1 ? false : dicomDate && reportDate ? dicomDate === reportDate : null
       }
-    ];
-    for (const f of imageList) {
-      const b64 = f.buffer.toString("base64");
-      const dataUrl = `data:${f.mimetype};base64,${b64}`;
-      contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
     }
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-        { role: "user", content: contentParts }
-      ]
-    });
-    content = completion.choices?.[0]?.message?.content ?? "";
-    const parsedJson = safeParseJsonObject(content) ?? {};
-    return normalizeUltrasoundFindings(parsedJson, { fallbackText: extractedText, patientSexHint });
-  }
-
-  const fileParts = pdfList.map((f) => {
-    const base64 = f.buffer.toString("base64");
-    const fileDataUrl = `data:application/pdf;base64,${base64}`;
-    return { type: "input_file", filename: f.originalname || "report.pdf", file_data: fileDataUrl };
-  });
-  const extraText = requireString(extractedText)
-    ? `\n\n[EXTRACTED_TEXT]\n${capTextForPromptWithAnchors(extractedText, 7000, ULTRASOUND_ANCHOR_TERMS)}`
-    : "";
-  const response = await openai.responses.create({
-    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-    temperature: 0,
-    text: { format: { type: "json_object" } },
-    input: [
-      { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-      {
-        role: "user",
-        content: [...fileParts, { type: "input_text", text: `${userPrompt}${extraText}` }]
-      }
-    ]
-  });
-  content = getTextFromResponsesOutput(response);
-  const parsedJson = safeParseJsonObject(content) ?? {};
-  return normalizeUltrasoundFindings(parsedJson, { fallbackText: extractedText, patientSexHint });
+  };
 }
 
 gptRouter.post(
   "/advanced-body-composition",
   upload.single("file"),
+  aiRouteMiddleware("advancedBodyComposition", [BODY_COMPOSITION_SYSTEM_PROMPT, BODY_COMPOSITION_SCHEMA_HINT], replaceWithAiResult),
   createAdvancedBodyCompositionHandler(getGptControllerContext)
 );
 
@@ -8211,6 +6467,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("generatedReport", [MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT, HEART_RELATED_TESTS_SYSTEM_PROMPT, buildHeartRelatedTestsUserPrompt, buildUrinogramUserPrompt]),
   createHeartUrineAnalysisHandler(getGptControllerContext)
 );
 
@@ -8220,12 +6477,23 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("ultrasoundAnalysis", [MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT, buildUltrasoundUserPrompt], replaceWithAiResult),
   createUltrasoundAnalysisHandler(getGptControllerContext)
 );
 
-gptRouter.post("/exercise-assessment", upload.none(), createExerciseAssessmentHandler(getGptControllerContext));
+gptRouter.post(
+  "/exercise-assessment",
+  upload.none(),
+  aiRouteMiddleware("structuredSections.exerciseAssessment", [EXERCISE_ASSESSMENT_SYSTEM_PROMPT, buildExerciseAssessmentUserPrompt]),
+  createExerciseAssessmentHandler(getGptControllerContext)
+);
 
-gptRouter.post("/diet-assessment", upload.none(), createDietAssessmentHandler(getGptControllerContext));
+gptRouter.post(
+  "/diet-assessment",
+  upload.none(),
+  aiRouteMiddleware("structuredSections.dietAssessment", [DIET_ASSESSMENT_SYSTEM_PROMPT, buildDietAssessmentUserPrompt]),
+  createDietAssessmentHandler(getGptControllerContext)
+);
 
 gptRouter.post("/social-fitness", upload.none(), (req, res) => {
   try {
@@ -8237,10 +6505,20 @@ gptRouter.post("/social-fitness", upload.none(), (req, res) => {
   }
 });
 
-gptRouter.post("/heart-health-score", upload.none(), (req, res) => {
+// With a `reportId`, the cardiovascular risk scores also draw on the lipids,
+// blood pressure and history already captured in that report.
+gptRouter.post("/heart-health-score", upload.none(), async (req, res) => {
   try {
     const normalized = normalizeHeartHealthScoreIncoming(req?.body);
     const computed = computeHeartHealthScore(normalized);
+    const reportId = typeof req?.body?.reportId === "string" ? req.body.reportId.trim() : "";
+    let report = null;
+    if (reportId) {
+      const access = await resolvePatientReportForAiRun({ req, reportId, requireEditable: false });
+      if (access.error) return res.status(access.error.status).json(access.error.body);
+      report = await loadCardiovascularRiskReport(access.reportId);
+    }
+    computed.cardiovascularRisk = await computeCardiovascularRisk({ report, ...normalized });
     res.json({ patient: normalized.patient, assessment: normalized.assessment, computed });
   } catch (err) {
     res.status(500).json({ error: err instanceof Error ? err.message : "Failed to calculate heart health score" });
@@ -8267,11 +6545,13 @@ gptRouter.post("/brain-health-part2", upload.none(), (req, res) => {
   }
 });
 
-gptRouter.post("/liver-health-scores", upload.none(), (req, res) => {
+// With a `reportId`, lab fields left empty are pre-filled from that report's
+// docs-tests; `labSources` says where each lab value came from.
+gptRouter.post("/liver-health-scores", upload.none(), prefillSectionLabRequest("liverHealth"), (req, res) => {
   try {
     const normalized = normalizeLiverHealthIncoming(req?.body);
     const computed = computeLiverScoresFromPatient(normalized.patient);
-    res.json({ patient: normalized.patient, computed });
+    res.json({ patient: normalized.patient, computed, labSources: res.locals.labInputSources ?? null });
   } catch (err) {
     res.status(500).json({ error: err instanceof Error ? err.message : "Failed to calculate liver scores" });
   }
@@ -8283,10 +6563,10 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.brainHealthPart2", [BRAIN_HEALTH_PART2_EXTRACT_SYSTEM_PROMPT, buildBrainHealthPart2ExtractUserPrompt]),
   async (req, res) => {
     try {
       const provider = getAiProviderFromReq(req);
-      const openai = getOpenAIClient();
 
       const patient = (() => {
         const raw = req?.body?.patientJson;
@@ -8315,14 +6595,10 @@ gptRouter.post(
 
       const debug = String(req?.body?.debug || "").toLowerCase() === "true";
       const resolvedProvider = normalizeAiProvider(provider);
-      const canUseAi =
-        (resolvedProvider === "openai" && !!openai) ||
-        (resolvedProvider === "claude" && hasAnthropicKey()) ||
-        (resolvedProvider === "gemini" && hasGeminiKey());
+      const canUseAi = isAiProviderConfigured(resolvedProvider);
 
       const payload = canUseAi
         ? await generateBrainHealthPart2ExtractWithAi({
-            openai,
             provider,
             patient,
             extractedText,
@@ -8350,6 +6626,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.ansAssessment", [ANS_ASSESSMENT_SYSTEM_PROMPT, buildAnsAssessmentUserPrompt]),
   createAnsAssessmentHandler(getGptControllerContext)
 );
 
@@ -8359,6 +6636,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.ansAssessment", [PNS_ASSESSMENT_SYSTEM_PROMPT, buildPnsAssessmentUserPrompt]),
   createPnsAssessmentHandler(getGptControllerContext)
 );
 
@@ -8368,6 +6646,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.arterialHealth", [ARTERIAL_HEALTH_SYSTEM_PROMPT, buildArterialHealthUserPrompt]),
   createArterialHealthHandler(getGptControllerContext)
 );
 
@@ -8377,6 +6656,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.lungFunction", [LUNG_FUNCTION_SYSTEM_PROMPT, buildLungFunctionUserPrompt]),
   createLungFunctionHandler(getGptControllerContext)
 );
 
@@ -8386,6 +6666,9 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.liverHealth", [LIVER_HEALTH_SYSTEM_PROMPT, buildLiverHealthUserPrompt], undefined, {
+    perRequest: [applySectionLabInputs("liverHealth")]
+  }),
   createLiverHealthHandler(getGptControllerContext)
 );
 
@@ -8395,6 +6678,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.eyeHealth", [EYE_HEALTH_SYSTEM_PROMPT, buildEyeHealthUserPrompt]),
   createEyeHealthHandler(getGptControllerContext)
 );
 
@@ -8404,6 +6688,9 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.kidneyHealth", [KIDNEY_HEALTH_SYSTEM_PROMPT, buildKidneyHealthUserPrompt], undefined, {
+    perRequest: [applySectionLabInputs("kidneyHealth")]
+  }),
   createKidneyHealthHandler(getGptControllerContext)
 );
 
@@ -8413,10 +6700,29 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.diabetesRisk", [DIABETES_RISK_SYSTEM_PROMPT, buildDiabetesRiskUserPrompt], undefined, {
+    perRequest: [applySectionLabInputs("diabetesRisk")]
+  }),
   createDiabetesRiskHandler(getGptControllerContext)
 );
 
-gptRouter.post("/diabetes-annual-risk", async (req, res) => {
+const DIABETES_ANNUAL_RISK_SYSTEM_PROMPT = [
+  "You are a clinical decision support engine for diabetes risk assessment.",
+  "Given the patient's diabetes-related data, provide:",
+  "1. Annual risk of developing diabetes (as a concise label, e.g. 'Very low (<0.5%/yr)', '~5-10% per year', '10-25% per year', 'Already diabetic', etc.)",
+  "2. Clinical meaning (a brief 1-2 sentence clinical interpretation considering ALL the provided data, not just HbA1c)",
+  "",
+  "Return ONLY valid JSON. Do not add markdown. Do not add commentary.",
+  "JSON format:",
+  '{ "annualRisk": "...", "clinicalMeaning": "..." }'
+].join("\n");
+registerBuiltinPrompt("DIABETES_ANNUAL_RISK_SYSTEM_PROMPT", DIABETES_ANNUAL_RISK_SYSTEM_PROMPT);
+
+const saveDiabetesAnnualRiskToReport = aiRouteMiddleware("structuredSections.diabetesRisk", [DIABETES_ANNUAL_RISK_SYSTEM_PROMPT], undefined, {
+  perRequest: [prefillSectionLabRequest("diabetesAnnualRisk")]
+});
+
+gptRouter.post("/diabetes-annual-risk", saveDiabetesAnnualRiskToReport, async (req, res) => {
   try {
     const provider = normalizeAiProvider(req?.body?.provider);
     const body = req.body && typeof req.body === "object" ? req.body : {};
@@ -8425,8 +6731,9 @@ gptRouter.post("/diabetes-annual-risk", async (req, res) => {
     const fastingGlucose = parseOptionalNumberLoose(body.fastingGlucoseMgDl);
     const fastingInsulin = parseOptionalNumberLoose(body.fastingInsulinUuMl);
     const ldl = parseOptionalNumberLoose(body.ldlMgDl);
-    const homaIr = parseOptionalNumberLoose(body.homaIr);
-    const quicki = parseOptionalNumberLoose(body.quicki);
+    const insulinResistance = computeInsulinResistance({ fastingGlucoseMg_dL: fastingGlucose, fastingInsulinUu_mL: fastingInsulin });
+    const homaIr = parseOptionalNumberLoose(body.homaIr) ?? insulinResistance.homaIr;
+    const quicki = parseOptionalNumberLoose(body.quicki) ?? insulinResistance.quicki;
     const idrsTotal = parseOptionalNumberLoose(body.idrsTotal);
     const idrsRiskCategory = typeof body.idrsRiskCategory === "string" ? body.idrsRiskCategory : "";
     const statinRecommendation = typeof body.statinRecommendation === "string" ? body.statinRecommendation : "";
@@ -8458,57 +6765,28 @@ gptRouter.post("/diabetes-annual-risk", async (req, res) => {
       `Statin recommendation: ${statinRecommendation || "not available"}`
     ].join("\n");
 
-    const systemPrompt = [
-      "You are a clinical decision support engine for diabetes risk assessment.",
-      "Given the patient's diabetes-related data, provide:",
-      "1. Annual risk of developing diabetes (as a concise label, e.g. 'Very low (<0.5%/yr)', '~5-10% per year', '10-25% per year', 'Already diabetic', etc.)",
-      "2. Clinical meaning (a brief 1-2 sentence clinical interpretation considering ALL the provided data, not just HbA1c)",
-      "",
-      "Return ONLY valid JSON. Do not add markdown. Do not add commentary.",
-      "JSON format:",
-      '{ "annualRisk": "...", "clinicalMeaning": "..." }'
-    ].join("\n");
+    const systemPrompt = getPrompt("DIABETES_ANNUAL_RISK_SYSTEM_PROMPT");
 
     const userPrompt = `Assess the annual risk of developing diabetes and provide clinical meaning based on these values:\n\n${dataLines}`;
 
-    let raw = "";
-    if (provider === "gemini") {
-      const response = await geminiGenerateContent({
-        parts: [{ text: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}\n\n${userPrompt}` }],
-        model: process.env.Gemini_model || getGeminiModel(),
-        temperature: 0,
-        maxOutputTokens: 1024
-      });
-      raw = getTextFromGeminiGenerateContentResponse(response);
-    } else if (provider === "claude") {
-      const response = await anthropicCreateJsonMessage({
-        system: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
-        messages: [{ role: "user", content: userPrompt }],
-        model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-        temperature: 0,
-        maxTokens: 1024
-      });
-      raw = getTextFromAnthropicMessageResponse(response);
-    } else {
-      const openai = getOpenAIClient();
-      if (!openai) return res.status(500).json({ error: "OPENAI_API_KEY is not set" });
-      const completion = await openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-        temperature: 0,
-        response_format: { type: "json_object" },
-        messages: [
-          { role: "system", content: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}` },
-          { role: "user", content: userPrompt }
-        ]
-      });
-      raw = completion.choices?.[0]?.message?.content ?? "";
-    }
+    const configError = getAiProviderConfigError(provider);
+    if (configError) return res.status(500).json({ error: configError });
+
+    const { text: raw } = await generateValidatedAiText({
+      provider,
+      task: "diabetesAnnualRisk",
+      schema: "diabetesAnnualRisk",
+      systemPrompt: `${systemPrompt}${AI_OUTPUT_JSON_SUFFIX}`,
+      userPrompt,
+      temperature: 0,
+      maxTokens: 1024
+    });
 
     const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(extractFirstJsonObjectText(raw) || "") ?? {};
     const annualRisk = typeof parsed.annualRisk === "string" ? parsed.annualRisk : "";
     const clinicalMeaning = typeof parsed.clinicalMeaning === "string" ? parsed.clinicalMeaning : "";
 
-    res.json({ result: { annualRisk, clinicalMeaning } });
+    res.json({ result: { annualRisk, clinicalMeaning }, labSources: res.locals.labInputSources ?? null });
   } catch (err) {
     const message = err instanceof Error ? err.message : "Unknown error";
     res.status(500).json({ error: message });
@@ -8521,6 +6799,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.womenHealth", [WOMEN_HEALTH_SYSTEM_PROMPT, buildWomenHealthUserPrompt]),
   createWomenHealthHandler(getGptControllerContext)
 );
 
@@ -8530,6 +6809,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.boneHealth", [BONE_HEALTH_SYSTEM_PROMPT, buildBoneHealthUserPrompt]),
   createBoneHealthHandler(getGptControllerContext)
 );
 
@@ -8537,6 +6817,7 @@ gptRouter.post(
 gptRouter.post(
   "/bone-health-findings",
   express.json({ limit: "1mb" }),
+  aiRouteMiddleware("structuredSections.boneHealth", [BONE_HEALTH_FINDINGS_SYSTEM_PROMPT, buildBoneHealthFindingsUserPrompt]),
   createBoneHealthFindingsHandler(getGptControllerContext)
 );
 
@@ -8546,6 +6827,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.adultVaccination", [ADULT_VACCINATION_SYSTEM_PROMPT, buildAdultVaccinationUserPrompt]),
   createAdultVaccinationHandler(getGptControllerContext)
 );
 
@@ -8555,23 +6837,25 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.cancerScreening", [CANCER_SCREENING_SYSTEM_PROMPT, buildCancerScreeningUserPrompt]),
   createCancerScreeningHandler(getGptControllerContext)
 );
 
 // Generate summaries from existing cancer screening values (no file upload)
-gptRouter.post("/cancer-screening-summarize", express.json({ limit: "1mb" }), async (req, res) => {
+const saveCancerScreeningSummaryToReport = aiRouteMiddleware("structuredSections.cancerScreening", [CANCER_SCREENING_SYSTEM_PROMPT]);
+
+gptRouter.post("/cancer-screening-summarize", express.json({ limit: "1mb" }), saveCancerScreeningSummaryToReport, async (req, res) => {
   try {
     const provider = getAiProviderFromReq(req);
-    const openai = provider === "openai" ? getOpenAIClient() : null;
-    if (provider === "openai" && !openai) return res.status(500).json({ error: "OPENAI_API_KEY is not set" });
-    if (provider === "gemini" && !hasGeminiKey()) return res.status(500).json({ error: "Gemini_api_key is not set" });
+    const configError = getAiProviderConfigError(provider);
+    if (configError) return res.status(500).json({ error: configError });
 
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const patient = body.patient && typeof body.patient === "object" ? body.patient : {};
     const assessment = body.assessment && typeof body.assessment === "object" ? body.assessment : {};
     const debugAi = process.env.AI_DEBUG === "1";
 
-    const result = await generateCancerScreeningSummarizeWithAi({ openai, provider, patient, assessment, debug: debugAi });
+    const result = await generateCancerScreeningSummarizeWithAi({ provider, patient, assessment, debug: debugAi });
     res.json(result);
   } catch (err) {
     const message = err instanceof Error ? err.message : "Unknown error";
@@ -8585,6 +6869,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.genesHealth", [GENES_HEALTH_SYSTEM_PROMPT, buildGenesHealthUserPrompt]),
   createGenesHealthHandler(getGptControllerContext)
 );
 
@@ -8594,6 +6879,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.allergyPanels", [ALLERGY_PANELS_SYSTEM_PROMPT, buildAllergyPanelsUserPrompt]),
   createAllergyPanelsHandler(getGptControllerContext)
 );
 
@@ -8603,6 +6889,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.brainHealthAssessment", [BRAIN_HEALTH_ASSESSMENT_SYSTEM_PROMPT, buildBrainHealthAssessmentUserPrompt]),
   createBrainHealthAssessmentHandler(getGptControllerContext)
 );
 
@@ -8612,6 +6899,10 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  enforceAiQuota,
+  usePromptRegistry({ prompts: [ELDER_HEALTH_SYSTEM_PROMPT] }),
+  reportAiValidation,
+  reportPdfOcr,
   createElderHealthHandler(getGptControllerContext)
 );
 
@@ -8621,10 +6912,20 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("docsTestsAnalysis", [MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT, DOCS_TESTS_TEXT_USER_PROMPT, DOCS_TESTS_IMAGES_USER_PROMPT, DOCS_TESTS_SCHEMA_HINT], applyDocsTestsChunkToReport, {
+    perRequest: [applyLabReferenceRanges]
+  }),
   createDocsTestsHandler(getGptControllerContext)
 );
 
-gptRouter.post("/docs-tests-clean", upload.none(), createDocsTestsCleanHandler(getGptControllerContext));
+gptRouter.post(
+  "/docs-tests-clean",
+  upload.none(),
+  aiRouteMiddleware("docsTestsAnalysis", [DOCS_TESTS_CLEAN_SYSTEM_PROMPT, DOCS_TESTS_CLEAN_SCHEMA_HINT], applyCleanedDocsTestsToReport, {
+    perRequest: [applyLabReferenceRanges]
+  }),
+  createDocsTestsCleanHandler(getGptControllerContext)
+);
 
 gptRouter.post("/docs-tests-excel", upload.none(), createDocsTestsExcelHandler(getGptControllerContext));
 
@@ -8634,6 +6935,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("generatedReport", [HEART_RELATED_TESTS_SYSTEM_PROMPT, buildHeartRelatedTestsUserPrompt]),
   createHeartAnalysisHandler(getGptControllerContext)
 );
 
@@ -8643,6 +6945,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("generatedReport", [MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT, buildUrinogramUserPrompt]),
   createUrineAnalysisHandler(getGptControllerContext)
 );
 
@@ -8652,6 +6955,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("generatedReport", [MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT, BLOOD_TEXT_USER_PROMPT, BLOOD_TEXT_FALLBACK_CLAUDE_USER_PROMPT, BLOOD_IMAGES_USER_PROMPT, BLOOD_SCHEMA_HINT]),
   createBloodAnalysisHandler(getGptControllerContext)
 );
 
@@ -8661,6 +6965,7 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("generatedReport", [TESTS_FROM_PDFS_SYSTEM_PROMPT, buildTestsFromPdfsUserPrompt, buildTestsFromImagesUserPrompt]),
   createOtherAnalysisHandler(getGptControllerContext)
 );
 
@@ -8671,13 +6976,12 @@ gptRouter.post(
     { name: "files", maxCount: MAX_ANALYSIS_FILES },
     { name: "file", maxCount: 1 }
   ]),
+  aiRouteMiddleware("structuredSections.heartHealthScore", [CARDIAC_INVESTIGATIONS_SYSTEM_PROMPT, buildCardiacInvestigationsUserPrompt]),
   async (req, res) => {
     try {
       const provider = getAiProviderFromReq(req);
-      const openai = provider === "openai" ? getOpenAIClient() : null;
-      if (provider === "openai" && !openai) {
-        return res.status(500).json({ error: "OPENAI_API_KEY is not set" });
-      }
+      const configError = getAiProviderConfigError(provider);
+      if (configError) return res.status(500).json({ error: configError });
 
       const uploaded = collectUploadedFiles(req);
       if (uploaded.length === 0) {
@@ -8696,58 +7000,19 @@ gptRouter.post(
       const patientSex = typeof req.body?.patientSex === "string" ? req.body.patientSex.trim() : "";
       const patientDiabetic = req.body?.patientDiabetic === "yes";
 
-      const systemPrompt = `${CARDIAC_INVESTIGATIONS_SYSTEM_PROMPT}${AI_OUTPUT_JSON_SUFFIX}`;
+      const systemPrompt = `${getPrompt("CARDIAC_INVESTIGATIONS_SYSTEM_PROMPT")}${AI_OUTPUT_JSON_SUFFIX}`;
       const userPrompt = buildCardiacInvestigationsUserPrompt({ extractedText, patientAge, patientSex, patientDiabetic });
 
-      let raw = "";
-      const resolvedProvider = normalizeAiProvider(provider);
-
-      if (resolvedProvider === "gemini" && hasGeminiKey()) {
-        const parts = [{ text: `${systemPrompt}\n\n${userPrompt}` }];
-        for (const f of imageFiles) {
-          parts.push({ inlineData: { mimeType: f.mimetype, data: f.buffer.toString("base64") } });
-        }
-        const response = await geminiGenerateContent({
-          parts,
-          model: process.env.Gemini_model || getGeminiModel(),
-          temperature: 0,
-          maxOutputTokens: 8192
-        });
-        raw = getTextFromGeminiGenerateContentResponse(response);
-      } else if (resolvedProvider === "claude" && hasAnthropicKey()) {
-        const parts = [{ type: "text", text: userPrompt }];
-        for (const f of imageFiles) {
-          parts.push({
-            type: "image",
-            source: { type: "base64", media_type: f.mimetype, data: f.buffer.toString("base64") }
-          });
-        }
-        const response = await anthropicCreateJsonMessage({
-          system: systemPrompt,
-          messages: [{ role: "user", content: parts }],
-          model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-          temperature: 0,
-          maxTokens: 8192
-        });
-        raw = getTextFromAnthropicMessageResponse(response);
-      } else {
-        if (!openai) throw new Error("OpenAI client is not available");
-        const contentParts = [{ type: "text", text: userPrompt }];
-        for (const f of imageFiles) {
-          const dataUrl = `data:${f.mimetype};base64,${f.buffer.toString("base64")}`;
-          contentParts.push({ type: "image_url", image_url: { url: dataUrl } });
-        }
-        const completion = await openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || "gpt-4o",
-          temperature: 0,
-          response_format: { type: "json_object" },
-          messages: [
-            { role: "system", content: systemPrompt },
-            { role: "user", content: contentParts }
-          ]
-        });
-        raw = completion.choices?.[0]?.message?.content ?? "";
-      }
+      const { text: raw } = await generateValidatedAiText({
+        provider,
+        task: "cardiacInvestigations",
+        schema: "cardiacInvestigations",
+        systemPrompt,
+        userPrompt,
+        images: imageFiles,
+        temperature: 0,
+        maxTokens: 8192
+      });
 
       const parsed = safeParseJsonObject(raw) ?? safeParseJsonObjectLoose(raw) ?? {};
       res.json(parsed);
@@ -8830,53 +7095,11 @@ function repairTruncatedJson(text) {
 }
 
 // ─── Holistic Plan — shared AI call helper ────────────────────────────────────
-async function runHolisticPlanAi({ provider, openai, systemPrompt, userPrompt, maxTokens = 4096 }) {
-  const resolvedProvider = normalizeAiProvider(provider);
-  let raw = "";
-
-  if (resolvedProvider === "gemini" && hasGeminiKey()) {
-    // Use Gemini's JSON response mode to force valid JSON output
-    const finalModel = process.env.Gemini_model || "gemini-2.5-flash";
-    const response = await getFetch()(
-      `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(finalModel)}:generateContent`,
-      {
-        method: "POST",
-        headers: {
-          "content-type": "application/json",
-          "x-goog-api-key": process.env.Gemini_api_key
-        },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }] }],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: Math.max(256, Math.trunc(maxTokens)),
-            responseMimeType: "application/json"
-          }
-        })
-      }
-    );
-    const gemJson = await response.json().catch(() => null);
-    if (!response.ok) {
-      const msg = gemJson?.error?.message || `Gemini request failed (${response.status})`;
-      throw new Error(msg);
-    }
-    raw = getTextFromGeminiGenerateContentResponse(gemJson);
-  } else if (resolvedProvider === "claude" && hasAnthropicKey()) {
-    const response = await anthropicCreateJsonMessage({
-      system: systemPrompt + "\n\nIMPORTANT: Return ONLY the raw JSON object. Do NOT wrap it in markdown code fences. Do NOT add any text before or after the JSON.",
-      messages: [{ role: "user", content: userPrompt }],
-      model: process.env.ANTHROPIC_MODEL || "claude-3-5-sonnet-20241022",
-      temperature: 0.3,
-      maxTokens
-    });
-    raw = getTextFromAnthropicMessageResponse(response);
-  } else {
-    if (!openai) throw new Error("OpenAI client is not available");
-    const completion = await openai.chat.completions.create(
-      buildOpenAiChatParams({ model: process.env.OPENAI_MODEL || "gpt-4o", systemPrompt, userPrompt, maxTokens, temperature: 0.3, jsonMode: true })
-    );
-    raw = completion.choices?.[0]?.message?.content ?? "";
-  }
+// `schema` names the step's output schema; regenerate echoes whatever plan it
+// was given, so it runs without one.
+async function runHolisticPlanAi({ provider, task, schema, systemPrompt, userPrompt, maxTokens = 4096 }) {
+  const { text } = await generateValidatedAiText({ provider, task, schema, systemPrompt, userPrompt, temperature: 0.3, maxTokens });
+  let raw = text;
 
   // Robustly strip markdown code fences and surrounding text
   const originalRaw = raw;
@@ -8928,18 +7151,29 @@ async function runHolisticPlanAi({ provider, openai, systemPrompt, userPrompt, m
 
 const holisticJson = express.json({ limit: "4mb" });
 
+const HOLISTIC_PLAN_STEP_PROMPTS = {
+  step1: [STEP1_SYSTEM_PROMPT, buildStep1UserPrompt],
+  step2: [STEP2_SYSTEM_PROMPT, buildStep2UserPrompt],
+  step3: [STEP3_SYSTEM_PROMPT, buildStep3UserPrompt],
+  step4: [STEP4_SYSTEM_PROMPT, buildStep4UserPrompt],
+  step5: [STEP5_SYSTEM_PROMPT, buildStep5UserPrompt]
+};
+
+function saveHolisticPlanStepToReport(stepKey) {
+  return aiRouteMiddleware("holisticPlan", HOLISTIC_PLAN_STEP_PROMPTS[stepKey], applyHolisticPlanStepToReport(stepKey));
+}
+
 function getHolisticClients(req) {
   const provider = getAiProviderFromReq(req);
-  const openai = provider === "openai" ? getOpenAIClient() : null;
-  if (provider === "openai" && !openai) throw Object.assign(new Error("OPENAI_API_KEY is not set"), { status: 500 });
-  if (provider === "gemini" && !hasGeminiKey()) throw Object.assign(new Error("Gemini_api_key is not set"), { status: 500 });
-  return { provider, openai };
+  const configError = getAiProviderConfigError(provider);
+  if (configError) throw Object.assign(new Error(configError), { status: 500 });
+  return { provider };
 }
 
 // Step 1 — Risk Assessment + Foundation
-gptRouter.post("/holistic-plan/step1", holisticJson, async (req, res) => {
+async function holisticPlanStep1Handler(req, res) {
   try {
-    const { provider, openai } = getHolisticClients(req);
+    const { provider } = getHolisticClients(req);
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const patient = body.patient && typeof body.patient === "object" ? body.patient : {};
     const sections = body.sections && typeof body.sections === "object" ? body.sections : {};
@@ -8947,8 +7181,10 @@ gptRouter.post("/holistic-plan/step1", holisticJson, async (req, res) => {
     const personalization = body.personalization && typeof body.personalization === "object" ? body.personalization : {};
 
     const result = await runHolisticPlanAi({
-      provider, openai,
-      systemPrompt: STEP1_SYSTEM_PROMPT,
+      provider,
+      task: "holisticPlanStep1",
+      schema: "holisticPlanStep1",
+      systemPrompt: getPrompt("STEP1_SYSTEM_PROMPT"),
       userPrompt: buildStep1UserPrompt({ patient, sections, reportValues, personalization }),
       maxTokens: 6144
     });
@@ -8956,20 +7192,24 @@ gptRouter.post("/holistic-plan/step1", holisticJson, async (req, res) => {
   } catch (err) {
     res.status(err.status || 500).json({ error: err instanceof Error ? err.message : "Step 1 failed" });
   }
-});
+}
+
+gptRouter.post("/holistic-plan/step1", holisticJson, saveHolisticPlanStepToReport("step1"), holisticPlanStep1Handler);
 
 // Step 2 — Short-Term Plan
-gptRouter.post("/holistic-plan/step2", holisticJson, async (req, res) => {
+async function holisticPlanStep2Handler(req, res) {
   try {
-    const { provider, openai } = getHolisticClients(req);
+    const { provider } = getHolisticClients(req);
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const patient = body.patient && typeof body.patient === "object" ? body.patient : {};
     const sections = body.sections && typeof body.sections === "object" ? body.sections : {};
     const riskTags = body.riskTags && typeof body.riskTags === "object" ? body.riskTags : {};
 
     const result = await runHolisticPlanAi({
-      provider, openai,
-      systemPrompt: STEP2_SYSTEM_PROMPT,
+      provider,
+      task: "holisticPlanStep2",
+      schema: "holisticPlanStep2",
+      systemPrompt: getPrompt("STEP2_SYSTEM_PROMPT"),
       userPrompt: buildStep2UserPrompt({ patient, riskTags, sections }),
       maxTokens: 8192
     });
@@ -8977,20 +7217,24 @@ gptRouter.post("/holistic-plan/step2", holisticJson, async (req, res) => {
   } catch (err) {
     res.status(err.status || 500).json({ error: err instanceof Error ? err.message : "Step 2 failed" });
   }
-});
+}
+
+gptRouter.post("/holistic-plan/step2", holisticJson, saveHolisticPlanStepToReport("step2"), holisticPlanStep2Handler);
 
 // Step 3 — Medium & Long-Term Plans
-gptRouter.post("/holistic-plan/step3", holisticJson, async (req, res) => {
+async function holisticPlanStep3Handler(req, res) {
   try {
-    const { provider, openai } = getHolisticClients(req);
+    const { provider } = getHolisticClients(req);
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const patient = body.patient && typeof body.patient === "object" ? body.patient : {};
     const sections = body.sections && typeof body.sections === "object" ? body.sections : {};
     const riskTags = body.riskTags && typeof body.riskTags === "object" ? body.riskTags : {};
 
     const result = await runHolisticPlanAi({
-      provider, openai,
-      systemPrompt: STEP3_SYSTEM_PROMPT,
+      provider,
+      task: "holisticPlanStep3",
+      schema: "holisticPlanStep3",
+      systemPrompt: getPrompt("STEP3_SYSTEM_PROMPT"),
       userPrompt: buildStep3UserPrompt({ patient, riskTags, sections }),
       maxTokens: 4096
     });
@@ -8998,20 +7242,24 @@ gptRouter.post("/holistic-plan/step3", holisticJson, async (req, res) => {
   } catch (err) {
     res.status(err.status || 500).json({ error: err instanceof Error ? err.message : "Step 3 failed" });
   }
-});
+}
+
+gptRouter.post("/holistic-plan/step3", holisticJson, saveHolisticPlanStepToReport("step3"), holisticPlanStep3Handler);
 
 // Step 4 — Treatment + Tests + Review
-gptRouter.post("/holistic-plan/step4", holisticJson, async (req, res) => {
+async function holisticPlanStep4Handler(req, res) {
   try {
-    const { provider, openai } = getHolisticClients(req);
+    const { provider } = getHolisticClients(req);
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const patient = body.patient && typeof body.patient === "object" ? body.patient : {};
     const sections = body.sections && typeof body.sections === "object" ? body.sections : {};
     const riskTags = body.riskTags && typeof body.riskTags === "object" ? body.riskTags : {};
 
     const result = await runHolisticPlanAi({
-      provider, openai,
-      systemPrompt: STEP4_SYSTEM_PROMPT,
+      provider,
+      task: "holisticPlanStep4",
+      schema: "holisticPlanStep4",
+      systemPrompt: getPrompt("STEP4_SYSTEM_PROMPT"),
       userPrompt: buildStep4UserPrompt({ patient, riskTags, sections }),
       maxTokens: 4096
     });
@@ -9019,12 +7267,14 @@ gptRouter.post("/holistic-plan/step4", holisticJson, async (req, res) => {
   } catch (err) {
     res.status(err.status || 500).json({ error: err instanceof Error ? err.message : "Step 4 failed" });
   }
-});
+}
+
+gptRouter.post("/holistic-plan/step4", holisticJson, saveHolisticPlanStepToReport("step4"), holisticPlanStep4Handler);
 
 // Step 5 — Lifestyle + Referrals + Handouts + Table
-gptRouter.post("/holistic-plan/step5", holisticJson, async (req, res) => {
+async function holisticPlanStep5Handler(req, res) {
   try {
-    const { provider, openai } = getHolisticClients(req);
+    const { provider } = getHolisticClients(req);
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const patient = body.patient && typeof body.patient === "object" ? body.patient : {};
     const sections = body.sections && typeof body.sections === "object" ? body.sections : {};
@@ -9032,8 +7282,10 @@ gptRouter.post("/holistic-plan/step5", holisticJson, async (req, res) => {
     const shortTermGoals = body.shortTermGoals && typeof body.shortTermGoals === "object" ? body.shortTermGoals : null;
 
     const result = await runHolisticPlanAi({
-      provider, openai,
-      systemPrompt: STEP5_SYSTEM_PROMPT,
+      provider,
+      task: "holisticPlanStep5",
+      schema: "holisticPlanStep5",
+      systemPrompt: getPrompt("STEP5_SYSTEM_PROMPT"),
       userPrompt: buildStep5UserPrompt({ patient, riskTags, shortTermGoals, sections }),
       maxTokens: 8192
     });
@@ -9041,12 +7293,20 @@ gptRouter.post("/holistic-plan/step5", holisticJson, async (req, res) => {
   } catch (err) {
     res.status(err.status || 500).json({ error: err instanceof Error ? err.message : "Step 5 failed" });
   }
-});
+}
+
+gptRouter.post("/holistic-plan/step5", holisticJson, saveHolisticPlanStepToReport("step5"), holisticPlanStep5Handler);
 
 // Regenerate — update existing plan based on change request
-gptRouter.post("/holistic-plan/regenerate", holisticJson, async (req, res) => {
+const saveRegeneratedHolisticPlanToReport = aiRouteMiddleware(
+  "holisticPlan",
+  [REGENERATE_SYSTEM_PROMPT, buildRegenerateUserPrompt],
+  replaceWithAiResult
+);
+
+gptRouter.post("/holistic-plan/regenerate", holisticJson, saveRegeneratedHolisticPlanToReport, async (req, res) => {
   try {
-    const { provider, openai } = getHolisticClients(req);
+    const { provider } = getHolisticClients(req);
     const body = req.body && typeof req.body === "object" ? req.body : {};
     const patient = body.patient && typeof body.patient === "object" ? body.patient : {};
     const sections = body.sections && typeof body.sections === "object" ? body.sections : {};
@@ -9058,8 +7318,10 @@ gptRouter.post("/holistic-plan/regenerate", holisticJson, async (req, res) => {
     }
 
     const result = await runHolisticPlanAi({
-      provider, openai,
-      systemPrompt: REGENERATE_SYSTEM_PROMPT,
+      provider,
+      task: "holisticPlanRegenerate",
+      schema: "holisticPlanRegenerate",
+      systemPrompt: getPrompt("REGENERATE_SYSTEM_PROMPT"),
       userPrompt: buildRegenerateUserPrompt({ patient, sections, existingPlan, changeRequest }),
       maxTokens: 8192
     });
@@ -9069,21 +7331,270 @@ gptRouter.post("/holistic-plan/regenerate", holisticJson, async (req, res) => {
   }
 });
 
+// ─── Background AI jobs ──────────────────────────────────────────────────────
+// Long extractions can run as persistent jobs instead of one long request:
+//
+//  POST /api/ai-jobs/:kind           — start a job (docs-tests, ultrasound-analysis, holistic-plan)
+//  GET  /api/ai-jobs                 — list own jobs (?status, ?kind, ?limit)
+//  GET  /api/ai-jobs/:jobId          — status, progress, partial result
+//  GET  /api/ai-jobs/:jobId/events   — server-sent events until the job ends
+//  POST /api/ai-jobs/:jobId/cancel
+//
+// Each chunk reuses the synchronous route handler, so a job returns the same
+// shapes as the client-driven chunk loop did.
+
+// An Express-shaped request for running a route's middleware chain in a job
+// chunk. The body carries the job's reportId and provider like the route's would.
+function getAiJobRequest(job, { route, body = {}, files = [] }) {
+  const headers = { "x-request-id": job.requestId || "" };
+  return {
+    app: { locals: { dbReady: mongoose.connection.readyState === 1 } },
+    method: "POST",
+    baseUrl: "/api",
+    path: route,
+    route: { path: route },
+    headers,
+    get: (name) => headers[String(name).toLowerCase()],
+    body: {
+      ...(job.input && typeof job.input === "object" ? job.input : {}),
+      ...body,
+      provider: job.provider,
+      ...(job.report ? { reportId: job.report.toString() } : {})
+    },
+    query: {},
+    params: {},
+    files: files.length > 0 ? { files } : {},
+    user: { _id: job.createdBy, role: job.createdByRole }
+  };
+}
+
+function getAiJobInput(req) {
+  const { reportId, chunkIndex, chunkSize, ...input } = req.body && typeof req.body === "object" ? req.body : {};
+  return input;
+}
+
+function prepareUploadAiJob(req, { allowDicom = false } = {}) {
+  const uploaded = collectUploadedFiles(req);
+  const unsupported = uploaded.filter(
+    (f) => !(allowDicom && isDicomFile(f)) && !isPdfMime(f?.mimetype) && !isDocxMime(f?.mimetype) && !isImageMime(f?.mimetype)
+  );
+  if (unsupported.length > 0) {
+    return { error: allowDicom ? "Only PDF, DOCX, image, and DICOM files are allowed." : "Only PDF, DOCX, and image files are allowed." };
+  }
+  if (uploaded.length === 0) return { error: "Upload file(s) as field name 'files'." };
+  return { input: getAiJobInput(req), provider: getAiProviderFromReq(req) };
+}
+
+// Chunks resolve prompts as route `/ai-jobs/<kind>`, so route pins apply to
+// jobs too, and a job's report keeps one side of any A/B split. Docs-tests
+// chunks run as `/docs-tests` instead: with that route's prompts they can
+// share its cache entries.
+const AI_JOB_ROUTES = { "docs-tests": "/docs-tests" };
+
+function getAiJobPromptContext(job) {
+  return { route: AI_JOB_ROUTES[job.kind] || `/ai-jobs/${job.kind}`, bucketKey: job.report?.toString() || "" };
+}
+
+/**
+ * Runs a route handler for one job chunk behind the same composeAiMiddleware
+ * chain as the route. Its AI calls are metered under the user who started
+ * the job.
+ */
+function runAiJobHandler(job, { prompts, perRequest = [], handler, body, files }) {
+  const route = getAiJobPromptContext(job).route;
+  const meter = (req, res, next) =>
+    runWithAiUsageContext(
+      { req, route: `/api/ai-jobs/${job.kind}`, patientId: job.patient, jobId: job._id, requestId: job.requestId },
+      next
+    );
+  return runJsonHandler([meter, ...composeAiMiddleware({ prompts, perRequest }), handler], getAiJobRequest(job, { route, body, files }));
+}
+
+async function saveAiJobResultToReport(job, { target, route, prompts, apply, result }) {
+  await loadPromptOverrides();
+  const promptVersions = runWithPromptContext(getAiJobPromptContext(job), () => resolvePromptVersions(getPromptNames(prompts)));
+  // As on the synchronous routes, prefer the provider that actually answered.
+  const answered = getAiJobAnsweringModel(job);
+  const { aiRun } = await saveAiResultForAccess({
+    access: {
+      actorId: job.createdBy.toString(),
+      actor: { role: job.createdByRole },
+      patientId: job.patient.toString(),
+      reportId: job.report.toString()
+    },
+    target,
+    result,
+    apply,
+    run: {
+      route,
+      provider: answered.provider || job.provider,
+      model: answered.model || getConfiguredAiModel(job.provider),
+      promptVersion: buildPromptVersion(prompts, promptVersions),
+      promptVersions,
+      sourceDocuments: (job.files || []).map((f) => ({
+        checksum: f.checksum,
+        originalName: f.originalName,
+        mimeType: f.mimeType
+      })),
+      requestId: job.requestId
+    }
+  });
+  return { aiRunId: aiRun?.id || "" };
+}
+
+const docsTestsJobHandler = createDocsTestsHandler(getGptControllerContext);
+const ultrasoundJobHandler = createUltrasoundAnalysisHandler(getGptControllerContext);
+
+const DOCS_TESTS_PROMPTS = [MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT, DOCS_TESTS_TEXT_USER_PROMPT, DOCS_TESTS_IMAGES_USER_PROMPT, DOCS_TESTS_SCHEMA_HINT];
+const ULTRASOUND_PROMPTS = [MEDICAL_REPORT_EXTRACTION_SYSTEM_PROMPT, buildUltrasoundUserPrompt];
+
+registerAiJobKind("docs-tests", {
+  prepare: prepareUploadAiJob,
+  initialChunks: () => [{ key: "chunk-0", params: { chunkIndex: 0 } }],
+  runChunk: ({ job, chunk, files }) =>
+    runAiJobHandler(job, {
+      prompts: DOCS_TESTS_PROMPTS,
+      perRequest: [applyLabReferenceRanges],
+      handler: docsTestsJobHandler,
+      body: { chunkIndex: chunk.params?.chunkIndex ?? 0 },
+      files
+    }),
+  // The first chunk reports how many chunks the extracted text splits into.
+  followUps: ({ chunk, result }) => {
+    if (chunk.key !== "chunk-0") return [];
+    const totalChunks = Number.isFinite(result?.totalChunks) ? result.totalChunks : 1;
+    return Array.from({ length: Math.max(0, totalChunks - 1) }, (_, i) => ({
+      key: `chunk-${i + 1}`,
+      params: { chunkIndex: i + 1 }
+    }));
+  },
+  combine: (job, chunks) => {
+    const ordered = [...chunks].sort((a, b) => (a.params?.chunkIndex ?? 0) - (b.params?.chunkIndex ?? 0));
+    let tests = [];
+    for (const chunk of ordered) {
+      const incoming = Array.isArray(chunk.result?.docs?.tests) ? chunk.result.docs.tests : [];
+      tests = tests.length > 0 ? mergeTestEntries(tests, incoming) : incoming;
+    }
+    const first = ordered.find((c) => c.key === "chunk-0")?.result ?? {};
+    return {
+      docs: { data: tests.length > 0, tests },
+      chunkIndex: 0,
+      totalChunks: Number.isFinite(first.totalChunks) ? first.totalChunks : ordered.length,
+      estimatedTotalTestsInReport: first.estimatedTotalTestsInReport ?? null
+    };
+  },
+  saveToReport: ({ job, result }) =>
+    saveAiJobResultToReport(job, {
+      target: "docsTestsAnalysis",
+      route: "/ai-jobs/docs-tests",
+      prompts: DOCS_TESTS_PROMPTS,
+      apply: applyDocsTestsChunkToReport,
+      result
+    })
+});
+
+registerAiJobKind("ultrasound-analysis", {
+  prepare: (req) => prepareUploadAiJob(req, { allowDicom: true }),
+  initialChunks: () => [{ key: "analysis" }],
+  runChunk: ({ job, files }) => runAiJobHandler(job, { prompts: ULTRASOUND_PROMPTS, handler: ultrasoundJobHandler, files }),
+  combine: (job, chunks) => chunks[0]?.result ?? null,
+  saveToReport: ({ job, result }) =>
+    saveAiJobResultToReport(job, {
+      target: "ultrasoundAnalysis",
+      route: "/ai-jobs/ultrasound-analysis",
+      prompts: ULTRASOUND_PROMPTS,
+      apply: replaceWithAiResult,
+      result
+    })
+});
+
+const HOLISTIC_PLAN_JOB_STEP_HANDLERS = {
+  step1: holisticPlanStep1Handler,
+  step2: holisticPlanStep2Handler,
+  step3: holisticPlanStep3Handler,
+  step4: holisticPlanStep4Handler,
+  step5: holisticPlanStep5Handler
+};
+
+function applyHolisticPlanJobToReport(existing, result, aiRun) {
+  const previous = existing && typeof existing === "object" && !Array.isArray(existing) ? existing : {};
+  const aiRunIds = previous.aiRunIds && typeof previous.aiRunIds === "object" ? previous.aiRunIds : {};
+  const stepKeys = Object.keys(result || {});
+  return {
+    ...previous,
+    ...result,
+    aiRunIds: { ...aiRunIds, ...Object.fromEntries(stepKeys.map((k) => [k, aiRun._id.toString()])) }
+  };
+}
+
+// Step 1 yields the risk tags that steps 2-4 need; step 5 needs step 2's goals.
+registerAiJobKind("holistic-plan", {
+  prepare: (req) => {
+    const input = getAiJobInput(req);
+    if (!input.patient || typeof input.patient !== "object") return { error: "patient is required" };
+    return { input, provider: getAiProviderFromReq(req) };
+  },
+  initialChunks: () => [{ key: "step1" }],
+  runChunk: ({ job, chunk }) =>
+    runAiJobHandler(job, {
+      prompts: HOLISTIC_PLAN_STEP_PROMPTS[chunk.key],
+      handler: HOLISTIC_PLAN_JOB_STEP_HANDLERS[chunk.key],
+      body: chunk.params || {}
+    }),
+  followUps: ({ job, chunk, result }) => {
+    if (chunk.key === "step1") {
+      const riskTags = job.input?.riskTags && typeof job.input.riskTags === "object" ? job.input.riskTags : result?.riskTags ?? {};
+      return ["step2", "step3", "step4"].map((key) => ({ key, params: { riskTags } }));
+    }
+    if (chunk.key === "step2") {
+      return [{ key: "step5", params: { ...chunk.params, shortTermGoals: result?.shortTermPlan ?? null } }];
+    }
+    return [];
+  },
+  combine: (job, chunks) => Object.fromEntries(chunks.map((c) => [c.key, c.result])),
+  saveToReport: ({ job, result }) =>
+    saveAiJobResultToReport(job, {
+      target: "holisticPlan",
+      route: "/ai-jobs/holistic-plan",
+      prompts: Object.values(HOLISTIC_PLAN_STEP_PROMPTS).flat(),
+      apply: applyHolisticPlanJobToReport,
+      result
+    })
+});
+
+gptRouter.get("/ai-providers", (req, res) => {
+  res.json({ providers: listAiProviders(), defaultProvider: normalizeAiProvider("") });
+});
+
+gptRouter.get("/ai-usage/quota", getMyAiQuotaController);
+
+gptRouter.get("/ai-jobs", listAiJobsController);
+
+gptRouter.post(
+  "/ai-jobs/:kind",
+  upload.fields([
+    { name: "files", maxCount: MAX_ANALYSIS_FILES },
+    { name: "file", maxCount: 1 }
+  ]),
+  enforceAiQuota,
+  createAiJobController
+);
+
+gptRouter.get("/ai-jobs/:jobId", getAiJobController);
+gptRouter.get("/ai-jobs/:jobId/events", streamAiJobEventsController);
+gptRouter.post("/ai-jobs/:jobId/cancel", cancelAiJobController);
+
 let _gptControllerContext = null;
 
 function getGptControllerContext() {
   if (_gptControllerContext) return _gptControllerContext;
   _gptControllerContext = {
     requireString,
-    getOpenAIClient,
     getAiProviderFromReq,
-    hasAnthropicKey,
-    hasGeminiKey,
-    getGeminiModel,
-    getTextFromAnthropicMessageResponse,
-    getTextFromGeminiGenerateContentResponse,
-    anthropicCreateJsonMessage,
-    geminiGenerateContent,
+    getAiProviderConfigError,
+    generateAiText,
+    generateValidatedAiText,
+    getPrompt,
     parseMaybeJson,
     parseMaybeNumber,
     normalizeExerciseAssessmentIncoming,
@@ -9100,6 +7611,8 @@ function getGptControllerContext() {
     generateArterialHealthWithAi,
     normalizeLungFunctionIncoming,
     generateLungFunctionWithAi,
+    isSpirometryExport,
+    parseSpirometryExport,
     normalizeLiverHealthIncoming,
     generateLiverHealthWithAi,
     normalizeEyeHealthIncoming,
@@ -9120,6 +7633,9 @@ function getGptControllerContext() {
     generateCancerScreeningWithAi,
     normalizeGenesHealthIncoming,
     generateGenesHealthWithAi,
+    isGenotypeFile,
+    parseGenotypeFile,
+    formatGenotypeForPrompt,
     normalizeAllergyPanelsIncoming,
     generateAllergyPanelsWithAi,
     normalizeBrainHealthAssessmentIncoming,
@@ -9127,7 +7643,6 @@ function getGptControllerContext() {
     normalizeElderHealthIncoming,
     generateElderHealthWithAi,
     getTextFromMessageContent,
-    getTextFromResponsesOutput,
     isImageMime,
     isPdfMime,
     isDocxMime,
@@ -9160,6 +7675,10 @@ function getGptControllerContext() {
     extractHeartRelatedTestsFromPdfs,
     extractUrinogramTestsFromPdfs,
     extractUltrasoundFindingsFromPdfs,
+    verifyUltrasoundDicomMetadata,
+    isDicomFile,
+    parseDicomFile,
+    formatDicomForPrompt,
     chunkArray,
     mapWithConcurrency,
     PARAMETER_TESTS_FOR_EXTRACTION,
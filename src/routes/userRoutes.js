@@ -48,9 +48,17 @@ import {
   createPatientReportController,
   deletePatientReportDocumentController,
   downloadPatientReportDocumentController,
+  downloadPatientReportPdfController,
+  getPatientLabTrendsController,
   getPatientReportController,
+  getPatientReportSectionHistoryController,
+  getPatientReportVersionController,
   listPatientReportsController,
+  lockPatientReportSectionController,
+  restorePatientReportSectionController,
   savePatientReportController,
+  transitionPatientReportController,
+  unlockPatientReportSectionController,
   uploadPatientReportDocumentsController
 } from "../Controllers/patientReportController.js";
 import { searchMedicineNamesController } from "../Controllers/clinicalTablesController.js";
@@ -60,6 +68,19 @@ import { getAdminDashboardController } from "../Controllers/adminDashboardContro
 import { listAdminAppointmentsController, updateAdminAppointmentController } from "../Controllers/adminAppointmentsController.js";
 import { getAdminAnalyticsController } from "../Controllers/adminAnalyticsController.js";
 import { listAdminCrmTasksController } from "../Controllers/adminCrmController.js";
+import { getAdminAiCacheController, purgeAdminAiCacheController } from "../Controllers/adminAiCacheController.js";
+import {
+  getAdminAiUsageController,
+  listAdminAiQuotasController,
+  upsertAdminAiQuotaController,
+  deleteAdminAiQuotaController
+} from "../Controllers/aiUsageController.js";
+import {
+  listAdminPromptsController,
+  getAdminPromptController,
+  createAdminPromptVersionController,
+  updateAdminPromptController
+} from "../Controllers/adminPromptController.js";
 import { getAdminAssignmentsController, updateAdminPatientAssignmentController } from "../Controllers/adminAssignmentsController.js";
 import {
   getAdminPatientProfileController,
@@ -75,9 +96,10 @@ import {
   listDoctorAssignmentsController,
   updateDoctorAssignmentController
 } from "../Controllers/doctorAssignmentController.js";
-import { generatePdfController } from "../Controllers/pdfController.js";
+import { generatePdfController, getPdfRendererMetricsController } from "../Controllers/pdfController.js";
 import { authMiddleware } from "../middlewares/authMiddleware.js";
 import { roleMiddleware } from "../middlewares/roleMiddleware.js";
+import { enforceAiQuota } from "../middlewares/aiUsageMiddleware.js";
 
 export const userRouter = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { files: 5, fileSize: 10 * 1024 * 1024 } });
@@ -102,7 +124,11 @@ userRouter.get("/nurse/patients", authMiddleware, roleMiddleware(["nurse"]), lis
 userRouter.get("/nurse/patients/:patientId/profile", authMiddleware, roleMiddleware(["nurse"]), getNursePatientProfileController);
 userRouter.get("/nurse/patients/:patientId/report", authMiddleware, roleMiddleware(["nurse", "doctor"]), getPatientReportController);
 userRouter.get("/patients/:patientId/reports", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), listPatientReportsController);
+userRouter.get("/patients/:patientId/lab-trends", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), getPatientLabTrendsController);
 userRouter.get("/patients/:patientId/reports/:reportId", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), getPatientReportController);
+userRouter.get("/patients/:patientId/reports/:reportId/pdf", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), downloadPatientReportPdfController);
+userRouter.get("/patients/:patientId/reports/:reportId/versions/:version", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), getPatientReportVersionController);
+userRouter.get("/patients/:patientId/reports/:reportId/sections/:section/history", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), getPatientReportSectionHistoryController);
 userRouter.get("/patients/:patientId/report/documents/:documentId", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), downloadPatientReportDocumentController);
 userRouter.get("/patients/:patientId/reports/:reportId/documents/:documentId", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), downloadPatientReportDocumentController);
 userRouter.get("/patients/:patientId/medications", authMiddleware, roleMiddleware(["doctor", "nurse", "super_admin"]), getPatientMedicationsController);
@@ -113,6 +139,17 @@ userRouter.get("/admin/appointments", authMiddleware, roleMiddleware(["super_adm
 userRouter.patch("/admin/appointments/:appointmentId", authMiddleware, roleMiddleware(["super_admin"]), updateAdminAppointmentController);
 userRouter.get("/admin/analytics", authMiddleware, roleMiddleware(["super_admin"]), getAdminAnalyticsController);
 userRouter.get("/admin/crm", authMiddleware, roleMiddleware(["super_admin"]), listAdminCrmTasksController);
+userRouter.get("/admin/ai-cache", authMiddleware, roleMiddleware(["super_admin"]), getAdminAiCacheController);
+userRouter.delete("/admin/ai-cache", authMiddleware, roleMiddleware(["super_admin"]), purgeAdminAiCacheController);
+userRouter.get("/admin/pdf-renderer", authMiddleware, roleMiddleware(["super_admin"]), getPdfRendererMetricsController);
+userRouter.get("/admin/ai-usage", authMiddleware, roleMiddleware(["super_admin"]), getAdminAiUsageController);
+userRouter.get("/admin/ai-quotas", authMiddleware, roleMiddleware(["super_admin"]), listAdminAiQuotasController);
+userRouter.put("/admin/ai-quotas", authMiddleware, roleMiddleware(["super_admin"]), upsertAdminAiQuotaController);
+userRouter.delete("/admin/ai-quotas/:quotaId", authMiddleware, roleMiddleware(["super_admin"]), deleteAdminAiQuotaController);
+userRouter.get("/admin/prompts", authMiddleware, roleMiddleware(["super_admin"]), listAdminPromptsController);
+userRouter.get("/admin/prompts/:name", authMiddleware, roleMiddleware(["super_admin"]), getAdminPromptController);
+userRouter.post("/admin/prompts/:name/versions", authMiddleware, roleMiddleware(["super_admin"]), createAdminPromptVersionController);
+userRouter.patch("/admin/prompts/:name", authMiddleware, roleMiddleware(["super_admin"]), updateAdminPromptController);
 userRouter.get("/admin/assignments", authMiddleware, roleMiddleware(["super_admin"]), getAdminAssignmentsController);
 userRouter.patch("/admin/assignments", authMiddleware, roleMiddleware(["super_admin"]), updateAdminPatientAssignmentController);
 userRouter.get("/admin/patients/:patientId/profile", authMiddleware, roleMiddleware(["super_admin"]), getAdminPatientProfileController);
@@ -128,9 +165,9 @@ userRouter.get("/broadcast-recipients", authMiddleware, roleMiddleware(["super_a
 userRouter.get("/broadcast-history", authMiddleware, roleMiddleware(["super_admin", "doctor", "nurse"]), listBroadcastHistoryController);
 userRouter.post("/", authMiddleware, createUserController);
 userRouter.post("/nurse/crm", authMiddleware, roleMiddleware(["nurse"]), createNurseCrmTaskController);
-userRouter.post("/nurse/crm/draft", authMiddleware, roleMiddleware(["nurse"]), generateNurseCrmTaskDraftController);
+userRouter.post("/nurse/crm/draft", authMiddleware, roleMiddleware(["nurse"]), enforceAiQuota, generateNurseCrmTaskDraftController);
 userRouter.post("/nurse/appointments", authMiddleware, roleMiddleware(["nurse"]), scheduleNurseAppointmentController);
-userRouter.post("/nurse/appointments/:appointmentId/instruction-draft", authMiddleware, roleMiddleware(["nurse", "doctor"]), generateNurseAppointmentInstructionDraftController);
+userRouter.post("/nurse/appointments/:appointmentId/instruction-draft", authMiddleware, roleMiddleware(["nurse", "doctor"]), enforceAiQuota, generateNurseAppointmentInstructionDraftController);
 userRouter.post("/nurse/follow-ups", authMiddleware, roleMiddleware(["nurse"]), scheduleNurseFollowUpController);
 userRouter.post("/patients/:patientId/medications", authMiddleware, roleMiddleware(["doctor", "nurse"]), addPatientMedicationController);
 userRouter.post("/nurse/patients/:patientId/notes", authMiddleware, roleMiddleware(["nurse"]), addNursePatientProfileNoteController);
@@ -149,7 +186,15 @@ userRouter.post(
   reportDocumentUpload.array("documents", 20),
   uploadPatientReportDocumentsController
 );
-userRouter.post("/broadcast-email/draft", authMiddleware, roleMiddleware(["super_admin", "doctor", "nurse"]), generateBroadcastEmailDraftController);
+userRouter.post("/patients/:patientId/reports/:reportId/submit", authMiddleware, roleMiddleware(["nurse", "doctor"]), transitionPatientReportController("submit"));
+userRouter.post("/patients/:patientId/reports/:reportId/return", authMiddleware, roleMiddleware(["doctor"]), transitionPatientReportController("return"));
+userRouter.post("/patients/:patientId/reports/:reportId/approve", authMiddleware, roleMiddleware(["doctor"]), transitionPatientReportController("approve"));
+userRouter.post("/patients/:patientId/reports/:reportId/release", authMiddleware, roleMiddleware(["nurse", "doctor"]), transitionPatientReportController("release"));
+userRouter.post("/patients/:patientId/reports/:reportId/amend", authMiddleware, roleMiddleware(["doctor"]), transitionPatientReportController("amend"));
+userRouter.post("/patients/:patientId/reports/:reportId/sections/:section/restore", authMiddleware, roleMiddleware(["nurse", "doctor"]), restorePatientReportSectionController);
+userRouter.post("/patients/:patientId/reports/:reportId/sections/:section/lock", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), lockPatientReportSectionController);
+userRouter.delete("/patients/:patientId/reports/:reportId/sections/:section/lock", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), unlockPatientReportSectionController);
+userRouter.post("/broadcast-email/draft", authMiddleware, roleMiddleware(["super_admin", "doctor", "nurse"]), enforceAiQuota, generateBroadcastEmailDraftController);
 userRouter.post(
   "/broadcast-email",
   authMiddleware,
@@ -178,7 +223,7 @@ userRouter.delete(
 userRouter.post("/generate-pdf", authMiddleware, roleMiddleware(["nurse", "doctor", "super_admin"]), generatePdfController);
 userRouter.patch("/:userId", authMiddleware, roleMiddleware(["super_admin"]), updateUserController);
 userRouter.patch("/nurse/crm/:taskId", authMiddleware, roleMiddleware(["nurse"]), updateNurseCrmTaskController);
-userRouter.post("/:userId/generate-email", authMiddleware, roleMiddleware(["super_admin"]), generateUserEmailDraftController);
+userRouter.post("/:userId/generate-email", authMiddleware, roleMiddleware(["super_admin"]), enforceAiQuota, generateUserEmailDraftController);
 userRouter.post(
   "/:userId/send-email",
   authMiddleware,
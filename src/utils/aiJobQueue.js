@@ -0,0 +1,508 @@
+import crypto from "node:crypto";
+import { EventEmitter } from "node:events";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { trackAiCalls } from "../AiProviders/index.js";
+import { AiJob } from "../Models/AiJob.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const AI_JOB_FILES_DIR = path.join(__dirname, "..", "..", "uploads", "ai-jobs");
+
+const TERMINAL_JOB_STATUSES = new Set(["completed", "failed", "cancelled"]);
+
+const jobKinds = new Map();
+const activeJobs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+let runningChunks = 0;
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function readPositiveIntEnv(name, fallback, max) {
+  const n = Number(process.env[name]);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.trunc(n), max);
+}
+
+function getChunkConcurrency() {
+  return readPositiveIntEnv("AI_JOB_CONCURRENCY", 2, 16);
+}
+
+function getMaxChunkAttempts() {
+  return readPositiveIntEnv("AI_JOB_MAX_ATTEMPTS", 2, 5);
+}
+
+function toChunk(spec) {
+  return {
+    key: normalizeString(spec?.key),
+    params: spec?.params ?? null,
+    status: "pending",
+    attempts: 0,
+    result: null,
+    error: "",
+    startedAt: null,
+    completedAt: null
+  };
+}
+
+function getJobId(job) {
+  return job?._id?.toString?.() || "";
+}
+
+/**
+ * Registers a kind of background AI job.
+ *
+ * prepare(req)                       => { input, provider } or { error }
+ * initialChunks(job)                 => [{ key, params }]
+ * runChunk({ job, chunk, files })    => chunk result (throw to fail the chunk)
+ * followUps({ job, chunk, result })  => optional chunks unlocked by this one
+ * combine(job, completedChunks)      => job result; also used for partial results
+ * saveToReport({ job, result })      => optional, resolves { aiRunId }
+ */
+export function registerAiJobKind(kind, definition) {
+  jobKinds.set(kind, definition);
+}
+
+export function getAiJobKind(kind) {
+  return jobKinds.get(normalizeString(kind)) || null;
+}
+
+/**
+ * Provider and model of the last AI call among the job's completed chunks;
+ * empty strings when every chunk was answered from the result cache.
+ */
+export function getAiJobAnsweringModel(job) {
+  const answered = (Array.isArray(job?.chunks) ? job.chunks : [])
+    .filter((c) => c.status === "completed" && c.provider)
+    .sort((a, b) => new Date(a.completedAt || 0) - new Date(b.completedAt || 0));
+  const last = answered[answered.length - 1];
+  return { provider: last?.provider || "", model: last?.model || "" };
+}
+
+function combineChunks(job) {
+  const definition = jobKinds.get(job?.kind);
+  if (typeof definition?.combine !== "function") return null;
+  const completed = (Array.isArray(job.chunks) ? job.chunks : []).filter((c) => c.status === "completed");
+  if (completed.length === 0) return null;
+  try {
+    return definition.combine(job, completed);
+  } catch (err) {
+    console.error(`[AiJob] combine failed for ${getJobId(job)}:`, err);
+    return null;
+  }
+}
+
+export function toAiJobResponse(job) {
+  if (!job?._id) return null;
+
+  const chunks = Array.isArray(job.chunks) ? job.chunks : [];
+  const completed = chunks.filter((c) => c.status === "completed").length;
+  const failed = chunks.filter((c) => c.status === "failed").length;
+  const total = chunks.length;
+  const isTerminal = TERMINAL_JOB_STATUSES.has(job.status);
+
+  return {
+    id: getJobId(job),
+    kind: job.kind,
+    status: job.status,
+    provider: job.provider || "",
+    // Kinds such as docs-tests only learn their chunk count after the first
+    // chunk, so `total` can grow while the job runs.
+    progress: {
+      completed,
+      failed,
+      total,
+      percent: total > 0 ? Math.round((completed / total) * 100) : 0
+    },
+    chunks: chunks.map((c) => ({
+      key: c.key,
+      status: c.status,
+      attempts: c.attempts || 0,
+      error: c.error || "",
+      startedAt: c.startedAt || null,
+      completedAt: c.completedAt || null
+    })),
+    partialResult: isTerminal && job.status === "completed" ? null : combineChunks(job),
+    result: job.result ?? null,
+    error: job.error || "",
+    cancelRequested: Boolean(job.cancelRequested),
+    reportId: job.report?.toString?.() || "",
+    aiRunId: job.aiRunId || "",
+    reportSaveError: job.reportSaveError || "",
+    createdBy: job.createdBy?.toString?.() || "",
+    createdAt: job.createdAt || null,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+function publish(entry) {
+  const jobId = getJobId(entry.job);
+  const snapshot = {
+    status: entry.job.status,
+    chunks: entry.job.chunks,
+    result: entry.job.result,
+    error: entry.job.error,
+    cancelRequested: entry.job.cancelRequested,
+    aiRunId: entry.job.aiRunId,
+    reportSaveError: entry.job.reportSaveError,
+    startedAt: entry.job.startedAt,
+    finishedAt: entry.job.finishedAt
+  };
+
+  // Writes are chained per job so an older snapshot never lands after a newer one.
+  entry.writes = entry.writes
+    .then(() => AiJob.updateOne({ _id: entry.job._id }, { $set: snapshot }))
+    .catch((err) => console.error(`[AiJob] failed to persist ${jobId}:`, err));
+
+  jobEvents.emit(jobId, toAiJobResponse(entry.job));
+  return entry.writes;
+}
+
+async function writeJobFiles(jobId, files) {
+  const list = Array.isArray(files) ? files.filter((f) => Buffer.isBuffer(f?.buffer)) : [];
+  if (list.length === 0) return [];
+
+  const dir = path.join(AI_JOB_FILES_DIR, jobId);
+  await fs.mkdir(dir, { recursive: true });
+
+  const stored = [];
+  for (const [index, file] of list.entries()) {
+    const checksum = crypto.createHash("sha256").update(file.buffer).digest("hex");
+    const storedName = `${index}-${checksum.slice(0, 16)}`;
+    await fs.writeFile(path.join(dir, storedName), file.buffer);
+    stored.push({
+      fieldName: normalizeString(file.fieldname) || "files",
+      originalName: normalizeString(file.originalname),
+      storedName,
+      mimeType: normalizeString(file.mimetype),
+      size: typeof file.size === "number" ? file.size : file.buffer.length,
+      checksum
+    });
+  }
+  return stored;
+}
+
+// Returns multer-shaped files so chunk runners can reuse the route handlers.
+async function loadJobFiles(entry) {
+  if (entry.files) return entry.files;
+  const jobId = getJobId(entry.job);
+  const records = Array.isArray(entry.job.files) ? entry.job.files : [];
+  entry.files = Promise.all(
+    records.map(async (record) => {
+      const buffer = await fs.readFile(path.join(AI_JOB_FILES_DIR, jobId, record.storedName));
+      return {
+        fieldname: record.fieldName,
+        originalname: record.originalName,
+        mimetype: record.mimeType,
+        size: record.size,
+        buffer
+      };
+    })
+  );
+  entry.files.catch(() => {
+    entry.files = null;
+  });
+  return entry.files;
+}
+
+async function removeJobFiles(jobId) {
+  await fs.rm(path.join(AI_JOB_FILES_DIR, jobId), { recursive: true, force: true }).catch(() => {});
+}
+
+async function finishJob(entry, status, fields = {}) {
+  const jobId = getJobId(entry.job);
+  Object.assign(entry.job, fields, { status, finishedAt: new Date() });
+  for (const chunk of entry.job.chunks) {
+    if (chunk.status === "pending") chunk.status = "cancelled";
+  }
+  activeJobs.delete(jobId);
+  entry.files = null;
+  await publish(entry);
+  await removeJobFiles(jobId);
+}
+
+async function settleJob(entry) {
+  const { job } = entry;
+  const chunks = job.chunks;
+  if (entry.finishing) return;
+  if (chunks.some((c) => c.status === "running")) {
+    publish(entry);
+    return;
+  }
+
+  entry.finishing = true;
+
+  const failedChunk = chunks.find((c) => c.status === "failed");
+  if (failedChunk) {
+    await finishJob(entry, "failed", { error: failedChunk.error || `Chunk ${failedChunk.key} failed` });
+    return;
+  }
+  if (job.cancelRequested) {
+    await finishJob(entry, "cancelled");
+    return;
+  }
+  if (chunks.some((c) => c.status === "pending")) {
+    entry.finishing = false;
+    publish(entry);
+    return;
+  }
+
+  const definition = jobKinds.get(job.kind);
+  const result = combineChunks(job);
+  const fields = { result, error: "" };
+  if (job.report && typeof definition?.saveToReport === "function") {
+    try {
+      const saved = await definition.saveToReport({ job, result });
+      fields.aiRunId = normalizeString(saved?.aiRunId);
+    } catch (err) {
+      console.error(`[AiJob] report save failed for ${getJobId(job)}:`, err);
+      fields.reportSaveError = err instanceof Error ? err.message : "Failed to save AI result to report";
+    }
+  }
+  await finishJob(entry, "completed", fields);
+}
+
+async function runChunk(entry, chunk) {
+  const { job } = entry;
+  const definition = jobKinds.get(job.kind);
+
+  runningChunks += 1;
+  chunk.status = "running";
+  chunk.attempts = (chunk.attempts || 0) + 1;
+  chunk.startedAt = new Date();
+  chunk.error = "";
+  if (job.status === "queued") {
+    job.status = "running";
+    job.startedAt = job.startedAt || new Date();
+  }
+  publish(entry);
+
+  try {
+    if (!definition) throw new Error(`Unknown AI job kind "${job.kind}"`);
+    const files = await loadJobFiles(entry);
+    let calls = [];
+    const result = await trackAiCalls((log) => {
+      calls = log;
+      return definition.runChunk({ job, chunk, files });
+    });
+    // The provider that answered differs from job.provider after a fallback.
+    const lastCall = calls[calls.length - 1];
+    chunk.status = "completed";
+    chunk.result = result ?? null;
+    chunk.provider = normalizeString(lastCall?.provider);
+    chunk.model = normalizeString(lastCall?.model);
+    chunk.completedAt = new Date();
+
+    if (!job.cancelRequested && typeof definition.followUps === "function") {
+      for (const spec of definition.followUps({ job, chunk, result }) || []) {
+        const next = toChunk(spec);
+        if (next.key && !job.chunks.some((c) => c.key === next.key)) job.chunks.push(next);
+      }
+    }
+  } catch (err) {
+    chunk.error = err instanceof Error ? err.message : "Chunk failed";
+    if (chunk.attempts < getMaxChunkAttempts() && !job.cancelRequested) {
+      console.warn(`[AiJob] ${getJobId(job)} chunk ${chunk.key} attempt ${chunk.attempts} failed, retrying: ${chunk.error}`);
+      chunk.status = "pending";
+    } else {
+      chunk.status = "failed";
+      chunk.completedAt = new Date();
+    }
+  } finally {
+    runningChunks -= 1;
+  }
+
+  await settleJob(entry);
+}
+
+function findNextChunk() {
+  for (const entry of activeJobs.values()) {
+    if (entry.job.cancelRequested || entry.finishing) continue;
+    if (entry.job.chunks.some((c) => c.status === "failed")) continue;
+    const chunk = entry.job.chunks.find((c) => c.status === "pending");
+    if (chunk) return { entry, chunk };
+  }
+  return null;
+}
+
+// Chunks from all jobs share one concurrency budget; older jobs go first.
+function pump() {
+  while (runningChunks < getChunkConcurrency()) {
+    const next = findNextChunk();
+    if (!next) return;
+    runChunk(next.entry, next.chunk)
+      .catch((err) => console.error(`[AiJob] chunk runner crashed for ${getJobId(next.entry.job)}:`, err))
+      .finally(pump);
+  }
+}
+
+function activate(job) {
+  const entry = { job, files: null, writes: Promise.resolve(), finishing: false };
+  activeJobs.set(getJobId(job), entry);
+  return entry;
+}
+
+export async function enqueueAiJob({
+  kind,
+  input = null,
+  files = [],
+  provider = "",
+  createdBy,
+  createdByRole = "",
+  patientId = null,
+  reportId = null,
+  requestId = ""
+}) {
+  const definition = getAiJobKind(kind);
+  if (!definition) throw new Error(`Unknown AI job kind "${kind}"`);
+
+  const doc = new AiJob({
+    kind,
+    provider,
+    input,
+    patient: patientId || null,
+    report: reportId || null,
+    requestId,
+    createdBy,
+    createdByRole
+  });
+  const jobId = getJobId(doc);
+
+  try {
+    doc.files = await writeJobFiles(jobId, files);
+    doc.chunks = (definition.initialChunks(doc.toObject()) || []).map(toChunk);
+    if (doc.chunks.length === 0) throw new Error("Job has nothing to run");
+    await doc.save();
+  } catch (err) {
+    await removeJobFiles(jobId);
+    throw err;
+  }
+
+  const job = doc.toObject();
+  activate(job);
+  pump();
+  return toAiJobResponse(job);
+}
+
+export async function getAiJob(jobId) {
+  const active = activeJobs.get(normalizeString(jobId));
+  if (active) return active.job;
+  return AiJob.findById(jobId).lean();
+}
+
+export async function listAiJobs(filter = {}, { limit = 20 } = {}) {
+  const jobs = await AiJob.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+  return jobs.map((job) => activeJobs.get(getJobId(job))?.job || job);
+}
+
+export async function cancelAiJob(jobId) {
+  const entry = activeJobs.get(normalizeString(jobId));
+  if (!entry) return getAiJob(jobId);
+
+  entry.job.cancelRequested = true;
+  // Chunks already talking to the provider finish; nothing new is started.
+  await settleJob(entry);
+  return entry.job;
+}
+
+export function subscribeToAiJob(jobId, listener) {
+  const key = normalizeString(jobId);
+  jobEvents.on(key, listener);
+  return () => jobEvents.off(key, listener);
+}
+
+export function isAiJobTerminal(job) {
+  return TERMINAL_JOB_STATUSES.has(job?.status);
+}
+
+// Picks up jobs that were queued or mid-run when the process stopped. Chunks
+// that were running are re-run from scratch; completed chunks are kept.
+export async function resumeAiJobs() {
+  const jobs = await AiJob.find({ status: { $in: ["queued", "running"] } }).sort({ createdAt: 1 }).lean();
+  for (const job of jobs) {
+    if (activeJobs.has(getJobId(job))) continue;
+    for (const chunk of job.chunks) {
+      if (chunk.status === "running") chunk.status = "pending";
+    }
+    const entry = activate(job);
+    if (job.cancelRequested) await settleJob(entry);
+  }
+  if (jobs.length > 0) console.log(`[AiJob] resumed ${jobs.length} job(s)`);
+  pump();
+  return jobs.length;
+}
+
+/**
+ * Runs an Express JSON handler, or a middleware chain ending in one, outside
+ * of a request, resolving with the body it sends. Rejects when the chain
+ * answers with an error status, passes an error to next(), or the handler
+ * returns without answering.
+ */
+export function runJsonHandler(handlers, req) {
+  const chain = [handlers].flat();
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const headers = {};
+    // Emits "finish" once answered, like an Express response.
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      setHeader(name, value) {
+        headers[String(name).toLowerCase()] = value;
+      },
+      getHeader(name) {
+        return headers[String(name).toLowerCase()];
+      },
+      json(body) {
+        if (settled) return this;
+        settled = true;
+        if (this.statusCode >= 400) {
+          const message = typeof body?.error === "string" && body.error ? body.error : `Handler failed (${this.statusCode})`;
+          reject(Object.assign(new Error(message), { status: this.statusCode }));
+        } else {
+          resolve(body);
+        }
+        this.emit("finish");
+        return this;
+      }
+    });
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      reject(err);
+    };
+
+    const runFrom = (index) => (err) => {
+      if (err) return fail(err);
+      const handler = chain[index];
+      if (!handler) return fail(new Error("Handler finished without a response"));
+      const isLast = index === chain.length - 1;
+      // Middlewares may answer asynchronously, so only the handler's own reply counts.
+      let answered = false;
+      if (isLast) {
+        const json = res.json;
+        res.json = (body) => {
+          answered = true;
+          return json.call(res, body);
+        };
+      }
+      Promise.resolve()
+        .then(() => handler(req, res, runFrom(index + 1)))
+        .then(() => {
+          if (isLast && !answered) fail(new Error("Handler finished without a response"));
+        })
+        .catch(fail);
+    };
+    runFrom(0)();
+  });
+}
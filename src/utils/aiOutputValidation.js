@@ -0,0 +1,187 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import Ajv from "ajv";
+import { generateAiText, normalizeAiProvider } from "../AiProviders/index.js";
+import { getAiOutputSchema } from "../AiSchemas/index.js";
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map();
+const validationLog = new AsyncLocalStorage();
+
+const DEFAULT_MAX_REPAIRS = 2;
+const MAX_REPAIRS_LIMIT = 5;
+// Enough to steer a repair without flooding the prompt or the response.
+const MAX_LISTED_ERRORS = 30;
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function getMaxRepairs() {
+  const raw = String(process.env.AI_SCHEMA_MAX_REPAIRS ?? "").trim();
+  const n = raw ? Number(raw) : DEFAULT_MAX_REPAIRS;
+  return Number.isInteger(n) && n >= 0 ? Math.min(n, MAX_REPAIRS_LIMIT) : DEFAULT_MAX_REPAIRS;
+}
+
+function getValidator(name) {
+  if (validators.has(name)) return validators.get(name);
+  const schema = getAiOutputSchema(name);
+  if (!schema) throw new Error(`Unknown AI output schema: ${name}`);
+  const validate = ajv.compile(schema);
+  validators.set(name, validate);
+  return validate;
+}
+
+// Same tolerance as the route parsers: code fences and prose around the JSON
+// are ignored. Returns undefined when nothing parses.
+function parseJsonOutput(text) {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  const body = fenced?.[1]?.trim() || trimmed;
+  const candidates = [body];
+  const start = body.search(/[[{]/);
+  const end = Math.max(body.lastIndexOf("}"), body.lastIndexOf("]"));
+  if (start >= 0 && end > start) candidates.push(body.slice(start, end + 1));
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  return undefined;
+}
+
+function describeError(error) {
+  const base = error.instancePath || "";
+  const path = error.keyword === "required" ? `${base}/${error.params.missingProperty}` : base || "/";
+  return { path, keyword: error.keyword, message: error.message || "is invalid" };
+}
+
+/**
+ * Validates parsed AI output against the named schema in src/AiSchemas.
+ * Resolves { valid, errors: [{ path, keyword, message }], missingFields },
+ * where paths are JSON Pointers and missingFields lists required keys the
+ * output lacks.
+ */
+export function validateAiOutput(name, data) {
+  const validate = getValidator(name);
+  if (validate(data)) return { valid: true, errors: [], missingFields: [] };
+  const errors = (validate.errors || []).map(describeError);
+  return {
+    valid: false,
+    errors,
+    missingFields: errors.filter((e) => e.keyword === "required").map((e) => e.path)
+  };
+}
+
+function checkAiText(name, text) {
+  const data = parseJsonOutput(text);
+  if (data === undefined) {
+    return {
+      valid: false,
+      parsed: false,
+      errors: [{ path: "/", keyword: "json", message: "response is not valid JSON" }],
+      missingFields: []
+    };
+  }
+  return { ...validateAiOutput(name, data), parsed: true };
+}
+
+// Lower is better: a valid answer, then the parsed answer with fewest errors.
+function rankCheck(check) {
+  if (check.valid) return 0;
+  return check.parsed ? check.errors.length : Number.POSITIVE_INFINITY;
+}
+
+function buildRepairPrompt(errors) {
+  const listed = errors.slice(0, MAX_LISTED_ERRORS).map((e) => `- ${e.path}: ${e.message}`);
+  if (errors.length > listed.length) listed.push(`- ...and ${errors.length - listed.length} more`);
+  return [
+    "Your previous JSON does not match the required schema:",
+    ...listed,
+    "",
+    "Return the complete corrected JSON only, with no markdown or commentary.",
+    "Keep every value that was already correct. Add each missing key, using null (or \"\" / [] to match its type) when the documents do not contain the value."
+  ].join("\n");
+}
+
+/**
+ * Runs `callback(outputs)` with a fresh log; every generateValidatedAiText
+ * call made inside it (including across awaits) appends its validation.
+ */
+export function collectAiValidations(callback) {
+  const outputs = [];
+  return validationLog.run(outputs, () => callback(outputs));
+}
+
+export function summarizeAiValidations(outputs) {
+  return {
+    valid: outputs.every((o) => o.valid),
+    missingFields: [...new Set(outputs.flatMap((o) => o.missingFields))],
+    outputs
+  };
+}
+
+// Adds the `validation` block to a successful JSON result when any of the AI
+// calls behind it were validated.
+export function attachAiValidation(body, outputs) {
+  if (!Array.isArray(outputs) || outputs.length === 0 || !isPlainObject(body) || body.error) return body;
+  return { ...body, validation: summarizeAiValidations(outputs) };
+}
+
+/**
+ * generateAiText for structured output: the answer is validated against
+ * AI_OUTPUT_SCHEMAS[schema] and, while invalid, sent back to the same
+ * provider with the validation errors for up to AI_SCHEMA_MAX_REPAIRS
+ * (default 2) more attempts. Resolves like generateAiText with the best
+ * attempt's text plus `validation`: { schema, task, valid, attempts,
+ * repaired, errors, missingFields }. An answer that stays invalid is still
+ * returned so callers keep their lenient parsing.
+ */
+export async function generateValidatedAiText({ schema, ...options }) {
+  getValidator(schema);
+  const maxRepairs = getMaxRepairs();
+  const requested = normalizeAiProvider(options.provider);
+
+  const first = await generateAiText({ ...options, schema });
+  let last = { response: first, check: checkAiText(schema, first.text), attempt: 1 };
+  let best = last;
+
+  while (!last.check.valid && last.attempt <= maxRepairs) {
+    const provider = last.response.provider || requested;
+    let response;
+    try {
+      response = await generateAiText({
+        ...options,
+        schema,
+        provider,
+        model: provider === requested ? options.model : undefined,
+        history: [
+          ...(Array.isArray(options.history) ? options.history : []),
+          { role: "user", content: options.userPrompt || "Extract the data from the attached documents." },
+          { role: "assistant", content: last.response.text || "{}" }
+        ],
+        userPrompt: buildRepairPrompt(last.check.errors),
+        images: [],
+        pdfs: []
+      });
+    } catch (err) {
+      console.warn(`[ai] schema repair failed for ${options.task || schema}:`, err instanceof Error ? err.message : err);
+      break;
+    }
+    last = { response, check: checkAiText(schema, response.text), attempt: last.attempt + 1 };
+    if (rankCheck(last.check) < rankCheck(best.check)) best = last;
+  }
+
+  const validation = {
+    schema,
+    task: options.task || "",
+    valid: best.check.valid,
+    attempts: last.attempt,
+    repaired: best.check.valid && best.attempt > 1,
+    errors: best.check.errors.slice(0, MAX_LISTED_ERRORS),
+    missingFields: best.check.missingFields
+  };
+  validationLog.getStore()?.push(validation);
+  return { ...best.response, validation };
+}
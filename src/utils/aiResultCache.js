@@ -0,0 +1,151 @@
+import crypto from "node:crypto";
+import mongoose from "mongoose";
+import { trackAiCalls } from "../AiProviders/index.js";
+import { AiResultCache } from "../Models/AiResultCache.js";
+
+// Request fields that do not change what the model is asked.
+const IGNORED_PARAMS = new Set(["reportId", "noCache", "provider", "debug"]);
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function isCacheEnabled() {
+  const flag = normalizeString(process.env.AI_RESULT_CACHE).toLowerCase();
+  return flag !== "0" && flag !== "false";
+}
+
+function isDbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function isAiCacheBypassed(value) {
+  if (value === true) return true;
+  const v = normalizeString(value).toLowerCase();
+  return v === "1" || v === "true" || v === "yes";
+}
+
+/**
+ * The key covers everything that decides the answer: the route, provider,
+ * model, prompt version, the exact documents (sha256, same as
+ * PatientReport.uploadedDocuments[].checksum) and the remaining request params.
+ */
+export function buildAiCacheKey({ route, provider, model, promptVersion, documentChecksums = [], params = {} }) {
+  const relevantParams = Object.fromEntries(
+    Object.entries(isPlainObject(params) ? params : {}).filter(([k, v]) => !IGNORED_PARAMS.has(k) && v !== undefined)
+  );
+  const paramsHash = sha256(stableStringify(relevantParams));
+  const key = sha256(
+    stableStringify([normalizeString(route), normalizeString(provider), normalizeString(model), normalizeString(promptVersion), documentChecksums, paramsHash])
+  );
+  return { key, paramsHash };
+}
+
+async function readAiCache(key) {
+  return AiResultCache.findOneAndUpdate(
+    { key },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+async function writeAiCache(entry) {
+  await AiResultCache.updateOne({ key: entry.key }, { $setOnInsert: entry }, { upsert: true });
+}
+
+/**
+ * Runs `produce(outcome)` unless an identical request was answered before;
+ * `outcome` is "miss" or "bypass". Only requests with documents are cached,
+ * and only plain-object results are stored, under the provider and model of
+ * the AI call that answered (a fallback one when the requested provider failed).
+ * Resolves { result, cache: "hit" | "miss" | "bypass", key }.
+ */
+export async function withAiResultCache(descriptor, produce) {
+  const documentChecksums = (Array.isArray(descriptor?.documentChecksums) ? descriptor.documentChecksums : [])
+    .map(normalizeString)
+    .filter(Boolean);
+  if (!isCacheEnabled() || descriptor?.bypass || documentChecksums.length === 0 || !isDbReady()) {
+    return { result: await produce("bypass"), cache: "bypass", key: "" };
+  }
+
+  const { key } = buildAiCacheKey({ ...descriptor, documentChecksums });
+  const hit = await readAiCache(key).catch((err) => {
+    console.error("[AiCache] lookup failed:", err);
+    return null;
+  });
+  if (hit) return { result: hit.result, cache: "hit", key };
+
+  let calls = [];
+  const result = await trackAiCalls((log) => {
+    calls = log;
+    return produce("miss");
+  });
+  if (isPlainObject(result)) {
+    const lastCall = calls[calls.length - 1];
+    const provider = normalizeString(lastCall?.provider) || normalizeString(descriptor.provider);
+    const model = normalizeString(lastCall?.model) || normalizeString(descriptor.model);
+    const stored = buildAiCacheKey({ ...descriptor, provider, model, documentChecksums });
+    await writeAiCache({
+      key: stored.key,
+      route: normalizeString(descriptor.route),
+      provider,
+      model,
+      promptVersion: normalizeString(descriptor.promptVersion),
+      documentChecksums,
+      paramsHash: stored.paramsHash,
+      result,
+      createdBy: descriptor.createdBy || null
+    }).catch((err) => console.error("[AiCache] write failed:", err));
+  }
+  return { result, cache: "miss", key };
+}
+
+export async function purgeAiResultCache({ route, provider, model, checksum, olderThan } = {}) {
+  const filter = {};
+  if (normalizeString(route)) filter.route = normalizeString(route);
+  if (normalizeString(provider)) filter.provider = normalizeString(provider);
+  if (normalizeString(model)) filter.model = normalizeString(model);
+  if (normalizeString(checksum)) filter.documentChecksums = normalizeString(checksum);
+  if (olderThan instanceof Date && !Number.isNaN(olderThan.getTime())) filter.createdAt = { $lt: olderThan };
+
+  const { deletedCount } = await AiResultCache.deleteMany(filter);
+  return { deletedCount: deletedCount || 0, filter };
+}
+
+export async function getAiResultCacheStats() {
+  const routes = await AiResultCache.aggregate([
+    {
+      $group: {
+        _id: "$route",
+        entries: { $sum: 1 },
+        hits: { $sum: "$hits" },
+        lastHitAt: { $max: "$lastHitAt" }
+      }
+    },
+    { $sort: { entries: -1 } }
+  ]);
+  return {
+    entries: routes.reduce((sum, r) => sum + r.entries, 0),
+    hits: routes.reduce((sum, r) => sum + r.hits, 0),
+    routes: routes.map((r) => ({ route: r._id, entries: r.entries, hits: r.hits, lastHitAt: r.lastHitAt }))
+  };
+}
@@ -0,0 +1,217 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import mongoose from "mongoose";
+import { onAiCall } from "../AiProviders/index.js";
+import { AiQuota } from "../Models/AiQuota.js";
+import { AiUsage } from "../Models/AiUsage.js";
+
+const usageContext = new AsyncLocalStorage();
+
+// USD per 1M tokens, matched by the longest model-name prefix. AI_MODEL_PRICING
+// (same JSON shape) adds to or replaces entries without a deploy.
+const DEFAULT_MODEL_PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5": { input: 1.25, output: 10 },
+  "o3-mini": { input: 1.1, output: 4.4 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  mock: { input: 0, output: 0 }
+};
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function toObjectIdOrNull(value) {
+  const id = value?._id ?? value;
+  const text = id == null ? "" : String(id);
+  return mongoose.Types.ObjectId.isValid(text) ? new mongoose.Types.ObjectId(text) : null;
+}
+
+function isDbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function toCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+let pricingCache = null;
+function getModelPricing() {
+  const raw = normalizeString(process.env.AI_MODEL_PRICING);
+  if (pricingCache?.raw === raw) return pricingCache.table;
+  let overrides = {};
+  if (raw) {
+    try {
+      overrides = JSON.parse(raw);
+    } catch (err) {
+      console.error("[AiUsage] AI_MODEL_PRICING is not valid JSON:", err.message);
+    }
+  }
+  pricingCache = { raw, table: { ...DEFAULT_MODEL_PRICING, ...overrides } };
+  return pricingCache.table;
+}
+
+export function getModelPrice(model) {
+  const name = normalizeString(model).toLowerCase().replace(/^models\//, "");
+  const table = getModelPricing();
+  const match = Object.keys(table)
+    .filter((prefix) => name.startsWith(prefix.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+/**
+ * Reads the token counts out of any provider's usage object (OpenAI chat and
+ * responses, Anthropic, Gemini usageMetadata). The mock provider only counts
+ * characters, so tokens are estimated at four characters each.
+ */
+export function normalizeTokenUsage(usage) {
+  const u = usage && typeof usage === "object" ? usage : {};
+  let inputTokens = toCount(u.prompt_tokens ?? u.input_tokens ?? u.promptTokenCount);
+  let outputTokens = toCount(u.completion_tokens ?? u.output_tokens ?? u.candidatesTokenCount);
+  inputTokens += toCount(u.cache_creation_input_tokens) + toCount(u.cache_read_input_tokens);
+  let estimated = false;
+  if (!inputTokens && !outputTokens && (u.inputChars || u.outputChars)) {
+    inputTokens = Math.ceil(toCount(u.inputChars) / 4);
+    outputTokens = Math.ceil(toCount(u.outputChars) / 4);
+    estimated = true;
+  }
+  const totalTokens = toCount(u.total_tokens ?? u.totalTokenCount) || inputTokens + outputTokens;
+  return { inputTokens, outputTokens, totalTokens, estimated };
+}
+
+export function estimateCostUsd(model, { inputTokens, outputTokens }) {
+  const price = getModelPrice(model);
+  if (!price) return 0;
+  const cost = (inputTokens * (Number(price.input) || 0) + outputTokens * (Number(price.output) || 0)) / 1_000_000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Runs `callback` with the details every AI call inside it is metered under.
+ * `details` may hold `req` (route, user, patient and report are read from it
+ * when the call finishes) and/or explicit fields: route, userId, userRole,
+ * patientId, reportId, jobId, requestId.
+ */
+export function runWithAiUsageContext(details, callback) {
+  return usageContext.run({ ...details }, callback);
+}
+
+// Lets a middleware that learns the patient late (e.g. from a reportId)
+// attach it to the calls that follow.
+export function setAiUsagePatient(patientId) {
+  const context = usageContext.getStore();
+  if (context) context.patientId = patientId;
+}
+
+function describeUsageContext(context) {
+  const req = context?.req;
+  const body = req?.body && typeof req.body === "object" ? req.body : {};
+  const fromReq = req
+    ? {
+        route: `${req.baseUrl || ""}${req.route?.path || req.path || ""}`,
+        userId: req.user?._id,
+        userRole: req.user?.role,
+        patientId: req.params?.patientId ?? body.patientId ?? req.query?.patientId,
+        reportId: body.reportId ?? req.query?.reportId,
+        requestId: req.res?.getHeader?.("x-request-id")
+      }
+    : {};
+  const merged = { ...fromReq, ...Object.fromEntries(Object.entries(context || {}).filter(([, v]) => v != null)) };
+  return {
+    route: normalizeString(merged.route),
+    user: toObjectIdOrNull(merged.userId),
+    userRole: normalizeString(merged.userRole),
+    patient: toObjectIdOrNull(merged.patientId),
+    report: toObjectIdOrNull(merged.reportId),
+    job: toObjectIdOrNull(merged.jobId),
+    requestId: normalizeString(merged.requestId)
+  };
+}
+
+export function recordAiUsage(call, context = usageContext.getStore()) {
+  if (!isDbReady()) return;
+  const tokens = normalizeTokenUsage(call?.usage);
+  const attempts = Array.isArray(call?.attempts) ? call.attempts : [];
+  AiUsage.create({
+    ...describeUsageContext(context),
+    task: normalizeString(call?.task),
+    provider: normalizeString(call?.provider),
+    model: normalizeString(call?.model),
+    ...tokens,
+    costUsd: estimateCostUsd(call?.model, tokens),
+    latencyMs: toCount(call?.latencyMs),
+    fallback: attempts.length > 1,
+    fallbackAttempt: Boolean(call?.fallbackAttempt),
+    ok: !call?.error,
+    error: normalizeString(call?.error)
+  }).catch((err) => console.error("[AiUsage] failed to record call:", err));
+}
+
+onAiCall((call) => recordAiUsage(call));
+
+function getPeriodStart(period, now = new Date()) {
+  if (period === "month") return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function getPeriodEnd(period, start) {
+  if (period === "month") return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return new Date(start.getTime() + 24 * 60 * 60 * 1000);
+}
+
+async function sumUsageSince(userId, since) {
+  const [row] = await AiUsage.aggregate([
+    { $match: { user: userId, createdAt: { $gte: since } } },
+    { $group: { _id: null, requests: { $sum: { $cond: ["$fallbackAttempt", 0, 1] } }, tokens: { $sum: "$totalTokens" }, costUsd: { $sum: "$costUsd" } } }
+  ]);
+  return { requests: row?.requests || 0, tokens: row?.tokens || 0, costUsd: row?.costUsd || 0 };
+}
+
+/**
+ * Effective quotas of a user (a user quota replaces the role quota for the
+ * same period) with what has been used so far. `exceeded` is the first limit
+ * that is used up, or null.
+ */
+export async function getAiQuotaStatus(user, now = new Date()) {
+  const userId = toObjectIdOrNull(user);
+  const role = normalizeString(user?.role);
+  if (!userId) return { quotas: [], exceeded: null };
+
+  const docs = await AiQuota.find({
+    $or: [{ scope: "user", user: userId }, ...(role ? [{ scope: "role", role }] : [])]
+  }).lean();
+
+  const quotas = [];
+  let exceeded = null;
+  for (const period of ["day", "month"]) {
+    const quota = docs.find((q) => q.period === period && q.scope === "user") || docs.find((q) => q.period === period && q.scope === "role");
+    if (!quota) continue;
+
+    const start = getPeriodStart(period, now);
+    const used = await sumUsageSince(userId, start);
+    const limits = { requests: quota.maxRequests, tokens: quota.maxTokens, costUsd: quota.maxCostUsd };
+    const status = { period, scope: quota.scope, limits, used, resetsAt: getPeriodEnd(period, start) };
+    quotas.push(status);
+
+    if (!exceeded) {
+      const metric = Object.keys(limits).find((key) => limits[key] != null && used[key] >= limits[key]);
+      if (metric) exceeded = { ...status, metric };
+    }
+  }
+  return { quotas, exceeded };
+}
@@ -0,0 +1,280 @@
+import { computeBmiKgM2 } from "../Calculators/metabolic.js";
+import { getCalculator, runCalculator, validateCalculatorInputs } from "../Calculators/index.js";
+import { PatientReport } from "../Models/PatientReport.js";
+import { annotateLabTest } from "./labCatalog.js";
+import { resolveLabPatient } from "./labReferenceRanges.js";
+import { getReportTests } from "./labTrends.js";
+
+const MG_DL_PER_MMOL_L_CHOLESTEROL = 38.67;
+
+const LOINC = {
+  totalCholesterol: "2093-3",
+  hdl: "2085-9",
+  hba1c: "4548-4",
+  fastingGlucose: "1558-6"
+};
+
+const YES = /^(yes|y|true|1|present|positive|known|current|diagnosed|type\s*[12]|t[12]dm)\b/;
+const NO = /^(no|n|false|0|none|nil|never|absent|negative)\b/;
+
+function toYesNo(value) {
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value === 1 ? true : value === 0 ? false : null;
+  const s = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (!s) return null;
+  if (NO.test(s)) return false;
+  if (YES.test(s)) return true;
+  return null;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const match = typeof value === "string" ? value.match(/-?\d+(?:\.\d+)?/) : null;
+  return match ? Number(match[0]) : null;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === "string" && !value.trim());
+}
+
+// Sections are nurse-entered forms whose field names vary between versions
+// of the editor, so values are found by key name, breadth first, skipping
+// the AI analyses stored alongside the form.
+function findField(section, pattern, maxDepth = 4) {
+  let level = section && typeof section === "object" ? [section] : [];
+  for (let depth = 0; depth < maxDepth && level.length > 0; depth += 1) {
+    const next = [];
+    for (const node of level) {
+      for (const [key, value] of Object.entries(node)) {
+        if (key === "aiAnalyses") continue;
+        if (pattern.test(key) && !isEmpty(value)) return value;
+        if (value && typeof value === "object") next.push(value);
+      }
+    }
+    level = next;
+  }
+  return undefined;
+}
+
+function findFlag(section, pattern) {
+  const value = findField(section, pattern);
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return toYesNo(findField(value, /status|present|value|answer|has/i));
+  }
+  return toYesNo(Array.isArray(value) ? value.length > 0 : value);
+}
+
+function readSystolic(section) {
+  const systolic = toNumber(findField(section, /^(sbp|systolic\w*|\w*systolic(bp)?|bpsystolic)$/i));
+  if (Number.isFinite(systolic)) return systolic;
+  const bp = findField(section, /blood\s*_?pressure|^(gpe)?bp$/i);
+  if (bp && typeof bp === "object") return toNumber(findField(bp, /systolic|sbp/i));
+  return toNumber(bp);
+}
+
+function readSmoking(section) {
+  const entry = findField(section, /smok|tobacco|cigar|bidi/i);
+  if (entry === undefined) return null;
+  const statusValue = entry && typeof entry === "object" ? findField(entry, /status|current|smok|value|answer/i) : entry;
+  const text = typeof statusValue === "string" ? statusValue.trim().toLowerCase() : "";
+  let status = null;
+  if (/\b(ex|former|quit|stopped|past|previous)\b/.test(text)) status = "ex";
+  else {
+    const flag = toYesNo(statusValue);
+    if (flag !== null) status = flag ? "current" : "never";
+  }
+  const perDay = toNumber(
+    entry && typeof entry === "object"
+      ? findField(entry, /per\s*_?day|perday|daily|count|quantity|number/i)
+      : findField(section, /(cigar|smok|bidi|stick)\w*(per\s*_?day|perday|daily|count|quantity|number)/i)
+  );
+  return status ? { status, perDay: Number.isFinite(perDay) && perDay > 0 ? perDay : null } : null;
+}
+
+function readDiabetesType(section) {
+  const value = findField(section, /diabet|^t[12]?dm$|^dm$/i);
+  const text = typeof value === "string" ? value.toLowerCase() : JSON.stringify(value ?? "").toLowerCase();
+  if (/type\s*-?\s*1|t1dm|\biddm/.test(text)) return "type1";
+  if (/type\s*-?\s*2|t2dm|niddm/.test(text)) return "type2";
+  return null;
+}
+
+function readLabs(report) {
+  const labs = {};
+  for (const test of getReportTests(report)) {
+    const annotated = annotateLabTest(test);
+    const key = Object.keys(LOINC).find((k) => LOINC[k] === annotated?.loinc);
+    if (!key || labs[key] !== undefined || typeof annotated.canonicalValue !== "number") continue;
+    labs[key] = annotated.canonicalValue;
+  }
+  return labs;
+}
+
+/**
+ * Collects the inputs of the cardiovascular risk calculators from a report:
+ * lipids, HbA1c and fasting glucose from docs-tests, blood pressure and BMI
+ * from the general physical examination, smoking from the personal history
+ * and diagnoses from the past medical and family history. Values sent with
+ * the heart health score request win. Resolves { values, sources, notes }:
+ * `sources[field]` names where each value came from and `notes` lists
+ * values that had to be inferred ({ field, value, reason }).
+ */
+export function gatherCardiovascularRiskInputs({ report, patient, assessment } = {}) {
+  const sections = report?.structuredSections && typeof report.structuredSections === "object" ? report.structuredSections : {};
+  const reportValues = report?.reportValues && typeof report.reportValues === "object" ? report.reportValues : {};
+  const gpeValues = Object.fromEntries(Object.entries(reportValues).filter(([key]) => /^gpe/i.test(key)));
+  const a = assessment && typeof assessment === "object" ? assessment : {};
+  const lifestyle = a.lifestyle && typeof a.lifestyle === "object" ? a.lifestyle : {};
+  const biomarkers = a.biomarkers && typeof a.biomarkers === "object" ? a.biomarkers : {};
+  const history = sections.pastMedicalHistory;
+
+  const values = {};
+  const sources = {};
+  const notes = [];
+  const set = (field, candidates) => {
+    for (const [source, value] of candidates) {
+      if (value === null || value === undefined || (typeof value === "number" && !Number.isFinite(value))) continue;
+      values[field] = value;
+      sources[field] = source;
+      return;
+    }
+  };
+
+  set("ageYears", [["request", patient?.age]]);
+  set("sex", [["request", patient?.sex || null]]);
+
+  const labs = readLabs(report);
+  set("totalCholesterolMg_dL", [["request", biomarkers.totalCholesterol], ["docsTests", labs.totalCholesterol]]);
+  set("hdlMg_dL", [["request", biomarkers.hdl], ["docsTests", labs.hdl]]);
+  if (Number.isFinite(values.totalCholesterolMg_dL)) {
+    values.totalCholesterolMmol_L = Number((values.totalCholesterolMg_dL / MG_DL_PER_MMOL_L_CHOLESTEROL).toFixed(2));
+    sources.totalCholesterolMmol_L = sources.totalCholesterolMg_dL;
+  }
+  if (Number.isFinite(values.totalCholesterolMg_dL) && Number.isFinite(values.hdlMg_dL) && values.hdlMg_dL > 0) {
+    values.cholesterolHdlRatio = Number((values.totalCholesterolMg_dL / values.hdlMg_dL).toFixed(2));
+    sources.cholesterolHdlRatio = sources.hdlMg_dL === sources.totalCholesterolMg_dL ? sources.hdlMg_dL : "calculated";
+  }
+
+  set("sbp", [
+    ["request", lifestyle.systolicBp],
+    ["generalPhysicalExamination", readSystolic(sections.generalPhysicalExamination)],
+    ["generalPhysicalExamination", readSystolic(gpeValues)]
+  ]);
+
+  const heightCm = toNumber(findField(sections.generalPhysicalExamination, /height/i)) ?? toNumber(gpeValues.gpeHeightCm);
+  const weightKg = toNumber(findField(sections.generalPhysicalExamination, /weight/i)) ?? toNumber(gpeValues.gpeWeightKg);
+  set("bmiKg_m2", [
+    ["request", lifestyle.bmi],
+    ["generalPhysicalExamination", toNumber(findField(sections.generalPhysicalExamination, /^bmi/i))],
+    ["generalPhysicalExamination", toNumber(gpeValues.gpeBmi)],
+    ["generalPhysicalExamination", computeBmiKgM2({ heightCm, weightKg })]
+  ]);
+
+  const requestSmoking = lifestyle.smoking === "yes" ? { status: "current", perDay: null } : lifestyle.smoking === "no" ? { status: "never", perDay: null } : null;
+  const smoking = requestSmoking ?? readSmoking(sections.personalHistory);
+  if (smoking) {
+    const source = requestSmoking ? "request" : "personalHistory";
+    values.smoker = smoking.status === "current";
+    sources.smoker = source;
+    if (smoking.status === "current" && smoking.perDay === null) {
+      values.smokingCategory = "moderate";
+      notes.push({ field: "smokingCategory", value: "moderate", reason: "current smoker, amount per day not recorded" });
+    } else {
+      values.smokingCategory =
+        smoking.status === "never" ? "non_smoker" : smoking.status === "ex" ? "ex_smoker" : smoking.perDay < 10 ? "light" : smoking.perDay < 20 ? "moderate" : "heavy";
+    }
+    sources.smokingCategory = source;
+  }
+
+  const diabetesFromLabs =
+    (Number.isFinite(labs.hba1c) && labs.hba1c >= 6.5) || (Number.isFinite(labs.fastingGlucose) && labs.fastingGlucose >= 126) ? true : null;
+  set("diabetes", [
+    ["request", lifestyle.diabetes === "yes" ? true : lifestyle.diabetes === "no" ? false : null],
+    ["request", Number.isFinite(lifestyle.hba1c) && lifestyle.hba1c >= 6.5 ? true : null],
+    ["pastMedicalHistory", findFlag(history, /diabet|^t[12]?dm$|^dm$/i)],
+    ["docsTests", diabetesFromLabs]
+  ]);
+  if (values.diabetes === true) {
+    const type = readDiabetesType(history);
+    values.diabetesType = type ?? "type2";
+    sources.diabetesType = type ? "pastMedicalHistory" : sources.diabetes;
+    if (!type) notes.push({ field: "diabetesType", value: "type2", reason: "diabetes type not recorded" });
+  } else if (values.diabetes === false) {
+    values.diabetesType = "none";
+    sources.diabetesType = sources.diabetes;
+  }
+
+  set("bpTreated", [["pastMedicalHistory", findFlag(history, /anti\s*_?hypertensive|bp\s*_?(med|treat)|hypertension\s*_?(med|treat|drug)/i)]]);
+  set("atrialFibrillation", [
+    ["request", a.ecg?.atrialFibrillation === "yes" ? true : null],
+    ["pastMedicalHistory", findFlag(history, /atrial\s*_?fib|^a\s*_?fib$|^af$/i)]
+  ]);
+  set("familyHistoryChd", [["familyHistory", findFlag(sections.familyHistory, /heart|cardiac|coronary|^(chd|cad|ihd|mi)$|angina/i)]]);
+  set("ckd345", [["pastMedicalHistory", findFlag(history, /^ckd|chronic\s*_?kidney/i)]]);
+  set("rheumatoidArthritis", [["pastMedicalHistory", findFlag(history, /rheumatoid/i)]]);
+  set("sle", [["pastMedicalHistory", findFlag(history, /lupus|^sle$/i)]]);
+  set("migraine", [["pastMedicalHistory", findFlag(history, /migraine/i)]]);
+  set("severeMentalIllness", [["pastMedicalHistory", findFlag(history, /schizo|bipolar|psychos|severe\s*_?mental/i)]]);
+
+  return { values, sources, notes };
+}
+
+// QRISK3 takes the diabetes type where the other scores take a yes/no flag.
+const RISK_CALCULATORS = [
+  { key: "pooledCohort", id: "ascvd-pce", input: (v) => v },
+  { key: "qrisk3", id: "qrisk3", input: (v) => ({ ...v, diabetes: v.diabetesType }), renamed: { diabetesType: "diabetes" } },
+  { key: "whoIsh", id: "who-ish", input: (v) => v }
+];
+
+function runRiskCalculator({ id, input, renamed = {} }, values, notes) {
+  const calculatorInput = input(values);
+  const { errors, imputed } = validateCalculatorInputs(id, calculatorInput);
+  const fields = new Set(getCalculator(id).inputs.map((spec) => spec.name));
+  const inferred = notes
+    .map((n) => (renamed[n.field] ? { ...n, field: renamed[n.field] } : n))
+    .filter((n) => fields.has(n.field));
+  const missing = errors.filter((e) => e.missing).map((e) => e.field);
+  const outOfRange = errors.filter((e) => !e.missing).map(({ field, error }) => ({ field, error }));
+  if (errors.length > 0) {
+    return { calculator: id, result: null, interpretation: null, missing, outOfRange, imputed: [...inferred, ...imputed] };
+  }
+  const run = runCalculator(id, calculatorInput);
+  return {
+    calculator: id,
+    version: run.version,
+    result: run.result,
+    interpretation: run.interpretation,
+    missing,
+    outOfRange,
+    imputed: [...inferred, ...run.imputed]
+  };
+}
+
+/**
+ * Runs the Pooled Cohort Equations, QRISK3 and the WHO/ISH chart on the
+ * inputs gathered from a report. Each score lists the inputs it was `missing`
+ * (and so could not be computed), inputs `outOfRange` of the equation, and
+ * the inputs it `imputed`. Age and sex fall back to the patient's profile.
+ */
+export async function computeCardiovascularRisk({ report, patient, assessment } = {}) {
+  const gathered = gatherCardiovascularRiskInputs({ report, patient, assessment });
+  const { values, sources } = gathered;
+  if ((values.ageYears === undefined || values.sex === undefined) && report?.patient) {
+    const profile = await resolveLabPatient({ patientId: report.patient });
+    if (values.ageYears === undefined && profile.age !== null) {
+      values.ageYears = profile.age;
+      sources.ageYears = "patientProfile";
+    }
+    if (values.sex === undefined && profile.sex !== null) {
+      values.sex = profile.sex;
+      sources.sex = "patientProfile";
+    }
+  }
+
+  const scores = Object.fromEntries(RISK_CALCULATORS.map((c) => [c.key, runRiskCalculator(c, values, gathered.notes)]));
+  return { inputs: values, sources, ...scores };
+}
+
+export async function loadCardiovascularRiskReport(reportId) {
+  return PatientReport.findById(reportId).select("patient reportValues docsTestsAnalysis structuredSections").lean();
+}
@@ -0,0 +1,484 @@
+import zlib from "node:zlib";
+
+// A small DICOM Part 10 reader for studies exported by ultrasound machines:
+// little-endian explicit/implicit VR and deflated datasets, the patient and
+// study attributes, structured report (SR) content as text, encapsulated PDF
+// reports, and image frames as PNG (native pixel data) or JPEG (baseline
+// JPEG transfer syntax). Other compressed transfer syntaxes are reported as
+// unsupported rather than decoded.
+
+const UNDEFINED_LENGTH = 0xffffffff;
+const LONG_VRS = new Set(["OB", "OD", "OF", "OL", "OV", "OW", "SQ", "SV", "UC", "UN", "UR", "UT", "UV"]);
+
+const TRANSFER_SYNTAX = {
+  IMPLICIT_LE: "1.2.840.10008.1.2",
+  EXPLICIT_LE: "1.2.840.10008.1.2.1",
+  DEFLATED_LE: "1.2.840.10008.1.2.1.99",
+  EXPLICIT_BE: "1.2.840.10008.1.2.2"
+};
+const JPEG_TRANSFER_SYNTAXES = new Set(["1.2.840.10008.1.2.4.50"]);
+const ENCAPSULATED_PDF_SOP_CLASS = "1.2.840.10008.5.1.4.1.1.104.1";
+const SR_SOP_CLASS_PREFIX = "1.2.840.10008.5.1.4.1.1.88.";
+
+const TAG = {
+  sopClassUid: "00080016",
+  studyDate: "00080020",
+  seriesDate: "00080021",
+  acquisitionDate: "00080022",
+  contentDate: "00080023",
+  modality: "00080060",
+  manufacturer: "00080070",
+  institutionName: "00080080",
+  codeValue: "00080100",
+  codeMeaning: "00080104",
+  studyDescription: "00081030",
+  seriesDescription: "0008103E",
+  patientName: "00100010",
+  patientId: "00100020",
+  patientBirthDate: "00100030",
+  patientSex: "00100040",
+  bodyPartExamined: "00180015",
+  samplesPerPixel: "00280002",
+  photometricInterpretation: "00280004",
+  planarConfiguration: "00280006",
+  numberOfFrames: "00280008",
+  rows: "00280010",
+  columns: "00280011",
+  bitsAllocated: "00280100",
+  pixelRepresentation: "00280103",
+  windowCenter: "00281050",
+  windowWidth: "00281051",
+  unitsCodeSequence: "004008EA",
+  valueType: "0040A040",
+  conceptNameCodeSequence: "0040A043",
+  dateValue: "0040A121",
+  personNameValue: "0040A123",
+  textValue: "0040A160",
+  conceptCodeSequence: "0040A168",
+  measuredValueSequence: "0040A300",
+  numericValue: "0040A30A",
+  contentSequence: "0040A730",
+  encapsulatedDocument: "00420011",
+  pixelData: "7FE00010",
+  transferSyntaxUid: "00020010"
+};
+
+// VRs needed to read an implicit-VR dataset; everything else is read as text
+// or skipped.
+const IMPLICIT_VR = {
+  [TAG.samplesPerPixel]: "US",
+  [TAG.planarConfiguration]: "US",
+  [TAG.rows]: "US",
+  [TAG.columns]: "US",
+  [TAG.bitsAllocated]: "US",
+  [TAG.pixelRepresentation]: "US",
+  [TAG.pixelData]: "OW",
+  [TAG.encapsulatedDocument]: "OB",
+  [TAG.unitsCodeSequence]: "SQ",
+  [TAG.conceptNameCodeSequence]: "SQ",
+  [TAG.conceptCodeSequence]: "SQ",
+  [TAG.measuredValueSequence]: "SQ",
+  [TAG.contentSequence]: "SQ"
+};
+
+const DICOM_MAX_FRAMES = (() => {
+  const n = Number.parseInt(process.env.DICOM_MAX_FRAMES ?? "", 10);
+  return Number.isFinite(n) && n > 0 ? n : 3;
+})();
+
+// Upper bound for a deflated dataset once inflated, so a small upload cannot
+// expand without limit.
+const DICOM_MAX_INFLATED_BYTES = (() => {
+  const n = Number.parseInt(process.env.DICOM_MAX_INFLATED_MB ?? "", 10);
+  return (Number.isFinite(n) && n > 0 ? n : 256) * 1024 * 1024;
+})();
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+/**
+ * True for DICOM Part 10 uploads: the "DICM" magic after the 128-byte
+ * preamble, a .dcm name or an application/dicom mime type.
+ */
+export function isDicomFile(file) {
+  const buffer = Buffer.isBuffer(file?.buffer) ? file.buffer : null;
+  if (buffer && buffer.length > 132 && buffer.toString("ascii", 128, 132) === "DICM") return true;
+  const name = typeof file?.originalname === "string" ? file.originalname : "";
+  const mime = typeof file?.mimetype === "string" ? file.mimetype.toLowerCase() : "";
+  return /\.dcm$/i.test(name) || mime === "application/dicom";
+}
+
+function tagAt(buffer, pos) {
+  return (buffer.readUInt16LE(pos) * 0x10000 + buffer.readUInt16LE(pos + 2)).toString(16).toUpperCase().padStart(8, "0");
+}
+
+function ensureAvailable(buffer, pos, length) {
+  if (pos + length > buffer.length) throw badRequest("The DICOM file is truncated");
+}
+
+// Reads data elements from `pos` up to `end` or an item delimiter. Resolves
+// { elements: Map<tag, { vr, value } | { vr: "SQ", items } | { fragments }>, pos }.
+function readElements(buffer, pos, end, explicit) {
+  const elements = new Map();
+  while (pos + 8 <= end) {
+    const tag = tagAt(buffer, pos);
+    if (tag === "FFFEE00D") return { elements, pos: pos + 8 };
+    pos += 4;
+    let vr;
+    let length;
+    if (explicit) {
+      vr = buffer.toString("ascii", pos, pos + 2);
+      if (LONG_VRS.has(vr)) {
+        length = buffer.readUInt32LE(pos + 4);
+        pos += 8;
+      } else {
+        length = buffer.readUInt16LE(pos + 2);
+        pos += 4;
+      }
+    } else {
+      length = buffer.readUInt32LE(pos);
+      pos += 4;
+      vr = IMPLICIT_VR[tag] ?? (length === UNDEFINED_LENGTH ? "SQ" : "UN");
+    }
+
+    if (tag === TAG.pixelData && length === UNDEFINED_LENGTH) {
+      const read = readFragments(buffer, pos);
+      elements.set(tag, { vr, fragments: read.fragments });
+      pos = read.pos;
+      continue;
+    }
+    if (vr === "SQ" || length === UNDEFINED_LENGTH) {
+      // An undefined-length UN is a sequence encoded as implicit VR.
+      const read = readSequence(buffer, pos, length, vr === "UN" ? false : explicit);
+      elements.set(tag, { vr: "SQ", items: read.items });
+      pos = read.pos;
+      continue;
+    }
+    ensureAvailable(buffer, pos, length);
+    elements.set(tag, { vr, value: buffer.subarray(pos, pos + length) });
+    pos += length;
+  }
+  return { elements, pos: end };
+}
+
+function readSequence(buffer, pos, length, explicit) {
+  const end = length === UNDEFINED_LENGTH ? buffer.length : pos + length;
+  const items = [];
+  while (pos + 8 <= end) {
+    const tag = tagAt(buffer, pos);
+    const itemLength = buffer.readUInt32LE(pos + 4);
+    pos += 8;
+    if (tag === "FFFEE0DD") break;
+    if (tag !== "FFFEE000") throw badRequest("Malformed DICOM sequence");
+    const itemEnd = itemLength === UNDEFINED_LENGTH ? end : pos + itemLength;
+    const read = readElements(buffer, pos, itemEnd, explicit);
+    items.push(read.elements);
+    pos = itemLength === UNDEFINED_LENGTH ? read.pos : itemEnd;
+  }
+  return { items, pos: length === UNDEFINED_LENGTH ? pos : end };
+}
+
+// Encapsulated pixel data: the basic offset table item, then one item per
+// fragment, closed by a sequence delimiter.
+function readFragments(buffer, pos) {
+  const fragments = [];
+  while (pos + 8 <= buffer.length) {
+    const tag = tagAt(buffer, pos);
+    const length = buffer.readUInt32LE(pos + 4);
+    pos += 8;
+    if (tag === "FFFEE0DD") break;
+    ensureAvailable(buffer, pos, length);
+    fragments.push(buffer.subarray(pos, pos + length));
+    pos += length;
+  }
+  return { fragments: fragments.slice(1), pos };
+}
+
+function text(elements, tag) {
+  const element = elements?.get(tag);
+  if (!element?.value) return "";
+  return element.value.toString("latin1").replace(/\0/g, "").trim();
+}
+
+function uint16(elements, tag) {
+  const element = elements?.get(tag);
+  if (!element?.value || element.value.length < 2) return null;
+  return element.value.readUInt16LE(0);
+}
+
+function firstNumber(elements, tag) {
+  const n = Number.parseFloat(text(elements, tag).split("\\")[0]);
+  return Number.isFinite(n) ? n : null;
+}
+
+function items(elements, tag) {
+  return elements?.get(tag)?.items ?? [];
+}
+
+// DICOM DA "YYYYMMDD" as "YYYY-MM-DD".
+function dicomDate(value) {
+  const match = typeof value === "string" ? value.match(/^(\d{4})(\d{2})(\d{2})/) : null;
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : "";
+}
+
+function codeMeaning(elements, tag) {
+  const item = items(elements, tag)[0];
+  return text(item, TAG.codeMeaning) || text(item, TAG.codeValue);
+}
+
+// SR content tree as indented "Concept: value" lines.
+function srLines(elements, depth = 0) {
+  const lines = [];
+  for (const item of items(elements, TAG.contentSequence)) {
+    const name = codeMeaning(item, TAG.conceptNameCodeSequence);
+    const valueType = text(item, TAG.valueType);
+    let value = "";
+    if (valueType === "TEXT") value = text(item, TAG.textValue);
+    else if (valueType === "NUM") {
+      const measured = items(item, TAG.measuredValueSequence)[0];
+      const unit = text(items(measured, TAG.unitsCodeSequence)[0], TAG.codeValue);
+      value = [text(measured, TAG.numericValue), unit && unit !== "1" ? unit : ""].filter(Boolean).join(" ");
+    } else if (valueType === "CODE") value = codeMeaning(item, TAG.conceptCodeSequence);
+    else if (valueType === "DATE") value = dicomDate(text(item, TAG.dateValue));
+    else if (valueType === "PNAME") value = text(item, TAG.personNameValue).replace(/\^/g, " ").trim();
+    const indent = "  ".repeat(depth);
+    if (valueType === "CONTAINER") {
+      if (name) lines.push(`${indent}${name}:`);
+    } else if (name || value) {
+      lines.push(`${indent}${name ? `${name}: ` : ""}${value}`);
+    }
+    lines.push(...srLines(item, valueType === "CONTAINER" && name ? depth + 1 : depth));
+  }
+  return lines;
+}
+
+// Evenly spaced frame indexes, at most DICOM_MAX_FRAMES of them.
+function sampleFrames(count) {
+  if (count <= DICOM_MAX_FRAMES) return Array.from({ length: count }, (_, i) => i);
+  if (DICOM_MAX_FRAMES === 1) return [Math.floor(count / 2)];
+  return Array.from({ length: DICOM_MAX_FRAMES }, (_, k) => Math.round((k * (count - 1)) / (DICOM_MAX_FRAMES - 1)));
+}
+
+// RGBA pixels of one native frame, or null for layouts that are not handled.
+function frameToRgba(frame, image) {
+  const { rows, columns, samplesPerPixel, bitsAllocated, pixelRepresentation, planarConfiguration, photometric } = image;
+  const pixels = rows * columns;
+  const rgba = new Uint8ClampedArray(pixels * 4);
+
+  if (samplesPerPixel === 1 && (bitsAllocated === 8 || bitsAllocated === 16)) {
+    const read =
+      bitsAllocated === 8
+        ? (i) => frame[i]
+        : pixelRepresentation === 1
+          ? (i) => frame.readInt16LE(i * 2)
+          : (i) => frame.readUInt16LE(i * 2);
+    let low = image.windowCenter !== null && image.windowWidth ? image.windowCenter - image.windowWidth / 2 : Infinity;
+    let high = image.windowCenter !== null && image.windowWidth ? image.windowCenter + image.windowWidth / 2 : -Infinity;
+    if (!Number.isFinite(low)) {
+      for (let i = 0; i < pixels; i += 1) {
+        const v = read(i);
+        if (v < low) low = v;
+        if (v > high) high = v;
+      }
+    }
+    const range = high > low ? high - low : 1;
+    for (let i = 0; i < pixels; i += 1) {
+      const v = ((read(i) - low) / range) * 255;
+      rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = photometric === "MONOCHROME1" ? 255 - v : v;
+      rgba[i * 4 + 3] = 255;
+    }
+    return rgba;
+  }
+
+  if (samplesPerPixel === 3 && bitsAllocated === 8 && (photometric === "RGB" || photometric === "YBR_FULL")) {
+    const sample =
+      planarConfiguration === 1 ? (i, c) => frame[c * pixels + i] : (i, c) => frame[i * 3 + c];
+    for (let i = 0; i < pixels; i += 1) {
+      let [r, g, b] = [sample(i, 0), sample(i, 1), sample(i, 2)];
+      if (photometric === "YBR_FULL") {
+        const [y, cb, cr] = [r, g - 128, b - 128];
+        [r, g, b] = [y + 1.402 * cr, y - 0.344136 * cb - 0.714136 * cr, y + 1.772 * cb];
+      }
+      rgba[i * 4] = r;
+      rgba[i * 4 + 1] = g;
+      rgba[i * 4 + 2] = b;
+      rgba[i * 4 + 3] = 255;
+    }
+    return rgba;
+  }
+  return null;
+}
+
+async function rgbaToPng(rgba, columns, rows) {
+  const { createCanvas } = await import("@napi-rs/canvas");
+  const canvas = createCanvas(columns, rows);
+  const context = canvas.getContext("2d");
+  const imageData = context.createImageData(columns, rows);
+  imageData.data.set(rgba);
+  context.putImageData(imageData, 0, 0);
+  return canvas.toBuffer("image/png");
+}
+
+// JPEG frames from encapsulated fragments; a frame starts at a fragment
+// that opens with an SOI marker and may continue over later fragments.
+function jpegFrames(fragments) {
+  const frames = [];
+  for (const fragment of fragments) {
+    if (frames.length === 0 || (fragment[0] === 0xff && fragment[1] === 0xd8)) frames.push([fragment]);
+    else frames[frames.length - 1].push(fragment);
+  }
+  return frames.map((parts) => Buffer.concat(parts));
+}
+
+async function readImages(elements, transferSyntax, baseName, notes) {
+  const pixelData = elements.get(TAG.pixelData);
+  if (!pixelData) return [];
+  const image = {
+    rows: uint16(elements, TAG.rows) ?? 0,
+    columns: uint16(elements, TAG.columns) ?? 0,
+    samplesPerPixel: uint16(elements, TAG.samplesPerPixel) ?? 1,
+    bitsAllocated: uint16(elements, TAG.bitsAllocated) ?? 8,
+    pixelRepresentation: uint16(elements, TAG.pixelRepresentation) ?? 0,
+    planarConfiguration: uint16(elements, TAG.planarConfiguration) ?? 0,
+    photometric: text(elements, TAG.photometricInterpretation).toUpperCase(),
+    windowCenter: firstNumber(elements, TAG.windowCenter),
+    windowWidth: firstNumber(elements, TAG.windowWidth)
+  };
+  const frameCount = Math.max(1, firstNumber(elements, TAG.numberOfFrames) ?? 1);
+  const toFile = (buffer, index, ext, mimetype) => ({
+    originalname: `${baseName}-frame${index + 1}.${ext}`,
+    mimetype,
+    buffer,
+    size: buffer.length
+  });
+
+  if (pixelData.fragments) {
+    if (!JPEG_TRANSFER_SYNTAXES.has(transferSyntax)) {
+      notes.push(`Pixel data in transfer syntax ${transferSyntax} is not supported; frames were skipped`);
+      return [];
+    }
+    const frames = jpegFrames(pixelData.fragments);
+    return sampleFrames(frames.length).map((i) => toFile(frames[i], i, "jpg", "image/jpeg"));
+  }
+
+  const frameSize = image.rows * image.columns * image.samplesPerPixel * (image.bitsAllocated / 8);
+  if (!frameSize || !pixelData.value || pixelData.value.length < frameSize) {
+    notes.push("Pixel data is empty or shorter than its declared size; frames were skipped");
+    return [];
+  }
+  const files = [];
+  for (const i of sampleFrames(Math.min(frameCount, Math.floor(pixelData.value.length / frameSize)))) {
+    const rgba = frameToRgba(pixelData.value.subarray(i * frameSize, (i + 1) * frameSize), image);
+    if (!rgba) {
+      notes.push(`${image.photometric || "Unknown"} ${image.bitsAllocated}-bit pixel data is not supported; frames were skipped`);
+      return [];
+    }
+    files.push(toFile(await rgbaToPng(rgba, image.columns, image.rows), i, "png", "image/png"));
+  }
+  return files;
+}
+
+/**
+ * Reads a DICOM file (a multer file). Resolves { fileName, metadata, images,
+ * pdfs, srText, notes }: `metadata` holds the patient and study attributes
+ * (dates as YYYY-MM-DD, sex as recorded, M/F/O), `images` and `pdfs` are
+ * multer-like files for the existing extraction, `srText` is the structured
+ * report content and `notes` lists what could not be converted. Throws a 400
+ * error for files that are not readable DICOM.
+ */
+export async function parseDicomFile(file) {
+  const fileName = typeof file?.originalname === "string" ? file.originalname : "";
+  const buffer = Buffer.isBuffer(file?.buffer) ? file.buffer : Buffer.alloc(0);
+  if (buffer.length <= 132 || buffer.toString("ascii", 128, 132) !== "DICM") {
+    throw badRequest(`${fileName || "The file"} is not a DICOM Part 10 file`);
+  }
+
+  // File meta information (group 0002) is always explicit VR little endian.
+  ensureAvailable(buffer, 132, 12);
+  const metaEnd = 144 + buffer.readUInt32LE(140);
+  let meta;
+  try {
+    meta = readElements(buffer, 132, metaEnd, true).elements;
+  } catch (err) {
+    if (err?.statusCode) throw err;
+    throw badRequest(`The file meta information of ${fileName || "the DICOM file"} could not be read`);
+  }
+  const transferSyntax = text(meta, TAG.transferSyntaxUid) || TRANSFER_SYNTAX.EXPLICIT_LE;
+  if (transferSyntax === TRANSFER_SYNTAX.EXPLICIT_BE) throw badRequest("Big-endian DICOM files are not supported");
+
+  let dataset = buffer.subarray(metaEnd);
+  if (transferSyntax === TRANSFER_SYNTAX.DEFLATED_LE) {
+    try {
+      dataset = zlib.inflateRawSync(dataset, { maxOutputLength: DICOM_MAX_INFLATED_BYTES });
+    } catch (err) {
+      if (err?.code === "ERR_BUFFER_TOO_LARGE") {
+        throw badRequest(`${fileName || "The DICOM file"} inflates to more than ${DICOM_MAX_INFLATED_BYTES / 1024 / 1024} MB`);
+      }
+      throw badRequest(`Could not inflate ${fileName || "the DICOM file"}`);
+    }
+  }
+  let elements;
+  try {
+    elements = readElements(dataset, 0, dataset.length, transferSyntax !== TRANSFER_SYNTAX.IMPLICIT_LE).elements;
+  } catch (err) {
+    if (err?.statusCode) throw err;
+    throw badRequest(`${fileName || "The DICOM file"} could not be read`);
+  }
+
+  const sopClassUid = text(elements, TAG.sopClassUid);
+  const metadata = {
+    patientName: text(elements, TAG.patientName).replace(/\^/g, " ").trim(),
+    patientId: text(elements, TAG.patientId),
+    patientBirthDate: dicomDate(text(elements, TAG.patientBirthDate)),
+    patientSex: text(elements, TAG.patientSex).toUpperCase(),
+    studyDate:
+      dicomDate(text(elements, TAG.studyDate)) ||
+      dicomDate(text(elements, TAG.seriesDate)) ||
+      dicomDate(text(elements, TAG.acquisitionDate)) ||
+      dicomDate(text(elements, TAG.contentDate)),
+    modality: text(elements, TAG.modality),
+    bodyPart: text(elements, TAG.bodyPartExamined),
+    studyDescription: text(elements, TAG.studyDescription),
+    seriesDescription: text(elements, TAG.seriesDescription),
+    manufacturer: text(elements, TAG.manufacturer),
+    institutionName: text(elements, TAG.institutionName),
+    sopClassUid,
+    transferSyntaxUid: transferSyntax
+  };
+
+  const baseName = fileName.replace(/\.dcm$/i, "") || "dicom";
+  const notes = [];
+  const pdfs = [];
+  const document = elements.get(TAG.encapsulatedDocument)?.value;
+  if (sopClassUid === ENCAPSULATED_PDF_SOP_CLASS && document?.length) {
+    pdfs.push({ originalname: `${baseName}.pdf`, mimetype: "application/pdf", buffer: Buffer.from(document), size: document.length });
+  }
+  const srText = sopClassUid.startsWith(SR_SOP_CLASS_PREFIX) || metadata.modality === "SR" ? srLines(elements).join("\n") : "";
+  const images = await readImages(elements, transferSyntax, baseName, notes);
+  if (images.length === 0 && pdfs.length === 0 && !srText) notes.push("No image, report or SR content was found");
+
+  return { fileName, metadata, images, pdfs, srText, notes };
+}
+
+/**
+ * Plain-text block of the DICOM metadata and SR content for the ultrasound
+ * extraction prompt.
+ */
+export function formatDicomForPrompt(studies) {
+  const list = Array.isArray(studies) ? studies : [];
+  return list
+    .map(({ fileName, metadata, srText }) => {
+      const fields = [
+        ["Study date", metadata.studyDate],
+        ["Modality", metadata.modality],
+        ["Body part", metadata.bodyPart],
+        ["Study", metadata.studyDescription],
+        ["Series", metadata.seriesDescription],
+        ["Patient sex", metadata.patientSex]
+      ].filter(([, value]) => value);
+      const header = `[DICOM ${fileName}]\n${fields.map(([label, value]) => `${label}: ${value}`).join("\n")}`;
+      return srText ? `${header}\nStructured report:\n${srText}` : header;
+    })
+    .join("\n\n");
+}
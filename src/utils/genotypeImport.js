@@ -0,0 +1,221 @@
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import zlib from "node:zlib";
+
+const requireModule = createRequire(import.meta.url);
+
+const GENOTYPE_PANEL_PATH = (() => {
+  const raw = process.env.GENOTYPE_PANEL_PATH;
+  if (typeof raw === "string" && raw.trim()) return path.resolve(raw.trim());
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  return path.resolve(here, "../data/genotypePanel.json");
+})();
+
+function loadGenotypePanel() {
+  try {
+    const parsed = requireModule(GENOTYPE_PANEL_PATH);
+    return Array.isArray(parsed?.variants) ? parsed.variants.filter((v) => typeof v?.rsid === "string") : [];
+  } catch (err) {
+    console.error(`[GenotypeImport] Could not load ${GENOTYPE_PANEL_PATH}:`, err instanceof Error ? err.message : err);
+    return [];
+  }
+}
+
+const panel = loadGenotypePanel();
+const panelByRsid = new Map(panel.map((v) => [v.rsid.toLowerCase(), v]));
+
+const GENOTYPE_EXTENSIONS = /\.(txt|tsv|vcf|vcf\.gz)$/i;
+const COMPLEMENT = { A: "T", T: "A", C: "G", G: "C" };
+
+/**
+ * True for uploads that look like a raw genotype download: a 23andMe or
+ * AncestryDNA .txt, or a .vcf / .vcf.gz.
+ */
+export function isGenotypeFile(file) {
+  const name = typeof file?.originalname === "string" ? file.originalname : "";
+  const mime = typeof file?.mimetype === "string" ? file.mimetype.toLowerCase() : "";
+  return GENOTYPE_EXTENSIONS.test(name) || mime === "text/plain" || mime === "text/vcf" || mime === "text/x-vcf";
+}
+
+// Raw data downloads are ~25 MB unpacked; the bound keeps a small .vcf.gz
+// from decompressing to gigabytes in one synchronous call.
+const GENOTYPE_MAX_UNPACKED_BYTES = (() => {
+  const n = Number.parseInt(process.env.GENOTYPE_MAX_UNPACKED_MB ?? "", 10);
+  return (Number.isFinite(n) && n > 0 ? n : 100) * 1024 * 1024;
+})();
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function readText(file) {
+  const buffer = Buffer.isBuffer(file?.buffer) ? file.buffer : Buffer.alloc(0);
+  const raw = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer, { maxOutputLength: GENOTYPE_MAX_UNPACKED_BYTES }) : buffer;
+  return raw.toString("utf8").replace(/^\uFEFF/, "");
+}
+
+function detectFormat(text) {
+  const head = text.slice(0, 20000);
+  if (/^##fileformat=VCF/m.test(head)) return "vcf";
+  if (/^rsid\s+chromosome\s+position\s+allele1\s+allele2/im.test(head) || /AncestryDNA/i.test(head)) return "ancestrydna";
+  if (/23andMe/i.test(head) || /^#\s*rsid\s+chromosome\s+position\s+genotype/im.test(head)) return "23andme";
+  return null;
+}
+
+function detectBuild(text) {
+  const head = text.slice(0, 20000);
+  const match = head.match(/\b(GRCh3[78]|hg19|hg38)\b/i) ?? head.match(/build\s*(3[678])/i);
+  if (!match) return null;
+  const value = match[1].toLowerCase();
+  if (value === "hg19" || value === "37" || value === "grch37") return "GRCh37";
+  if (value === "hg38" || value === "38" || value === "grch38") return "GRCh38";
+  return value === "36" ? "NCBI36" : match[1];
+}
+
+// Calls of the panel's rsIDs as { alleles: [] } (empty for a no-call) or
+// { unsupported } for indels and calls that cannot be read as SNP alleles.
+function readConsumerCalls(text, format) {
+  const calls = new Map();
+  let variantCount = 0;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line || line.startsWith("#") || /^rsid\s/i.test(line)) continue;
+    variantCount += 1;
+    const cols = line.split(/\t|,/).map((c) => c.trim().replace(/^"|"$/g, ""));
+    const variant = panelByRsid.get(cols[0]?.toLowerCase());
+    if (!variant) continue;
+    const alleles = format === "ancestrydna" ? [cols[3], cols[4]] : [...(cols[3] ?? "")];
+    const called = alleles.filter((a) => a && a !== "0" && a !== "-");
+    if (called.some((a) => !/^[ACGT]$/i.test(a))) calls.set(variant.rsid, { unsupported: `Genotype ${alleles.join("")} is not a SNP call` });
+    else calls.set(variant.rsid, { alleles: called.map((a) => a.toUpperCase()) });
+  }
+  return { calls, variantCount };
+}
+
+function readVcfCalls(text) {
+  const calls = new Map();
+  let variantCount = 0;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line || line.startsWith("##")) continue;
+    const cols = line.split("\t");
+    if (line.startsWith("#")) {
+      if (cols.length > 10) throw badRequest("Only single-sample VCF files are supported");
+      continue;
+    }
+    variantCount += 1;
+    const variant = cols[2]
+      ?.split(";")
+      .map((id) => panelByRsid.get(id.toLowerCase()))
+      .find(Boolean);
+    if (!variant) continue;
+    const alleles = [cols[3], ...(cols[4] ?? "").split(",")].map((a) => a?.toUpperCase());
+    const gtIndex = (cols[8] ?? "").split(":").indexOf("GT");
+    const gt = gtIndex >= 0 ? (cols[9] ?? "").split(":")[gtIndex] : "";
+    const indexes = (gt ?? "").split(/[/|]/).filter((i) => i !== ".");
+    const called = indexes.map((i) => alleles[Number(i)]).filter((a) => a && a !== "*" && a !== ".");
+    if (called.some((a) => !/^[ACGT]$/.test(a))) calls.set(variant.rsid, { unsupported: `${cols[3]}>${cols[4]} is not a SNP` });
+    else calls.set(variant.rsid, { alleles: called });
+  }
+  return { calls, variantCount };
+}
+
+// Puts a call on the panel's forward strand. A/T and C/G variants cannot be
+// told apart from their complement, so they are only read as reported.
+function orient(alleles, variant) {
+  const expected = new Set([variant.ref, variant.alt]);
+  if (alleles.every((a) => expected.has(a))) return alleles;
+  const palindromic = COMPLEMENT[variant.ref] === variant.alt;
+  const flipped = alleles.map((a) => COMPLEMENT[a]);
+  if (!palindromic && flipped.every((a) => expected.has(a))) return flipped;
+  return null;
+}
+
+function callVariant(variant, call) {
+  const base = {
+    rsid: variant.rsid,
+    gene: variant.gene,
+    variant: variant.variant,
+    category: variant.category,
+    effect: variant.effect,
+    riskAllele: variant.riskAllele,
+    genotype: null,
+    riskAlleleCount: null,
+    zygosity: null
+  };
+  if (!call) return { ...base, status: "not_tested", note: "Not on this array or file" };
+  if (call.unsupported) return { ...base, status: "unsupported", note: call.unsupported };
+  if (call.alleles.length === 0) return { ...base, status: "no_call", note: "No call in the file" };
+  const alleles = orient(call.alleles, variant);
+  if (!alleles) {
+    return { ...base, status: "unsupported", note: `Alleles ${call.alleles.join("/")} do not match ${variant.ref}>${variant.alt}` };
+  }
+  // Hemizygous (single-allele) calls count like a homozygote of that allele.
+  const pair = alleles.length === 1 ? [alleles[0], alleles[0]] : alleles.slice(0, 2);
+  const riskAlleleCount = pair.filter((a) => a === variant.riskAllele).length;
+  return {
+    ...base,
+    genotype: pair.slice().sort().join("/"),
+    riskAlleleCount,
+    zygosity: riskAlleleCount === 2 ? "homozygous_risk" : riskAlleleCount === 1 ? "heterozygous" : "homozygous_reference",
+    status: "called"
+  };
+}
+
+// APOE e2/e3/e4 from rs429358 (C = e4) and rs7412 (T = e2), assuming no e1.
+function apoeGenotype(results) {
+  const e4 = results.find((r) => r.rsid === "rs429358");
+  const e2 = results.find((r) => r.rsid === "rs7412");
+  if (e4?.status !== "called" || e2?.status !== "called") return { genotype: null, status: "incomplete" };
+  const e3 = 2 - e4.riskAlleleCount - e2.riskAlleleCount;
+  if (e3 < 0) return { genotype: null, status: "ambiguous" };
+  const alleles = [...Array(e2.riskAlleleCount).fill("e2"), ...Array(e3).fill("e3"), ...Array(e4.riskAlleleCount).fill("e4")];
+  return { genotype: alleles.join("/"), status: "called" };
+}
+
+/**
+ * Reads a 23andMe or AncestryDNA raw data download or a single-sample VCF
+ * (a multer file) against the curated SNP panel in
+ * src/data/genotypePanel.json. Resolves { fileName, format, build,
+ * variantCount, variants, apoe }: `variants` has one entry per panel SNP with
+ * a `status` of "called", "no_call", "not_tested" (absent from the file) or
+ * "unsupported" (indel or alleles that do not match the panel), and every
+ * variant outside the panel is left uninterpreted. Throws a 400 error for
+ * files in another format.
+ */
+export function parseGenotypeFile(file) {
+  const fileName = typeof file?.originalname === "string" ? file.originalname : "";
+  let text;
+  try {
+    text = readText(file);
+  } catch (err) {
+    if (err?.code === "ERR_BUFFER_TOO_LARGE") {
+      throw badRequest(`${fileName || "The genotype file"} decompresses to more than ${GENOTYPE_MAX_UNPACKED_BYTES / 1024 / 1024} MB`);
+    }
+    throw badRequest(`Could not decompress ${fileName || "the genotype file"}`);
+  }
+  const format = detectFormat(text);
+  if (!format) {
+    throw badRequest(`${fileName || "The genotype file"} is not a 23andMe or AncestryDNA raw data file or a VCF`);
+  }
+  const { calls, variantCount } = format === "vcf" ? readVcfCalls(text) : readConsumerCalls(text, format);
+  const variants = panel.map((variant) => callVariant(variant, calls.get(variant.rsid)));
+  return { fileName, format, build: detectBuild(text), variantCount, variants, apoe: apoeGenotype(variants) };
+}
+
+/**
+ * Plain-text summary of parsed genotype files for the genes health prompt.
+ */
+export function formatGenotypeForPrompt(genotypes) {
+  const list = Array.isArray(genotypes) ? genotypes : [];
+  if (list.length === 0) return "";
+  const blocks = list.map((g) => {
+    const lines = g.variants.map((v) =>
+      v.status === "called"
+        ? `- ${v.gene} ${v.variant} (${v.rsid}): ${v.genotype}, ${v.riskAlleleCount} risk allele(s) ${v.riskAllele}. ${v.effect}`
+        : `- ${v.gene} ${v.variant} (${v.rsid}): ${v.status.replace("_", " ")}${v.note ? ` (${v.note})` : ""}`
+    );
+    if (g.apoe.genotype) lines.push(`- APOE genotype: ${g.apoe.genotype}`);
+    return [`Raw genotype file ${g.fileName || ""} (${g.format}${g.build ? `, ${g.build}` : ""}, ${g.variantCount} variants read):`, ...lines].join("\n");
+  });
+  return `\n\nCurated SNP panel read locally from raw genotype data; variants outside the panel were not interpreted.\n${blocks.join("\n\n")}`;
+}
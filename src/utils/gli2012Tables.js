@@ -0,0 +1,73 @@
+import { parseCsvRows } from "./spirometryImport.js";
+
+// Parameter and sex spellings used in the GLI-2012 distribution files.
+const PARAMETERS = { fev1: "fev1", fvc: "fvc", fev1fvc: "fev1fvc" };
+const SEXES = { 1: "male", m: "male", male: "male", 2: "female", f: "female", female: "female" };
+
+// GLI ethnic groups in the order of their coefficients (a3-a6, p2-p5);
+// Caucasian is the reference group.
+const ETHNICITY_ORDER = ["african_american", "north_east_asian", "south_east_asian", "other"];
+
+function tableRows(text) {
+  const [header = [], ...rows] = parseCsvRows(String(text ?? ""));
+  const keys = header.map((h) => h.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  return rows.map((cells) => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ""])));
+}
+
+function rowKeys(row, line, label) {
+  const sex = SEXES[String(row.sex ?? "").trim().toLowerCase()];
+  const parameter = PARAMETERS[String(row.parameter ?? row.f ?? "").toLowerCase().replace(/[^a-z0-9]/g, "")];
+  if (!sex || !parameter) throw new Error(`${label} line ${line}: unknown sex "${row.sex}" or parameter "${row.parameter ?? row.f}"`);
+  return { sex, parameter };
+}
+
+function numberAt(row, key, line, label) {
+  const n = Number(row[key]);
+  if (row[key] === "" || !Number.isFinite(n)) throw new Error(`${label} line ${line}: ${key} is not a number`);
+  return n;
+}
+
+/**
+ * Builds the `equations` of src/data/gli2012Spirometry.json from the two
+ * tables published with GLI-2012 (Quanjer et al., Eur Respir J 2012), saved
+ * as CSV:
+ *   - coefficients: sex, parameter, a0-a6, p0-p5, q0, q1, where
+ *     M = exp(a0 + a1 ln height + a2 ln age + a3-a6 ethnic terms + Mspline),
+ *     S = exp(p0 + p1 ln age + p2-p5 ethnic terms + Sspline) and
+ *     L = q0 + q1 ln age (+ Lspline)
+ *   - lookup: sex, parameter, age, Mspline, Sspline and, where published, Lspline
+ * Sex is male/female or 1/2; parameter is FEV1, FVC or FEV1FVC. Throws on a
+ * row it cannot read or a parameter left without splines.
+ */
+export function buildGli2012Equations({ coefficients, lookup }) {
+  const equations = { male: {}, female: {} };
+  tableRows(coefficients).forEach((row, i) => {
+    const line = i + 2;
+    const { sex, parameter } = rowKeys(row, line, "coefficients");
+    const n = (key) => numberAt(row, key, line, "coefficients");
+    const ethnic = (keys) => Object.fromEntries(ETHNICITY_ORDER.map((group, k) => [group, n(keys[k])]));
+    equations[sex][parameter] = {
+      M: { intercept: n("a0"), lnHeight: n("a1"), lnAge: n("a2"), ethnicity: ethnic(["a3", "a4", "a5", "a6"]) },
+      S: { intercept: n("p0"), lnAge: n("p1"), ethnicity: ethnic(["p2", "p3", "p4", "p5"]) },
+      L: { intercept: n("q0"), lnAge: n("q1") },
+      splines: []
+    };
+  });
+
+  tableRows(lookup).forEach((row, i) => {
+    const line = i + 2;
+    const { sex, parameter } = rowKeys(row, line, "lookup");
+    const table = equations[sex][parameter];
+    if (!table) throw new Error(`lookup line ${line}: no coefficients for ${sex} ${parameter}`);
+    const n = (key) => numberAt(row, key, line, "lookup");
+    table.splines.push([n("age"), n("mspline"), n("sspline"), row.lspline ? n("lspline") : 0]);
+  });
+
+  for (const [sex, parameters] of Object.entries(equations)) {
+    for (const [parameter, table] of Object.entries(parameters)) {
+      if (table.splines.length === 0) throw new Error(`No lookup rows for ${sex} ${parameter}`);
+      table.splines.sort((a, b) => a[0] - b[0]);
+    }
+  }
+  return equations;
+}
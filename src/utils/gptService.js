@@ -1,6 +1,4 @@
-import OpenAI from "openai";
-
-let cachedOpenAiClient = null;
+import { generateAiText } from "../AiProviders/index.js";
 
 function normalizeText(value) {
   return typeof value === "string" ? value.trim() : "";
@@ -52,28 +50,16 @@ export function buildPromptSections(sections = []) {
     .join("\n");
 }
 
-export function getGptClient() {
-  if (cachedOpenAiClient) return cachedOpenAiClient;
-
-  const apiKey = normalizeText(process.env.OPENAI_API_KEY);
-  if (!apiKey) return null;
-
-  cachedOpenAiClient = new OpenAI({ apiKey });
-  return cachedOpenAiClient;
-}
-
 export async function generateGptText({
+  provider,
+  task,
   systemPrompt,
   userPrompt,
   messages,
   model,
-  temperature = 0.6
+  temperature = 0.6,
+  json = false
 }) {
-  const client = getGptClient();
-  if (!client) {
-    throw new Error("OPENAI_API_KEY is not set");
-  }
-
   const normalizedMessages = Array.isArray(messages) && messages.length > 0
     ? messages
     : [
@@ -85,17 +71,28 @@ export async function generateGptText({
     throw new Error("At least one GPT message is required");
   }
 
-  const completion = await client.chat.completions.create({
-    model: normalizeText(model) || process.env.OPENAI_MODEL || "gpt-4o-mini",
+  const lastUserIndex = normalizedMessages.map((message) => message.role).lastIndexOf("user");
+  const result = await generateAiText({
+    provider,
+    task,
+    systemPrompt: normalizedMessages
+      .filter((message) => message.role === "system")
+      .map((message) => normalizeText(message.content))
+      .join("\n\n"),
+    history: normalizedMessages.filter((message, index) => message.role !== "system" && index !== lastUserIndex),
+    userPrompt: lastUserIndex >= 0 ? normalizedMessages[lastUserIndex].content : "",
+    model: normalizeText(model) || undefined,
     temperature: Number.isFinite(temperature) ? temperature : 0.6,
-    messages: normalizedMessages
+    maxTokens: 4096,
+    json
   });
 
   return {
-    id: completion.id,
-    model: completion.model,
-    content: completion.choices?.[0]?.message?.content ?? "",
-    usage: completion.usage ?? null
+    id: null,
+    provider: result.provider,
+    model: result.model,
+    content: result.text,
+    usage: result.usage
   };
 }
 
@@ -0,0 +1,371 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const preprocessLog = new AsyncLocalStorage();
+
+// Long edge of the grayscale copy used to find the document and its skew.
+const ANALYSIS_MAX_EDGE = 800;
+const MAX_SKEW_DEGREES = 10;
+const MIN_SKEW_DEGREES = 0.3;
+const JPEG_QUALITY = 88;
+
+let canvasPromise = null;
+
+function getCanvas() {
+  if (!canvasPromise) canvasPromise = import("@napi-rs/canvas");
+  return canvasPromise;
+}
+
+function isPreprocessingEnabled() {
+  const flag = String(process.env.IMAGE_PREPROCESSING_ENABLED ?? "").trim().toLowerCase();
+  return flag !== "0" && flag !== "false";
+}
+
+// How each provider sizes an image and bills it, from the providers' vision
+// docs: OpenAI fits high-detail images in 2048x2048, then brings the short
+// side down to 768 and bills 170 tokens per 512px tile plus 85; Claude
+// downsizes past a 1568px long edge and bills about width*height/750; Gemini
+// bills 258 tokens per 768px tile (one tile up to 384x384).
+const PROVIDER_IMAGE_PROFILES = {
+  openai: {
+    maxLongEdge: 2048,
+    maxShortEdge: 768,
+    tile: 512,
+    tokens: ({ width, height }) => 85 + 170 * Math.ceil(width / 512) * Math.ceil(height / 512)
+  },
+  claude: {
+    maxLongEdge: 1568,
+    tokens: ({ width, height }) => Math.ceil((width * height) / 750)
+  },
+  gemini: {
+    maxLongEdge: 1536,
+    tile: 768,
+    tokens: ({ width, height }) => (width <= 384 && height <= 384 ? 258 : 258 * Math.ceil(width / 768) * Math.ceil(height / 768))
+  }
+};
+
+function profileFor(provider) {
+  return PROVIDER_IMAGE_PROFILES[provider] ?? PROVIDER_IMAGE_PROFILES.claude;
+}
+
+// Scale that fits `size` within the provider's limits (never enlarging).
+function fitScale({ width, height }, profile) {
+  const long = Math.max(width, height);
+  const short = Math.min(width, height);
+  let scale = Math.min(1, profile.maxLongEdge / long);
+  if (profile.maxShortEdge) scale = Math.min(scale, profile.maxShortEdge / short);
+  return scale;
+}
+
+// For tile-billed providers, shrinks a little further when a side only just
+// spills into another row or column of tiles (up to 10% smaller).
+function snapScaleToTiles(size, scale, profile) {
+  if (!profile.tile) return scale;
+  let snapped = scale;
+  for (const side of [size.width, size.height]) {
+    const scaled = side * snapped;
+    const boundary = Math.floor(scaled / profile.tile) * profile.tile;
+    if (boundary > 0 && scaled > boundary && boundary / scaled >= 0.9) snapped = Math.min(snapped, boundary / side);
+  }
+  return snapped;
+}
+
+function estimateTokens(size, profile) {
+  const scale = fitScale(size, profile);
+  return profile.tokens({ width: Math.max(1, Math.round(size.width * scale)), height: Math.max(1, Math.round(size.height * scale)) });
+}
+
+// EXIF orientation (1-8) of a JPEG, or null. The decoder already applies it;
+// it is read so the report can say the photo was rotated.
+function readExifOrientation(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+  let pos = 2;
+  while (pos + 4 <= buffer.length && buffer[pos] === 0xff) {
+    const marker = buffer[pos + 1];
+    const length = buffer.readUInt16BE(pos + 2);
+    if (marker === 0xe1 && buffer.toString("latin1", pos + 4, pos + 10) === "Exif\0\0") {
+      const tiff = pos + 10;
+      const little = buffer.toString("ascii", tiff, tiff + 2) === "II";
+      const u16 = (at) => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+      const u32 = (at) => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+      try {
+        const ifd = tiff + u32(tiff + 4);
+        for (let i = 0; i < u16(ifd); i += 1) {
+          const entry = ifd + 2 + i * 12;
+          if (u16(entry) === 0x0112) return u16(entry + 8);
+        }
+      } catch {
+        return null;
+      }
+      return null;
+    }
+    if (marker === 0xda) return null;
+    pos += 2 + length;
+  }
+  return null;
+}
+
+function toGray(data, pixels) {
+  const gray = new Uint8Array(pixels);
+  for (let i = 0; i < pixels; i += 1) {
+    gray[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  for (const v of gray) histogram[v] += 1;
+  const total = gray.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i += 1) sum += i * histogram[i];
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t += 1) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+// Bounding box of the paper: rows and columns where most pixels are brighter
+// than the Otsu threshold. Null when the page fills the photo or no clear
+// page is found.
+function findDocumentBox(gray, width, height) {
+  const threshold = otsuThreshold(gray);
+  const rowShare = new Float64Array(height);
+  const colShare = new Float64Array(width);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (gray[y * width + x] > threshold) {
+        rowShare[y] += 1 / width;
+        colShare[x] += 1 / height;
+      }
+    }
+  }
+  const span = (shares) => {
+    const first = shares.findIndex((s) => s > 0.5);
+    let last = shares.length - 1;
+    while (last > first && shares[last] <= 0.5) last -= 1;
+    return first < 0 ? null : [first, last];
+  };
+  const rows = span(rowShare);
+  const cols = span(colShare);
+  if (!rows || !cols) return null;
+  const margin = Math.round(Math.max(width, height) * 0.01);
+  const box = {
+    x: Math.max(0, cols[0] - margin),
+    y: Math.max(0, rows[0] - margin),
+    width: Math.min(width, cols[1] + margin + 1) - Math.max(0, cols[0] - margin),
+    height: Math.min(height, rows[1] + margin + 1) - Math.max(0, rows[0] - margin)
+  };
+  const trimmed = box.width < width * 0.97 || box.height < height * 0.97;
+  const plausible = box.width * box.height >= width * height * 0.4;
+  return trimmed && plausible ? box : null;
+}
+
+// Skew of the text lines in degrees, by the rotation that makes the row
+// profile of dark pixels sharpest (coarse 0.5° search, then 0.1°).
+function estimateSkewDegrees(gray, width, box) {
+  const threshold = otsuThreshold(gray);
+  const xs = [];
+  const ys = [];
+  for (let y = box.y; y < box.y + box.height; y += 1) {
+    for (let x = box.x; x < box.x + box.width; x += 1) {
+      if (gray[y * width + x] < threshold) {
+        xs.push(x - box.x);
+        ys.push(y - box.y);
+      }
+    }
+  }
+  if (xs.length < 200) return 0;
+  const bins = Math.ceil(Math.hypot(box.width, box.height)) * 2 + 1;
+  const offset = Math.floor(bins / 2);
+  const score = (degrees) => {
+    const theta = (degrees * Math.PI) / 180;
+    const sin = Math.sin(theta);
+    const cos = Math.cos(theta);
+    const profile = new Float64Array(bins);
+    for (let i = 0; i < xs.length; i += 1) profile[Math.round(xs[i] * sin + ys[i] * cos) + offset] += 1;
+    let total = 0;
+    for (const v of profile) total += v * v;
+    return total;
+  };
+  const search = (from, to, step) => {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let d = from; d <= to + 1e-9; d += step) {
+      const s = score(d);
+      if (s > bestScore) {
+        bestScore = s;
+        best = d;
+      }
+    }
+    return best;
+  };
+  const coarse = search(-MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 0.5);
+  return Math.round(search(coarse - 0.5, coarse + 0.5, 0.1) * 10) / 10;
+}
+
+// Stretches the 1st-99th luminance percentiles to the full range. Resolves
+// false when the image already spans most of it.
+function normalizeContrast(data, pixels) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < pixels; i += 1) {
+    histogram[Math.round((data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000)] += 1;
+  }
+  const percentile = (p) => {
+    let seen = 0;
+    for (let v = 0; v < 256; v += 1) {
+      seen += histogram[v];
+      if (seen >= pixels * p) return v;
+    }
+    return 255;
+  };
+  const low = percentile(0.01);
+  const high = percentile(0.99);
+  if (high - low >= 230 || high <= low) return false;
+  const factor = 255 / (high - low);
+  for (let i = 0; i < pixels * 4; i += 1) {
+    if (i % 4 !== 3) data[i] = (data[i] - low) * factor;
+  }
+  return true;
+}
+
+async function preprocessImage(file, provider) {
+  const { createCanvas, loadImage } = await getCanvas();
+  const profile = profileFor(provider);
+  const image = await loadImage(file.buffer);
+  const original = { width: image.width, height: image.height, bytes: file.buffer.length, mimetype: file.mimetype || "" };
+  const applied = [];
+  const orientation = readExifOrientation(file.buffer);
+  if (orientation && orientation !== 1) applied.push("exif_orientation");
+
+  const analysisScale = Math.min(1, ANALYSIS_MAX_EDGE / Math.max(image.width, image.height));
+  const aw = Math.max(1, Math.round(image.width * analysisScale));
+  const ah = Math.max(1, Math.round(image.height * analysisScale));
+  const analysis = createCanvas(aw, ah);
+  analysis.getContext("2d").drawImage(image, 0, 0, aw, ah);
+  const gray = toGray(analysis.getContext("2d").getImageData(0, 0, aw, ah).data, aw * ah);
+
+  const box = findDocumentBox(gray, aw, ah);
+  if (box) applied.push("crop");
+  const skewDegrees = estimateSkewDegrees(gray, aw, box ?? { x: 0, y: 0, width: aw, height: ah });
+  const deskew = Math.abs(skewDegrees) >= MIN_SKEW_DEGREES ? skewDegrees : 0;
+  if (deskew) applied.push("deskew");
+
+  const crop = box
+    ? {
+        x: Math.round(box.x / analysisScale),
+        y: Math.round(box.y / analysisScale),
+        width: Math.min(image.width, Math.round(box.width / analysisScale)),
+        height: Math.min(image.height, Math.round(box.height / analysisScale))
+      }
+    : { x: 0, y: 0, width: image.width, height: image.height };
+  const scale = snapScaleToTiles(crop, fitScale(crop, profile), profile);
+  if (scale < 1) applied.push("downscale");
+  const width = Math.max(1, Math.round(crop.width * scale));
+  const height = Math.max(1, Math.round(crop.height * scale));
+
+  // Crop, rotation about the page centre and scaling in one draw from the
+  // full-resolution image; corners uncovered by the rotation are white.
+  const output = createCanvas(width, height);
+  const context = output.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, width, height);
+  context.translate(width / 2, height / 2);
+  context.rotate((deskew * Math.PI) / 180);
+  context.scale(scale, scale);
+  context.drawImage(image, -(crop.x + crop.width / 2), -(crop.y + crop.height / 2));
+  context.setTransform(1, 0, 0, 1, 0, 0);
+
+  const pixels = context.getImageData(0, 0, width, height);
+  if (normalizeContrast(pixels.data, width * height)) {
+    context.putImageData(pixels, 0, 0);
+    applied.push("contrast");
+  }
+
+  const buffer = await output.encode("jpeg", JPEG_QUALITY);
+  const processed = { width, height, bytes: buffer.length, mimetype: "image/jpeg" };
+  return {
+    file: {
+      ...file,
+      originalname: `${(file.originalname || "image").replace(/\.[^.]+$/, "")}.jpg`,
+      mimetype: "image/jpeg",
+      buffer,
+      size: buffer.length
+    },
+    report: {
+      name: file.originalname || "",
+      applied,
+      exifOrientation: orientation,
+      skewDegrees: deskew,
+      crop: box ? crop : null,
+      original,
+      processed,
+      estimatedTokens: { before: estimateTokens(original, profile), after: estimateTokens(processed, profile) }
+    }
+  };
+}
+
+/**
+ * Runs `callback(images)` with a fresh log; every preprocessImagesForVision
+ * call inside it appends one entry per image (see preprocessImagesForVision).
+ */
+export function collectImagePreprocessing(callback) {
+  const images = [];
+  return preprocessLog.run(images, () => callback(images));
+}
+
+// Adds the `imagePreprocessing` block ({ images, estimatedTokens: { before,
+// after } }) to a successful JSON result when any image was preprocessed.
+export function attachImagePreprocessing(body, images) {
+  if (!Array.isArray(images) || images.length === 0 || !body || typeof body !== "object" || Array.isArray(body) || body.error) {
+    return body;
+  }
+  const sum = (key) => images.reduce((total, image) => total + (image.estimatedTokens?.[key] ?? 0), 0);
+  return { ...body, imagePreprocessing: { images, estimatedTokens: { before: sum("before"), after: sum("after") } } };
+}
+
+/**
+ * Prepares photos of reports for a vision model: EXIF auto-rotation, a crop
+ * to the page, deskew, contrast normalisation and a downscale to what
+ * `provider` would use anyway, re-encoded as JPEG. Each image is logged as
+ * { name, applied, exifOrientation, skewDegrees, crop, original, processed,
+ * estimatedTokens: { before, after } } (token counts are estimates from the
+ * provider's published image sizing). An image that cannot be decoded is
+ * passed through unchanged and logged with `error`.
+ * IMAGE_PREPROCESSING_ENABLED=0 turns the stage off.
+ */
+export async function preprocessImagesForVision(files, { provider } = {}) {
+  const list = Array.isArray(files) ? files : [];
+  if (!isPreprocessingEnabled() || list.length === 0) return list;
+  const out = [];
+  for (const file of list) {
+    if (!Buffer.isBuffer(file?.buffer)) {
+      out.push(file);
+      continue;
+    }
+    try {
+      const { file: processed, report } = await preprocessImage(file, provider);
+      preprocessLog.getStore()?.push({ provider: provider || "", ...report });
+      out.push(processed);
+    } catch (err) {
+      console.error(`[ImagePreprocessing] ${file.originalname || "image"} passed through:`, err);
+      preprocessLog.getStore()?.push({ provider: provider || "", name: file.originalname || "", applied: [], error: err instanceof Error ? err.message : String(err) });
+      out.push(file);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,173 @@
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const requireModule = createRequire(import.meta.url);
+
+const LAB_CATALOG_PATH = (() => {
+  const raw = process.env.LAB_CATALOG_PATH;
+  if (typeof raw === "string" && raw.trim()) return path.resolve(raw.trim());
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  return path.resolve(here, "../data/labCatalog.json");
+})();
+
+// Words that describe the specimen or the assay rather than the analyte, so
+// "Serum Creatinine (Jaffe Method)" and "Creatinine" land on the same entry.
+const QUALIFIER_WORDS =
+  /\b(serum|plasma|s|icp\s*-?\s*ms|hplc|elisa|clia|eclia|photometry|colorimetry|turbidimetry|technology|method|calculated)\b/g;
+
+const SUPERSCRIPT_DIGITS = { "⁰": "0", "¹": "1", "²": "2", "³": "3", "⁴": "4", "⁵": "5", "⁶": "6", "⁷": "7", "⁸": "8", "⁹": "9" };
+
+function nameKey(name) {
+  return String(name ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+}
+
+/**
+ * Normalizes a reported unit so spelling variants compare equal: case,
+ * µ/mc vs u, "cumm"/"mm3" vs uL, "x10^3", "10*3", "thou" and "lakhs".
+ * Returns "" for an empty unit.
+ */
+export function normalizeLabUnit(unit) {
+  let u = String(unit ?? "").trim().toLowerCase();
+  if (!u) return "";
+  u = u
+    .replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, (m) => `^${[...m].map((c) => SUPERSCRIPT_DIGITS[c]).join("")}`)
+    .replace(/[µμ]/g, "u")
+    .replace(/mcg/g, "ug")
+    .replace(/\s+/g, "")
+    .replace(/litre|liter/g, "l")
+    .replace(/^x(?=10)/, "")
+    .replace(/10(?:\^|\*|e)(\d+)/g, "10^$1")
+    .replace(/cu\.?mm|cmm|mm\^3|mm3/g, "ul")
+    .replace(/^thou(?:sand)?s?\//, "10^3/")
+    .replace(/^k\//, "10^3/")
+    .replace(/^mill(?:ion)?s?\//, "10^6/")
+    .replace(/^lakhs?\//, "lakh/")
+    .replace(/^hr$/, "h");
+  return u;
+}
+
+function toConversion(spec) {
+  if (typeof spec === "number" && Number.isFinite(spec)) return { factor: spec, offset: 0 };
+  if (spec && typeof spec === "object" && Number.isFinite(spec.factor)) {
+    return { factor: spec.factor, offset: Number.isFinite(spec.offset) ? spec.offset : 0 };
+  }
+  return null;
+}
+
+function loadCatalog() {
+  let parsed;
+  try {
+    parsed = requireModule(LAB_CATALOG_PATH);
+  } catch (err) {
+    console.error(`[LabCatalog] Could not load ${LAB_CATALOG_PATH}:`, err instanceof Error ? err.message : err);
+    return new Map();
+  }
+  const byName = new Map();
+  for (const raw of Array.isArray(parsed?.tests) ? parsed.tests : []) {
+    if (typeof raw?.loinc !== "string" || typeof raw?.canonicalUnit !== "string") continue;
+    const units = new Map();
+    for (const [unit, spec] of Object.entries(raw.units ?? {})) {
+      const conversion = toConversion(spec);
+      if (conversion) units.set(normalizeLabUnit(unit), conversion);
+    }
+    const entry = {
+      loinc: raw.loinc,
+      name: typeof raw.name === "string" ? raw.name : raw.loinc,
+      canonicalUnit: raw.canonicalUnit,
+      units
+    };
+    for (const alias of [entry.name, ...(Array.isArray(raw.aliases) ? raw.aliases : [])]) {
+      const key = nameKey(alias);
+      // The first entry to claim an alias wins, so more specific tests
+      // (e.g. fasting glucose) must not reuse a generic entry's aliases.
+      if (key && !byName.has(key)) byName.set(key, entry);
+    }
+  }
+  return byName;
+}
+
+const catalogByName = loadCatalog();
+
+/**
+ * Finds the catalogue entry for an extracted test name, trying the name as
+ * written, then without bracketed text, then without specimen/method words.
+ * Resolves { loinc, name, canonicalUnit, units } or null.
+ */
+export function findLabTest(testName) {
+  const raw = String(testName ?? "").trim();
+  if (!raw) return null;
+  const withoutBrackets = raw.replace(/\([^)]*\)|\[[^\]]*\]/g, " ");
+  const withoutQualifiers = withoutBrackets.toLowerCase().replace(QUALIFIER_WORDS, " ");
+  for (const candidate of [raw, withoutBrackets, withoutQualifiers]) {
+    const entry = catalogByName.get(nameKey(candidate));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+// Only plain numbers convert; "<0.5", "Positive" or "5.6 - 7.0" stay as
+// reported with no canonical value.
+function parseLabNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const s = String(value ?? "").trim().replace(/^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/, (m) => m.replace(/,/g, ""));
+  return /^-?(?:\d+(?:\.\d+)?|\.\d+)$/.test(s) ? Number(s) : null;
+}
+
+/**
+ * Converts a reported value to the entry's canonical unit. Resolves the
+ * number (4 significant digits) or null when the value is not numeric or the
+ * unit is missing or has no known conversion.
+ */
+export function toCanonicalLabValue(entry, value, unit) {
+  if (!entry) return null;
+  const n = parseLabNumber(value);
+  const conversion = entry.units.get(normalizeLabUnit(unit));
+  if (n === null || !conversion) return null;
+  return Number((n * conversion.factor + conversion.offset).toPrecision(4));
+}
+
+/**
+ * Inverse of toCanonicalLabValue: expresses a canonical-unit number in the
+ * reported unit, or null when that unit has no known conversion.
+ */
+export function fromCanonicalLabValue(entry, value, unit) {
+  if (!entry || typeof value !== "number" || !Number.isFinite(value)) return null;
+  const conversion = entry.units.get(normalizeLabUnit(unit));
+  if (!conversion || conversion.factor === 0) return null;
+  return Number(((value - conversion.offset) / conversion.factor).toPrecision(4));
+}
+
+/**
+ * Merge key for an extracted test: its LOINC code when the name is in the
+ * catalogue, so aliases collapse into one row; null otherwise.
+ */
+export function labTestMergeKey(testName) {
+  const entry = findLabTest(testName);
+  return entry ? `loinc:${entry.loinc}` : null;
+}
+
+/**
+ * Adds `loinc`, `canonicalUnit` and `canonicalValue` to a docs-tests entry,
+ * and `canonicalValue` to each of its results (converted from the result's
+ * own `unit`, falling back to the test's). The reported value and unit are
+ * kept as they are. Tests outside the catalogue get null for all three.
+ */
+export function annotateLabTest(test) {
+  if (!test || typeof test !== "object" || Array.isArray(test)) return test;
+  const entry = findLabTest(test.testName);
+  const results = Array.isArray(test.results)
+    ? test.results.map((r) =>
+        r && typeof r === "object" && !Array.isArray(r)
+          ? { ...r, canonicalValue: toCanonicalLabValue(entry, r.value, r.unit ?? test.unit) }
+          : r
+      )
+    : test.results;
+  return {
+    ...test,
+    ...(results !== undefined ? { results } : {}),
+    loinc: entry?.loinc ?? null,
+    canonicalValue: toCanonicalLabValue(entry, test.value, test.unit),
+    canonicalUnit: entry?.canonicalUnit ?? null
+  };
+}
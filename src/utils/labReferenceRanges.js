@@ -0,0 +1,280 @@
+import { createRequire } from "node:module";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { PatientProfile } from "../Models/PatientProfile.js";
+import { PatientReport } from "../Models/PatientReport.js";
+import { User } from "../Models/User.js";
+import { annotateLabTest, findLabTest, fromCanonicalLabValue, toCanonicalLabValue } from "./labCatalog.js";
+
+const requireModule = createRequire(import.meta.url);
+
+const LAB_REFERENCE_RANGES_PATH = (() => {
+  const raw = process.env.LAB_REFERENCE_RANGES_PATH;
+  if (typeof raw === "string" && raw.trim()) return path.resolve(raw.trim());
+  const here = path.dirname(fileURLToPath(import.meta.url));
+  return path.resolve(here, "../data/labReferenceRanges.json");
+})();
+
+// A printed bound more than this far (relative) from the engine's bound is
+// reported as a conflict even when both give the same status.
+const BOUND_CONFLICT_RATIO = 0.25;
+
+function toNumberOrNull(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function loadReferenceRanges() {
+  try {
+    const parsed = requireModule(LAB_REFERENCE_RANGES_PATH);
+    return parsed?.ranges && typeof parsed.ranges === "object" ? parsed.ranges : {};
+  } catch (err) {
+    console.error(`[LabRanges] Could not load ${LAB_REFERENCE_RANGES_PATH}:`, err instanceof Error ? err.message : err);
+    return {};
+  }
+}
+
+const referenceRanges = loadReferenceRanges();
+
+/**
+ * Reads the numeric bounds out of a printed reference range: "70 - 100",
+ * "70-100", "3.5 to 5.1", "< 200" or "> 40". Resolves { min, max, kind:
+ * "between" | "lt" | "gt" } or null when the text carries no usable numbers.
+ */
+export function parseRangeBounds(referenceRange) {
+  if (typeof referenceRange !== "string" || !referenceRange.trim()) return null;
+  const range = referenceRange.trim();
+  // A "-" is a minus sign only at the start or after a space, "<" or ">";
+  // between two numbers ("70-100") it separates the bounds.
+  const nums = range.match(/(?:(?<=^|[\s<>])-)?\d+(?:\.\d+)?/g) ?? [];
+  const numbers = nums.map((n) => Number(n)).filter((n) => Number.isFinite(n));
+  if (numbers.length === 0) return null;
+
+  if (numbers.length >= 2 && (range.includes("-") || range.toLowerCase().includes("to"))) {
+    const min = numbers[0];
+    const max = numbers[1];
+    if (Number.isFinite(min) && Number.isFinite(max)) return { min, max, kind: "between" };
+  }
+
+  if (range.includes("<")) {
+    return { max: numbers[0], kind: "lt" };
+  }
+  if (range.includes(">")) {
+    return { min: numbers[0], kind: "gt" };
+  }
+
+  if (numbers.length >= 2) {
+    const min = numbers[0];
+    const max = numbers[1];
+    if (Number.isFinite(min) && Number.isFinite(max)) return { min, max, kind: "between" };
+  }
+
+  return null;
+}
+
+function normalizeSex(value) {
+  const s = typeof value === "string" ? value.trim().toLowerCase() : "";
+  if (s === "m" || s === "male") return "male";
+  if (s === "f" || s === "female") return "female";
+  return null;
+}
+
+function normalizeAge(value) {
+  const n = typeof value === "string" && value.trim() ? Number(value) : value;
+  return typeof n === "number" && Number.isFinite(n) && n >= 0 && n <= 130 ? n : null;
+}
+
+function normalizeFlag(value) {
+  if (typeof value === "boolean") return value;
+  const s = typeof value === "string" ? value.trim().toLowerCase() : "";
+  return s === "1" || s === "true" || s === "yes";
+}
+
+function matchesPatient(range, patient) {
+  if (range.sex && range.sex !== patient.sex) return false;
+  if (range.pregnant && !patient.pregnant) return false;
+  if (typeof range.minAge === "number" || typeof range.maxAge === "number") {
+    if (patient.age === null) return false;
+    if (typeof range.minAge === "number" && patient.age < range.minAge) return false;
+    if (typeof range.maxAge === "number" && patient.age >= range.maxAge) return false;
+  }
+  return true;
+}
+
+function specificity(range) {
+  const hasAge = typeof range.minAge === "number" || typeof range.maxAge === "number";
+  return (range.sex ? 1 : 0) + (hasAge ? 1 : 0) + (range.pregnant ? 1 : 0);
+}
+
+function describeBasis(range) {
+  const parts = [];
+  if (range.sex) parts.push(range.sex);
+  if (typeof range.minAge === "number" && typeof range.maxAge === "number") parts.push(`age ${range.minAge}-${range.maxAge - 1}`);
+  else if (typeof range.minAge === "number") parts.push(`age ${range.minAge}+`);
+  else if (typeof range.maxAge === "number") parts.push(`age under ${range.maxAge}`);
+  if (range.pregnant) parts.push("pregnant");
+  return parts.length > 0 ? parts.join(", ") : "adult";
+}
+
+/**
+ * Picks the engine's reference range for a LOINC code and patient
+ * ({ age, sex, pregnant }). Resolves { low, high, critical: { low, high },
+ * basis } in the catalogue's canonical unit, or null when no range applies
+ * (including when every range needs a sex or age the patient lacks).
+ */
+export function findReferenceRange(loinc, patient = {}) {
+  const spec = typeof loinc === "string" ? referenceRanges[loinc] : null;
+  const ranges = Array.isArray(spec?.ranges) ? spec.ranges : [];
+  const subject = { age: normalizeAge(patient.age), sex: normalizeSex(patient.sex), pregnant: normalizeFlag(patient.pregnant) };
+  let best = null;
+  for (const range of ranges) {
+    if (!matchesPatient(range, subject)) continue;
+    if (!best || specificity(range) >= specificity(best)) best = range;
+  }
+  if (!best) return null;
+  return {
+    low: toNumberOrNull(best.low),
+    high: toNumberOrNull(best.high),
+    critical: { low: toNumberOrNull(spec.critical?.low), high: toNumberOrNull(spec.critical?.high) },
+    basis: describeBasis(best)
+  };
+}
+
+function classify(value, low, high) {
+  if (typeof value !== "number") return null;
+  if (low !== null && value < low) return "LOW";
+  if (high !== null && value > high) return "HIGH";
+  return "NORMAL";
+}
+
+function formatRange(low, high, unit) {
+  const suffix = unit ? ` ${unit}` : "";
+  if (low !== null && high !== null) return `${low} - ${high}${suffix}`;
+  if (high !== null) return `< ${high}${suffix}`;
+  if (low !== null) return `> ${low}${suffix}`;
+  return null;
+}
+
+function boundsDisagree(printed, engine) {
+  const differs = (a, b) => a !== null && b !== null && Math.abs(a - b) > Math.abs(b) * BOUND_CONFLICT_RATIO;
+  return differs(printed.low, engine.low) || differs(printed.high, engine.high);
+}
+
+/**
+ * Checks one docs-tests entry against the reference-range engine. When the
+ * report printed no usable range, the status of the test and its results is
+ * taken from the engine's range (`referenceRangeSource: "engine"`). When it
+ * did, the printed range keeps deciding the status and `rangeConflict` is set
+ * if the engine classifies the value differently or its bounds differ by more
+ * than 25%. `critical` ("LOW" | "HIGH") flags values past the panic
+ * thresholds. `engineReferenceRange` is given in the reported unit when it
+ * converts, otherwise in the canonical unit.
+ */
+export function applyReferenceRange(test, patient) {
+  if (!test || typeof test !== "object" || Array.isArray(test)) return test;
+  const annotated = annotateLabTest(test);
+  const entry = findLabTest(annotated.testName);
+  const engine = entry ? findReferenceRange(entry.loinc, patient) : null;
+  const printedBounds = parseRangeBounds(annotated.referenceRange);
+  const base = {
+    ...annotated,
+    referenceRangeSource: printedBounds ? "report" : null,
+    engineReferenceRange: null,
+    critical: null,
+    rangeConflict: null
+  };
+  if (!engine) return base;
+
+  const unit = annotated.unit;
+  const inReportedUnit = [engine.low, engine.high].every((b) => b === null || fromCanonicalLabValue(entry, b, unit) !== null);
+  const shown = inReportedUnit
+    ? { low: fromCanonicalLabValue(entry, engine.low, unit), high: fromCanonicalLabValue(entry, engine.high, unit), unit }
+    : { low: engine.low, high: engine.high, unit: entry.canonicalUnit };
+  base.engineReferenceRange = {
+    low: engine.low,
+    high: engine.high,
+    unit: entry.canonicalUnit,
+    text: formatRange(shown.low, shown.high, shown.unit),
+    basis: engine.basis
+  };
+
+  const value = annotated.canonicalValue;
+  const engineStatus = classify(value, engine.low, engine.high);
+  if (typeof value === "number") {
+    if (engine.critical.low !== null && value < engine.critical.low) base.critical = "LOW";
+    else if (engine.critical.high !== null && value > engine.critical.high) base.critical = "HIGH";
+  }
+
+  if (!printedBounds) {
+    if (engineStatus === null) return base;
+    base.referenceRangeSource = "engine";
+    base.status = base.critical ?? engineStatus;
+    if (Array.isArray(annotated.results)) {
+      base.results = annotated.results.map((r) => {
+        const status = classify(r?.canonicalValue, engine.low, engine.high);
+        return status ? { ...r, status } : r;
+      });
+    }
+    return base;
+  }
+
+  const printed = {
+    low: toCanonicalLabValue(entry, printedBounds.min, unit),
+    high: toCanonicalLabValue(entry, printedBounds.max, unit)
+  };
+  const printedStatus = classify(value, printed.low, printed.high);
+  const statusConflict = printedStatus !== null && engineStatus !== null && printedStatus !== engineStatus;
+  if (statusConflict || boundsDisagree(printed, engine)) {
+    base.rangeConflict = {
+      printed: annotated.referenceRange,
+      engine: base.engineReferenceRange.text,
+      printedStatus,
+      engineStatus
+    };
+  }
+  return base;
+}
+
+/**
+ * Demographics for the reference-range engine. Explicit request fields
+ * (patientAge, patientSex, pregnant) win; otherwise age comes from the
+ * patient profile and sex from the user record. Unknown values are null.
+ */
+export async function resolveLabPatient({ patientId, reportId, input } = {}) {
+  const fields = input && typeof input === "object" ? input : {};
+  const patient = {
+    age: normalizeAge(fields.patientAge),
+    sex: normalizeSex(fields.patientSex ?? fields.patientGender),
+    pregnant: normalizeFlag(fields.pregnant)
+  };
+  if (patient.age !== null && patient.sex !== null) return patient;
+
+  let userId = patientId ? String(patientId) : "";
+  if (!userId && reportId) {
+    const report = await PatientReport.findById(reportId).select("patient").lean().catch(() => null);
+    userId = report?.patient?.toString?.() || "";
+  }
+  if (!userId) return patient;
+
+  const [user, profile] = await Promise.all([
+    patient.sex === null ? User.findById(userId).select("gender").lean().catch(() => null) : null,
+    patient.age === null ? PatientProfile.findOne({ user: userId }).select("age").lean().catch(() => null) : null
+  ]);
+  return {
+    ...patient,
+    age: patient.age ?? normalizeAge(profile?.age),
+    sex: patient.sex ?? normalizeSex(user?.gender)
+  };
+}
+
+/**
+ * Runs applyReferenceRange over the tests of a docs-tests result
+ * ({ docs: { tests } } or { tests }).
+ */
+export function attachLabReferenceRanges(body, patient) {
+  if (!body || typeof body !== "object" || Array.isArray(body) || body.error) return body;
+  if (Array.isArray(body.docs?.tests)) {
+    return { ...body, docs: { ...body.docs, tests: body.docs.tests.map((t) => applyReferenceRange(t, patient)) } };
+  }
+  if (Array.isArray(body.tests)) return { ...body, tests: body.tests.map((t) => applyReferenceRange(t, patient)) };
+  return body;
+}
@@ -0,0 +1,184 @@
+import { annotateLabTest, findLabTest, normalizeLabUnit } from "./labCatalog.js";
+
+function toText(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  return s ? s : null;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const s = toText(value)?.replace(/,/g, "");
+  return s && /^-?(?:\d+(?:\.\d+)?|\.\d+)$/.test(s) ? Number(s) : null;
+}
+
+function round(value) {
+  return Number(value.toPrecision(4));
+}
+
+// docsTestsAnalysis is `{ docs: { tests } }` for AI results; older reports
+// saved from the editor may hold the tests array directly.
+export function getReportTests(report) {
+  const analysis = report?.docsTestsAnalysis;
+  if (Array.isArray(analysis?.docs?.tests)) return analysis.docs.tests;
+  if (Array.isArray(analysis?.tests)) return analysis.tests;
+  return Array.isArray(analysis) ? analysis : [];
+}
+
+function trendKey(test) {
+  const entry = findLabTest(test?.testName);
+  if (entry) return `loinc:${entry.loinc}`;
+  const name = String(test?.testName ?? "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+  return name ? `name:${name}` : "";
+}
+
+function pickCollectedAt(test) {
+  const results = Array.isArray(test?.results) ? test.results : [];
+  for (let i = results.length - 1; i >= 0; i -= 1) {
+    const at = toText(results[i]?.dateAndTime);
+    if (at) return at;
+  }
+  return null;
+}
+
+function toPoint(report, test) {
+  const annotated = annotateLabTest(test);
+  const results = Array.isArray(annotated.results) ? annotated.results : [];
+  // The test's own value is the latest one; fall back to its last result.
+  const source = toText(annotated.value) ? annotated : results[results.length - 1];
+  const value = toText(source?.value);
+  if (!value) return null;
+  return {
+    reportId: report._id.toString(),
+    reportNumber: typeof report.reportNumber === "number" ? report.reportNumber : null,
+    reportDate: report.createdAt || null,
+    collectedAt: pickCollectedAt(annotated),
+    testName: toText(annotated.testName),
+    value,
+    unit: toText(source.unit) ?? toText(annotated.unit),
+    canonicalValue: typeof source.canonicalValue === "number" ? source.canonicalValue : null,
+    status: toText(annotated.status)?.toUpperCase() ?? null
+  };
+}
+
+// Canonical values when both points have one; otherwise raw numbers, but only
+// when both were reported in the same unit.
+function comparableValues(previous, latest) {
+  if (typeof previous.canonicalValue === "number" && typeof latest.canonicalValue === "number") {
+    return [previous.canonicalValue, latest.canonicalValue];
+  }
+  const a = toNumber(previous.value);
+  const b = toNumber(latest.value);
+  if (a === null || b === null || normalizeLabUnit(previous.unit) !== normalizeLabUnit(latest.unit)) return null;
+  return [a, b];
+}
+
+const ABNORMAL_STATUSES = new Set(["HIGH", "LOW", "CRITICAL", "ABNORMAL"]);
+
+// "improved" / "worsened" follow the reported status: moving into range, or
+// moving towards it while still out of range, is an improvement.
+function classifyChange(previous, latest, direction) {
+  const before = previous.status;
+  const after = latest.status;
+  if (!before || !after) return null;
+  const wasAbnormal = ABNORMAL_STATUSES.has(before);
+  const isAbnormal = ABNORMAL_STATUSES.has(after);
+  if (wasAbnormal && after === "NORMAL") return "improved";
+  if (before === "NORMAL" && isAbnormal) return "worsened";
+  if (before === "NORMAL" && after === "NORMAL") return "stable";
+  if (before === after && (before === "HIGH" || before === "LOW") && direction) {
+    if (direction === "unchanged") return "stable";
+    const towardsRange = (before === "HIGH" && direction === "down") || (before === "LOW" && direction === "up");
+    return towardsRange ? "improved" : "worsened";
+  }
+  if ((before === "HIGH" && after === "LOW") || (before === "LOW" && after === "HIGH")) return "worsened";
+  return null;
+}
+
+function buildSeries(key, points) {
+  const latest = points[points.length - 1];
+  const previous = points.length > 1 ? points[points.length - 2] : null;
+  const entry = findLabTest(latest.testName);
+  const values = previous ? comparableValues(previous, latest) : null;
+
+  let delta = null;
+  let direction = null;
+  if (values) {
+    const [before, after] = values;
+    const absolute = round(after - before);
+    delta = { absolute, percent: before !== 0 ? round(((after - before) / Math.abs(before)) * 100) : null };
+    direction = absolute > 0 ? "up" : absolute < 0 ? "down" : "unchanged";
+  }
+
+  return {
+    key,
+    testName: latest.testName,
+    loinc: entry?.loinc ?? null,
+    unit: latest.unit,
+    canonicalUnit: entry?.canonicalUnit ?? null,
+    points,
+    latest,
+    previous,
+    delta,
+    direction,
+    change: previous ? classifyChange(previous, latest, direction) : null
+  };
+}
+
+/**
+ * Lines up docs-tests results across a patient's reports. Tests are matched
+ * by LOINC (or by normalized name outside the lab catalogue), one point per
+ * report, oldest first. Each series carries the latest and previous point,
+ * `delta` ({ absolute, percent } in canonical units when known), `direction`
+ * ("up" | "down" | "unchanged") and `change` ("improved" | "worsened" |
+ * "stable"), which are null when the two points are not comparable.
+ */
+export function buildLabTrends(reports) {
+  const ordered = [...(Array.isArray(reports) ? reports : [])]
+    .filter((r) => r?._id)
+    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0) || (a.reportNumber ?? 0) - (b.reportNumber ?? 0));
+
+  const byKey = new Map();
+  for (const report of ordered) {
+    const seen = new Set();
+    for (const test of getReportTests(report)) {
+      const key = trendKey(test);
+      // A test repeated within one report keeps its first row.
+      if (!key || seen.has(key)) continue;
+      const point = toPoint(report, test);
+      if (!point) continue;
+      seen.add(key);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(point);
+    }
+  }
+
+  const series = Array.from(byKey.entries()).map(([key, points]) => buildSeries(key, points));
+  series.sort((a, b) => b.points.length - a.points.length || String(a.testName).localeCompare(String(b.testName)));
+  return { reportCount: ordered.length, tests: series };
+}
+
+/**
+ * Patient-facing view of buildLabTrends: only tests seen in at least two
+ * reports, with dated values and the latest change.
+ */
+export function simplifyLabTrends(trends) {
+  const tests = (Array.isArray(trends?.tests) ? trends.tests : [])
+    .filter((t) => t.points.length > 1)
+    .map((t) => ({
+      testName: t.testName,
+      points: t.points.map((p) => {
+        const canonical = typeof p.canonicalValue === "number";
+        return {
+          date: p.collectedAt || p.reportDate,
+          value: canonical ? p.canonicalValue : p.value,
+          unit: canonical ? t.canonicalUnit : p.unit,
+          status: p.status
+        };
+      }),
+      percentChange: t.delta?.percent ?? null,
+      direction: t.direction,
+      change: t.change
+    }));
+  return { tests };
+}
@@ -0,0 +1,180 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import engData from "@tesseract.js-data/eng";
+import pdfParse from "pdf-parse";
+import { createWorker } from "tesseract.js";
+
+const ocrLog = new AsyncLocalStorage();
+
+const DEFAULT_MIN_CHARS_PER_PAGE = 100;
+const DEFAULT_MAX_OCR_PAGES = 20;
+// ~150 DPI for A4, enough for printed lab tables without large bitmaps.
+const DEFAULT_RENDER_SCALE = 2;
+const WORKER_IDLE_MS = 60 * 1000;
+
+let workerPromise = null;
+let idleTimer = null;
+// Callers between getOcrWorker() and releaseOcrWorker().
+let workerUsers = 0;
+let pdfjsPromise = null;
+
+function readNumberEnv(name, fallback, { min = 0, max = Number.POSITIVE_INFINITY } = {}) {
+  const raw = String(process.env[name] ?? "").trim();
+  const n = raw ? Number(raw) : fallback;
+  return Number.isFinite(n) && n >= min ? Math.min(n, max) : fallback;
+}
+
+function isOcrEnabled() {
+  const flag = String(process.env.PDF_OCR_ENABLED ?? "").trim().toLowerCase();
+  return flag !== "0" && flag !== "false";
+}
+
+function countTextChars(text) {
+  return typeof text === "string" ? text.replace(/\s+/g, "").length : 0;
+}
+
+// Same text assembly as pdf-parse's built-in page renderer, so documents that
+// need no OCR come out byte-for-byte as before.
+function capturePageText(pages) {
+  return async (pageData) => {
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = "";
+    for (const item of textContent.items) {
+      text += lastY == item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    pages[pageData.pageIndex] = text;
+    return text;
+  };
+}
+
+function getPdfjs() {
+  if (!pdfjsPromise) pdfjsPromise = import("pdfjs-dist/legacy/build/pdf.mjs");
+  return pdfjsPromise;
+}
+
+// One shared worker: OCR is CPU-bound, so concurrent requests queue on it
+// instead of competing. It is shut down once nobody has used it for a minute.
+// Every call must be paired with releaseOcrWorker().
+function getOcrWorker() {
+  workerUsers += 1;
+  clearTimeout(idleTimer);
+  if (!workerPromise) {
+    workerPromise = createWorker(engData.code, 1, {
+      langPath: engData.langPath,
+      gzip: engData.gzip,
+      cacheMethod: "none"
+    }).catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+function releaseOcrWorker() {
+  workerUsers = Math.max(0, workerUsers - 1);
+  clearTimeout(idleTimer);
+  if (workerUsers > 0) return;
+  idleTimer = setTimeout(() => {
+    const pending = workerPromise;
+    workerPromise = null;
+    pending?.then((worker) => worker.terminate()).catch(() => {});
+  }, WORKER_IDLE_MS);
+  idleTimer.unref?.();
+}
+
+async function ocrPdfPages(buffer, pageNumbers) {
+  const pdfjs = await getPdfjs();
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(buffer), verbosity: 0, isEvalSupported: false }).promise;
+  const scale = readNumberEnv("PDF_OCR_SCALE", DEFAULT_RENDER_SCALE, { min: 0.5, max: 4 });
+  const results = new Map();
+  try {
+    const worker = await getOcrWorker();
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      await page.render({ canvasContext: context, viewport }).promise;
+      const { data } = await worker.recognize(canvas.toBuffer("image/png"));
+      page.cleanup();
+      results.set(pageNumber, {
+        text: typeof data?.text === "string" ? data.text.trim() : "",
+        confidence: Number.isFinite(data?.confidence) ? Math.round(data.confidence) : null
+      });
+    }
+  } finally {
+    releaseOcrWorker();
+    await doc.destroy();
+  }
+  return results;
+}
+
+/**
+ * Runs `callback(documents)` with a fresh log; every readPdfText call inside
+ * it (including across awaits) that had to OCR pages appends
+ * { name, numpages, pages: [{ page, source, chars, confidence }] }.
+ */
+export function collectPdfOcrReports(callback) {
+  const documents = [];
+  return ocrLog.run(documents, () => callback(documents));
+}
+
+// Adds the `ocr` block to a successful JSON result when any PDF behind it
+// was read with OCR.
+export function attachPdfOcrReports(body, documents) {
+  if (!Array.isArray(documents) || documents.length === 0 || !body || typeof body !== "object" || Array.isArray(body) || body.error) {
+    return body;
+  }
+  return { ...body, ocr: { documents } };
+}
+
+/**
+ * pdf-parse with a local OCR fallback: pages whose text layer has fewer than
+ * PDF_OCR_MIN_CHARS_PER_PAGE (default 100) non-blank characters, as scanned
+ * reports do, are rasterised and read with Tesseract. Resolves like pdf-parse
+ * ({ text, numpages, ... }) plus `pages`: [{ page, source: "text" | "ocr",
+ * chars, confidence }], where confidence (0-100) is only set for OCR pages.
+ * PDF_OCR_ENABLED=0 turns the fallback off; PDF_OCR_MAX_PAGES (default 20)
+ * caps the pages OCR'd per document. An OCR failure keeps the text layer.
+ */
+export async function readPdfText(file) {
+  const buffer = Buffer.isBuffer(file) ? file : file?.buffer;
+  const pageTexts = [];
+  const parsed = await pdfParse(buffer, { pagerender: capturePageText(pageTexts) });
+  const numpages = Number.isInteger(parsed?.numpages) ? parsed.numpages : pageTexts.length;
+  const pages = Array.from({ length: numpages }, (_, i) => ({
+    page: i + 1,
+    source: "text",
+    chars: countTextChars(pageTexts[i]),
+    confidence: null
+  }));
+
+  if (!isOcrEnabled()) return { ...parsed, pages };
+  const minChars = readNumberEnv("PDF_OCR_MIN_CHARS_PER_PAGE", DEFAULT_MIN_CHARS_PER_PAGE);
+  const maxPages = readNumberEnv("PDF_OCR_MAX_PAGES", DEFAULT_MAX_OCR_PAGES, { min: 1 });
+  const sparse = pages.filter((p) => p.chars < minChars).slice(0, maxPages).map((p) => p.page);
+  if (sparse.length === 0) return { ...parsed, pages };
+
+  let ocrPages;
+  try {
+    ocrPages = await ocrPdfPages(buffer, sparse);
+  } catch (err) {
+    console.error(`[PdfOcr] OCR failed for ${file?.originalname || "pdf"}:`, err);
+    return { ...parsed, pages };
+  }
+
+  for (const [pageNumber, result] of ocrPages) {
+    const entry = pages[pageNumber - 1];
+    const chars = countTextChars(result.text);
+    if (chars <= entry.chars) continue;
+    pageTexts[pageNumber - 1] = result.text;
+    Object.assign(entry, { source: "ocr", chars, confidence: result.confidence });
+  }
+  const ocrUsed = pages.filter((p) => p.source === "ocr");
+  if (ocrUsed.length === 0) return { ...parsed, pages };
+
+  ocrLog.getStore()?.push({ name: typeof file?.originalname === "string" ? file.originalname : "", numpages, pages });
+  const text = pages.map((p) => `\n\n${pageTexts[p.page - 1] ?? ""}`).join("");
+  return { ...parsed, text, pages };
+}
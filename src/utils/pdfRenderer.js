@@ -0,0 +1,242 @@
+import puppeteer from "puppeteer";
+
+const LAUNCH_ARGS = ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage", "--disable-gpu"];
+const METRIC_SAMPLE_SIZE = 200;
+
+// One shared Chromium; each render borrows a page slot from it.
+let browserPromise = null;
+let activePages = 0;
+const waiters = [];
+
+const metrics = {
+  browserLaunches: 0,
+  browserCrashes: 0,
+  rendered: 0,
+  failed: 0,
+  queueTimeouts: 0,
+  queueRejected: 0,
+  blockedRequests: 0,
+  maxQueueDepth: 0,
+  renderMs: [],
+  waitMs: []
+};
+
+function readPositiveIntEnv(name, fallback, max) {
+  const n = Number(process.env[name]);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(Math.trunc(n), max);
+}
+
+function getPageConcurrency() {
+  return readPositiveIntEnv("PDF_PAGE_CONCURRENCY", 2, 16);
+}
+
+function getQueueTimeoutMs() {
+  return readPositiveIntEnv("PDF_QUEUE_TIMEOUT_MS", 30000, 10 * 60 * 1000);
+}
+
+function getMaxQueueLength() {
+  return readPositiveIntEnv("PDF_QUEUE_MAX", 50, 1000);
+}
+
+// Origins pages may load resources from (e.g. the Vite dev server), from
+// PDF_ALLOWED_ORIGINS as a comma-separated list. Everything else is blocked.
+function getAllowedOrigins() {
+  return String(process.env.PDF_ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean)
+    .map((origin) => {
+      try {
+        return new URL(origin).origin;
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function isAllowedRequestUrl(url, allowedOrigins) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === "data:" || parsed.protocol === "about:") return true;
+    return (parsed.protocol === "http:" || parsed.protocol === "https:") && allowedOrigins.includes(parsed.origin);
+  } catch {
+    return false;
+  }
+}
+
+function busyError(message) {
+  return Object.assign(new Error(message), { statusCode: 503 });
+}
+
+function recordSample(list, value) {
+  list.push(value);
+  if (list.length > METRIC_SAMPLE_SIZE) list.shift();
+}
+
+function acquirePageSlot() {
+  if (activePages < getPageConcurrency()) {
+    activePages += 1;
+    return Promise.resolve();
+  }
+  if (waiters.length >= getMaxQueueLength()) {
+    metrics.queueRejected += 1;
+    return Promise.reject(busyError("PDF render queue is full, try again shortly"));
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve };
+    waiter.timer = setTimeout(() => {
+      const index = waiters.indexOf(waiter);
+      if (index >= 0) waiters.splice(index, 1);
+      metrics.queueTimeouts += 1;
+      reject(busyError("Timed out waiting for a PDF render slot"));
+    }, getQueueTimeoutMs());
+    waiters.push(waiter);
+    metrics.maxQueueDepth = Math.max(metrics.maxQueueDepth, waiters.length);
+  });
+}
+
+// Hands the slot straight to the next waiter, so the count only drops when
+// nobody is queued.
+function releasePageSlot() {
+  const next = waiters.shift();
+  if (!next) {
+    activePages -= 1;
+    return;
+  }
+  clearTimeout(next.timer);
+  next.resolve();
+}
+
+function getBrowser() {
+  if (!browserPromise) {
+    const launching = puppeteer
+      .launch({ headless: true, args: LAUNCH_ARGS })
+      .then((browser) => {
+        metrics.browserLaunches += 1;
+        // A crashed or killed Chromium is replaced on the next render.
+        browser.once("disconnected", () => {
+          if (browserPromise === launching) {
+            browserPromise = null;
+            metrics.browserCrashes += 1;
+            console.error("[PDF] Browser disconnected; it will be relaunched on the next render");
+          }
+        });
+        return browser;
+      })
+      .catch((err) => {
+        if (browserPromise === launching) browserPromise = null;
+        throw err;
+      });
+    browserPromise = launching;
+  }
+  return browserPromise;
+}
+
+async function renderOnPage(browser, html, { waitUntil, footerTemplate }) {
+  const page = await browser.newPage();
+  const allowedOrigins = getAllowedOrigins();
+  let blocked = 0;
+  try {
+    // The HTML may come from a client: no scripts, and no network access
+    // beyond data: URLs and the allow-listed origins.
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      if (isAllowedRequestUrl(request.url(), allowedOrigins)) {
+        request.continue();
+      } else {
+        blocked += 1;
+        request.abort("blockedbyclient");
+      }
+    });
+    await page.setContent(html, { waitUntil, timeout: 60000 });
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "8mm", right: "8mm", bottom: footerTemplate ? "14mm" : "8mm", left: "8mm" },
+      displayHeaderFooter: !!footerTemplate,
+      headerTemplate: "<span></span>",
+      footerTemplate: footerTemplate || "<span></span>",
+      timeout: 60000
+    });
+  } finally {
+    if (blocked > 0) {
+      metrics.blockedRequests += blocked;
+      console.warn(`[PDF] Blocked ${blocked} outside request(s) while rendering`);
+    }
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Prints an HTML document to an A4 PDF buffer on the shared headless
+ * Chrome. Renders beyond PDF_PAGE_CONCURRENCY wait in a queue (at most
+ * PDF_QUEUE_MAX, for PDF_QUEUE_TIMEOUT_MS) and fail with a 503 error when it
+ * is full or the wait times out. A render that loses its browser is retried
+ * once on a fresh one. `waitUntil` defaults to "networkidle2";
+ * `footerTemplate` turns on Chrome's header/footer band (see page.pdf).
+ */
+export async function renderPdfFromHtml(html, { waitUntil = "networkidle2", footerTemplate = "" } = {}) {
+  const queuedAt = Date.now();
+  await acquirePageSlot();
+  const startedAt = Date.now();
+  recordSample(metrics.waitMs, startedAt - queuedAt);
+  try {
+    for (let attempt = 0; ; attempt += 1) {
+      const browser = await getBrowser();
+      try {
+        const pdf = await renderOnPage(browser, html, { waitUntil, footerTemplate });
+        metrics.rendered += 1;
+        recordSample(metrics.renderMs, Date.now() - startedAt);
+        return pdf;
+      } catch (err) {
+        if (attempt === 0 && !browser.connected) continue;
+        throw err;
+      }
+    }
+  } catch (err) {
+    metrics.failed += 1;
+    throw err;
+  } finally {
+    releasePageSlot();
+  }
+}
+
+function summarize(samples) {
+  if (samples.length === 0) return { avg: null, p95: null, max: null };
+  const sorted = samples.slice().sort((a, b) => a - b);
+  return {
+    avg: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+/**
+ * Live renderer state and counters since start-up; timings (ms) cover the
+ * last 200 renders.
+ */
+export function getPdfRendererMetrics() {
+  return {
+    browser: { running: !!browserPromise, launches: metrics.browserLaunches, crashes: metrics.browserCrashes },
+    pages: { active: activePages, concurrency: getPageConcurrency() },
+    queue: {
+      depth: waiters.length,
+      maxDepth: metrics.maxQueueDepth,
+      limit: getMaxQueueLength(),
+      timeoutMs: getQueueTimeoutMs(),
+      timedOut: metrics.queueTimeouts,
+      rejected: metrics.queueRejected
+    },
+    renders: {
+      completed: metrics.rendered,
+      failed: metrics.failed,
+      blockedRequests: metrics.blockedRequests,
+      renderMs: summarize(metrics.renderMs),
+      waitMs: summarize(metrics.waitMs)
+    }
+  };
+}
@@ -0,0 +1,255 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+import mongoose from "mongoose";
+import { BUILTIN_PROMPTS } from "../AiPrompts/index.js";
+import { PromptOverride } from "../Models/PromptOverride.js";
+
+const builtins = new Map(Object.entries(BUILTIN_PROMPTS));
+const overrides = new Map();
+const promptContext = new AsyncLocalStorage();
+let overridesLoadedAt = 0;
+let overridesLoading = null;
+
+const MAX_CHANGELOG_ENTRIES = 200;
+
+function normalizeString(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function isDbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function getRefreshMs() {
+  const n = Number(process.env.PROMPT_REGISTRY_REFRESH_MS);
+  return Number.isFinite(n) && n >= 0 ? n : 30_000;
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+function getBuiltinVersion(text) {
+  return `builtin-${crypto.createHash("sha256").update(text).digest("hex").slice(0, 8)}`;
+}
+
+// Prompts defined outside src/AiPrompts (e.g. next to their route) can join
+// the registry under their own name.
+export function registerBuiltinPrompt(name, text) {
+  if (!normalizeString(name) || typeof text !== "string") throw new Error("Prompts need a name and a text");
+  builtins.set(name, text);
+}
+
+export function isRegisteredPrompt(name) {
+  return builtins.has(name);
+}
+
+// Maps the prompt texts a route declares back to their registry names; builder
+// functions and schema hints are not overridable and are skipped.
+export function getPromptNames(prompts = []) {
+  const names = [];
+  for (const prompt of Array.isArray(prompts) ? prompts : [prompts]) {
+    if (typeof prompt !== "string") continue;
+    for (const [name, text] of builtins) {
+      if (text === prompt && !names.includes(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Refreshes the in-memory copy of the admin overrides from Mongo. Prompt
+ * lookups stay synchronous; callers await this at the start of a request and
+ * it only hits the database once per PROMPT_REGISTRY_REFRESH_MS.
+ */
+export async function loadPromptOverrides({ force = false } = {}) {
+  if (!isDbReady()) return;
+  if (!force && overridesLoadedAt && Date.now() - overridesLoadedAt < getRefreshMs()) return;
+  if (!overridesLoading) {
+    overridesLoading = PromptOverride.find({})
+      .lean()
+      .then((docs) => {
+        overrides.clear();
+        for (const doc of docs) overrides.set(doc.name, doc);
+        overridesLoadedAt = Date.now();
+      })
+      .catch((err) => console.error("[Prompts] failed to load overrides:", err))
+      .finally(() => {
+        overridesLoading = null;
+      });
+  }
+  await overridesLoading;
+}
+
+// Same key, same bucket: a report stays on one side of an A/B split for all
+// of its AI calls. Without a key the request is bucketed at random.
+function computeBucket(key) {
+  const value = normalizeString(key == null ? "" : String(key));
+  if (!value) return Math.random() * 100;
+  return (parseInt(crypto.createHash("sha256").update(value).digest("hex").slice(0, 8), 16) % 10000) / 100;
+}
+
+export function runWithPromptContext({ route, bucketKey } = {}, callback) {
+  const context = { route: normalizeString(route), bucket: computeBucket(bucketKey), used: new Map() };
+  return promptContext.run(context, () => callback(context));
+}
+
+// A route pin wins over the A/B candidate, which wins over the active version.
+function pickVersion(doc, context) {
+  if (!doc) return { version: 0, variant: "builtin" };
+  const pin = (doc.routePins || []).find((p) => p.route === context?.route);
+  if (pin) return { version: pin.version, variant: "pinned" };
+  if (doc.candidateVersion != null && doc.candidatePercent > 0 && Number.isFinite(context?.bucket) && context.bucket < doc.candidatePercent) {
+    return { version: doc.candidateVersion, variant: "candidate" };
+  }
+  return { version: doc.activeVersion || 0, variant: doc.activeVersion ? "active" : "builtin" };
+}
+
+function lookupPrompt(name, context) {
+  const builtin = builtins.get(name);
+  if (typeof builtin !== "string") throw new Error(`Unknown prompt "${name}"`);
+  const doc = overrides.get(name);
+  const { version, variant } = pickVersion(doc, context);
+  const stored = version > 0 ? (doc.versions || []).find((v) => v.version === version) : null;
+  if (!stored) return { name, text: builtin, version: getBuiltinVersion(builtin), variant: "builtin" };
+  return { name, text: stored.text, version: `v${stored.version}`, variant };
+}
+
+/**
+ * Resolves { name, text, version, variant } for a prompt in the current
+ * request context and records the version for the response.
+ */
+export function resolvePrompt(name) {
+  const context = promptContext.getStore();
+  const resolved = lookupPrompt(name, context);
+  context?.used.set(name, resolved.version);
+  return resolved;
+}
+
+export function getPrompt(name) {
+  return resolvePrompt(name).text;
+}
+
+// Versions `names` would resolve to in `context`, without recording them.
+export function resolvePromptVersions(names = [], context = promptContext.getStore()) {
+  return Object.fromEntries(names.map((name) => [name, lookupPrompt(name, context).version]));
+}
+
+export function getUsedPromptVersions(context = promptContext.getStore()) {
+  return context ? Object.fromEntries(context.used) : {};
+}
+
+function summarizePrompt(name, doc) {
+  const builtinVersion = getBuiltinVersion(builtins.get(name));
+  const label = (version) => (version > 0 ? `v${version}` : builtinVersion);
+  return {
+    name,
+    builtinVersion,
+    activeVersion: label(doc?.activeVersion || 0),
+    versions: (doc?.versions || []).length,
+    routePins: (doc?.routePins || []).map((p) => ({ route: p.route, version: label(p.version) })),
+    candidate:
+      doc?.candidateVersion != null && doc.candidatePercent > 0
+        ? { version: label(doc.candidateVersion), percent: doc.candidatePercent }
+        : null,
+    updatedAt: doc?.updatedAt ?? null
+  };
+}
+
+export async function listPrompts() {
+  const docs = await PromptOverride.find({}, { versions: 0, changelog: 0 }).lean();
+  const byName = new Map(docs.map((doc) => [doc.name, doc]));
+  return [...builtins.keys()].sort().map((name) => summarizePrompt(name, byName.get(name)));
+}
+
+export async function getPromptDetail(name) {
+  if (!builtins.has(name)) return null;
+  const doc = await PromptOverride.findOne({ name }).lean();
+  return {
+    ...summarizePrompt(name, doc),
+    builtinText: builtins.get(name),
+    versions: (doc?.versions || []).map((v) => ({ ...v, label: `v${v.version}` })),
+    changelog: doc?.changelog || []
+  };
+}
+
+function requireKnownVersion(doc, version, field) {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 0) throw badRequest(`${field} must be 0 (built-in) or a version number`);
+  if (n > 0 && !(doc.versions || []).some((v) => v.version === n)) throw badRequest(`${field} ${n} does not exist`);
+  return n;
+}
+
+async function getOrCreateOverride(name) {
+  if (!builtins.has(name)) throw Object.assign(new Error(`Unknown prompt "${name}"`), { statusCode: 404 });
+  return (await PromptOverride.findOne({ name })) || new PromptOverride({ name });
+}
+
+async function saveOverride(doc, actor, entries) {
+  doc.changelog.push(...entries.map((entry) => ({ ...entry, actor, at: new Date() })));
+  if (doc.changelog.length > MAX_CHANGELOG_ENTRIES) doc.changelog.splice(0, doc.changelog.length - MAX_CHANGELOG_ENTRIES);
+  doc.updatedBy = actor;
+  await doc.save();
+  await loadPromptOverrides({ force: true });
+  return getPromptDetail(doc.name);
+}
+
+export async function createPromptVersion(name, { text, note, activate = false, actor = null } = {}) {
+  if (typeof text !== "string" || !text.trim()) throw badRequest("text is required");
+  const doc = await getOrCreateOverride(name);
+  const version = (doc.versions || []).reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  doc.versions.push({ version, text, note: normalizeString(note), createdBy: actor });
+
+  const entries = [{ action: "create_version", version, note: normalizeString(note) }];
+  if (activate) {
+    doc.activeVersion = version;
+    entries.push({ action: "activate", version });
+  }
+  return saveOverride(doc, actor, entries);
+}
+
+/**
+ * Applies any of: activeVersion, pin { route, version }, unpinRoute,
+ * candidate { version, percent } (or null to stop the split). Version 0 is the
+ * built-in prompt.
+ */
+export async function updatePromptRouting(name, { activeVersion, pin, unpinRoute, candidate, note, actor = null } = {}) {
+  const doc = await getOrCreateOverride(name);
+  const entries = [];
+  const changeNote = normalizeString(note);
+
+  if (activeVersion !== undefined) {
+    doc.activeVersion = requireKnownVersion(doc, activeVersion, "activeVersion");
+    entries.push({ action: "activate", version: doc.activeVersion, note: changeNote });
+  }
+
+  if (pin !== undefined) {
+    const route = normalizeString(pin?.route);
+    if (!route) throw badRequest("pin.route is required");
+    const version = requireKnownVersion(doc, pin?.version, "pin.version");
+    doc.routePins = [...doc.routePins.filter((p) => p.route !== route), { route, version }];
+    entries.push({ action: "pin_route", route, version, note: changeNote });
+  }
+
+  if (unpinRoute !== undefined) {
+    const route = normalizeString(unpinRoute);
+    doc.routePins = doc.routePins.filter((p) => p.route !== route);
+    entries.push({ action: "unpin_route", route, note: changeNote });
+  }
+
+  if (candidate === null) {
+    doc.candidateVersion = null;
+    doc.candidatePercent = 0;
+    entries.push({ action: "clear_candidate", note: changeNote });
+  } else if (candidate !== undefined) {
+    const version = requireKnownVersion(doc, candidate?.version, "candidate.version");
+    const percent = Number(candidate?.percent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) throw badRequest("candidate.percent must be between 0 and 100");
+    doc.candidateVersion = version;
+    doc.candidatePercent = percent;
+    entries.push({ action: "set_candidate", version, percent, note: changeNote });
+  }
+
+  if (entries.length === 0) throw badRequest("Nothing to update");
+  return saveOverride(doc, actor, entries);
+}
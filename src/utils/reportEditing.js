@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import { PatientReport } from "../Models/PatientReport.js";
+
+const DEFAULT_EDIT_LOCK_TTL_MS = 2 * 60 * 1000;
+const MAX_EDIT_LOCK_TTL_MS = 30 * 60 * 1000;
+
+// How long a section lock lasts without renewal, from REPORT_EDIT_LOCK_TTL_MS.
+export function getEditLockTtlMs() {
+  const n = Number(process.env.REPORT_EDIT_LOCK_TTL_MS);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_EDIT_LOCK_TTL_MS;
+  return Math.min(Math.trunc(n), MAX_EDIT_LOCK_TTL_MS);
+}
+
+/**
+ * The editVersion a client's edits are based on, from `baseEditVersion` in the
+ * body or an `If-Match` header. null when the client sent neither; NaN when
+ * the value is not a whole number.
+ */
+export function readBaseEditVersion(req) {
+  const raw = req?.body?.baseEditVersion ?? req?.get?.("If-Match")?.replace(/^W\//, "").replace(/"/g, "");
+  if (raw === undefined || raw === null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+// Saves without a base editVersion are taken as last-write-wins until
+// REPORT_REQUIRE_BASE_EDIT_VERSION=1, so editors built before versioning keep
+// working while they are updated.
+export function isBaseEditVersionRequired() {
+  return process.env.REPORT_REQUIRE_BASE_EDIT_VERSION === "1";
+}
+
+export const MISSING_BASE_EDIT_VERSION_WARNING =
+  "Saves without baseEditVersion or If-Match overwrite concurrent edits and will be rejected once REPORT_REQUIRE_BASE_EDIT_VERSION is set";
+
+/**
+ * Moves the report to the next editVersion, records it as the last change of
+ * each of `sections`, and makes the save conditional on the stored version
+ * still being the one it was loaded at. A save that loses that race fails
+ * with an error isEditVersionConflict() recognises.
+ */
+export function bumpEditVersion(report, { sections = [], actorId = null, actorRole = "", source = "save" } = {}) {
+  const current = report.editVersion || 0;
+  // Reports saved before versioning have no editVersion stored.
+  report.$where = { editVersion: current === 0 ? { $in: [0, null] } : current };
+  report.editVersion = current + 1;
+
+  const change = {
+    editVersion: report.editVersion,
+    source,
+    changedBy: actorId,
+    changedByRole: typeof actorRole === "string" ? actorRole : "",
+    changedAt: new Date()
+  };
+  for (const section of sections) {
+    const existing = report.sectionChanges.find((entry) => entry.section === section);
+    if (existing) existing.set(change);
+    else report.sectionChanges.push({ section, ...change });
+  }
+}
+
+// Sections whose last change came after `editVersion`.
+export function findSectionsChangedSince(report, editVersion) {
+  return (Array.isArray(report?.sectionChanges) ? report.sectionChanges : []).filter((entry) => entry.editVersion > editVersion);
+}
+
+export function isEditVersionConflict(err) {
+  return err instanceof mongoose.Error.DocumentNotFoundError;
+}
+
+export function activeEditLocks(report, now = new Date()) {
+  return (Array.isArray(report?.editLocks) ? report.editLocks : []).filter(
+    (lock) => lock?.expiresAt && new Date(lock.expiresAt) > now
+  );
+}
+
+/**
+ * Takes or renews the caller's lock on one report section; a renewal keeps
+ * the original acquiredAt. Expired locks are dropped first. Resolves to
+ * { lock } or, when someone else holds the section, { heldBy } with their
+ * lock (null if it could not be read back).
+ */
+export async function acquireReportEditLock({ reportId, section, actor, attempt = 0 }) {
+  const now = new Date();
+  const userId = actor._id;
+  const expiresAt = new Date(now.getTime() + getEditLockTtlMs());
+
+  const renewed = await PatientReport.findOneAndUpdate(
+    { _id: reportId, editLocks: { $elemMatch: { section, user: userId, expiresAt: { $gt: now } } } },
+    { $set: { "editLocks.$.expiresAt": expiresAt } },
+    { new: true, projection: { editLocks: 1 } }
+  ).lean();
+  const current = renewed?.editLocks?.find((item) => item.section === section);
+  if (current) return { lock: current };
+
+  await PatientReport.updateOne({ _id: reportId }, { $pull: { editLocks: { expiresAt: { $lte: now } } } });
+  const lock = {
+    section,
+    user: userId,
+    userName: typeof actor?.name === "string" ? actor.name : "",
+    role: typeof actor?.role === "string" ? actor.role : "",
+    acquiredAt: now,
+    expiresAt
+  };
+  const result = await PatientReport.updateOne(
+    { _id: reportId, editLocks: { $not: { $elemMatch: { section } } } },
+    { $push: { editLocks: lock } }
+  );
+  if (result.modifiedCount > 0) return { lock };
+
+  const report = await PatientReport.findById(reportId).select("editLocks").lean();
+  const heldBy = activeEditLocks(report, now).find((item) => item.section === section);
+  // The holder let go in between; one more attempt is enough.
+  if (!heldBy && attempt === 0) return acquireReportEditLock({ reportId, section, actor, attempt: 1 });
+  return { heldBy: heldBy || null };
+}
+
+// Drops the caller's lock on a section (and any expired ones). Resolves to
+// whether the caller held it.
+export async function releaseReportEditLock({ reportId, section, userId }) {
+  const result = await PatientReport.updateOne(
+    { _id: reportId, editLocks: { $elemMatch: { section, user: userId } } },
+    { $pull: { editLocks: { $or: [{ expiresAt: { $lte: new Date() } }, { section, user: userId }] } } }
+  );
+  return result.modifiedCount > 0;
+}
@@ -0,0 +1,168 @@
+import crypto from "node:crypto";
+import { PatientReport } from "../Models/PatientReport.js";
+
+export const REPORT_STATUSES = ["draft", "ready_for_review", "approved", "released"];
+
+const EDITABLE_STATUSES = new Set(["draft", "ready_for_review"]);
+
+/**
+ * Report workflow. Each action moves a report from one of `from` to `to` and
+ * may only be taken by `roles`:
+ *   submit   nurse/doctor hands the draft over for review
+ *   return   doctor sends it back to draft (also withdraws an unreleased approval)
+ *   approve  doctor signs it; the signed content is kept as a version
+ *   release  makes the approved version visible to the patient
+ *   amend    reopens a released report as the next version
+ */
+export const REPORT_TRANSITIONS = {
+  submit: { from: ["draft"], to: "ready_for_review", roles: ["nurse", "doctor"] },
+  return: { from: ["ready_for_review", "approved"], to: "draft", roles: ["doctor"] },
+  approve: { from: ["ready_for_review"], to: "approved", roles: ["doctor"] },
+  release: { from: ["approved"], to: "released", roles: ["doctor", "nurse"] },
+  amend: { from: ["released"], to: "draft", roles: ["doctor"] }
+};
+
+// Fields a signature covers.
+export const REPORT_CONTENT_FIELDS = [
+  "reportValues",
+  "generatedReport",
+  "advancedBodyComposition",
+  "docsTestsAnalysis",
+  "ultrasoundAnalysis",
+  "holisticPlan",
+  "structuredSections",
+  "uploadedDocuments"
+];
+
+export const REPORT_SIGNATURE_STATEMENT = "I have reviewed this report and approve its contents.";
+
+// Reports saved before the workflow existed were already visible to their
+// patients, so a missing status counts as released.
+export function getReportStatus(report) {
+  return REPORT_STATUSES.includes(report?.status) ? report.status : "released";
+}
+
+// Before the workflow a report was finished when its generated report was
+// saved; the rest were still being filled in.
+export const LEGACY_DELIVERED_REPORT_FILTER = { generatedReport: { $ne: null } };
+
+/**
+ * Stores a status on reports saved before the workflow existed. Run once the
+ * database is connected: delivered reports become "released" so their
+ * patients keep seeing them, and the ones still being filled in become
+ * "draft" and wait for sign-off like any new report.
+ */
+export async function releaseLegacyReports() {
+  const released = await PatientReport.updateMany({ status: null, ...LEGACY_DELIVERED_REPORT_FILTER }, { $set: { status: "released" } });
+  const drafts = await PatientReport.updateMany({ status: null }, { $set: { status: "draft" } });
+  if (released.modifiedCount > 0) console.log(`[Reports] marked ${released.modifiedCount} legacy report(s) as released`);
+  if (drafts.modifiedCount > 0) console.log(`[Reports] marked ${drafts.modifiedCount} undelivered legacy report(s) as draft`);
+  return released.modifiedCount;
+}
+
+export function isReportEditable(report) {
+  return EDITABLE_STATUSES.has(getReportStatus(report));
+}
+
+export function reportLockedError(report) {
+  const status = getReportStatus(report);
+  const hint = status === "released" ? "amend it" : "return it to draft";
+  return Object.assign(new Error(`This report is ${status.replace(/_/g, " ")} and can no longer be edited; ${hint} first`), {
+    statusCode: 409
+  });
+}
+
+function toPlain(value) {
+  if (value instanceof Map) return Object.fromEntries([...value.entries()].map(([k, v]) => [k, toPlain(v)]));
+  if (value && typeof value.toObject === "function") return toPlain(value.toObject());
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === "object" && !(value instanceof Date) && !(value?._bsontype === "ObjectId")) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+export function buildReportContent(report) {
+  return Object.fromEntries(REPORT_CONTENT_FIELDS.map((field) => [field, toPlain(report?.[field] ?? null)]));
+}
+
+// JSON with sorted keys, so equal content always hashes the same.
+function canonicalJson(value) {
+  if (value === undefined) return "null";
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value?._bsontype === "ObjectId") return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function hashReportContent(content) {
+  return crypto.createHash("sha256").update(canonicalJson(content)).digest("hex");
+}
+
+// The signed version the report is currently at, if it has been approved.
+export function findCurrentSignedVersion(report) {
+  const versions = Array.isArray(report?.signedVersions) ? report.signedVersions : [];
+  return versions.find((entry) => entry?.version === (report?.version || 1) && !entry?.withdrawnAt) || null;
+}
+
+/**
+ * A released report with no signed version (one released before the
+ * workflow) as a released signed version of its current content, so amending
+ * it leaves its patient the released copy to see. `legacy` marks that it
+ * carries no signature.
+ */
+export function buildLegacyReleasedVersion(report, { releasedAt = new Date() } = {}) {
+  const content = buildReportContent(report);
+  return {
+    version: report?.version || 1,
+    content,
+    contentHash: hashReportContent(content),
+    legacy: true,
+    releasedAt: report?.releasedAt || report?.lastSavedAt || report?.updatedAt || releasedAt
+  };
+}
+
+// Patient-panel queries match released reports and reports reopened for
+// amendment that still have an earlier released version to show.
+export const PATIENT_VISIBLE_REPORT_FILTER = {
+  $or: [{ status: "released" }, { "signedVersions.releasedAt": { $type: "date" } }]
+};
+
+// Select string for a patient-panel query that reads `fields`, plus what
+// toPatientVisibleReport needs from the status and signed versions.
+export function patientVisibleProjection(fields) {
+  const content = fields.filter((field) => REPORT_CONTENT_FIELDS.includes(field)).map((field) => `signedVersions.content.${field}`);
+  return [...fields, "status", "signedVersions.version", "signedVersions.releasedAt", "signedVersions.releasedBy", ...content].join(" ");
+}
+
+export function findLastReleasedVersion(report) {
+  const versions = Array.isArray(report?.signedVersions) ? report.signedVersions : [];
+  return versions.reduce((last, entry) => (entry?.releasedAt && (!last || entry.version > last.version) ? entry : last), null);
+}
+
+/**
+ * The report as its patient sees it. A released report is returned as is;
+ * while an amendment is open the content fields, version and release come
+ * from the last released signed version, so the draft never reaches the
+ * patient. null when nothing has been released yet.
+ */
+export function toPatientVisibleReport(report) {
+  if (!report) return null;
+  if (getReportStatus(report) === "released") return report;
+  const released = findLastReleasedVersion(report);
+  if (!released) return null;
+  const content = released.content || {};
+  return {
+    ...report,
+    ...Object.fromEntries(REPORT_CONTENT_FIELDS.map((field) => [field, content[field] ?? null])),
+    version: released.version,
+    releasedAt: released.releasedAt,
+    releasedBy: released.releasedBy || null
+  };
+}
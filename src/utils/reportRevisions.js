@@ -0,0 +1,140 @@
+import { PatientReport } from "../Models/PatientReport.js";
+import { PatientReportRevision } from "../Models/PatientReportRevision.js";
+
+// Top-level report fields tracked as one section each.
+const TRACKED_FIELDS = [
+  "reportValues",
+  "generatedReport",
+  "advancedBodyComposition",
+  "docsTestsAnalysis",
+  "ultrasoundAnalysis",
+  "holisticPlan"
+];
+const STRUCTURED_SECTION_KEYS = Object.keys(PatientReport.schema.tree.structuredSections ?? {});
+const MAX_CHANGES_PER_REVISION = 500;
+
+// Dates become ISO strings and ObjectIds hex strings, as they are shown.
+function toPlainJson(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value ?? null));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * True for section names history and restore accept:
+ * "structuredSections.<key>", "stepSnapshots.<stepId>" or a tracked
+ * top-level field such as "docsTestsAnalysis".
+ */
+export function isTrackedReportSection(section) {
+  const [field, key, ...rest] = String(section || "").split(".");
+  if (rest.length > 0) return false;
+  if (field === "structuredSections") return STRUCTURED_SECTION_KEYS.includes(key);
+  if (field === "stepSnapshots") return !!key;
+  return !key && TRACKED_FIELDS.includes(field);
+}
+
+/**
+ * Current value of every tracked section of a report document, keyed by
+ * section name. Step snapshots are tracked by their data only.
+ */
+export function captureReportSections(report) {
+  const sections = {};
+  for (const field of TRACKED_FIELDS) sections[field] = toPlainJson(report?.[field]);
+  for (const key of STRUCTURED_SECTION_KEYS) {
+    sections[`structuredSections.${key}`] = toPlainJson(report?.structuredSections?.[key]);
+  }
+  const snapshots = report?.stepSnapshots instanceof Map ? [...report.stepSnapshots.entries()] : Object.entries(report?.stepSnapshots ?? {});
+  for (const [stepId, snapshot] of snapshots) sections[`stepSnapshots.${stepId}`] = toPlainJson(snapshot?.data);
+  return sections;
+}
+
+export function readReportSection(report, section) {
+  return captureReportSections(report)[section] ?? null;
+}
+
+// Leaf-level differences between two JSON values, as { path, before, after }.
+function diffValues(before, after, path, changes) {
+  if (changes.length > MAX_CHANGES_PER_REVISION) return;
+  // A section or field that appears or disappears is listed field by field.
+  if ((isPlainObject(before) || isPlainObject(after)) && (isPlainObject(before) || before === null) && (isPlainObject(after) || after === null)) {
+    const previous = before ?? {};
+    const next = after ?? {};
+    for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+      diffValues(previous[key] ?? null, next[key] ?? null, path ? `${path}.${key}` : key, changes);
+    }
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let i = 0; i < Math.max(before.length, after.length); i += 1) {
+      diffValues(before[i] ?? null, after[i] ?? null, `${path}[${i}]`, changes);
+    }
+    return;
+  }
+  if (JSON.stringify(before) !== JSON.stringify(after)) changes.push({ path, before, after });
+}
+
+/**
+ * One revision per section that differs between two captureReportSections
+ * results: { section, changes, changesTruncated, before, after }.
+ */
+export function diffReportSections(before, after) {
+  const revisions = [];
+  for (const section of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const previous = before[section] ?? null;
+    const next = after[section] ?? null;
+    if (JSON.stringify(previous) === JSON.stringify(next)) continue;
+    const changes = [];
+    diffValues(previous, next, "", changes);
+    revisions.push({
+      section,
+      changes: changes.slice(0, MAX_CHANGES_PER_REVISION),
+      changesTruncated: changes.length > MAX_CHANGES_PER_REVISION,
+      before: previous,
+      after: next
+    });
+  }
+  return revisions;
+}
+
+/**
+ * Stores the revisions of one save. `source` is "save", "ai" or "restore".
+ * Failures are logged rather than thrown: the report itself is already saved.
+ */
+export async function recordReportRevisions({ report, revisions, actorId, actorRole, source = "save", aiRunId = null, restoredFrom = null }) {
+  if (!Array.isArray(revisions) || revisions.length === 0) return [];
+  try {
+    return await PatientReportRevision.insertMany(
+      revisions.map((revision) => ({
+        ...revision,
+        report: report._id,
+        patient: report.patient?._id ?? report.patient,
+        source,
+        actor: actorId,
+        actorRole: typeof actorRole === "string" ? actorRole : "",
+        aiRunId,
+        restoredFrom,
+        editVersion: report.editVersion ?? null
+      }))
+    );
+  } catch (err) {
+    console.error(`[ReportRevisions] Failed to record revisions for report ${report?._id}:`, err);
+    return [];
+  }
+}
+
+// Puts a section value back on a report document (the inverse of
+// readReportSection); the caller saves the report.
+export function writeReportSection(report, section, value) {
+  const [field, key] = section.split(".");
+  if (field === "structuredSections") {
+    report.set(`structuredSections.${key}`, value);
+    report.markModified(`structuredSections.${key}`);
+  } else if (field === "stepSnapshots") {
+    report.stepSnapshots.set(key, { data: value ?? {}, savedAt: new Date() });
+  } else {
+    report[field] = value;
+    report.markModified(field);
+  }
+}
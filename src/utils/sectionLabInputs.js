@@ -0,0 +1,207 @@
+import { computeKidneyScores } from "../Calculators/kidney.js";
+import { computeLiverScoresFromPatient } from "../Calculators/liver.js";
+import { computeInsulinResistance } from "../Calculators/metabolic.js";
+import { PatientReport } from "../Models/PatientReport.js";
+import { annotateLabTest } from "./labCatalog.js";
+import { resolveLabPatient } from "./labReferenceRanges.js";
+import { getReportTests } from "./labTrends.js";
+
+const LIVER_LAB_INPUTS = {
+  astIU_L: ["1920-8"],
+  altIU_L: ["1742-6"],
+  plateletCount10e9_L: ["777-3"],
+  albuminG_dL: ["1751-7"],
+  triglyceridesMg_dL: ["2571-8"],
+  ggtIU_L: ["2324-2"]
+};
+
+// The numeric lab inputs of each section under the section's own field
+// names, with the LOINC codes that may fill them in order of preference.
+// Every field is in its LOINC's canonical catalogue unit. The liver fields
+// double as the /liver-health-scores request fields; `diabetesAnnualRisk`
+// holds the request fields of /diabetes-annual-risk.
+export const SECTION_LAB_INPUTS = {
+  liverHealth: LIVER_LAB_INPUTS,
+  kidneyHealth: {
+    egfrMlMin1_73m2: ["62238-1"],
+    uacrMg_g: ["9318-7"],
+    serumCreatinineMg_dL: ["2160-0"],
+    cystatinCMg_L: ["33863-2"]
+  },
+  diabetesRisk: {
+    hba1cPct: ["4548-4"],
+    fastingGlucoseMg_dL: ["1558-6"],
+    fastingInsulinUu_mL: ["20448-7"],
+    ldlMg_dL: ["13457-7", "18262-6"]
+  },
+  diabetesAnnualRisk: {
+    hba1c: ["4548-4"],
+    fastingGlucoseMgDl: ["1558-6"],
+    fastingInsulinUuMl: ["20448-7"],
+    ldlMgDl: ["13457-7", "18262-6"]
+  }
+};
+
+// Sections whose saved lab inputs and scores follow the report's docs-tests.
+const REFRESHED_SECTIONS = ["liverHealth", "kidneyHealth", "diabetesRisk"];
+
+function toText(value) {
+  if (value == null) return null;
+  const s = String(value).trim();
+  return s ? s : null;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const s = toText(value)?.replace(/,/g, "");
+  return s && /^-?(?:\d+(?:\.\d+)?|\.\d+)$/.test(s) ? Number(s) : null;
+}
+
+function toTime(value) {
+  const t = Date.parse(value ?? "");
+  return Number.isFinite(t) ? t : -Infinity;
+}
+
+// The newest numeric value of every catalogued test on the report, by LOINC.
+// A test's own value is its latest; a test with only dated results uses the
+// last one. When two tests share a code the later collection wins.
+function readLatestLabs(report) {
+  const reportId = report?._id?.toString?.() || null;
+  const latest = new Map();
+  for (const test of getReportTests(report)) {
+    const annotated = annotateLabTest(test);
+    if (!annotated?.loinc) continue;
+    const results = Array.isArray(annotated.results)
+      ? annotated.results.filter((r) => typeof r?.canonicalValue === "number")
+      : [];
+    const source = typeof annotated.canonicalValue === "number" ? annotated : results[results.length - 1];
+    if (!source) continue;
+    const collectedAt = toText(results[results.length - 1]?.dateAndTime);
+    const previous = latest.get(annotated.loinc);
+    if (previous && toTime(collectedAt) <= toTime(previous.collectedAt)) continue;
+    latest.set(annotated.loinc, {
+      source: "docsTests",
+      reportId,
+      loinc: annotated.loinc,
+      testName: toText(annotated.testName),
+      value: toText(source.value),
+      unit: toText(source.unit) ?? toText(annotated.unit),
+      canonicalValue: source.canonicalValue,
+      canonicalUnit: annotated.canonicalUnit,
+      collectedAt
+    });
+  }
+  return latest;
+}
+
+/**
+ * Fills a section's lab inputs from the report's extracted docs-tests.
+ * Numbers already in `current` are kept and attributed to `currentSource`;
+ * the rest take the newest matching test, converted to the field's unit.
+ * Resolves { values, sources }: every field is in `values` (null when
+ * neither side has it) and every filled field has a `sources` entry, which
+ * for docs-tests values references the test it came from.
+ */
+export function prefillSectionLabInputs(section, report, current = {}, { currentSource = "request" } = {}) {
+  const fields = SECTION_LAB_INPUTS[section];
+  if (!fields) return { values: {}, sources: {} };
+  const labs = readLatestLabs(report);
+  const values = {};
+  const sources = {};
+  for (const [field, codes] of Object.entries(fields)) {
+    const entered = toNumber(current?.[field]);
+    if (entered !== null) {
+      values[field] = entered;
+      sources[field] = { source: currentSource };
+      continue;
+    }
+    const lab = codes.map((code) => labs.get(code)).find(Boolean);
+    values[field] = lab ? lab.canonicalValue : null;
+    if (lab) sources[field] = lab;
+  }
+  return { values, sources };
+}
+
+/**
+ * Scores derived from a section's lab inputs. `patient` carries age and sex
+ * and, for the liver scores, the non-lab inputs of
+ * computeLiverScoresFromPatient.
+ */
+export function computeSectionLabScores(section, values, patient = {}) {
+  const ageYears = Number.isFinite(patient?.age) ? patient.age : null;
+  const sex = typeof patient?.sex === "string" ? patient.sex : "";
+  if (section === "liverHealth") return computeLiverScoresFromPatient({ ...patient, ...values });
+  if (section === "kidneyHealth") {
+    return computeKidneyScores({
+      ageYears,
+      sex,
+      creatinineMg_dL: values.serumCreatinineMg_dL,
+      cystatinCMg_L: values.cystatinCMg_L,
+      egfr: values.egfrMlMin1_73m2,
+      uacrMg_g: values.uacrMg_g
+    });
+  }
+  if (section === "diabetesRisk") return { insulinResistance: computeInsulinResistance(values) };
+  return null;
+}
+
+// Anthropometry and diabetes status for the liver scores, taken from the
+// `computed.inputs` of a liver health analysis.
+function liverContext(inputs) {
+  if (!inputs || typeof inputs !== "object") return {};
+  return {
+    heightCm: inputs.heightCm,
+    weightKg: inputs.weightKg,
+    waistCm: inputs.waistCircumferenceCm,
+    bmiKg_m2: inputs.bmiKg_m2,
+    diabetesOrIfg: inputs.ifgOrDiabetes
+  };
+}
+
+/**
+ * Fills the `labs` an AI section analysis could not read from its uploads
+ * with the report's docs-tests, adds `labSources` and recomputes the
+ * analysis' scores. Returns the analysis unchanged when no lab was filled.
+ */
+export function fillAnalysisLabInputs(section, analysis, report, patient = {}) {
+  const labs = analysis?.labs && typeof analysis.labs === "object" ? analysis.labs : {};
+  const { values, sources } = prefillSectionLabInputs(section, report, labs, { currentSource: "aiExtraction" });
+  if (!Object.values(sources).some((s) => s.source === "docsTests")) return analysis;
+  const computed = analysis.computed && typeof analysis.computed === "object" ? analysis.computed : {};
+  const context = section === "liverHealth" ? { age: patient?.age, sex: patient?.sex, ...liverContext(computed.inputs) } : patient;
+  return {
+    ...analysis,
+    labs: { ...labs, ...values },
+    labSources: sources,
+    computed: { ...computed, ...computeSectionLabScores(section, values, context) }
+  };
+}
+
+export function loadSectionLabReport(reportId) {
+  return PatientReport.findById(reportId).select("patient docsTestsAnalysis").lean();
+}
+
+/**
+ * Re-derives `structuredSections.<section>.labInputs` ({ values, sources,
+ * computed, refreshedAt }) on a PatientReport document from its current
+ * docs-tests, so the section scores follow the labs whenever they change.
+ * Sections with no matching labs and no earlier lab inputs are left alone.
+ * The caller saves the document.
+ */
+export async function refreshSectionLabInputs(report) {
+  const patient = await resolveLabPatient({ patientId: report?.patient?._id ?? report?.patient });
+  for (const section of REFRESHED_SECTIONS) {
+    const current = report.structuredSections?.[section];
+    const existing = current && typeof current === "object" && !Array.isArray(current) ? current : {};
+    const { values, sources } = prefillSectionLabInputs(section, report);
+    if (Object.keys(sources).length === 0 && !existing.labInputs) continue;
+    const liverInputs = existing.aiAnalyses?.["liver-health"]?.liverHealth?.liverHealth?.computed?.inputs;
+    const context = section === "liverHealth" ? { ...patient, ...liverContext(liverInputs) } : patient;
+    report.set(`structuredSections.${section}`, {
+      ...existing,
+      labInputs: { values, sources, computed: computeSectionLabScores(section, values, context), refreshedAt: new Date() }
+    });
+    report.markModified(`structuredSections.${section}`);
+  }
+  return report;
+}
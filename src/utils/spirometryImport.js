@@ -0,0 +1,357 @@
+// Reads the CSV and XML result exports of office spirometers. Vendors lay
+// these out differently, so parameters are recognised by label rather than
+// by position: a tall table (one row per parameter with Pred/LLN/Pre/%Pred/
+// Post columns), a wide table (one header row of parameter names and one
+// row per session, the last one read) or XML elements named after the
+// parameter or carrying it in a name/id attribute or a <Name> child.
+
+const SPIROMETRY_EXTENSIONS = /\.(csv|xml)$/i;
+const SPIROMETRY_MIMES = new Set(["text/csv", "application/csv", "text/xml", "application/xml"]);
+
+const MEASURED_ROLE = "measured";
+
+/**
+ * True for uploads that look like a spirometer export: a .csv or .xml name,
+ * or a CSV/XML mime type.
+ */
+export function isSpirometryExport(file) {
+  const name = typeof file?.originalname === "string" ? file.originalname : "";
+  const mime = typeof file?.mimetype === "string" ? file.mimetype.toLowerCase() : "";
+  return SPIROMETRY_EXTENSIONS.test(name) || SPIROMETRY_MIMES.has(mime);
+}
+
+function squash(label) {
+  return String(label ?? "").toLowerCase().replace(/[^a-z0-9%]+/g, "");
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const match = typeof value === "string" ? value.trim().replace(",", ".").match(/^[-+]?\d*\.?\d+/) : null;
+  return match ? Number(match[0]) : null;
+}
+
+// Parameter (or demographic field) named by a label such as "FEV1 (L)",
+// "FEV1/FVC %", "FEF25-75", "Height", "DOB".
+function parameterOf(label) {
+  const s = squash(label);
+  if (!s) return null;
+  if ((s.includes("fev1") && s.includes("fvc")) || s.startsWith("tiffeneau")) return "fev1fvc";
+  if (s.includes("fef2575") || s.includes("mmef")) return "fef25_75";
+  if (s.startsWith("fev1")) return "fev1";
+  if (s.startsWith("fvc")) return "fvc";
+  if (s.startsWith("pef")) return "pef";
+  if (/^(dob|dateofbirth|birth)/.test(s)) return "dateOfBirth";
+  if (/^(testdate|visitdate|sessiondate|date$)/.test(s)) return "testDate";
+  if (/^age/.test(s)) return "age";
+  if (/^(sex|gender)/.test(s)) return "sex";
+  if (/^(height|ht$)/.test(s)) return "height";
+  if (/^(ethnic|race|origin|population)/.test(s)) return "ethnicity";
+  return null;
+}
+
+// Role of a column or of the qualifier in a label: "%Pred" before "Pred",
+// "LLN", "Z-score", "Post"; anything else is the measured (best pre) value.
+function roleOf(label) {
+  const s = squash(label);
+  if (/%pred|pred%|percentpred|%ref|ref%/.test(s) || s === "%") return "percentPredicted";
+  if (/lln|lowerlimit/.test(s)) return "lln";
+  if (/zscore|^z$|z$/.test(s) && !s.endsWith("fvcz")) return "zScore";
+  if (/pred|ref|normal/.test(s)) return "predicted";
+  if (/post|after/.test(s)) return "post";
+  if (/^(pre|best|meas|measured|actual|value|result|observed)/.test(s) || /pre$|best$/.test(s)) return MEASURED_ROLE;
+  return null;
+}
+
+function unitOf(label) {
+  const match = String(label ?? "").match(/\(([^)]+)\)|\[([^\]]+)\]/);
+  return match ? (match[1] ?? match[2]).trim() : "";
+}
+
+// What a label says besides the parameter and its unit, e.g. "LLN" in
+// "FEV1 LLN (L)".
+function qualifierOf(label) {
+  return String(label ?? "")
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, "")
+    .replace(/fev1\s*\/?\s*fvc|fev1|fvc|pef|fef\s*25\s*-?\s*75/gi, "");
+}
+
+// Rows of trimmed cells; the delimiter (comma, semicolon or tab) is guessed
+// from the first lines, and double-quoted cells may contain it.
+export function parseCsvRows(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  const sample = lines.slice(0, 10).join("\n");
+  const delimiter = [",", ";", "\t"].reduce((best, d) => (sample.split(d).length > sample.split(best).length ? d : best), ",");
+  return lines.map((line) => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i += 1) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === delimiter) {
+        cells.push(cell.trim());
+        cell = "";
+      } else cell += ch;
+    }
+    cells.push(cell.trim());
+    return cells;
+  });
+}
+
+// Collects { parameter, role, value, unit } readings from CSV rows.
+function readCsv(text) {
+  const rows = parseCsvRows(text);
+  const readings = [];
+
+  const wideHeader = rows.findIndex((row) => row.filter((cell) => parameterOf(cell)).length >= 3);
+  if (wideHeader >= 0 && rows.length > wideHeader + 1) {
+    const header = rows[wideHeader];
+    const values = rows.slice(wideHeader + 1).filter((row) => row.some((cell) => cell)).pop() ?? [];
+    header.forEach((label, i) => {
+      const parameter = parameterOf(label);
+      if (!parameter || !values[i]) return;
+      readings.push({ parameter, role: roleOf(qualifierOf(label)) ?? MEASURED_ROLE, value: values[i], unit: unitOf(label) });
+    });
+    return readings;
+  }
+
+  let columns = null;
+  for (const row of rows) {
+    const labelIndex = row.findIndex((cell) => parameterOf(cell));
+    if (labelIndex < 0) {
+      const roles = row.map((cell) => roleOf(cell));
+      if (roles.filter(Boolean).length >= 2) columns = roles;
+      continue;
+    }
+    const parameter = parameterOf(row[labelIndex]);
+    const rest = row.slice(labelIndex + 1);
+    const unitCell = rest.find((cell) => cell && toNumber(cell) === null && !roleOf(cell));
+    const unit = unitOf(row[labelIndex]) || (parameter === "sex" || parameter === "ethnicity" ? "" : unitCell ?? "");
+    if (parameter === "sex" || parameter === "ethnicity" || parameter === "dateOfBirth" || parameter === "testDate") {
+      const value = rest.find((cell) => cell);
+      if (value) readings.push({ parameter, role: MEASURED_ROLE, value, unit: "" });
+      continue;
+    }
+    if (columns) {
+      row.forEach((cell, i) => {
+        if (i <= labelIndex || !columns[i] || toNumber(cell) === null) return;
+        readings.push({ parameter, role: columns[i], value: cell, unit });
+      });
+    }
+    if (!readings.some((r) => r.parameter === parameter && r.role === MEASURED_ROLE)) {
+      const value = rest.find((cell) => toNumber(cell) !== null);
+      if (value !== undefined) readings.push({ parameter, role: MEASURED_ROLE, value, unit });
+    }
+  }
+  return readings;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+// A small, non-validating XML reader: elements with attributes, children and
+// text. Comments, processing instructions and doctypes are skipped.
+function parseXml(text) {
+  const root = { name: "", attributes: {}, children: [], text: "" };
+  const stack = [root];
+  const token = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[[\s\S]*?\]\]>|<\/?([A-Za-z_][\w.:-]*)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = token.exec(text))) {
+    const [whole, name, rawAttributes, selfClosing, chars] = match;
+    const current = stack[stack.length - 1];
+    if (chars !== undefined || whole.startsWith("<![CDATA[")) {
+      current.text += decodeXml(whole);
+      continue;
+    }
+    if (!name) continue;
+    if (whole.startsWith("</")) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+    const attributes = {};
+    for (const [, key, , v1, v2] of rawAttributes.matchAll(/([\w.:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+      attributes[key.replace(/^.*:/, "")] = decodeXml(v1 ?? v2 ?? "");
+    }
+    const element = { name: name.replace(/^.*:/, ""), attributes, children: [], text: "" };
+    current.children.push(element);
+    if (!selfClosing) stack.push(element);
+  }
+  return root;
+}
+
+const XML_LABEL_ATTRIBUTES = ["name", "id", "param", "parameter", "label", "code", "type"];
+const XML_LABEL_CHILDREN = new Set(["name", "id", "param", "parameter", "parametername", "label", "code"]);
+
+function childText(element, predicate) {
+  const child = element.children.find((c) => predicate(squash(c.name)));
+  return child ? child.text.trim() : "";
+}
+
+// Walks the XML tree and collects readings. A value under a "best" element
+// (or one the device marks best) replaces the trial values read before it.
+function readXml(text) {
+  const readings = [];
+  const visit = (element, inBest) => {
+    const best = inBest || /best/i.test(element.name) || /^(true|1|yes)$/i.test(element.attributes.best ?? element.attributes.isBest ?? "");
+    const labelAttribute = XML_LABEL_ATTRIBUTES.map((key) => element.attributes[key] ?? element.attributes[key[0].toUpperCase() + key.slice(1)]).find((v) => parameterOf(v));
+    const label = labelAttribute ?? (childText(element, (n) => XML_LABEL_CHILDREN.has(n)) || element.name);
+    const parameter = parameterOf(label);
+    if (parameter) {
+      const unit = element.attributes.unit ?? element.attributes.Unit ?? element.attributes.units ?? childText(element, (n) => n === "unit" || n === "units") ?? unitOf(label);
+      const qualifierRole = labelAttribute ? null : roleOf(qualifierOf(label));
+      const own = element.text.trim() || element.attributes.value || element.attributes.Value || "";
+      if (own) readings.push({ parameter, role: qualifierRole ?? MEASURED_ROLE, value: own, unit, best });
+      for (const child of element.children) {
+        const role = roleOf(child.name);
+        if (role && child.text.trim()) readings.push({ parameter, role, value: child.text.trim(), unit, best });
+      }
+      for (const [key, value] of Object.entries(element.attributes)) {
+        const role = roleOf(key);
+        if (role && key.toLowerCase() !== "value" && value) readings.push({ parameter, role, value, unit, best });
+      }
+    }
+    for (const child of element.children) visit(child, best);
+  };
+  visit(parseXml(text), false);
+  return readings;
+}
+
+function toLitres(value, unit) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  if (/^ml$/i.test(unit) || (!unit && n > 20)) return n / 1000;
+  return n;
+}
+
+function toRatio(value, unit) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  return unit === "%" || n > 1.5 ? n / 100 : n;
+}
+
+function toHeightCm(value, unit) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  if (/^(in|inch|inches)$/i.test(unit)) return n * 2.54;
+  if (/^m$/i.test(unit) || n < 3) return n * 100;
+  return n;
+}
+
+function toSex(value) {
+  const s = squash(value);
+  if (/^(m|male|man)$/.test(s)) return "male";
+  if (/^(f|female|woman)$/.test(s)) return "female";
+  return null;
+}
+
+// Maps a vendor ethnicity label onto the GLI-2012 groups; South Asian and
+// unlisted groups use GLI "other".
+export function toGliEthnicity(value) {
+  const s = squash(value);
+  if (!s) return null;
+  if (/caucas|white|european/.test(s)) return "caucasian";
+  if (/africanamerican|black/.test(s)) return "african_american";
+  if (/northeastasian|neasian|chinese|japanese|korean/.test(s)) return "north_east_asian";
+  if (/southeastasian|seasian|thai|vietnam|malay|filipino|indonesian/.test(s)) return "south_east_asian";
+  return "other";
+}
+
+function ageFromDates(dateOfBirth, testDate) {
+  const born = Date.parse(dateOfBirth ?? "");
+  const tested = testDate ? Date.parse(testDate) : Date.now();
+  if (!Number.isFinite(born) || !Number.isFinite(tested) || tested <= born) return null;
+  return (tested - born) / (365.25 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Parses one spirometer export (a multer file). Resolves { fileName, format,
+ * patient: { ageYears, sex, heightCm, ethnicity }, pre: { fev1L, fvcL,
+ * fev1FvcRatio, pef, fef25_75, units }, post: { ... }, devicePredicted:
+ * { fev1, fvc, fev1fvc: { predicted, lln, zScore, percentPredicted } } }.
+ * Volumes are in litres and FEV1/FVC is a ratio; PEF and FEF25-75 keep the
+ * export's unit. Throws a 400 error when FEV1 and FVC cannot be found.
+ */
+export function parseSpirometryExport(file) {
+  const fileName = typeof file?.originalname === "string" ? file.originalname : "";
+  const text = Buffer.isBuffer(file?.buffer) ? file.buffer.toString("utf8").replace(/^\uFEFF/, "") : "";
+  const format = /^\s*</.test(text) ? "xml" : "csv";
+  const readings = format === "xml" ? readXml(text) : readCsv(text);
+
+  const pick = (parameter, role) => {
+    const matches = readings.filter((r) => r.parameter === parameter && r.role === role);
+    return matches.find((r) => r.best) ?? matches[0] ?? null;
+  };
+  const volume = (parameter, role) => {
+    const r = pick(parameter, role);
+    return r ? toLitres(r.value, r.unit) : null;
+  };
+  const ratio = (role) => {
+    const r = pick("fev1fvc", role);
+    return r ? toRatio(r.value, r.unit) : null;
+  };
+  const raw = (parameter, role) => {
+    const r = pick(parameter, role);
+    return r ? { value: toNumber(r.value), unit: r.unit || "" } : { value: null, unit: "" };
+  };
+  const session = (role) => ({
+    fev1L: volume("fev1", role),
+    fvcL: volume("fvc", role),
+    fev1FvcRatio: ratio(role),
+    pef: raw("pef", role).value,
+    fef25_75: raw("fef25_75", role).value,
+    units: { pef: raw("pef", role).unit, fef25_75: raw("fef25_75", role).unit }
+  });
+
+  const pre = session(MEASURED_ROLE);
+  if (pre.fev1FvcRatio === null && pre.fev1L && pre.fvcL) pre.fev1FvcRatio = pre.fev1L / pre.fvcL;
+  if (pre.fev1L === null && pre.fvcL === null) {
+    throw Object.assign(new Error(`Could not read FEV1 or FVC from ${fileName || "the spirometry export"}`), { statusCode: 400 });
+  }
+  const post = session("post");
+  if (post.fev1FvcRatio === null && post.fev1L && post.fvcL) post.fev1FvcRatio = post.fev1L / post.fvcL;
+
+  const reference = (parameter) => {
+    const convert = parameter === "fev1fvc" ? (r) => toRatio(r.value, r.unit === "%" ? "%" : "") : (r) => toLitres(r.value, r.unit);
+    const read = (role, fn) => {
+      const r = pick(parameter, role);
+      return r ? fn(r) : null;
+    };
+    return {
+      predicted: read("predicted", convert),
+      lln: read("lln", convert),
+      zScore: read("zScore", (r) => toNumber(r.value)),
+      percentPredicted: read("percentPredicted", (r) => toNumber(r.value))
+    };
+  };
+
+  const demographic = (parameter) => pick(parameter, MEASURED_ROLE);
+  const age = toNumber(demographic("age")?.value);
+  const height = demographic("height");
+  return {
+    fileName,
+    format,
+    patient: {
+      ageYears: age ?? ageFromDates(demographic("dateOfBirth")?.value, demographic("testDate")?.value),
+      sex: toSex(demographic("sex")?.value),
+      heightCm: height ? toHeightCm(height.value, height.unit) : null,
+      ethnicity: toGliEthnicity(demographic("ethnicity")?.value)
+    },
+    pre,
+    post,
+    devicePredicted: { fev1: reference("fev1"), fvc: reference("fvc"), fev1fvc: reference("fev1fvc") }
+  };
+}
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { runJsonHandler } from "../src/utils/aiJobQueue.js";
+
+// Patches res.json the way the AI middlewares do, answering after an await.
+function addField(name, value) {
+  return (req, res, next) => {
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.json = originalJson;
+      Promise.resolve().then(() => originalJson({ ...body, [name]: value }));
+      return res;
+    };
+    next();
+  };
+}
+
+describe("runJsonHandler", () => {
+  it("runs a middleware chain and resolves with the final body", async () => {
+    const body = await runJsonHandler(
+      [addField("outer", 1), addField("inner", 2), (req, res) => res.json({ path: req.path })],
+      { path: "/docs-tests" }
+    );
+    assert.deepEqual(body, { path: "/docs-tests", inner: 2, outer: 1 });
+  });
+
+  it("rejects with the status of an error answer", async () => {
+    await assert.rejects(
+      runJsonHandler([addField("outer", 1), (req, res) => res.status(422).json({ error: "bad input" })], {}),
+      (err) => err.status === 422 && err.message === "bad input"
+    );
+  });
+
+  it("rejects when a middleware passes an error on", async () => {
+    const failing = (req, res, next) => next(new Error("quota lookup failed"));
+    await assert.rejects(runJsonHandler([failing, (req, res) => res.json({})], {}), /quota lookup failed/);
+  });
+
+  it("rejects when the handler returns without answering", async () => {
+    await assert.rejects(runJsonHandler([addField("outer", 1), async () => {}], {}), /without a response/);
+  });
+});
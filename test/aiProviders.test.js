@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+process.env.AI_MOCK_PROVIDER = "1";
+const { generateAiText, registerAiProvider, trackAiCalls } = await import("../src/AiProviders/index.js");
+const { AI_OUTPUT_SCHEMAS } = await import("../src/AiSchemas/index.js");
+const { generateValidatedAiText } = await import("../src/utils/aiOutputValidation.js");
+
+describe("trackAiCalls", () => {
+  it("logs a call to every enclosing tracker", async () => {
+    let inner = [];
+    const outer = await trackAiCalls(async (calls) => {
+      await trackAiCalls(async (log) => {
+        inner = log;
+        await generateAiText({ provider: "mock", task: "trackerTest", userPrompt: "" });
+      });
+      return calls;
+    });
+    assert.equal(inner.length, 1);
+    assert.deepEqual(outer, inner);
+    assert.equal(outer[0].provider, "mock");
+  });
+});
+
+describe("generateAiText fallback", () => {
+  const provider = (name, generate) => ({ name, aliases: [], isConfigured: () => true, getModel: () => name, generate });
+
+  it("logs answers that were not used as fallback attempts", async () => {
+    registerAiProvider(provider("prose", async () => ({ text: "Sure! Here it is.", model: "prose-1", usage: { input_tokens: 10, output_tokens: 5 } })));
+    registerAiProvider(
+      provider("blocked", async () => {
+        throw Object.assign(new Error("no content (SAFETY)"), { model: "blocked-1", usage: { promptTokenCount: 7 } });
+      })
+    );
+    registerAiProvider(provider("json", async () => ({ text: "{}", model: "json-1", usage: { input_tokens: 10, output_tokens: 1 } })));
+    process.env.AI_FALLBACK_PROVIDERS = "blocked,json";
+    try {
+      const calls = await trackAiCalls(async (log) => {
+        await generateAiText({ provider: "prose", task: "fallbackTest", userPrompt: "" });
+        return log;
+      });
+      assert.deepEqual(
+        calls.map((c) => [c.provider, Boolean(c.fallbackAttempt)]),
+        [
+          ["blocked", true],
+          ["prose", true],
+          ["json", false]
+        ]
+      );
+      assert.deepEqual(calls[1].usage, { input_tokens: 10, output_tokens: 5 });
+      assert.equal(calls[2].attempts.length, 3);
+    } finally {
+      delete process.env.AI_FALLBACK_PROVIDERS;
+    }
+  });
+});
+
+describe("mock provider", () => {
+  it("answers every output schema without a fixture with a valid minimal answer", async () => {
+    for (const schema of Object.keys(AI_OUTPUT_SCHEMAS)) {
+      const { validation } = await generateValidatedAiText({ provider: "mock", task: "noFixture", schema, userPrompt: "" });
+      assert.ok(validation.valid, `${schema}: ${JSON.stringify(validation.errors)}`);
+      assert.equal(validation.attempts, 1);
+    }
+  });
+});
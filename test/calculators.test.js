@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { runCalculator } from "../src/Calculators/index.js";
+import { computePooledCohortRisk, computeQrisk3 } from "../src/Calculators/cardiovascular.js";
+import { computeEgfrCkdEpi2021Creatinine, computeKidneyFailureRisk } from "../src/Calculators/kidney.js";
+import { computeFib4, computeNfs } from "../src/Calculators/liver.js";
+
+// Published values are given to one or two decimals.
+function assertRounded(actual, expected, decimals) {
+  assert.ok(Number.isFinite(actual), `expected a number, got ${actual}`);
+  assert.equal(Number(actual.toFixed(decimals)), expected);
+}
+
+describe("CKD-EPI 2021 creatinine (Inker et al., NEJM 2021)", () => {
+  it("matches the published eGFR at age 50 and creatinine 1.0 mg/dL", () => {
+    assertRounded(computeEgfrCkdEpi2021Creatinine({ ageYears: 50, sex: "female", creatinineMg_dL: 1 }), 68.6, 1);
+    assertRounded(computeEgfrCkdEpi2021Creatinine({ ageYears: 50, sex: "male", creatinineMg_dL: 1 }), 91.7, 1);
+  });
+
+  it("stages the result through the calculators API", () => {
+    const out = runCalculator("ckd-epi-2021", { ageYears: 50, sex: "female", creatinineMg_dL: 1 });
+    assert.equal(out.interpretation.band, "G2");
+    assert.equal(out.result.egfrCreatinineCystatin, null);
+  });
+});
+
+describe("Pooled Cohort Equations (Goff et al., Circulation 2014)", () => {
+  // The guideline's worked example: age 55, total cholesterol 213 mg/dL,
+  // HDL 50 mg/dL, untreated systolic 120 mmHg, non-smoker, no diabetes.
+  const example = { ageYears: 55, totalCholesterolMg_dL: 213, hdlMg_dL: 50, sbp: 120, bpTreated: false, smoker: false, diabetes: false };
+  const cases = [
+    ["female", "white", 2.05],
+    ["male", "white", 5.38],
+    ["female", "african_american", 3.03],
+    ["male", "african_american", 6.07]
+  ];
+
+  for (const [sex, race, expected] of cases) {
+    it(`gives ${expected}% for a ${race.replace("_", " ")} ${sex}`, () => {
+      assertRounded(computePooledCohortRisk({ ...example, sex, race }).risk10yPct, expected, 2);
+    });
+  }
+
+  it("uses the white equations for other races", () => {
+    const out = runCalculator("ascvd-pce", { ...example, sex: "male", race: "other" });
+    assert.equal(out.result.equation, "male_white");
+    assert.equal(out.interpretation.band, "borderline");
+  });
+});
+
+describe("QRISK3-2017 (Hippisley-Cox et al., BMJ 2017)", () => {
+  // Every continuous term of the published algorithm is centred on the
+  // cohort mean, so a white non-smoker without risk factors at those means
+  // has the baseline 10-year risk 1 - survivor10y (0.988876402378082 for
+  // women, 0.977268040180206 for men).
+  const base = { ethnicity: "white_or_not_stated", smokingCategory: "non_smoker", diabetes: "none" };
+
+  it("gives the baseline risk for a woman at the cohort means", () => {
+    const out = computeQrisk3({
+      ...base,
+      sex: "female",
+      ageYears: 10 / Math.sqrt(0.053274843841791),
+      bmiKg_m2: 10 / Math.sqrt(0.154946178197861),
+      cholesterolHdlRatio: 3.47632646560669,
+      sbp: 123.13001251220703,
+      sbpSd: 9.002537727355957,
+      townsend: 0.392308831214905
+    });
+    assertRounded(out.risk10yPct, 1.11, 2);
+  });
+
+  it("gives the baseline risk for a man at the cohort means", () => {
+    const out = computeQrisk3({
+      ...base,
+      sex: "male",
+      ageYears: 10 / 0.234766781330109,
+      bmiKg_m2: 10 / Math.sqrt(0.149176135659218),
+      cholesterolHdlRatio: 4.300998687744141,
+      sbp: 128.5715789794922,
+      sbpSd: 8.756621360778809,
+      townsend: 0.52630490064621
+    });
+    assertRounded(out.risk10yPct, 2.27, 2);
+  });
+
+  it("rejects out-of-range inputs through the calculators API", () => {
+    assert.throws(
+      () => runCalculator("qrisk3", { sex: "male", ageYears: 90, smokingCategory: "non_smoker", bmiKg_m2: 25, cholesterolHdlRatio: 4, sbp: 130 }),
+      (err) => err.statusCode === 400 && err.details.some((d) => d.field === "ageYears")
+    );
+  });
+});
+
+describe("Kidney failure risk equation (Tangri et al., JAMA 2016)", () => {
+  // At the published centring values (age 70.36, eGFR 36.11, ln UACR 5.137)
+  // only the sex term is left: a man's linear predictor is
+  // 0.2467 * (1 - 0.5642) = 0.10751, so the non-North American risks are
+  // 1 - 0.9832^e^0.10751 = 1.87% at 2 years and 1 - 0.9365^e^0.10751 = 7.04%
+  // at 5 years.
+  it("gives the baseline risks at the centring values", () => {
+    const out = computeKidneyFailureRisk({ ageYears: 70.36, sex: "male", egfr: 36.11, uacr: Math.exp(5.137) });
+    assertRounded(out.risk2YearPct, 1.87, 2);
+    assertRounded(out.risk5YearPct, 7.04, 2);
+  });
+
+  it("bands the 5-year risk for referral through the calculators API", () => {
+    const out = runCalculator("kfre", { ageYears: 70.36, sex: "male", egfr: 36.11, uacr: Math.exp(5.137) });
+    assert.equal(out.interpretation.band, "moderate");
+  });
+});
+
+describe("FIB-4 (Sterling et al., Hepatology 2006)", () => {
+  // age x AST / (platelets x sqrt(ALT)) = 50 x 40 / (200 x 5) = 2.0
+  it("computes the published formula", () => {
+    assert.equal(computeFib4({ ageYears: 50, astIU_L: 40, altIU_L: 25, plateletCount10e9_L: 200 }), 2);
+  });
+
+  it("bands 1.45-3.25 as indeterminate", () => {
+    const out = runCalculator("fib4", { ageYears: 50, astIU_L: 40, altIU_L: 25, plateletCount10e9_L: 200 });
+    assert.equal(out.interpretation.band, "indeterminate");
+  });
+});
+
+describe("NAFLD fibrosis score (Angulo et al., Hepatology 2007)", () => {
+  // -1.675 + 0.037 x 50 + 0.094 x 30 + 1.13 x 1 + 0.99 x 40/40 - 0.013 x 200 - 0.66 x 4 = -0.125
+  const input = { ageYears: 50, bmiKg_m2: 30, ifgOrDiabetes: true, astIU_L: 40, altIU_L: 40, plateletCount10e9_L: 200, albuminG_dL: 4 };
+
+  it("computes the published formula", () => {
+    assertRounded(computeNfs(input), -0.125, 3);
+  });
+
+  it("bands the score on the -1.455 and 0.675 cut-offs", () => {
+    assert.equal(runCalculator("nfs", input).interpretation.band, "indeterminate");
+    // -1.675 + 1.48 + 2.35 + 0 + 0.495 - 3.25 - 2.97 = -3.57
+    const low = { ageYears: 40, bmiKg_m2: 25, ifgOrDiabetes: false, astIU_L: 20, altIU_L: 40, plateletCount10e9_L: 250, albuminG_dL: 4.5 };
+    assertRounded(computeNfs(low), -3.57, 3);
+    assert.equal(runCalculator("nfs", low).interpretation.band, "low");
+  });
+});
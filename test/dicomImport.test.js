@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { describe, it } from "node:test";
+
+process.env.DICOM_MAX_INFLATED_MB = "1";
+const { parseDicomFile } = await import("../src/utils/dicomImport.js");
+
+// Explicit VR little endian element with a 2-byte length.
+function element(group, tag, vr, value) {
+  const header = Buffer.alloc(8);
+  header.writeUInt16LE(group, 0);
+  header.writeUInt16LE(tag, 2);
+  header.write(vr, 4, "ascii");
+  header.writeUInt16LE(value.length, 6);
+  return Buffer.concat([header, value]);
+}
+
+function dicomFile(meta, dataset = Buffer.alloc(0)) {
+  const groupLength = Buffer.alloc(4);
+  groupLength.writeUInt32LE(meta.length);
+  return Buffer.concat([Buffer.alloc(128), Buffer.from("DICM"), element(0x0002, 0x0000, "UL", groupLength), meta, dataset]);
+}
+
+describe("parseDicomFile", () => {
+  it("answers 400 for malformed file meta information", async () => {
+    // The transfer syntax element claims 200 bytes, but the meta group ends after 8.
+    const header = element(0x0002, 0x0010, "UI", Buffer.alloc(0));
+    header.writeUInt16LE(200, 6);
+    const buffer = dicomFile(header, Buffer.alloc(4));
+    await assert.rejects(parseDicomFile({ originalname: "scan.dcm", buffer }), (err) => err.statusCode === 400);
+  });
+
+  it("answers 400 when a deflated dataset inflates past the limit", async () => {
+    const meta = element(0x0002, 0x0010, "UI", Buffer.from("1.2.840.10008.1.2.1.99\0", "ascii"));
+    const buffer = dicomFile(meta, zlib.deflateRawSync(Buffer.alloc(2 * 1024 * 1024)));
+    await assert.rejects(
+      parseDicomFile({ originalname: "scan.dcm", buffer }),
+      (err) => err.statusCode === 400 && /inflates to more than 1 MB/.test(err.message)
+    );
+  });
+});
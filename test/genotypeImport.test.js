@@ -0,0 +1,16 @@
+import assert from "node:assert/strict";
+import zlib from "node:zlib";
+import { describe, it } from "node:test";
+
+process.env.GENOTYPE_MAX_UNPACKED_MB = "1";
+const { parseGenotypeFile } = await import("../src/utils/genotypeImport.js");
+
+describe("parseGenotypeFile", () => {
+  it("answers 400 when a .vcf.gz decompresses past the limit", () => {
+    const buffer = zlib.gzipSync(Buffer.alloc(2 * 1024 * 1024, "A"));
+    assert.throws(
+      () => parseGenotypeFile({ originalname: "sample.vcf.gz", buffer }),
+      (err) => err.statusCode === 400 && /decompresses to more than 1 MB/.test(err.message)
+    );
+  });
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { buildGli2012Equations } from "../src/utils/gli2012Tables.js";
+
+// Synthetic tables in the GLI-2012 layout, NOT the published values.
+const coefficients = [
+  "sex,parameter,a0,a1,a2,a3,a4,a5,a6,p0,p1,p2,p3,p4,p5,q0,q1",
+  "1,FEV1,-10,2,0.05,-0.1,0.01,-0.02,-0.03,-2.3,0.08,0.02,-0.01,0.03,0.04,0.9,0.08"
+].join("\n");
+const lookup = ["sex,parameter,age,Mspline,Sspline", "1,FEV1,40.25,0.2,0.3", "1,FEV1,40,0.1,0.2"].join("\n");
+
+describe("buildGli2012Equations", () => {
+  const equations = buildGli2012Equations({ coefficients, lookup });
+
+  it("maps the published coefficient names onto the equation terms", () => {
+    assert.deepEqual(equations.male.fev1.M, {
+      intercept: -10,
+      lnHeight: 2,
+      lnAge: 0.05,
+      ethnicity: { african_american: -0.1, north_east_asian: 0.01, south_east_asian: -0.02, other: -0.03 }
+    });
+    assert.deepEqual(equations.male.fev1.S.ethnicity, { african_american: 0.02, north_east_asian: -0.01, south_east_asian: 0.03, other: 0.04 });
+    assert.deepEqual(equations.male.fev1.L, { intercept: 0.9, lnAge: 0.08 });
+  });
+
+  it("sorts the lookup rows by age and defaults a missing Lspline to 0", () => {
+    assert.deepEqual(equations.male.fev1.splines, [
+      [40, 0.1, 0.2, 0],
+      [40.25, 0.2, 0.3, 0]
+    ]);
+  });
+
+  it("produces tables the spirometry calculator reads", async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gli-")), "gli2012.json");
+    fs.writeFileSync(file, JSON.stringify({ equations }));
+    process.env.GLI_2012_TABLES_PATH = file;
+    const { computeGli2012Reference } = await import("../src/Calculators/lung.js");
+
+    const ref = computeGli2012Reference({ parameter: "fev1", ageYears: 40, sex: "male", heightCm: 170, ethnicity: "other" });
+    const m = Math.exp(-10 + 2 * Math.log(170) + 0.05 * Math.log(40) - 0.03 + 0.1);
+    const s = Math.exp(-2.3 + 0.08 * Math.log(40) + 0.04 + 0.2);
+    const l = 0.9 + 0.08 * Math.log(40);
+    assert.ok(Math.abs(ref.predicted - m) < 1e-9);
+    assert.ok(Math.abs(ref.lln - m * Math.pow(1 - 1.645 * l * s, 1 / l)) < 1e-9);
+  });
+
+  it("rejects rows it cannot read", () => {
+    assert.throws(() => buildGli2012Equations({ coefficients: coefficients.replace("-2.3", "x"), lookup }), /coefficients line 2: p0/);
+    assert.throws(() => buildGli2012Equations({ coefficients, lookup: `${lookup}\n2,FVC,40,0,0` }), /no coefficients for female fvc/);
+    assert.throws(() => buildGli2012Equations({ coefficients, lookup: "sex,parameter,age,Mspline,Sspline" }), /No lookup rows for male fev1/);
+  });
+});
@@ -0,0 +1,65 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createCanvas } from "@napi-rs/canvas";
+
+import { attachImagePreprocessing, collectImagePreprocessing, preprocessImagesForVision } from "../src/utils/imagePreprocessing.js";
+
+// A photo of a page of text lines on a dark desk, the page turned by `skew` degrees.
+async function photographPage({ width = 3200, height = 2400, skew = 0 } = {}) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#303030";
+  ctx.fillRect(0, 0, width, height);
+  ctx.translate(width / 2, height / 2);
+  ctx.rotate((skew * Math.PI) / 180);
+  const page = { width: width * 0.6, height: height * 0.8 };
+  ctx.fillStyle = "#e0e0e0";
+  ctx.fillRect(-page.width / 2, -page.height / 2, page.width, page.height);
+  ctx.fillStyle = "#202020";
+  for (let y = -page.height / 2 + 60; y < page.height / 2 - 60; y += 40) {
+    ctx.fillRect(-page.width / 2 + 60, y, page.width - 120, 12);
+  }
+  return { originalname: "report.png", mimetype: "image/png", buffer: await canvas.encode("png") };
+}
+
+describe("preprocessImagesForVision", () => {
+  it("crops to the page, deskews it and sizes it for the provider", async () => {
+    const [images, [file]] = await collectImagePreprocessing(async (log) => [log, await preprocessImagesForVision([await photographPage({ skew: 3 })], { provider: "claude" })]);
+    const [report] = images;
+
+    assert.equal(file.mimetype, "image/jpeg");
+    assert.equal(file.originalname, "report.jpg");
+    assert.deepEqual(report.applied, ["crop", "deskew", "downscale", "contrast"]);
+    // skewDegrees is the rotation applied, which undoes the page's turn.
+    assert.ok(Math.abs(report.skewDegrees + 3) <= 0.3, `skew ${report.skewDegrees}`);
+    // The page is about 60% x 80% of the photo; the crop keeps a 1% margin.
+    assert.ok(report.crop.width < 3200 * 0.7 && report.crop.height < 2400 * 0.9);
+    // Claude's long edge limit is 1568px and it bills width x height / 750.
+    assert.ok(Math.max(report.processed.width, report.processed.height) <= 1568);
+    assert.equal(report.estimatedTokens.after, Math.ceil((report.processed.width * report.processed.height) / 750));
+    assert.equal(report.estimatedTokens.before, Math.ceil((1568 * 1176) / 750));
+
+    const [[again]] = await collectImagePreprocessing(async (log) => [log, await preprocessImagesForVision([file], { provider: "claude" })]);
+    assert.equal(again.skewDegrees, 0);
+  });
+
+  it("leaves a straight page straight", async () => {
+    const [[report]] = await collectImagePreprocessing(async (log) => [log, await preprocessImagesForVision([await photographPage()], { provider: "gemini" })]);
+    assert.equal(report.skewDegrees, 0);
+    assert.ok(!report.applied.includes("deskew"));
+  });
+
+  it("passes an image it cannot decode through unchanged", async () => {
+    const broken = { originalname: "broken.jpg", mimetype: "image/jpeg", buffer: Buffer.from("not an image") };
+    const [[report], [file]] = await collectImagePreprocessing(async (log) => [log, await preprocessImagesForVision([broken])]);
+    assert.equal(file, broken);
+    assert.ok(report.error);
+  });
+
+  it("sums the token estimates on the response", () => {
+    const images = [{ estimatedTokens: { before: 3000, after: 1200 } }, { estimatedTokens: { before: 1000, after: 800 } }];
+    assert.deepEqual(attachImagePreprocessing({ ok: true }, images).imagePreprocessing.estimatedTokens, { before: 4000, after: 2000 });
+    assert.deepEqual(attachImagePreprocessing({ error: "failed" }, images), { error: "failed" });
+  });
+});
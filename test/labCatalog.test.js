@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { annotateLabTest, findLabTest, fromCanonicalLabValue, labTestMergeKey, normalizeLabUnit, toCanonicalLabValue } from "../src/utils/labCatalog.js";
+
+describe("LOINC mapping", () => {
+  it("maps aliases and qualified names to one entry", () => {
+    assert.equal(findLabTest("FBS").loinc, "1558-6");
+    assert.equal(findLabTest("Serum Creatinine (Jaffe Method)").loinc, "2160-0");
+    assert.equal(findLabTest("S. Creatinine").loinc, "2160-0");
+    assert.equal(labTestMergeKey("Glycosylated Haemoglobin"), labTestMergeKey("HbA1c"));
+  });
+
+  it("leaves tests outside the catalogue unmapped", () => {
+    assert.equal(findLabTest("Dengue NS1 Antigen"), null);
+    assert.deepEqual(annotateLabTest({ testName: "Dengue NS1 Antigen", value: "Negative" }), {
+      testName: "Dengue NS1 Antigen",
+      value: "Negative",
+      loinc: null,
+      canonicalValue: null,
+      canonicalUnit: null
+    });
+  });
+});
+
+describe("canonical units", () => {
+  it("normalizes unit spellings", () => {
+    assert.equal(normalizeLabUnit("µmol/L"), "umol/l");
+    assert.equal(normalizeLabUnit("x10³/cumm"), "10^3/ul");
+    assert.equal(normalizeLabUnit("Lakhs/cumm"), "lakh/ul");
+  });
+
+  it("converts SI units to the canonical unit", () => {
+    // 5.5 mmol/L x 18.016 = 99.09 mg/dL
+    assert.equal(toCanonicalLabValue(findLabTest("Fasting Glucose"), "5.5", "mmol/L"), 99.09);
+    // 88.4 umol/L x 0.01131 = 0.9998 mg/dL (88.4 umol/L is 1 mg/dL)
+    assert.equal(toCanonicalLabValue(findLabTest("Creatinine"), "88.4", "µmol/L"), 0.9998);
+    // 5.2 mmol/L x 38.67 = 201.1 mg/dL
+    assert.equal(toCanonicalLabValue(findLabTest("Total Cholesterol"), 5.2, "mmol/l"), 201.1);
+    // 75 nmol/L x 0.4006 = 30.05 ng/mL
+    assert.equal(toCanonicalLabValue(findLabTest("Vitamin D (25-OH)"), "75", "nmol/L"), 30.05);
+  });
+
+  it("converts IFCC HbA1c to NGSP percent with the offset", () => {
+    // 48 mmol/mol x 0.09148 + 2.152 = 6.543%
+    const entry = findLabTest("HbA1c");
+    assert.equal(toCanonicalLabValue(entry, "48", "mmol/mol"), 6.543);
+    assert.equal(fromCanonicalLabValue(entry, 6.543, "mmol/mol"), 48);
+  });
+
+  it("converts platelet counts in lakhs", () => {
+    assert.equal(toCanonicalLabValue(findLabTest("Platelet Count"), "2.5", "lakhs/cumm"), 250);
+    assert.equal(toCanonicalLabValue(findLabTest("Platelet Count"), "250,000", "/cumm"), 250);
+  });
+
+  it("does not convert non-numeric values or unknown units", () => {
+    const entry = findLabTest("Glucose");
+    assert.equal(toCanonicalLabValue(entry, "<70", "mg/dL"), null);
+    assert.equal(toCanonicalLabValue(entry, "95", "g/L"), null);
+    assert.equal(toCanonicalLabValue(entry, "95", ""), null);
+  });
+
+  it("annotates each result from its own unit", () => {
+    const test = annotateLabTest({
+      testName: "Random Blood Sugar",
+      unit: "mg/dL",
+      results: [{ value: "110" }, { value: "6.1", unit: "mmol/L" }]
+    });
+    assert.equal(test.loinc, "2345-7");
+    assert.deepEqual(test.results.map((r) => r.canonicalValue), [110, 109.9]);
+  });
+});
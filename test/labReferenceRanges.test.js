@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { applyReferenceRange, findReferenceRange, parseRangeBounds } from "../src/utils/labReferenceRanges.js";
+
+describe("parseRangeBounds", () => {
+  it("reads unspaced and spaced ranges", () => {
+    assert.deepEqual(parseRangeBounds("70-100"), { min: 70, max: 100, kind: "between" });
+    assert.deepEqual(parseRangeBounds("70 - 100"), { min: 70, max: 100, kind: "between" });
+    assert.deepEqual(parseRangeBounds("3.5 to 5.1"), { min: 3.5, max: 5.1, kind: "between" });
+  });
+
+  it("reads one-sided limits", () => {
+    assert.deepEqual(parseRangeBounds("<200"), { max: 200, kind: "lt" });
+    assert.deepEqual(parseRangeBounds(">40"), { min: 40, kind: "gt" });
+  });
+
+  it("keeps leading minus signs", () => {
+    assert.deepEqual(parseRangeBounds("-2 - 2"), { min: -2, max: 2, kind: "between" });
+    assert.deepEqual(parseRangeBounds("-2.5-1.0"), { min: -2.5, max: 1, kind: "between" });
+  });
+
+  it("ignores text without numbers", () => {
+    assert.equal(parseRangeBounds("Negative"), null);
+    assert.equal(parseRangeBounds(""), null);
+  });
+});
+
+describe("applyReferenceRange", () => {
+  const adult = { age: 40, sex: "male" };
+
+  it("agrees with an unspaced printed range", () => {
+    const out = applyReferenceRange({ testName: "Fasting Glucose", value: "95", unit: "mg/dL", referenceRange: "70-100" }, adult);
+    assert.equal(out.referenceRangeSource, "report");
+    assert.equal(out.rangeConflict, null);
+  });
+
+  it("takes the status from the engine when no range was printed", () => {
+    const engine = findReferenceRange("1558-6", adult);
+    const value = String(engine.high + 20);
+    const out = applyReferenceRange({ testName: "Fasting Glucose", value, unit: "mg/dL", status: "NORMAL" }, adult);
+    assert.equal(out.referenceRangeSource, "engine");
+    assert.equal(out.status, "HIGH");
+  });
+
+  it("reports a conflict when the printed range classifies differently", () => {
+    const out = applyReferenceRange({ testName: "Fasting Glucose", value: "120", unit: "mg/dL", referenceRange: "70-140" }, adult);
+    assert.equal(out.rangeConflict.printedStatus, "NORMAL");
+    assert.equal(out.rangeConflict.engineStatus, "HIGH");
+  });
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildLabTrends, simplifyLabTrends } from "../src/utils/labTrends.js";
+
+function report(id, createdAt, tests) {
+  return { _id: id, reportNumber: Number(id.slice(-1)), createdAt: new Date(createdAt), docsTestsAnalysis: { docs: { tests } } };
+}
+
+const reports = [
+  // Saved out of order: the series is still oldest first.
+  report("r2", "2025-06-01", [
+    { testName: "FBS", value: "6.1", unit: "mmol/L", status: "HIGH" },
+    { testName: "Hemoglobin", value: "13.5", unit: "g/dL", status: "NORMAL" }
+  ]),
+  report("r1", "2025-01-01", [
+    { testName: "Fasting Blood Sugar", value: "126", unit: "mg/dL", status: "HIGH" },
+    { testName: "Fasting Blood Sugar", value: "999", unit: "mg/dL", status: "HIGH" },
+    { testName: "Dengue NS1 Antigen", value: "Negative", status: "NORMAL" }
+  ]),
+  report("r3", "2025-12-01", [{ testName: "Fasting Plasma Glucose (Hexokinase)", results: [{ value: "98", dateAndTime: "2025-11-30" }], unit: "mg/dL", status: "NORMAL" }])
+];
+
+describe("buildLabTrends", () => {
+  const trends = buildLabTrends(reports);
+  const glucose = trends.tests.find((t) => t.loinc === "1558-6");
+
+  it("lines up aliases across reports by LOINC, oldest first", () => {
+    assert.equal(trends.reportCount, 3);
+    assert.deepEqual(glucose.points.map((p) => p.reportId), ["r1", "r2", "r3"]);
+    // The repeated row in r1 is ignored.
+    assert.equal(glucose.points[0].value, "126");
+    assert.equal(glucose.points[2].collectedAt, "2025-11-30");
+  });
+
+  it("compares mixed units in the canonical unit", () => {
+    // 6.1 mmol/L = 109.9 mg/dL, then 98 mg/dL
+    assert.equal(glucose.previous.canonicalValue, 109.9);
+    assert.deepEqual(glucose.delta, { absolute: -11.9, percent: -10.83 });
+    assert.equal(glucose.direction, "down");
+    assert.equal(glucose.change, "improved");
+  });
+
+  it("grades a high value moving towards the range as improved", () => {
+    const earlier = buildLabTrends(reports.slice(0, 2)).tests.find((t) => t.loinc === "1558-6");
+    // HIGH 126 mg/dL, then HIGH 109.9 mg/dL
+    assert.equal(earlier.direction, "down");
+    assert.equal(earlier.change, "improved");
+  });
+
+  it("keeps tests outside the catalogue by name", () => {
+    const dengue = trends.tests.find((t) => t.key === "name:denguens1antigen");
+    assert.equal(dengue.loinc, null);
+    assert.equal(dengue.delta, null);
+  });
+
+  it("lists only tests seen twice in the patient view", () => {
+    const simple = simplifyLabTrends(trends);
+    assert.deepEqual(simple.tests.map((t) => t.testName), ["Fasting Plasma Glucose (Hexokinase)"]);
+    assert.deepEqual(simple.tests[0].points.map((p) => [p.value, p.unit]), [
+      [126, "mg/dL"],
+      [109.9, "mg/dL"],
+      [98, "mg/dL"]
+    ]);
+  });
+});
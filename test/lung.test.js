@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+// The reference tables are read when lung.js loads, so the fixture path has
+// to be set before importing it.
+process.env.GLI_2012_TABLES_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "gli2012Synthetic.json");
+const { classifySpirometryPattern, compareSpirometryToReference, computeGli2012Reference } = await import("../src/Calculators/lung.js");
+const { runCalculator } = await import("../src/Calculators/index.js");
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+const male20 = { ageYears: 20, sex: "male", heightCm: 175, ethnicity: "caucasian" };
+
+describe("GLI-2012 LMS reference values", () => {
+  // Fixture FEV1 at 20: L = 1, M = 4, S = 0.1, so LLN = M (1 + L S z)^(1/L) = 4 x (1 - 0.1645)
+  it("derives predicted, LLN and ULN from L, M and S", () => {
+    const ref = computeGli2012Reference({ ...male20, parameter: "fev1" });
+    assertClose(ref.predicted, 4);
+    assertClose(ref.lln, 3.342);
+    assertClose(ref.uln, 4.658);
+  });
+
+  it("interpolates the age splines between table rows", () => {
+    // Mspline halfway between ln 4 and ln 5 gives M = sqrt(20)
+    assertClose(computeGli2012Reference({ ...male20, ageYears: 20.5, parameter: "fev1" }).predicted, Math.sqrt(20));
+  });
+
+  it("applies the height and ethnicity terms", () => {
+    assertClose(computeGli2012Reference({ ...male20, parameter: "fvc" }).predicted, 5);
+    assertClose(computeGli2012Reference({ ...male20, heightCm: 180, parameter: "fvc" }).predicted, (5 * 180) / 175);
+    assertClose(computeGli2012Reference({ ...male20, ethnicity: "african_american", parameter: "fev1" }).predicted, 3.6);
+  });
+
+  it("returns null outside the tables", () => {
+    assert.equal(computeGli2012Reference({ ...male20, ageYears: 30, parameter: "fev1" }), null);
+    assert.equal(computeGli2012Reference({ ...male20, sex: "female", parameter: "fev1" }), null);
+  });
+
+  it("reports z-scores and percent predicted against the reference", () => {
+    const out = compareSpirometryToReference({ ...male20, fev1L: 3.6, fvcL: 5, fev1FvcRatio: 0.72 });
+    assert.equal(out.fev1.source, "gli2012");
+    assertClose(out.fev1.zScore, -1);
+    assertClose(out.fev1.percentPredicted, 90);
+    // 0.72 against M 0.8, S 0.05: (0.9 - 1) / 0.05
+    assertClose(out.fev1fvc.zScore, -2);
+  });
+
+  it("falls back to the spirometer's predicted values without a reference", () => {
+    const out = compareSpirometryToReference({
+      ...male20,
+      sex: "female",
+      fev1L: 3,
+      fvcL: 4,
+      fev1FvcRatio: 0.75,
+      devicePredicted: { fev1: { predicted: 3.5, lln: 2.9 } }
+    });
+    assert.equal(out.fev1.source, "device");
+    assertClose(out.fev1.percentPredicted, (3 / 3.5) * 100);
+    assert.equal(out.fvc.source, null);
+  });
+});
+
+describe("Spirometry pattern (ATS/ERS 2022)", () => {
+  it("grades obstruction on the FEV1 z-score", () => {
+    // FEV1 z = (2.5/4 - 1) / 0.1 = -3.75; ratio 0.52 is below the LLN of 0.8 x (1 - 0.05 x 1.645)
+    const reference = compareSpirometryToReference({ ...male20, fev1L: 2.5, fvcL: 4.8, fev1FvcRatio: 2.5 / 4.8 });
+    assert.deepEqual(classifySpirometryPattern(reference), { pattern: "obstructive", label: "Obstructive pattern", severity: "moderate", method: "z_score" });
+  });
+
+  it("flags a low FVC with a preserved ratio as possible restriction", () => {
+    // FVC z = (4/5 - 1) / 0.1 = -2
+    const reference = compareSpirometryToReference({ ...male20, fev1L: 3.2, fvcL: 4, fev1FvcRatio: 0.8 });
+    assert.equal(classifySpirometryPattern(reference).pattern, "restrictive");
+  });
+
+  it("uses the GOLD fixed ratio when there is no reference", () => {
+    const reference = compareSpirometryToReference({ ...male20, sex: "female", fev1L: 2, fvcL: 3.2, fev1FvcRatio: 0.625 });
+    const pattern = classifySpirometryPattern(reference);
+    assert.equal(pattern.method, "fixed_ratio");
+    assert.equal(pattern.pattern, "obstructive");
+    assert.equal(pattern.severity, null);
+  });
+
+  it("runs through the calculators API", () => {
+    const out = runCalculator("gli-2012-spirometry", { ...male20, fev1L: 2.5, fvcL: 4.8 });
+    assert.equal(out.interpretation.band, "obstructive");
+    assert.equal(out.interpretation.label, "Obstructive pattern (moderate)");
+  });
+});
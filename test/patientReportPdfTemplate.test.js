@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildPatientReportPdfFooter, buildPatientReportPdfHtml } from "../src/PdfTemplates/patientReportPdfTemplate.js";
+
+const signedAt = new Date("2025-03-02T09:30:00Z");
+
+const report = {
+  _id: "r1",
+  reportNumber: 42,
+  version: 2,
+  status: "released",
+  lastSavedAt: new Date("2025-03-01T08:15:00Z"),
+  signedVersions: [{ version: 2, signature: { name: "Dr <Rao>", signedAt } }],
+  structuredSections: {
+    summary: { overview: "Fish & chips <script>alert(1)</script>", aiRunIds: ["run-1"] },
+    sleepCycle: { hoursPerNight: 6, snoring: true, confidence: "high", _id: "s1" },
+    boneHealth: { notes: "" }
+  },
+  docsTestsAnalysis: {
+    docs: {
+      tests: [
+        { testName: "Hemoglobin", value: "13.5", unit: "g/dL", referenceRange: "13-17", status: "NORMAL" },
+        {
+          testName: "LDL Cholesterol",
+          results: [
+            { value: "150", dateAndTime: "2024-12-01" },
+            { value: "190", dateAndTime: "2025-02-28" }
+          ],
+          unit: "mg/dL",
+          referenceRange: "<100",
+          status: "HIGH",
+          rangeConflict: { printed: "<130", engine: "<100" }
+        }
+      ]
+    }
+  },
+  holisticPlan: { step1: { goals: ["Walk daily"] }, raw: "model text" },
+  aiRuns: [
+    { target: "structuredSections.summary", provider: "openai", model: "gpt-4o", promptVersion: "summary-v2", createdAt: signedAt },
+    { target: "structuredSections.dietAssessment", provider: "gemini", model: "flash" }
+  ]
+};
+
+const patient = { name: "Asha", userNumber: "P-7" };
+
+function sectionTitles(html) {
+  return [...html.matchAll(/<h2>([^<]+)<\/h2>/g)].map((match) => match[1]);
+}
+
+describe("buildPatientReportPdfHtml", () => {
+  it("orders sections by layout and skips empty ones", () => {
+    const clinician = buildPatientReportPdfHtml({ report, patient });
+    assert.deepEqual(sectionTitles(clinician), ["Sleep Cycle", "Laboratory Results", "Summary", "Holistic Health Plan", "AI Provenance"]);
+
+    const patientCopy = buildPatientReportPdfHtml({ report, patient, layout: "patient" });
+    assert.deepEqual(sectionTitles(patientCopy), ["Summary", "Holistic Health Plan", "Laboratory Results", "Sleep Cycle"]);
+  });
+
+  it("prints only the selected sections", () => {
+    const html = buildPatientReportPdfHtml({ report, patient, sections: ["sleepCycle"] });
+    assert.deepEqual(sectionTitles(html), ["Sleep Cycle"]);
+
+    const none = buildPatientReportPdfHtml({ report, patient, sections: ["boneHealth"] });
+    assert.match(none, /No data has been recorded for the selected sections/);
+  });
+
+  it("escapes stored text", () => {
+    const html = buildPatientReportPdfHtml({ report, patient });
+    assert.match(html, /Fish &amp; chips &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /Approved by Dr &lt;Rao&gt; on 2025-03-02 09:30 UTC/);
+    assert.doesNotMatch(html, /<script>/);
+  });
+
+  it("never prints internal keys, and leaves clinical detail out of the patient copy", () => {
+    const clinician = buildPatientReportPdfHtml({ report, patient });
+    assert.doesNotMatch(clinician, /run-1|model text|Ai Run Ids|>Id</);
+    assert.match(clinician, /<th>Confidence<\/th><td>high<\/td>/);
+    assert.match(clinician, /<th>Snoring<\/th><td>Yes<\/td>/);
+
+    const patientCopy = buildPatientReportPdfHtml({ report, patient, layout: "patient" });
+    assert.doesNotMatch(patientCopy, /Confidence|AI Provenance|disagrees/);
+  });
+
+  it("renders lab results per layout", () => {
+    const clinician = buildPatientReportPdfHtml({ report, patient });
+    assert.match(clinician, /<td>150 \(2024-12-01\); 190 \(2025-02-28\)<\/td>/);
+    assert.match(clinician, /Printed range &lt;130 disagrees with &lt;100/);
+
+    const patientCopy = buildPatientReportPdfHtml({ report, patient, layout: "patient" });
+    const rows = [...patientCopy.matchAll(/<tr class="(flag|)"><td>([^<]+)<\/td><td>([^<]*)<\/td>/g)].map((m) => [m[1], m[2], m[3]]);
+    // Flagged results come first and show only the latest value.
+    assert.deepEqual(rows, [
+      ["flag", "LDL Cholesterol", "190 mg/dL"],
+      ["", "Hemoglobin", "13.5 g/dL"]
+    ]);
+    assert.match(patientCopy, /Above the normal range/);
+  });
+
+  it("lists provenance only for printed sections", () => {
+    const html = buildPatientReportPdfHtml({ report, patient });
+    assert.match(html, /<td>Summary<\/td><td>openai \/ gpt-4o<\/td><td>summary-v2<\/td><td>2025-03-02 09:30 UTC<\/td>/);
+    assert.doesNotMatch(html, /gemini/);
+  });
+
+  it("shows the header meta and an unsigned status", () => {
+    const html = buildPatientReportPdfHtml({ report: { ...report, status: "ready_for_review", signedVersions: [] }, patient });
+    assert.match(html, /<span>Patient: Asha<\/span><span>Patient ID: P-7<\/span><span>Report #42<\/span><span>Version 2<\/span>/);
+    assert.match(html, /<div class="signoff unsigned">Ready for review - not yet approved by a doctor<\/div>/);
+  });
+});
+
+describe("buildPatientReportPdfFooter", () => {
+  it("prints the report number and page counters", () => {
+    assert.match(buildPatientReportPdfFooter({ report }), /Report #42 &middot; Page <span class="pageNumber"><\/span> of <span class="totalPages"><\/span>/);
+    assert.doesNotMatch(buildPatientReportPdfFooter({ report: {} }), /Report #/);
+  });
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { PatientReport } from "../src/Models/PatientReport.js";
+import { bumpEditVersion, findSectionsChangedSince, isBaseEditVersionRequired, readBaseEditVersion } from "../src/utils/reportEditing.js";
+
+const nurseId = "64b000000000000000000003";
+const doctorId = "64b000000000000000000004";
+
+function loadReport(fields = {}) {
+  return PatientReport.hydrate({ _id: "64b000000000000000000002", patient: "64b000000000000000000001", reportNumber: 1, ...fields });
+}
+
+describe("report edit versions", () => {
+  it("stamps the changed sections with the new editVersion in the same save", () => {
+    const report = loadReport({ editVersion: 4 });
+    bumpEditVersion(report, { sections: ["reportValues", "structuredSections.kidneyHealth"], actorId: nurseId, actorRole: "nurse" });
+
+    assert.equal(report.editVersion, 5);
+    assert.deepEqual(report.$where, { editVersion: 4 });
+    assert.deepEqual(
+      report.sectionChanges.map((change) => [change.section, change.editVersion, change.changedByRole]),
+      [
+        ["reportValues", 5, "nurse"],
+        ["structuredSections.kidneyHealth", 5, "nurse"]
+      ]
+    );
+  });
+
+  it("keeps one entry per section with its latest change", () => {
+    const report = loadReport({ editVersion: 5, sectionChanges: [{ section: "reportValues", editVersion: 5, changedBy: nurseId }] });
+    bumpEditVersion(report, { sections: ["reportValues"], actorId: doctorId, actorRole: "doctor", source: "restore" });
+
+    assert.equal(report.sectionChanges.length, 1);
+    assert.equal(report.sectionChanges[0].editVersion, 6);
+    assert.equal(report.sectionChanges[0].source, "restore");
+    assert.equal(report.sectionChanges[0].changedBy.toString(), doctorId);
+  });
+
+  it("lists the sections changed after a base version", () => {
+    const report = loadReport({
+      editVersion: 7,
+      sectionChanges: [
+        { section: "reportValues", editVersion: 3 },
+        { section: "holisticPlan", editVersion: 7 }
+      ]
+    });
+    assert.deepEqual(findSectionsChangedSince(report, 5).map((change) => change.section), ["holisticPlan"]);
+    assert.deepEqual(findSectionsChangedSince(report, 7), []);
+  });
+
+  it("reads the base version from the body or If-Match", () => {
+    const request = (body, ifMatch) => ({ body, get: () => ifMatch });
+    assert.equal(readBaseEditVersion(request({ baseEditVersion: 3 })), 3);
+    assert.equal(readBaseEditVersion(request({}, 'W/"4"')), 4);
+    assert.equal(readBaseEditVersion(request({})), null);
+    assert.ok(Number.isNaN(readBaseEditVersion(request({ baseEditVersion: "x" }))));
+  });
+
+  it("accepts saves without a base version until REPORT_REQUIRE_BASE_EDIT_VERSION is set", () => {
+    const previous = process.env.REPORT_REQUIRE_BASE_EDIT_VERSION;
+    try {
+      delete process.env.REPORT_REQUIRE_BASE_EDIT_VERSION;
+      assert.equal(isBaseEditVersionRequired(), false);
+      process.env.REPORT_REQUIRE_BASE_EDIT_VERSION = "1";
+      assert.equal(isBaseEditVersionRequired(), true);
+    } finally {
+      if (previous === undefined) delete process.env.REPORT_REQUIRE_BASE_EDIT_VERSION;
+      else process.env.REPORT_REQUIRE_BASE_EDIT_VERSION = previous;
+    }
+  });
+});
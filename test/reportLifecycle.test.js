@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  buildLegacyReleasedVersion,
+  getReportStatus,
+  hashReportContent,
+  patientVisibleProjection,
+  toPatientVisibleReport
+} from "../src/utils/reportLifecycle.js";
+
+const releasedAt = new Date("2026-01-10T09:00:00Z");
+
+function amendedReport() {
+  return {
+    _id: "r1",
+    status: "draft",
+    version: 2,
+    generatedReport: { summary: "draft text" },
+    uploadedDocuments: [{ _id: "d2" }],
+    signedVersions: [
+      { version: 1, releasedAt, releasedBy: "doc1", amendedAt: new Date("2026-02-01T09:00:00Z"), content: { generatedReport: { summary: "signed text" }, uploadedDocuments: [{ _id: "d1" }] } }
+    ]
+  };
+}
+
+describe("patient-visible reports", () => {
+  it("counts a report saved before the workflow as released", () => {
+    assert.equal(getReportStatus({}), "released");
+  });
+
+  it("returns a released report unchanged", () => {
+    const report = { status: "released", version: 1, generatedReport: { summary: "x" } };
+    assert.equal(toPatientVisibleReport(report), report);
+  });
+
+  it("shows the last released version while an amendment is open", () => {
+    const visible = toPatientVisibleReport(amendedReport());
+    assert.deepEqual(visible.generatedReport, { summary: "signed text" });
+    assert.deepEqual(visible.uploadedDocuments, [{ _id: "d1" }]);
+    assert.equal(visible.version, 1);
+    assert.equal(visible.releasedAt, releasedAt);
+    // Fields the signed version did not carry are not filled from the draft.
+    assert.equal(visible.holisticPlan, null);
+  });
+
+  it("hides a report that was never released", () => {
+    const report = { ...amendedReport(), signedVersions: [{ version: 1, releasedAt: null, content: {} }] };
+    assert.equal(toPatientVisibleReport(report), null);
+  });
+
+  it("selects the signed content for the requested content fields only", () => {
+    assert.equal(
+      patientVisibleProjection(["reportNumber", "docsTestsAnalysis"]),
+      "reportNumber docsTestsAnalysis status signedVersions.version signedVersions.releasedAt signedVersions.releasedBy signedVersions.content.docsTestsAnalysis"
+    );
+  });
+});
+
+describe("amending a report released before the workflow", () => {
+  const lastSavedAt = new Date("2025-11-20T12:00:00Z");
+  const legacy = { _id: "r2", status: "released", version: 1, lastSavedAt, generatedReport: { summary: "delivered text" }, signedVersions: [] };
+
+  it("snapshots the delivered content as an unsigned released version", () => {
+    const entry = buildLegacyReleasedVersion(legacy);
+    assert.equal(entry.version, 1);
+    assert.equal(entry.legacy, true);
+    assert.equal(entry.signature, undefined);
+    assert.equal(entry.releasedAt, lastSavedAt);
+    assert.deepEqual(entry.content.generatedReport, { summary: "delivered text" });
+    assert.equal(entry.contentHash, hashReportContent(entry.content));
+  });
+
+  it("keeps the report visible to its patient while the amendment is open", () => {
+    const amended = {
+      ...legacy,
+      status: "draft",
+      version: 2,
+      generatedReport: { summary: "amended draft" },
+      signedVersions: [{ ...buildLegacyReleasedVersion(legacy), amendedAt: new Date() }]
+    };
+    const visible = toPatientVisibleReport(amended);
+    assert.deepEqual(visible.generatedReport, { summary: "delivered text" });
+    assert.equal(visible.version, 1);
+    assert.equal(visible.releasedAt, lastSavedAt);
+  });
+});
@@ -0,0 +1,117 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { PatientReport } from "../src/Models/PatientReport.js";
+import {
+  captureReportSections,
+  diffReportSections,
+  isTrackedReportSection,
+  readReportSection,
+  writeReportSection
+} from "../src/utils/reportRevisions.js";
+
+function loadReport(fields = {}) {
+  return PatientReport.hydrate({ _id: "64b000000000000000000002", patient: "64b000000000000000000001", reportNumber: 1, ...fields });
+}
+
+describe("tracked report sections", () => {
+  it("accepts structured sections, step snapshots and tracked fields only", () => {
+    assert.equal(isTrackedReportSection("structuredSections.kidneyHealth"), true);
+    assert.equal(isTrackedReportSection("stepSnapshots.step-3"), true);
+    assert.equal(isTrackedReportSection("docsTestsAnalysis"), true);
+    assert.equal(isTrackedReportSection("structuredSections.unknown"), false);
+    assert.equal(isTrackedReportSection("structuredSections.kidneyHealth.egfr"), false);
+    assert.equal(isTrackedReportSection("stepSnapshots"), false);
+    assert.equal(isTrackedReportSection("status"), false);
+  });
+
+  it("captures step snapshot data and stored values as JSON", () => {
+    const report = loadReport({
+      reportValues: { seenAt: new Date("2026-01-02T03:04:05Z") },
+      stepSnapshots: { "step-1": { data: { weight: 70 }, savedAt: new Date() } }
+    });
+    const sections = captureReportSections(report);
+    assert.deepEqual(sections.reportValues, { seenAt: "2026-01-02T03:04:05.000Z" });
+    assert.deepEqual(sections["stepSnapshots.step-1"], { weight: 70 });
+    assert.equal(sections["structuredSections.kidneyHealth"], null);
+    assert.deepEqual(readReportSection(report, "stepSnapshots.step-1"), { weight: 70 });
+    assert.equal(readReportSection(report, "stepSnapshots.missing"), null);
+  });
+});
+
+describe("diffReportSections", () => {
+  it("lists leaf changes of the sections that changed only", () => {
+    const before = {
+      "structuredSections.kidneyHealth": { egfr: 88, notes: "stable", tests: ["creatinine", "urea"] },
+      holisticPlan: { step1: "walk" }
+    };
+    const after = {
+      "structuredSections.kidneyHealth": { egfr: 72, tests: ["creatinine", "urea", "cystatin C"] },
+      holisticPlan: { step1: "walk" }
+    };
+    const [revision, ...rest] = diffReportSections(before, after);
+    assert.equal(rest.length, 0);
+    assert.equal(revision.section, "structuredSections.kidneyHealth");
+    assert.deepEqual(revision.changes, [
+      { path: "egfr", before: 88, after: 72 },
+      { path: "notes", before: "stable", after: null },
+      { path: "tests[2]", before: null, after: "cystatin C" }
+    ]);
+    assert.equal(revision.changesTruncated, false);
+    assert.deepEqual(revision.before, before["structuredSections.kidneyHealth"]);
+    assert.deepEqual(revision.after, after["structuredSections.kidneyHealth"]);
+  });
+
+  it("lists a section that appears field by field", () => {
+    const [revision] = diffReportSections({ generatedReport: null }, { generatedReport: { summary: "ok", risk: { level: "low" } } });
+    assert.deepEqual(revision.changes, [
+      { path: "summary", before: null, after: "ok" },
+      { path: "risk.level", before: null, after: "low" }
+    ]);
+  });
+
+  it("replaces a value whose type changed as a whole", () => {
+    const [revision] = diffReportSections({ reportValues: { bp: "120/80" } }, { reportValues: { bp: { systolic: 120 } } });
+    assert.deepEqual(revision.changes, [{ path: "bp", before: "120/80", after: { systolic: 120 } }]);
+    const [list] = diffReportSections({ reportValues: { bp: [1] } }, { reportValues: { bp: "1" } });
+    assert.deepEqual(list.changes, [{ path: "bp", before: [1], after: "1" }]);
+  });
+
+  it("caps the change list of a large edit", () => {
+    const after = Object.fromEntries(Array.from({ length: 600 }, (_, i) => [`field${i}`, i]));
+    const [revision] = diffReportSections({ reportValues: {} }, { reportValues: after });
+    assert.equal(revision.changes.length, 500);
+    assert.equal(revision.changesTruncated, true);
+    // The full values are kept so the section can still be restored.
+    assert.deepEqual(revision.after, after);
+  });
+});
+
+describe("restoring a section", () => {
+  it("puts back the value a revision recorded and undoes the edit", () => {
+    const report = loadReport({
+      structuredSections: { kidneyHealth: { egfr: 88 } },
+      docsTestsAnalysis: { docs: { tests: [{ testName: "Urea" }] } },
+      stepSnapshots: { "step-1": { data: { weight: 70 } } }
+    });
+    const original = captureReportSections(report);
+
+    report.set("structuredSections.kidneyHealth", { egfr: 60 });
+    report.docsTestsAnalysis = null;
+    report.stepSnapshots.set("step-1", { data: { weight: 75 } });
+    const revisions = diffReportSections(original, captureReportSections(report));
+    assert.deepEqual(revisions.map((revision) => revision.section).sort(), ["docsTestsAnalysis", "stepSnapshots.step-1", "structuredSections.kidneyHealth"]);
+
+    for (const revision of revisions) writeReportSection(report, revision.section, revision.before);
+    assert.deepEqual(diffReportSections(original, captureReportSections(report)), []);
+    assert.equal(report.isModified("structuredSections.kidneyHealth"), true);
+    assert.equal(report.isModified("docsTestsAnalysis"), true);
+    assert.ok(report.stepSnapshots.get("step-1").savedAt instanceof Date);
+  });
+
+  it("restores an empty step snapshot as empty data", () => {
+    const report = loadReport({ stepSnapshots: { "step-2": { data: { a: 1 } } } });
+    writeReportSection(report, "stepSnapshots.step-2", null);
+    assert.deepEqual(readReportSection(report, "stepSnapshots.step-2"), {});
+  });
+});
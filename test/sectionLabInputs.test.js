@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { fillAnalysisLabInputs, prefillSectionLabInputs } from "../src/utils/sectionLabInputs.js";
+
+const report = {
+  _id: "r1",
+  docsTestsAnalysis: {
+    docs: {
+      tests: [
+        { testName: "FBS", value: "5.5", unit: "mmol/L" },
+        { testName: "Fasting Insulin", value: "72", unit: "pmol/L" },
+        { testName: "Direct LDL", value: "3.1", unit: "mmol/L" },
+        { testName: "SGPT", results: [{ value: "30", dateAndTime: "2025-01-10" }, { value: "42", dateAndTime: "2025-03-10" }], unit: "U/L" },
+        { testName: "ALT", results: [{ value: "35", dateAndTime: "2025-02-10" }], unit: "U/L" },
+        { testName: "SGOT", value: "Hemolysed", unit: "U/L" }
+      ]
+    }
+  }
+};
+
+describe("prefillSectionLabInputs", () => {
+  it("fills section fields from docs-tests in the field's unit", () => {
+    const { values, sources } = prefillSectionLabInputs("diabetesRisk", report);
+    // 5.5 mmol/L x 18.016, 72 pmol/L x 0.144, 3.1 mmol/L x 38.67
+    assert.deepEqual(values, { hba1cPct: null, fastingGlucoseMg_dL: 99.09, fastingInsulinUu_mL: 10.37, ldlMg_dL: 119.9 });
+    assert.equal(sources.fastingGlucoseMg_dL.testName, "FBS");
+    assert.equal(sources.fastingGlucoseMg_dL.value, "5.5");
+    // Direct LDL fills the LDL field when the calculated one is missing.
+    assert.equal(sources.ldlMg_dL.loinc, "18262-6");
+    assert.equal(sources.hba1cPct, undefined);
+  });
+
+  it("keeps entered values and takes the latest collection otherwise", () => {
+    const { values, sources } = prefillSectionLabInputs("liverHealth", report, { astIU_L: "28" });
+    assert.equal(values.astIU_L, 28);
+    assert.deepEqual(sources.astIU_L, { source: "request" });
+    assert.equal(values.altIU_L, 42);
+    assert.equal(sources.altIU_L.collectedAt, "2025-03-10");
+  });
+
+  it("ignores unknown sections", () => {
+    assert.deepEqual(prefillSectionLabInputs("eyeHealth", report), { values: {}, sources: {} });
+  });
+});
+
+describe("fillAnalysisLabInputs", () => {
+  it("fills labs the AI could not read and recomputes the scores", () => {
+    const analysis = { labs: { fastingGlucoseMg_dL: 90 }, computed: { note: "kept" } };
+    const out = fillAnalysisLabInputs("diabetesRisk", analysis, report);
+    assert.equal(out.labs.fastingGlucoseMg_dL, 90);
+    assert.equal(out.labSources.fastingGlucoseMg_dL.source, "aiExtraction");
+    // HOMA-IR = 90 x 10.37 / 405
+    assert.equal(out.computed.insulinResistance.homaIr.toFixed(3), "2.304");
+    assert.equal(out.computed.note, "kept");
+  });
+
+  it("returns the analysis unchanged when nothing was filled", () => {
+    const analysis = { labs: {} };
+    assert.equal(fillAnalysisLabInputs("diabetesRisk", analysis, { docsTestsAnalysis: { docs: { tests: [] } } }), analysis);
+  });
+});
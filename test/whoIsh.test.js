@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+// The charts are read when cardiovascular.js loads, so the fixture path has
+// to be set before importing it.
+process.env.WHO_ISH_CHARTS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "whoIshSynthetic.json");
+const { lookupWhoIshRisk } = await import("../src/Calculators/cardiovascular.js");
+const { runCalculator } = await import("../src/Calculators/index.js");
+
+const smoker = { sex: "male", ageYears: 54, sbp: 138, smoker: true, diabetes: false, totalCholesterolMmol_L: 5.3 };
+
+describe("WHO/ISH chart lookup", () => {
+  it("reads the cell for the patient's age band, SBP row and cholesterol column", () => {
+    assert.deepEqual(lookupWhoIshRisk(smoker), { category: 3, risk10y: "20% to <30%", chart: "SEAR-D with cholesterol" });
+  });
+
+  it("rounds SBP and cholesterol to the nearest chart band, ties going up", () => {
+    assert.equal(lookupWhoIshRisk({ ...smoker, sbp: 130, totalCholesterolMmol_L: 4.5 }).category, 3);
+    assert.equal(lookupWhoIshRisk({ ...smoker, sbp: 129 }), null);
+    assert.equal(lookupWhoIshRisk({ sex: "female", ageYears: 79, sbp: 200, smoker: false, diabetes: true, totalCholesterolMmol_L: 9 }).category, 5);
+  });
+
+  it("uses the chart without cholesterol when it is not known", () => {
+    const out = lookupWhoIshRisk({ sex: "male", ageYears: 60, sbp: 165, smoker: false, diabetes: false });
+    assert.deepEqual(out, { category: 2, risk10y: "10% to <20%", chart: "SEAR-D without cholesterol" });
+  });
+
+  it("returns null for a region without cells", () => {
+    assert.equal(lookupWhoIshRisk({ ...smoker, region: "EUR-A" }), null);
+  });
+
+  it("bands the category through the calculators API", () => {
+    const out = runCalculator("who-ish", smoker);
+    assert.equal(out.interpretation.band, "high");
+    assert.equal(out.interpretation.label, "20% to <30% 10-year cardiovascular risk");
+  });
+});